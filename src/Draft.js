@@ -18,23 +18,40 @@ const ContentBlock = require('ContentBlock');
 const ContentState = require('ContentState');
 const DefaultDraftBlockRenderMap = require('DefaultDraftBlockRenderMap');
 const DefaultDraftInlineStyle = require('DefaultDraftInlineStyle');
+const DraftAutocomplete = require('DraftAutocomplete');
+const DraftAutocorrect = require('DraftAutocorrect');
+const DraftCommandRegistry = require('DraftCommandRegistry');
 const DraftEditor = require('DraftEditor.react');
+const DraftDiagnostics = require('DraftDiagnostics');
 const DraftEditorBlock = require('DraftEditorBlock.react');
 const DraftEntity = require('DraftEntity');
 const DraftEntityInstance = require('DraftEntityInstance');
+const DraftFindReplace = require('DraftFindReplace');
+const DraftInputRules = require('DraftInputRules');
+const DraftKeymap = require('DraftKeymap');
 const DraftModifier = require('DraftModifier');
+const DraftSuggestions = require('DraftSuggestions');
 const EditorState = require('EditorState');
 const KeyBindingUtil = require('KeyBindingUtil');
+const NestedRichTextEditorUtil = require('NestedRichTextEditorUtil');
 const RawDraftContentState = require('RawDraftContentState');
 const RichTextEditorUtil = require('RichTextEditorUtil');
 const SelectionState = require('SelectionState');
 
+const convertFromDraftStateToHTML = require('convertFromDraftStateToHTML');
+const convertFromDraftStateToMarkdown = require('convertFromDraftStateToMarkdown');
 const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromHistoryToRaw = require('convertFromHistoryToRaw');
 const convertFromHTML = require('convertFromHTMLToContentBlocks');
+const convertFromMarkdownToDraftState = require('convertFromMarkdownToDraftState');
 const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const convertFromRawToHistory = require('convertFromRawToHistory');
+const convertFromRTF = require('convertFromRTFToContentBlocks');
 const generateRandomKey = require('generateRandomKey');
 const getDefaultKeyBinding = require('getDefaultKeyBinding');
 const getVisibleSelectionRect = require('getVisibleSelectionRect');
+const transformDraftOperations = require('transformDraftOperations');
+const transformSelectionByOperations = require('transformSelectionByOperations');
 
 const DraftPublic = {
   Editor: DraftEditor,
@@ -53,19 +70,36 @@ const DraftPublic = {
   SelectionState,
 
   AtomicBlockUtils,
+  Autocomplete: DraftAutocomplete,
+  Autocorrect: DraftAutocorrect,
+  CommandRegistry: DraftCommandRegistry,
+  Diagnostics: DraftDiagnostics,
+  FindReplace: DraftFindReplace,
+  InputRules: DraftInputRules,
   KeyBindingUtil,
+  Keymap: DraftKeymap,
   Modifier: DraftModifier,
+  NestedRichUtils: NestedRichTextEditorUtil,
   RichUtils: RichTextEditorUtil,
+  Suggestions: DraftSuggestions,
 
   DefaultDraftBlockRenderMap,
   DefaultDraftInlineStyle,
 
   convertFromHTML,
+  convertFromMarkdown: convertFromMarkdownToDraftState,
   convertFromRaw: convertFromRawToDraftState,
+  convertFromRTF,
+  convertHistoryFromRaw: convertFromRawToHistory,
+  convertHistoryToRaw: convertFromHistoryToRaw,
+  convertToHTML: convertFromDraftStateToHTML,
+  convertToMarkdown: convertFromDraftStateToMarkdown,
   convertToRaw: convertFromDraftStateToRaw,
   genKey: generateRandomKey,
   getDefaultKeyBinding,
   getVisibleSelectionRect,
+  transformOperations: transformDraftOperations,
+  transformSelection: transformSelectionByOperations,
 };
 
 module.exports = DraftPublic;
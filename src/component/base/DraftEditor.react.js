@@ -13,18 +13,22 @@
 'use strict';
 
 import type {BlockMap} from 'BlockMap';
+import type {DraftAutocompleteQuery} from 'DraftAutocomplete';
+import type {DraftDecoratorType} from 'DraftDecoratorType';
 import type {DraftEditorModes} from 'DraftEditorModes';
 import type {DraftEditorDefaultProps, DraftEditorProps} from 'DraftEditorProps';
 import type {DraftScrollPosition} from 'DraftScrollPosition';
 
 const DefaultDraftBlockRenderMap = require('DefaultDraftBlockRenderMap');
 const DefaultDraftInlineStyle = require('DefaultDraftInlineStyle');
+const DraftAutocomplete = require('DraftAutocomplete');
 const DraftEditorCompositionHandler = require('DraftEditorCompositionHandler');
 const DraftEditorContents = require('DraftEditorContents.react');
 const DraftEditorDragHandler = require('DraftEditorDragHandler');
 const DraftEditorEditHandler = require('DraftEditorEditHandler');
 const flushControlled = require('DraftEditorFlushControlled');
 const DraftEditorPlaceholder = require('DraftEditorPlaceholder.react');
+const DraftEditorSuggestHandler = require('DraftEditorSuggestHandler');
 const DraftEffects = require('DraftEffects');
 const EditorState = require('EditorState');
 const Scroll = require('Scroll');
@@ -51,6 +55,7 @@ const allowSpellCheck = !isIE;
 // of editor behavior.
 const handlerMap = {
   edit: DraftEditorEditHandler,
+  suggest: DraftEditorSuggestHandler,
   composite: DraftEditorCompositionHandler,
   drag: DraftEditorDragHandler,
   cut: null,
@@ -128,6 +133,23 @@ class UpdateDraftEditorFlags extends React.Component<{
 
 const EDITOR_ID_PLACEHOLDER = '{{editor_id_placeholder}}';
 
+const isSameQueryStart = (
+  a: ?DraftAutocompleteQuery,
+  b: ?DraftAutocompleteQuery,
+): boolean =>
+  a != null &&
+  b != null &&
+  a.trigger === b.trigger &&
+  a.blockKey === b.blockKey &&
+  a.start === b.start;
+
+const isSameQuery = (
+  a: ?DraftAutocompleteQuery,
+  b: ?DraftAutocompleteQuery,
+): boolean =>
+  a === b ||
+  (isSameQueryStart(a, b) && a?.text === b?.text && a?.end === b?.end);
+
 /**
  * `DraftEditor` is the root editor component. It composes a `contentEditable`
  * div, and provides a wide variety of useful function props for managing the
@@ -152,6 +174,7 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
   _blockSelectEvents: boolean;
   _clipboard: ?BlockMap;
   _handler: ?Object;
+  _mode: DraftEditorModes;
   _dragCount: number;
   _internalDrag: boolean = false;
   _editorKey: string;
@@ -159,6 +182,15 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
   _latestEditorState: EditorState;
   _latestCommittedEditorState: EditorState;
   _pendingStateFromBeforeInput: void | EditorState;
+  _decoratorSubscription: ?{
+    decorator: DraftDecoratorType,
+    unsubscribe: () => void,
+    ...
+  } = null;
+  // The autocomplete query last reported to `onQueryChange`, and the one
+  // dismissed with Escape, which stays hidden until the caret leaves it.
+  _autocompleteQuery: ?DraftAutocompleteQuery = null;
+  _dismissedAutocompleteQuery: ?DraftAutocompleteQuery = null;
 
   /**
    * Define proxies that can route events to the current handler.
@@ -196,6 +228,7 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
     this._blockSelectEvents = false;
     this._clipboard = null;
     this._handler = null;
+    this._mode = 'render';
     this._dragCount = 0;
     this._editorKey = props.editorKey || generateRandomKey();
     this._placeholderAccessibilityID = 'placeholder-' + this._editorKey;
@@ -333,10 +366,12 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
       customStyleFn,
       customStyleMap,
       editorState,
+      estimatedBlockHeight,
       preventScroll,
       readOnly,
       textAlignment,
       textDirectionality,
+      virtualized,
     } = this.props;
 
     const rootClass = cx({
@@ -355,14 +390,30 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
       wordWrap: 'break-word',
     };
 
+    const {autocomplete} = this.props;
     // The aria-expanded and aria-haspopup properties should only be rendered
     // for a combobox.
     /* $FlowFixMe[prop-missing] (>=0.68.0 site=www,mobile) This comment
      * suppresses an error found when Flow v0.68 was deployed. To see the error
      * delete this comment and run Flow. */
-    const ariaRole = this.props.role || 'textbox';
-    const ariaExpanded =
+    const ariaRole = this.props.role || (autocomplete ? 'combobox' : 'textbox');
+    let ariaActiveDescendantID = this.props.ariaActiveDescendantID;
+    let ariaAutoComplete = this.props.ariaAutoComplete;
+    let ariaControls = this.props.ariaControls;
+    let ariaExpanded =
       ariaRole === 'combobox' ? !!this.props.ariaExpanded : null;
+    // With `autocomplete`, the combobox properties follow its list instead.
+    if (autocomplete) {
+      const isAutocompleteOpen =
+        autocomplete.itemCount > 0 &&
+        this._getAutocompleteQuery(editorState) != null;
+      ariaActiveDescendantID = isAutocompleteOpen
+        ? autocomplete.getItemID(autocomplete.highlightedIndex)
+        : null;
+      ariaAutoComplete = 'list';
+      ariaControls = isAutocompleteOpen ? autocomplete.listboxID : null;
+      ariaExpanded = ariaRole === 'combobox' ? isAutocompleteOpen : null;
+    }
 
     const editorContentsProps = {
       blockRenderMap,
@@ -375,8 +426,10 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
       customStyleFn,
       editorKey: this._editorKey,
       editorState,
+      estimatedBlockHeight,
       preventScroll,
       textDirectionality,
+      virtualized,
     };
 
     const contentClassName =
@@ -392,11 +445,9 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
           ref={this._handleEditorContainerRef}>
           {/* Note: _handleEditorContainerRef assumes this div won't move: */}
           <div
-            aria-activedescendant={
-              readOnly ? null : this.props.ariaActiveDescendantID
-            }
-            aria-autocomplete={readOnly ? null : this.props.ariaAutoComplete}
-            aria-controls={readOnly ? null : this.props.ariaControls}
+            aria-activedescendant={readOnly ? null : ariaActiveDescendantID}
+            aria-autocomplete={readOnly ? null : ariaAutoComplete}
+            aria-controls={readOnly ? null : ariaControls}
             aria-describedby={this._renderARIADescribedBy()}
             aria-expanded={readOnly ? null : ariaExpanded}
             aria-label={this.props.ariaLabel ?? this.props.placeholder}
@@ -487,12 +538,104 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
         this.editor.ownerDocument.execCommand('AutoUrlDetect', false, false);
       }
     }
+
+    this._subscribeToDecorator();
+    this._updateAutocompleteQuery();
   }
 
-  componentDidUpdate(): void {
+  componentDidUpdate(prevProps: DraftEditorProps): void {
     this._blockSelectEvents = false;
     this._latestEditorState = this.props.editorState;
     this._latestCommittedEditorState = this.props.editorState;
+    if (
+      prevProps.suggestionAuthor !== this.props.suggestionAuthor &&
+      (this._mode === 'edit' || this._mode === 'suggest')
+    ) {
+      this.setMode('edit');
+    }
+    this._subscribeToDecorator();
+    this._updateAutocompleteQuery();
+  }
+
+  componentWillUnmount(): void {
+    const subscription = this._decoratorSubscription;
+    if (subscription) {
+      subscription.unsubscribe();
+      this._decoratorSubscription = null;
+    }
+  }
+
+  /**
+   * Get the autocomplete query at the caret, unless it has been dismissed.
+   */
+  _getAutocompleteQuery(editorState: EditorState): ?DraftAutocompleteQuery {
+    const {autocomplete} = this.props;
+    const query = autocomplete
+      ? DraftAutocomplete.getActiveQuery(editorState, autocomplete.triggers)
+      : null;
+    return isSameQueryStart(query, this._dismissedAutocompleteQuery)
+      ? null
+      : query;
+  }
+
+  /**
+   * Report the autocomplete query at the caret to `onQueryChange` when it
+   * changes. A dismissed query is forgotten once the caret leaves it.
+   */
+  _updateAutocompleteQuery(): void {
+    const {autocomplete, editorState} = this.props;
+    const activeQuery = autocomplete
+      ? DraftAutocomplete.getActiveQuery(editorState, autocomplete.triggers)
+      : null;
+    if (!isSameQueryStart(activeQuery, this._dismissedAutocompleteQuery)) {
+      this._dismissedAutocompleteQuery = null;
+    }
+    const query = this._dismissedAutocompleteQuery ? null : activeQuery;
+    const previousQuery = this._autocompleteQuery;
+    this._autocompleteQuery = query;
+    if (autocomplete && !isSameQuery(query, previousQuery)) {
+      autocomplete.onQueryChange(query);
+    }
+  }
+
+  /**
+   * Hide the autocomplete query at the caret until the caret leaves it.
+   */
+  _dismissAutocompleteQuery(): void {
+    if (this._autocompleteQuery != null) {
+      this._dismissedAutocompleteQuery = this._autocompleteQuery;
+      this._updateAutocompleteQuery();
+    }
+  }
+
+  /**
+   * Listen to the decorator of the editor state, if it supports it, to render
+   * the decorations of blocks that are found asynchronously once they are
+   * ready.
+   */
+  _subscribeToDecorator(): void {
+    const decorator = this.props.editorState.getDecorator();
+    const subscription = this._decoratorSubscription;
+    if (subscription && subscription.decorator === decorator) {
+      return;
+    }
+    if (subscription) {
+      subscription.unsubscribe();
+    }
+    this._decoratorSubscription =
+      decorator && decorator.subscribe
+        ? {
+            decorator,
+            unsubscribe: decorator.subscribe(blockKeys => {
+              const editorState = this._latestEditorState;
+              if (editorState.getDecorator() === decorator) {
+                this.update(
+                  EditorState.refreshDecorations(editorState, blockKeys),
+                );
+              }
+            }),
+          }
+        : null;
   }
 
   /**
@@ -559,11 +702,15 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
    * Set the behavior mode for the editor component. This switches the current
    * handler module to ensure that DOM events are managed appropriately for
    * the active mode.
+   *
+   * While the editor has a `suggestionAuthor`, `edit` mode is replaced with
+   * `suggest` mode, which tracks changes as suggestions.
    */
   // eslint-disable-next-line fb-www/extra-arrow-initializer
   setMode: DraftEditorModes => void = (mode: DraftEditorModes): void => {
-    const {onPaste, onCut, onCopy} = this.props;
-    const editHandler = {...handlerMap.edit};
+    const {onPaste, onCut, onCopy, suggestionAuthor} = this.props;
+    const editMode = suggestionAuthor != null ? 'suggest' : 'edit';
+    const editHandler = {...handlerMap[editMode]};
 
     if (onPaste) {
       /* $FlowFixMe[incompatible-type] (>=0.117.0 site=www,mobile) This comment
@@ -580,11 +727,9 @@ class DraftEditor extends React.Component<DraftEditorProps, State> {
       editHandler.onCopy = onCopy;
     }
 
-    const handler = {
-      ...handlerMap,
-      edit: editHandler,
-    };
-    this._handler = handler[mode];
+    this._mode = mode === 'edit' || mode === 'suggest' ? editMode : mode;
+    this._handler =
+      this._mode === editMode ? editHandler : handlerMap[this._mode];
   };
 
   // eslint-disable-next-line fb-www/extra-arrow-initializer
@@ -12,13 +12,19 @@
 'use strict';
 
 import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type {DraftAutocompleteConfig} from 'DraftAutocomplete';
+import type {DraftAutocorrectRule} from 'DraftAutocorrect';
 import type {DraftBlockRenderMap} from 'DraftBlockRenderMap';
 import type {DraftDragType} from 'DraftDragType';
 import type DraftEditor from 'DraftEditor.react';
 import type {DraftEditorCommand} from 'DraftEditorCommand';
 import type {DraftHandleValue} from 'DraftHandleValue';
 import type {DraftInlineStyle} from 'DraftInlineStyle';
+import type {DraftInputRule} from 'DraftInputRules';
+import type DraftKeymap from 'DraftKeymap';
 import type {DraftTextAlignment} from 'DraftTextAlignment';
+import type {DraftHTMLImportOptions} from 'convertFromHTMLToContentBlocks';
+import type {DraftUploadFileFn} from 'uploadFiles';
 import type EditorState from 'EditorState';
 import type SelectionState from 'SelectionState';
 import type {BidiDirection} from 'UnicodeBidiDirection';
@@ -66,13 +72,26 @@ export type DraftEditorProps = {
   // the matching DraftEditorCommand constant, or a custom string,
   // or null if no command should be invoked.
   keyBindingFn: (e: SyntheticKeyboardEvent<>) => ?string,
+  // Declarative shortcuts for commands, layered over the default ones, with
+  // support for chords. When set, it replaces `keyBindingFn`. See
+  // `DraftKeymap`.
+  keymap?: DraftKeymap,
   // Set whether the editor should prevent scrolling into view on mount
   // if it happens offscreen. By default, `false` to match the native behavior.
   preventScroll?: boolean,
+  // Set whether only the blocks near the viewport should be rendered, for
+  // very large documents. The other blocks are replaced by spacers.
+  virtualized?: boolean,
+  // The height of the blocks that haven't been rendered yet when
+  // `virtualized` is set. By default, the average height of rendered blocks.
+  estimatedBlockHeight?: number,
   // Set whether the `DraftEditor` component should be editable. Useful for
   // temporarily disabling edit behavior or allowing `DraftEditor` rendering
   // to be used for consumption purposes.
   readOnly: boolean,
+  // When set, the changes made in the editor are tracked as suggestions by
+  // this author instead of being applied. See `DraftSuggestions`.
+  suggestionAuthor?: ?string,
   // Note: spellcheck is always disabled for IE. If enabled in Safari, OSX
   // autocorrect is enabled as well.
   spellCheck: boolean,
@@ -84,6 +103,13 @@ export type DraftEditorProps = {
     text: string,
     html: ?string,
   ) => {text: string, html: ?string},
+  // Maximum number of characters of text inserted from each pasted or dropped
+  // text file. HTML, Markdown and RTF files are cut once converted. Defaults
+  // to 5000.
+  maxFileTextLength?: number,
+  // Provide import rules for pasted HTML, which are applied before the
+  // default conversion of elements to blocks, inline styles and entities.
+  htmlImportOptions?: DraftHTMLImportOptions,
   tabIndex?: number,
   // exposed especially to help improve mobile web behaviors
   autoCapitalize?: string,
@@ -140,6 +166,20 @@ export type DraftEditorProps = {
     editorState: EditorState,
     eventTimeStamp: number,
   ) => DraftHandleValue,
+  // Rules converting typed shortcuts into formatting, e.g. `# ` at the start
+  // of a block into a header, or `**bold**` into bold text. Each conversion
+  // can be undone to get back the typed characters. See `DraftInputRules`.
+  inputRules?: $ReadOnlyArray<DraftInputRule>,
+  // Rules correcting typed text, e.g. straight quotes into smart quotes or
+  // `--` into an em dash, and expanding snippets. Each correction can be
+  // undone to get back the typed characters. Text in code blocks and with
+  // the `CODE` style isn't corrected. See `DraftAutocorrect`.
+  autocorrectRules?: $ReadOnlyArray<DraftAutocorrectRule>,
+  // Autocomplete the queries typed after trigger characters, such as `@` for
+  // mentions. The editor becomes a combobox whose ARIA properties follow the
+  // listed items, and takes over the navigation keys while the list has
+  // items. See `DraftAutocomplete`.
+  autocomplete?: DraftAutocompleteConfig,
   handlePastedText?: (
     text: string,
     html?: string,
@@ -152,6 +192,10 @@ export type DraftEditorProps = {
     selection: SelectionState,
     files: Array<Blob>,
   ) => DraftHandleValue,
+  // Upload the files that are pasted or dropped, other than text files, in
+  // place of atomic blocks. Resolves with the URL of the file. Not called for
+  // files handled by `handlePastedFiles` or `handleDroppedFiles`.
+  uploadFile?: DraftUploadFileFn,
   // Handle other drops to prevent default text movement/insertion behaviour
   handleDrop?: (
     selection: SelectionState,
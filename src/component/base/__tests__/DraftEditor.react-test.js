@@ -136,3 +136,54 @@ describe('ariaDescribedBy', () => {
     });
   });
 });
+
+describe('autocomplete', () => {
+  const getAutocomplete = (itemCount: number) => ({
+    triggers: [{trigger: '@', entityType: 'MENTION'}],
+    onQueryChange: jest.fn(),
+    itemCount,
+    highlightedIndex: 1,
+    onHighlightChange: jest.fn(),
+    onSelect: jest.fn(),
+    listboxID: 'mentions',
+    getItemID: index => 'mention-' + index,
+  });
+
+  const getProps = (autocomplete, text) => {
+    const withText = EditorState.createWithText(text);
+    const r = shallow.render(
+      <DraftEditor
+        editorState={EditorState.forceSelection(
+          withText,
+          withText
+            .getSelection()
+            .merge({anchorOffset: text.length, focusOffset: text.length}),
+        )}
+        onChange={() => {}}
+        autocomplete={autocomplete}
+      />,
+    );
+    return r.props.children[1].props.children.props;
+  };
+
+  test('must render a combobox expanded while the list has items', () => {
+    expect(getProps(getAutocomplete(2), 'Hi @al')).toMatchObject({
+      role: 'combobox',
+      'aria-autocomplete': 'list',
+      'aria-expanded': true,
+      'aria-controls': 'mentions',
+      'aria-activedescendant': 'mention-1',
+    });
+  });
+
+  test('must render a collapsed combobox without items or query', () => {
+    const collapsed = {
+      role: 'combobox',
+      'aria-expanded': false,
+      'aria-controls': null,
+      'aria-activedescendant': null,
+    };
+    expect(getProps(getAutocomplete(0), 'Hi @al')).toMatchObject(collapsed);
+    expect(getProps(getAutocomplete(2), 'Hi al')).toMatchObject(collapsed);
+  });
+});
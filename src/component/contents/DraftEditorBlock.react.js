@@ -18,6 +18,7 @@ import type {DraftDecoratorType} from 'DraftDecoratorType';
 import type {DraftInlineStyle} from 'DraftInlineStyle';
 import type SelectionState from 'SelectionState';
 import type {BidiDirection} from 'UnicodeBidiDirection';
+import type {DraftDecoratedLeafSets} from 'groupDecoratedLeafSets';
 import type {List} from 'immutable';
 
 const DraftEditorLeaf = require('DraftEditorLeaf.react');
@@ -31,6 +32,7 @@ const cx = require('cx');
 const getElementPosition = require('getElementPosition');
 const getScrollPosition = require('getScrollPosition');
 const getViewportDimensions = require('getViewportDimensions');
+const groupDecoratedLeafSets = require('groupDecoratedLeafSets');
 const invariant = require('invariant');
 const isHTMLElement = require('isHTMLElement');
 const nullthrows = require('nullthrows');
@@ -143,96 +145,116 @@ class DraftEditorBlock extends React.Component<Props> {
   }
 
   _renderChildren(): Array<React.Node> {
+    return this._renderGroups(
+      groupDecoratedLeafSets(this.props.tree, this.props.decorator),
+    );
+  }
+
+  _renderGroups(groups: Array<DraftDecoratedLeafSets>): Array<React.Node> {
+    return groups.reduce(
+      (children, group) =>
+        children.concat(
+          group.decoratorKey == null
+            ? this._renderLeaves(group.start)
+            : this._renderDecoration(group, group.decoratorKey),
+        ),
+      [],
+    );
+  }
+
+  _renderLeaves(ii: number): React.Node {
     const block = this.props.block;
     const blockKey = block.getKey();
     const text = block.getText();
     const lastLeafSet = this.props.tree.size - 1;
     const hasSelection = isBlockOnSelectionEdge(this.props.selection, blockKey);
 
-    return this.props.tree
-      .map((leafSet, ii) => {
-        const leavesForLeafSet = leafSet.get('leaves');
-        // T44088704
-        if (leavesForLeafSet.size === 0) {
-          return null;
-        }
-        const lastLeaf = leavesForLeafSet.size - 1;
-        const leaves = leavesForLeafSet
-          .map((leaf, jj) => {
-            const offsetKey = DraftOffsetKey.encode(blockKey, ii, jj);
-            const start = leaf.get('start');
-            const end = leaf.get('end');
-            return (
-              <DraftEditorLeaf
-                key={offsetKey}
-                offsetKey={offsetKey}
-                block={block}
-                start={start}
-                selection={hasSelection ? this.props.selection : null}
-                forceSelection={this.props.forceSelection}
-                text={text.slice(start, end)}
-                styleSet={block.getInlineStyleAt(start)}
-                customStyleMap={this.props.customStyleMap}
-                customStyleFn={this.props.customStyleFn}
-                isLast={ii === lastLeafSet && jj === lastLeaf}
-              />
-            );
-          })
-          .toArray();
-
-        const decoratorKey = leafSet.get('decoratorKey');
-        if (decoratorKey == null) {
-          return leaves;
-        }
-
-        if (!this.props.decorator) {
-          return leaves;
-        }
-
-        const decorator = nullthrows(this.props.decorator);
-
-        const DecoratorComponent = decorator.getComponentForKey(decoratorKey);
-        if (!DecoratorComponent) {
-          return leaves;
-        }
-
-        const decoratorProps = decorator.getPropsForKey(decoratorKey);
-        const decoratorOffsetKey = DraftOffsetKey.encode(blockKey, ii, 0);
-        const start = leavesForLeafSet.first().get('start');
-        const end = leavesForLeafSet.last().get('end');
-        const decoratedText = text.slice(start, end);
-        const entityKey = block.getEntityAt(leafSet.get('start'));
-
-        // Resetting dir to the same value on a child node makes Chrome/Firefox
-        // confused on cursor movement. See http://jsfiddle.net/d157kLck/3/
-        const dir = UnicodeBidiDirection.getHTMLDirIfDifferent(
-          UnicodeBidi.getDirection(decoratedText),
-          this.props.direction,
-        );
-
-        const commonProps: DraftDecoratorComponentProps = {
-          contentState: this.props.contentState,
-          decoratedText,
-          dir,
-          start,
-          end,
-          blockKey,
-          entityKey,
-          offsetKey: decoratorOffsetKey,
-        };
-
+    const leavesForLeafSet = this.props.tree.get(ii).get('leaves');
+    // T44088704
+    if (leavesForLeafSet.size === 0) {
+      return null;
+    }
+    const lastLeaf = leavesForLeafSet.size - 1;
+    return leavesForLeafSet
+      .map((leaf, jj) => {
+        const offsetKey = DraftOffsetKey.encode(blockKey, ii, jj);
+        const start = leaf.get('start');
+        const end = leaf.get('end');
         return (
-          <DecoratorComponent
-            {...decoratorProps}
-            {...commonProps}
-            key={decoratorOffsetKey}>
-            {leaves}
-          </DecoratorComponent>
+          <DraftEditorLeaf
+            key={offsetKey}
+            offsetKey={offsetKey}
+            block={block}
+            start={start}
+            selection={hasSelection ? this.props.selection : null}
+            forceSelection={this.props.forceSelection}
+            text={text.slice(start, end)}
+            styleSet={block.getInlineStyleAt(start)}
+            customStyleMap={this.props.customStyleMap}
+            customStyleFn={this.props.customStyleFn}
+            isLast={ii === lastLeafSet && jj === lastLeaf}
+          />
         );
       })
       .toArray();
   }
 
+  /**
+   * Render the component of a decoration around the decorations and leaves
+   * within it. The offset key of the decoration is the one of its first leaf,
+   * so that decorations stacked on the same characters share it.
+   */
+  _renderDecoration(
+    group: DraftDecoratedLeafSets,
+    decoratorKey: string,
+  ): React.Node {
+    const block = this.props.block;
+    const blockKey = block.getKey();
+    const text = block.getText();
+    const leaves = this._renderGroups(group.children);
+
+    const decorator = nullthrows(this.props.decorator);
+
+    const DecoratorComponent = decorator.getComponentForKey(decoratorKey);
+    if (!DecoratorComponent) {
+      return leaves;
+    }
+
+    const decoratorProps = decorator.getPropsForKey(decoratorKey);
+    const decoratorOffsetKey = DraftOffsetKey.encode(blockKey, group.start, 0);
+    const start = this.props.tree.get(group.start).get('start');
+    const end = this.props.tree.get(group.end - 1).get('end');
+    const decoratedText = text.slice(start, end);
+    const entityKey = block.getEntityAt(start);
+
+    // Resetting dir to the same value on a child node makes Chrome/Firefox
+    // confused on cursor movement. See http://jsfiddle.net/d157kLck/3/
+    const dir = UnicodeBidiDirection.getHTMLDirIfDifferent(
+      UnicodeBidi.getDirection(decoratedText),
+      this.props.direction,
+    );
+
+    const commonProps: DraftDecoratorComponentProps = {
+      contentState: this.props.contentState,
+      decoratedText,
+      dir,
+      start,
+      end,
+      blockKey,
+      entityKey,
+      offsetKey: decoratorOffsetKey,
+    };
+
+    return (
+      <DecoratorComponent
+        {...decoratorProps}
+        {...commonProps}
+        key={decoratorOffsetKey}>
+        {leaves}
+      </DecoratorComponent>
+    );
+  }
+
   render(): React.Node {
     const {direction, offsetKey} = this.props;
     const className = cx({
@@ -15,12 +15,21 @@ import type {BlockNodeRecord} from 'BlockNodeRecord';
 import type {DraftBlockRenderMap} from 'DraftBlockRenderMap';
 import type {DraftInlineStyle} from 'DraftInlineStyle';
 import type EditorState from 'EditorState';
+import type SelectionState from 'SelectionState';
 import type {BidiDirection} from 'UnicodeBidiDirection';
+import type {DraftBlockWindow} from 'getBlockWindow';
 
 const DraftEditorBlock = require('DraftEditorBlock.react');
 const DraftOffsetKey = require('DraftOffsetKey');
+const Scroll = require('Scroll');
+const Style = require('Style');
 
 const cx = require('cx');
+const getBlockWindow = require('getBlockWindow');
+const getScrollPosition = require('getScrollPosition');
+const getViewportDimensions = require('getViewportDimensions');
+const getWindowForNode = require('getWindowForNode');
+const isHTMLElement = require('isHTMLElement');
 const joinClasses: (
   className?: ?string,
   ...classes: Array<?string>
@@ -36,11 +45,72 @@ type Props = {
   customStyleMap?: Object,
   editorKey?: string,
   editorState: EditorState,
+  estimatedBlockHeight?: number,
   preventScroll?: boolean,
   textDirectionality?: BidiDirection,
+  virtualized?: boolean,
   ...
 };
 
+type State = {
+  // The area of the contents shown by their scroll parent, in pixels from the
+  // top of the contents. Only used when blocks are virtualized.
+  viewportTop: number,
+  viewportBottom: number,
+  ...
+};
+
+// Height of the blocks that haven't been measured yet, until some are
+const DEFAULT_BLOCK_HEIGHT = 24;
+
+// Height of the viewport until the contents are mounted
+const DEFAULT_VIEWPORT_HEIGHT = 1000;
+
+const SCROLL_BUFFER = 10;
+
+// Ordered list items are numbered with one counter by depth, up to depth 4
+const MAX_COUNTER_DEPTH = 4;
+
+/**
+ * Get the top and bottom of the area shown by a scroll parent, relative to
+ * the viewport.
+ */
+const getScrollParentBounds = (
+  scrollParent: any,
+): {top: number, bottom: number, ...} =>
+  isHTMLElement(scrollParent)
+    ? scrollParent.getBoundingClientRect()
+    : {top: 0, bottom: getViewportDimensions().height};
+
+/**
+ * Scroll the closest scroll parent of a node for the node to be shown, if it
+ * isn't already.
+ */
+const scrollIntoView = (node: HTMLElement): void => {
+  const scrollParent = Style.getScrollParent(node);
+  const bounds = getScrollParentBounds(scrollParent);
+  const rect = node.getBoundingClientRect();
+  let scrollDelta = 0;
+  if (rect.top < bounds.top) {
+    scrollDelta = rect.top - bounds.top - SCROLL_BUFFER;
+  } else if (rect.bottom > bounds.bottom) {
+    // Blocks taller than the scroll parent are aligned to its top
+    scrollDelta = Math.min(
+      rect.bottom - bounds.bottom + SCROLL_BUFFER,
+      rect.top - bounds.top - SCROLL_BUFFER,
+    );
+  }
+  if (scrollDelta === 0) {
+    return;
+  }
+  if (isHTMLElement(scrollParent)) {
+    Scroll.setTop(scrollParent, Scroll.getTop(scrollParent) + scrollDelta);
+  } else {
+    const scrollPosition = getScrollPosition(scrollParent);
+    scrollParent.scrollTo(scrollPosition.x, scrollPosition.y + scrollDelta);
+  }
+};
+
 /**
  * Provide default styling for list items. This way, lists will be styled with
  * proper counters and indentation even if the caller does not specify
@@ -76,12 +146,37 @@ const getListItemClasses = (
  * This component is separate from `DraftEditor` because certain props
  * (for instance, ARIA props) must be allowed to update without affecting
  * the contents of the editor.
+ *
+ * When `virtualized` is set, only the blocks near the area shown by the scroll
+ * parent of the contents are rendered, along with the first and last blocks
+ * and the blocks at the edges of the selection, so that native selection and
+ * caret movement keep working. Blocks that are not rendered are replaced by
+ * spacers as tall as the blocks, which are measured once rendered, or
+ * estimated with `estimatedBlockHeight`, or the average height of the blocks
+ * measured so far.
  */
-class DraftEditorContents extends React.Component<Props> {
-  shouldComponentUpdate(nextProps: Props): boolean {
+class DraftEditorContents extends React.Component<Props, State> {
+  state: State = {
+    viewportTop: 0,
+    viewportBottom: DEFAULT_VIEWPORT_HEIGHT,
+  };
+
+  _node: ?HTMLElement = null;
+  _removeViewportListeners: ?() => void = null;
+  // Measured heights of blocks, by key
+  _blockHeights: Map<string, number> = new Map();
+  // Indexes of the blocks rendered when virtualized, by key
+  _mountedIndexes: Map<string, number> = new Map();
+  _previousMountedIndexes: Map<string, number> = new Map();
+
+  shouldComponentUpdate(nextProps: Props, nextState: State): boolean {
     const prevEditorState = this.props.editorState;
     const nextEditorState = nextProps.editorState;
 
+    if (this.props.virtualized !== nextProps.virtualized) {
+      return true;
+    }
+
     const prevDirectionMap = prevEditorState.getDirectionMap();
     const nextDirectionMap = nextEditorState.getDirectionMap();
 
@@ -102,6 +197,12 @@ class DraftEditorContents extends React.Component<Props> {
     const wasComposing = prevEditorState.isInCompositionMode();
     const nowComposing = nextEditorState.isInCompositionMode();
 
+    // The blocks near the viewport have changed, which doesn't affect the
+    // blocks being rendered natively, if any.
+    if (nextState !== this.state && !nowComposing) {
+      return true;
+    }
+
     // If the state is unchanged or we're currently rendering a natively
     // rendered state, there's nothing new to be done.
     if (
@@ -121,10 +222,253 @@ class DraftEditorContents extends React.Component<Props> {
       wasComposing !== nowComposing ||
       prevContent !== nextContent ||
       prevDecorator !== nextDecorator ||
-      nextEditorState.mustForceSelection()
+      // Decorations are refreshed without changing the content
+      prevEditorState.getImmutable().get('treeMap') !==
+        nextEditorState.getImmutable().get('treeMap') ||
+      nextEditorState.mustForceSelection() ||
+      (!!nextProps.virtualized &&
+        !this._isSelectionMounted(nextEditorState.getSelection()))
     );
   }
 
+  componentDidMount(): void {
+    if (this.props.virtualized) {
+      this._attachViewportListeners();
+      this._measureBlocks();
+      this._updateViewport();
+    }
+  }
+
+  componentDidUpdate(prevProps: Props): void {
+    this._scrollForcedSelectionIntoView(prevProps);
+    if (!this.props.virtualized) {
+      this._detachViewportListeners();
+      return;
+    }
+    if (!prevProps.virtualized) {
+      this._attachViewportListeners();
+    }
+    this._measureBlocks();
+    this._scrollFocusIntoView();
+    this._updateViewport();
+  }
+
+  componentWillUnmount(): void {
+    this._detachViewportListeners();
+  }
+
+  _handleRef: (node: ?HTMLElement) => void = node => {
+    this._node = node;
+  };
+
+  _attachViewportListeners(): void {
+    const node = this._node;
+    if (!node || this._removeViewportListeners) {
+      return;
+    }
+    const scrollParent = Style.getScrollParent(node);
+    const win = getWindowForNode(node);
+    scrollParent.addEventListener('scroll', this._updateViewport);
+    win.addEventListener('resize', this._updateViewport);
+    this._removeViewportListeners = () => {
+      scrollParent.removeEventListener('scroll', this._updateViewport);
+      win.removeEventListener('resize', this._updateViewport);
+    };
+  }
+
+  _detachViewportListeners(): void {
+    if (this._removeViewportListeners) {
+      this._removeViewportListeners();
+      this._removeViewportListeners = null;
+    }
+  }
+
+  _isSelectionMounted(selection: SelectionState): boolean {
+    return (
+      this._mountedIndexes.has(selection.getAnchorKey()) &&
+      this._mountedIndexes.has(selection.getFocusKey())
+    );
+  }
+
+  _getEstimatedBlockHeight(): number {
+    if (this.props.estimatedBlockHeight != null) {
+      return this.props.estimatedBlockHeight;
+    }
+    if (this._blockHeights.size === 0) {
+      return DEFAULT_BLOCK_HEIGHT;
+    }
+    let totalHeight = 0;
+    this._blockHeights.forEach(height => {
+      totalHeight += height;
+    });
+    return totalHeight / this._blockHeights.size;
+  }
+
+  _getBlockWindow(
+    blocks: Array<BlockNodeRecord>,
+    selection: SelectionState,
+    viewport: State,
+  ): DraftBlockWindow {
+    const estimatedBlockHeight = this._getEstimatedBlockHeight();
+    // Blocks are rendered up to a viewport away from the viewport, so that
+    // they are ready to be shown when scrolling.
+    const overscan = viewport.viewportBottom - viewport.viewportTop;
+    const pinnedKeys = [selection.getAnchorKey(), selection.getFocusKey()];
+    if (blocks.length > 0) {
+      pinnedKeys.push(blocks[0].getKey(), blocks[blocks.length - 1].getKey());
+    }
+    return getBlockWindow(
+      blocks,
+      block => this._blockHeights.get(block.getKey()) ?? estimatedBlockHeight,
+      viewport.viewportTop - overscan,
+      viewport.viewportBottom + overscan,
+      pinnedKeys,
+    );
+  }
+
+  /**
+   * Measure the rendered blocks. Where a block is followed by the next block
+   * of the content, it is measured up to the top of that block, so that the
+   * margins of blocks and their wrappers are accounted for.
+   */
+  _measureBlocks(): void {
+    const node = this._node;
+    if (!node) {
+      return;
+    }
+    const measuredBlocks = [];
+    Array.from(node.querySelectorAll('[data-block="true"]')).forEach(
+      blockNode => {
+        const offsetKey = blockNode.getAttribute('data-offset-key');
+        const blockKey =
+          offsetKey != null ? DraftOffsetKey.decode(offsetKey).blockKey : null;
+        const index =
+          blockKey != null ? this._mountedIndexes.get(blockKey) : null;
+        if (blockKey == null || index == null) {
+          return;
+        }
+        const {top, height} = blockNode.getBoundingClientRect();
+        measuredBlocks.push({blockKey, index, top, height});
+      },
+    );
+    measuredBlocks.forEach((measuredBlock, ii) => {
+      const nextBlock = measuredBlocks[ii + 1];
+      const height =
+        nextBlock && nextBlock.index === measuredBlock.index + 1
+          ? nextBlock.top - measuredBlock.top
+          : measuredBlock.height;
+      // Blocks of hidden editors have no height
+      if (height > 0) {
+        this._blockHeights.set(measuredBlock.blockKey, height);
+      }
+    });
+  }
+
+  /**
+   * Scroll to the focus of a selection forced onto the contents, such as a
+   * search match selected from outside of the editor, since setting the
+   * selection programmatically doesn't scroll to it natively.
+   */
+  _scrollForcedSelectionIntoView(prevProps: Props): void {
+    const {editorState} = this.props;
+    const selection = editorState.getSelection();
+    const node = this._node;
+    if (
+      !node ||
+      this.props.preventScroll ||
+      !editorState.mustForceSelection() ||
+      selection === prevProps.editorState.getSelection()
+    ) {
+      return;
+    }
+    const focusKey = selection.getFocusKey();
+    const focusOffset = selection.getFocusOffset();
+    const tree = editorState.getBlockTree(focusKey);
+    if (!tree) {
+      return;
+    }
+    // The leaf ending at the focus, or the first one if the focus is at the
+    // start of the block
+    let offsetKey = DraftOffsetKey.encode(focusKey, 0, 0);
+    tree.forEach((leafSet, ii) =>
+      leafSet.get('leaves').forEach((leaf, jj) => {
+        if (leaf.get('start') < focusOffset && focusOffset <= leaf.get('end')) {
+          offsetKey = DraftOffsetKey.encode(focusKey, ii, jj);
+        }
+      }),
+    );
+    const textNode = node.querySelector(
+      `[data-offset-key="${offsetKey}"] [data-text="true"]`,
+    );
+    if (isHTMLElement(textNode)) {
+      scrollIntoView((textNode: any));
+    }
+  }
+
+  /**
+   * Scroll to the block of the caret when the caret is moved to a block that
+   * wasn't rendered, since it couldn't be shown natively.
+   */
+  _scrollFocusIntoView(): void {
+    const selection = this.props.editorState.getSelection();
+    const focusKey = selection.getFocusKey();
+    const node = this._node;
+    if (
+      !node ||
+      this.props.preventScroll ||
+      !selection.getHasFocus() ||
+      this._previousMountedIndexes.has(focusKey)
+    ) {
+      return;
+    }
+    const blockNode = node.querySelector(
+      `[data-block="true"][data-offset-key="${DraftOffsetKey.encode(
+        focusKey,
+        0,
+        0,
+      )}"]`,
+    );
+    if (isHTMLElement(blockNode)) {
+      scrollIntoView((blockNode: any));
+    }
+  }
+
+  /**
+   * Read the area of the contents shown by their scroll parent, and render
+   * the blocks again if it has changed which blocks should be rendered.
+   */
+  _updateViewport: () => void = () => {
+    const node = this._node;
+    if (!node || !this.props.virtualized) {
+      return;
+    }
+    const bounds = getScrollParentBounds(Style.getScrollParent(node));
+    const contentsTop = node.getBoundingClientRect().top;
+    const viewport = {
+      viewportTop: bounds.top - contentsTop,
+      viewportBottom: bounds.bottom - contentsTop,
+    };
+
+    const editorState = this.props.editorState;
+    const blocks = editorState.getCurrentContent().getBlocksAsArray();
+    const {mounted} = this._getBlockWindow(
+      blocks,
+      editorState.getSelection(),
+      viewport,
+    );
+    let mountedCount = 0;
+    const isWindowChanged = blocks.some((block, ii) => {
+      if (!mounted[ii]) {
+        return false;
+      }
+      mountedCount++;
+      return this._mountedIndexes.get(block.getKey()) !== ii;
+    });
+    if (isWindowChanged || mountedCount !== this._mountedIndexes.size) {
+      this.setState(viewport);
+    }
+  };
+
   render(): React.Node {
     const {
       blockRenderMap,
@@ -136,6 +480,7 @@ class DraftEditorContents extends React.Component<Props> {
       editorKey,
       preventScroll,
       textDirectionality,
+      virtualized,
     } = this.props;
 
     const content = editorState.getCurrentContent();
@@ -150,11 +495,83 @@ class DraftEditorContents extends React.Component<Props> {
     let currentDepth = null;
     let lastWrapperTemplate = null;
 
+    const blockWindow = virtualized
+      ? this._getBlockWindow(blocksAsArray, selection, this.state)
+      : null;
+    const mountedIndexes = new Map<string, number>();
+    // Values of the counters of ordered list items, by depth, to carry the
+    // numbering of lists over the blocks that are not rendered
+    const listCounters = [];
+    let isAfterSpacer = false;
+
     for (let ii = 0; ii < blocksAsArray.length; ii++) {
       const block = blocksAsArray[ii];
       const key = block.getKey();
       const blockType = block.getType();
 
+      const configForType =
+        blockRenderMap.get(blockType) || blockRenderMap.get('unstyled');
+      const wrapperTemplate = configForType.wrapper;
+
+      const Element =
+        configForType.element || blockRenderMap.get('unstyled').element;
+
+      const depth = block.getDepth();
+      const counterDepth = Math.min(depth, MAX_COUNTER_DEPTH);
+
+      // List items are special snowflakes, since we handle nesting and
+      // counters manually.
+      const shouldResetCount =
+        Element === 'li' &&
+        (lastWrapperTemplate !== wrapperTemplate ||
+          currentDepth === null ||
+          depth > currentDepth ||
+          (depth < currentDepth && !alreadyEncounteredDepth.has(depth)));
+      const counterValues = listCounters.slice(0, counterDepth + 1);
+      if (Element === 'li') {
+        if (shouldResetCount) {
+          listCounters[counterDepth] = 0;
+        }
+        if (blockType === 'ordered-list-item') {
+          listCounters[counterDepth] = (listCounters[counterDepth] || 0) + 1;
+        }
+      }
+
+      alreadyEncounteredDepth.add(depth);
+      currentDepth = wrapperTemplate ? depth : null;
+      lastWrapperTemplate = wrapperTemplate;
+
+      if (blockWindow && !blockWindow.mounted[ii]) {
+        if (!isAfterSpacer) {
+          let nextMountedIndex = ii + 1;
+          while (
+            nextMountedIndex < blocksAsArray.length &&
+            !blockWindow.mounted[nextMountedIndex]
+          ) {
+            nextMountedIndex++;
+          }
+          const {offsets} = blockWindow;
+          processedBlocks.push({
+            block: (
+              <div
+                contentEditable={false}
+                data-spacer="true"
+                key={key + '-spacer'}
+                style={{height: offsets[nextMountedIndex] - offsets[ii]}}
+              />
+            ),
+            wrapperTemplate: null,
+            key,
+            offsetKey: null,
+          });
+          isAfterSpacer = true;
+        }
+        continue;
+      }
+      if (blockWindow) {
+        mountedIndexes.set(key, ii);
+      }
+
       const customRenderer = blockRendererFn(block);
       let CustomComponent, customProps, customEditable;
       if (customRenderer) {
@@ -183,35 +600,18 @@ class DraftEditorContents extends React.Component<Props> {
         tree: editorState.getBlockTree(key),
       };
 
-      const configForType =
-        blockRenderMap.get(blockType) || blockRenderMap.get('unstyled');
-      const wrapperTemplate = configForType.wrapper;
-
-      const Element =
-        configForType.element || blockRenderMap.get('unstyled').element;
-
-      const depth = block.getDepth();
       let className = '';
       if (blockStyleFn) {
         className = blockStyleFn(block);
       }
 
-      // List items are special snowflakes, since we handle nesting and
-      // counters manually.
       if (Element === 'li') {
-        const shouldResetCount =
-          lastWrapperTemplate !== wrapperTemplate ||
-          currentDepth === null ||
-          depth > currentDepth ||
-          (depth < currentDepth && !alreadyEncounteredDepth.has(depth));
         className = joinClasses(
           className,
           getListItemClasses(blockType, depth, shouldResetCount, direction),
         );
       }
 
-      alreadyEncounteredDepth.add(depth);
-
       const Component = CustomComponent || DraftEditorBlock;
       let childProps = {
         className,
@@ -227,6 +627,20 @@ class DraftEditorContents extends React.Component<Props> {
           suppressContentEditableWarning: true,
         };
       }
+      // The first list item after a spacer starts a new wrapper, in which the
+      // counters of the items before the spacer are set again.
+      if (Element === 'li' && isAfterSpacer && !shouldResetCount) {
+        const counterReset = counterValues
+          .map((value, counterIndex) =>
+            value != null ? `ol${counterIndex} ${value}` : null,
+          )
+          .filter(Boolean)
+          .join(' ');
+        if (counterReset) {
+          childProps = {...childProps, style: {counterReset}};
+        }
+      }
+      isAfterSpacer = false;
 
       const child = React.createElement(
         Element,
@@ -240,15 +654,11 @@ class DraftEditorContents extends React.Component<Props> {
         key,
         offsetKey,
       });
-
-      if (wrapperTemplate) {
-        currentDepth = block.getDepth();
-      } else {
-        currentDepth = null;
-      }
-      lastWrapperTemplate = wrapperTemplate;
     }
 
+    this._previousMountedIndexes = this._mountedIndexes;
+    this._mountedIndexes = mountedIndexes;
+
     // Group contiguous runs of blocks that have the same wrapperTemplate
     const outputBlocks = [];
     for (let ii = 0; ii < processedBlocks.length; ) {
@@ -277,7 +687,11 @@ class DraftEditorContents extends React.Component<Props> {
       }
     }
 
-    return <div data-contents="true">{outputBlocks}</div>;
+    return (
+      <div data-contents="true" ref={this._handleRef}>
+        {outputBlocks}
+      </div>
+    );
   }
 }
 
@@ -0,0 +1,66 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type {DraftDiagnostic} from 'DraftDiagnostic';
+
+const cx = require('cx');
+const React = require('react');
+
+type Props = {
+  blockKey: string,
+  children?: React.Node,
+  contentState: ContentState,
+  end: number,
+  getDiagnostic: (
+    block: BlockNodeRecord,
+    start: number,
+    end: number,
+  ) => ?DraftDiagnostic,
+  start: number,
+  ...
+};
+
+/**
+ * The default component of the decorators of `DraftDiagnostics`, underlining
+ * the text of a diagnostic depending on its severity, with its message as a
+ * tooltip.
+ */
+class DraftEditorDiagnostic extends React.Component<Props> {
+  render(): React.Node {
+    const {blockKey, children, contentState, end, start} = this.props;
+    const block = contentState.getBlockForKey(blockKey);
+    const diagnostic = block && this.props.getDiagnostic(block, start, end);
+    if (!diagnostic) {
+      return children ?? null;
+    }
+    return (
+      <span
+        className={cx({
+          'public/DraftStyleDefault/diagnostic': true,
+          'public/DraftStyleDefault/diagnosticError':
+            diagnostic.severity === 'error',
+          'public/DraftStyleDefault/diagnosticWarning':
+            diagnostic.severity === 'warning',
+          'public/DraftStyleDefault/diagnosticInfo':
+            diagnostic.severity === 'info',
+        })}
+        title={diagnostic.message}>
+        {children}
+      </span>
+    );
+  }
+}
+
+module.exports = DraftEditorDiagnostic;
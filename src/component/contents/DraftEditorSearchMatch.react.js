@@ -0,0 +1,52 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {DraftSearchMatch} from 'DraftSearchMatch';
+
+const cx = require('cx');
+const React = require('react');
+
+type Props = {
+  activeMatch: ?DraftSearchMatch,
+  blockKey: string,
+  children?: React.Node,
+  end: number,
+  start: number,
+  ...
+};
+
+/**
+ * The default component of the decorator of `DraftFindReplace`, highlighting
+ * a match of a search, or the part of it rendered within another decoration.
+ */
+class DraftEditorSearchMatch extends React.Component<Props> {
+  render(): React.Node {
+    const {activeMatch, blockKey, children, end, start} = this.props;
+    const isActive =
+      activeMatch != null &&
+      activeMatch.blockKey === blockKey &&
+      activeMatch.start <= start &&
+      end <= activeMatch.end;
+    return (
+      <span
+        className={cx({
+          'public/DraftStyleDefault/searchMatch': true,
+          'public/DraftStyleDefault/searchMatchActive': isActive,
+        })}>
+        {children}
+      </span>
+    );
+  }
+}
+
+module.exports = DraftEditorSearchMatch;
@@ -474,3 +474,41 @@ test('must not scroll the window if unnecessary', () => {
   const scrollCalls = window.scrollTo.mock.calls;
   expect(scrollCalls).toMatchSnapshot();
 });
+
+test('must nest stacked decorations and keep the offset keys of leaves', () => {
+  class StackedDecorator extends Decorator {
+    getKeysForKey(key) {
+      return key.split(',');
+    }
+  }
+  mockGetDecorations.mockReturnValue(
+    Immutable.List.of('x', 'x,y', 'x,y', 'y', null),
+  );
+  const props = getProps(getHelloBlock(), new StackedDecorator());
+
+  const blockInstance = ReactTestRenderer.create(
+    <DraftEditorBlock {...props} />,
+  ).root;
+
+  const getLeafOffsetKeys = instance =>
+    instance.findAllByType(DraftEditorLeaf).map(leaf => leaf.props.offsetKey);
+
+  expect(getLeafOffsetKeys(blockInstance)).toEqual([
+    'a-0-0',
+    'a-1-0',
+    'a-2-0',
+    'a-3-0',
+  ]);
+  expect(
+    blockInstance
+      .findAllByType(DecoratorSpan)
+      .map(({props}) => [props.offsetKey, props.decoratedText]),
+  ).toEqual([
+    ['a-0-0', 'hel'],
+    ['a-1-0', 'el'],
+    ['a-2-0', 'l'],
+  ]);
+  expect(
+    blockInstance.findAllByType(DecoratorSpan).map(getLeafOffsetKeys),
+  ).toEqual([['a-0-0', 'a-1-0'], ['a-1-0'], ['a-2-0']]);
+});
@@ -12,9 +12,12 @@
 
 jest.mock('generateRandomKey');
 
+const ContentBlock = require('ContentBlock');
+const ContentState = require('ContentState');
 const Editor = require('DraftEditor.react');
 const EditorState = require('EditorState');
 const RichUtils = require('RichTextEditorUtil');
+const SelectionState = require('SelectionState');
 
 const React = require('react');
 const ReactTestRenderer = require('react-test-renderer');
@@ -90,3 +93,105 @@ test('defaults to "unstyled" block type for unknown block types', () => {
     );
   }).not.toThrow();
 });
+
+const renderVirtualized = (blockType, focusIndex) => {
+  const contentState = ContentState.createFromBlockArray(
+    Array.from(
+      {length: 200},
+      (_, ii) =>
+        new ContentBlock({
+          key: 'block' + ii,
+          type: blockType,
+          text: 'Block ' + ii,
+        }),
+    ),
+  );
+  const editorState = EditorState.acceptSelection(
+    EditorState.createWithContent(contentState),
+    SelectionState.createEmpty('block' + focusIndex),
+  );
+  const root = ReactTestRenderer.create(
+    <Editor
+      editorState={editorState}
+      estimatedBlockHeight={20}
+      onChange={() => {}}
+      virtualized={true}
+    />,
+  ).root;
+  return {
+    blocks: root.findAll(
+      node => typeof node.type === 'string' && node.props['data-block'],
+    ),
+    spacers: root.findAll(
+      node => typeof node.type === 'string' && node.props['data-spacer'],
+    ),
+  };
+};
+
+test('renders the blocks near the viewport and the selection when virtualized', () => {
+  const {blocks, spacers} = renderVirtualized('unstyled', 150);
+  const renderedKeys = blocks.map(
+    node => node.props['data-offset-key'].split('-')[0],
+  );
+  // Blocks are rendered up to a viewport of 1000 pixels below the viewport
+  expect(renderedKeys).toEqual([
+    ...Array.from({length: 101}, (_, ii) => 'block' + ii),
+    'block150',
+    'block199',
+  ]);
+  expect(spacers.map(node => node.props.style.height)).toEqual([
+    49 * 20,
+    48 * 20,
+  ]);
+});
+
+test('carries list numbering over the blocks that are not rendered', () => {
+  const {blocks} = renderVirtualized('ordered-list-item', 150);
+  expect(blocks[0].props.style).toBe(undefined);
+  expect(blocks[101].props.style).toEqual({counterReset: 'ol0 150'});
+  expect(blocks[102].props.style).toEqual({counterReset: 'ol0 199'});
+});
+
+test('scrolls to the focus of a forced selection if it is not shown', () => {
+  const ReactDOM = require('ReactDOM');
+  const editorState = EditorState.createWithContent(
+    ContentState.createFromText('First\nSecond'),
+  );
+  const [firstKey, secondKey] = editorState
+    .getCurrentContent()
+    .getBlockMap()
+    .keySeq()
+    .toArray();
+  const container = document.createElement('div');
+  const renderWithSelection = (key, offset) =>
+    ReactDOM.render(
+      <Editor
+        editorState={EditorState.forceSelection(
+          editorState,
+          SelectionState.createEmpty(key).merge({focusOffset: offset}),
+        )}
+        onChange={() => {}}
+      />,
+      container,
+    );
+  ReactDOM.render(
+    <Editor editorState={editorState} onChange={() => {}} />,
+    container,
+  );
+
+  const scrollTo = jest.spyOn(window, 'scrollTo').mockImplementation(() => {});
+  const getBoundingClientRect = jest
+    .spyOn(HTMLElement.prototype, 'getBoundingClientRect')
+    .mockImplementation(function() {
+      const top = this.textContent === 'Second' ? 2000 : 0;
+      return {top, bottom: top + 20};
+    });
+  renderWithSelection(firstKey, 3);
+  expect(scrollTo).not.toHaveBeenCalled();
+  renderWithSelection(secondKey, 3);
+  expect(scrollTo).toHaveBeenCalledTimes(1);
+
+  getBoundingClientRect.mockRestore();
+  scrollTo.mockRestore();
+  ReactDOM.unmountComponentAtNode(container);
+});
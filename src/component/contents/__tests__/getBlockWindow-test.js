@@ -0,0 +1,57 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow strict-local
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+const ContentBlock = require('ContentBlock');
+
+const getBlockWindow = require('getBlockWindow');
+
+const blocks = Array.from(
+  {length: 10},
+  (_, ii) => new ContentBlock({key: 'b' + ii, text: 'x'.repeat(ii)}),
+);
+
+// Blocks are as tall as the length of their text, plus ten pixels
+const getBlockHeight = block => block.getLength() + 10;
+
+test('must mount the blocks overlapping the window', () => {
+  const {mounted, offsets} = getBlockWindow(blocks, getBlockHeight, 30, 60, []);
+  expect(offsets).toEqual([0, 10, 21, 33, 46, 60, 75, 91, 108, 126, 145]);
+  expect(mounted).toEqual([
+    false,
+    false,
+    true,
+    true,
+    true,
+    true,
+    false,
+    false,
+    false,
+    false,
+  ]);
+});
+
+test('must mount pinned blocks outside of the window', () => {
+  const {mounted} = getBlockWindow(blocks, getBlockHeight, 0, 15, ['b5', 'b9']);
+  expect(mounted).toEqual([
+    true,
+    true,
+    false,
+    false,
+    false,
+    true,
+    false,
+    false,
+    false,
+    true,
+  ]);
+});
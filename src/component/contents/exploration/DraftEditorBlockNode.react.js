@@ -349,6 +349,10 @@ class DraftEditorBlockNode extends React.Component<Props> {
 
     const customConfig = getCustomRenderConfig(block, blockRendererFn);
     const Component = customConfig.CustomComponent;
+    // rows and cells can't be wrapped in anything but their table and row
+    const isTableContainer =
+      children != null &&
+      (block.getType() === 'table' || block.getType() === 'table-row');
     const blockNode =
       Component != null ? (
         <Component
@@ -358,6 +362,8 @@ class DraftEditorBlockNode extends React.Component<Props> {
           offsetKey={offsetKey}
           block={block}
         />
+      ) : isTableContainer ? (
+        children
       ) : (
         <DraftEditorNode
           block={block}
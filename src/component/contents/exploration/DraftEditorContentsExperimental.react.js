@@ -93,6 +93,9 @@ class DraftEditorContentsExperimental extends React.Component<Props> {
       wasComposing !== nowComposing ||
       prevContent !== nextContent ||
       prevDecorator !== nextDecorator ||
+      // Decorations are refreshed without changing the content
+      prevEditorState.getImmutable().get('treeMap') !==
+        nextEditorState.getImmutable().get('treeMap') ||
       nextEditorState.mustForceSelection()
     );
   }
@@ -18,9 +18,8 @@ import type {BlockNodeRecord} from 'BlockNodeRecord';
 import type ContentState from 'ContentState';
 import type {DraftDecoratorType} from 'DraftDecoratorType';
 import type {BidiDirection} from 'UnicodeBidiDirection';
-import type {Set} from 'immutable';
+import type {List} from 'immutable';
 
-const DraftOffsetKey = require('DraftOffsetKey');
 const UnicodeBidi = require('UnicodeBidi');
 const UnicodeBidiDirection = require('UnicodeBidiDirection');
 
@@ -33,8 +32,10 @@ type Props = {
   decorator: DraftDecoratorType,
   decoratorKey: string,
   direction: BidiDirection,
+  // The leaf sets within the decoration
+  leafSets: List<any>,
+  offsetKey: string,
   text: string,
-  leafSet: Set<any>,
   ...
 };
 
@@ -47,24 +48,16 @@ class DraftEditorDecoratedLeaves extends React.Component<Props> {
       decorator,
       decoratorKey,
       direction,
-      leafSet,
+      leafSets,
+      offsetKey,
       text,
     } = this.props;
 
-    const blockKey = block.getKey();
-    const leavesForLeafSet = leafSet.get('leaves');
     const DecoratorComponent = decorator.getComponentForKey(decoratorKey);
     const decoratorProps = decorator.getPropsForKey(decoratorKey);
-    const decoratorOffsetKey = DraftOffsetKey.encode(
-      blockKey,
-      parseInt(decoratorKey, 10),
-      0,
-    );
+    const start = leafSets.first().get('start');
 
-    const decoratedText = text.slice(
-      leavesForLeafSet.first().get('start'),
-      leavesForLeafSet.last().get('end'),
-    );
+    const decoratedText = text.slice(start, leafSets.last().get('end'));
 
     // Resetting dir to the same value on a child node makes Chrome/Firefox
     // confused on cursor movement. See http://jsfiddle.net/d157kLck/3/
@@ -79,9 +72,9 @@ class DraftEditorDecoratedLeaves extends React.Component<Props> {
         contentState={contentState}
         decoratedText={decoratedText}
         dir={dir}
-        key={decoratorOffsetKey}
-        entityKey={block.getEntityAt(leafSet.get('start'))}
-        offsetKey={decoratorOffsetKey}>
+        key={offsetKey}
+        entityKey={block.getEntityAt(start)}
+        offsetKey={offsetKey}>
         {children}
       </DecoratorComponent>
     );
@@ -19,12 +19,14 @@ import type ContentState from 'ContentState';
 import type {DraftDecoratorType} from 'DraftDecoratorType';
 import type SelectionState from 'SelectionState';
 import type {BidiDirection} from 'UnicodeBidiDirection';
+import type {DraftDecoratedLeafSets} from 'groupDecoratedLeafSets';
 
 const DraftEditorDecoratedLeaves = require('DraftEditorDecoratedLeaves.react');
 const DraftEditorLeaf = require('DraftEditorLeaf.react');
 const DraftOffsetKey = require('DraftOffsetKey');
 
 const cx = require('cx');
+const groupDecoratedLeafSets = require('groupDecoratedLeafSets');
 const Immutable = require('immutable');
 const React = require('react');
 
@@ -64,55 +66,60 @@ class DraftEditorNode extends React.Component<Props> {
     const text = block.getText();
     const lastLeafSet = tree.size - 1;
 
-    const children =
-      this.props.children ||
-      tree
-        .map((leafSet, ii) => {
-          const decoratorKey = leafSet.get('decoratorKey');
-          const leavesForLeafSet = leafSet.get('leaves');
-          const lastLeaf = leavesForLeafSet.size - 1;
-          const Leaves = leavesForLeafSet
-            .map((leaf, jj) => {
-              const offsetKey = DraftOffsetKey.encode(blockKey, ii, jj);
-              const start = leaf.get('start');
-              const end = leaf.get('end');
-              return (
-                <DraftEditorLeaf
-                  key={offsetKey}
-                  offsetKey={offsetKey}
-                  block={block}
-                  start={start}
-                  selection={hasSelection ? selection : null}
-                  forceSelection={forceSelection}
-                  text={text.slice(start, end)}
-                  styleSet={block.getInlineStyleAt(start)}
-                  customStyleMap={customStyleMap}
-                  customStyleFn={customStyleFn}
-                  isLast={decoratorKey === lastLeafSet && jj === lastLeaf}
-                />
-              );
-            })
-            .toArray();
-
-          if (!decoratorKey || !decorator) {
-            return Leaves;
-          }
-
+    const renderLeaves = (ii: number) => {
+      const leavesForLeafSet = tree.get(ii).get('leaves');
+      const lastLeaf = leavesForLeafSet.size - 1;
+      return leavesForLeafSet
+        .map((leaf, jj) => {
+          const offsetKey = DraftOffsetKey.encode(blockKey, ii, jj);
+          const start = leaf.get('start');
+          const end = leaf.get('end');
           return (
-            <DraftEditorDecoratedLeaves
+            <DraftEditorLeaf
+              key={offsetKey}
+              offsetKey={offsetKey}
               block={block}
-              children={Leaves}
-              contentState={contentState}
-              decorator={decorator}
-              decoratorKey={decoratorKey}
-              direction={direction}
-              leafSet={leafSet}
-              text={text}
-              key={ii}
+              start={start}
+              selection={hasSelection ? selection : null}
+              forceSelection={forceSelection}
+              text={text.slice(start, end)}
+              styleSet={block.getInlineStyleAt(start)}
+              customStyleMap={customStyleMap}
+              customStyleFn={customStyleFn}
+              isLast={ii === lastLeafSet && jj === lastLeaf}
             />
           );
         })
         .toArray();
+    };
+
+    // Decorations stacked on the same characters are rendered nested
+    const renderGroups = (groups: Array<DraftDecoratedLeafSets>) =>
+      groups.map(group => {
+        const decoratorKey = group.decoratorKey;
+        if (decoratorKey == null || !decorator) {
+          return renderLeaves(group.start);
+        }
+
+        return (
+          <DraftEditorDecoratedLeaves
+            block={block}
+            children={renderGroups(group.children)}
+            contentState={contentState}
+            decorator={decorator}
+            decoratorKey={decoratorKey}
+            direction={direction}
+            leafSets={tree.slice(group.start, group.end)}
+            offsetKey={DraftOffsetKey.encode(blockKey, group.start, 0)}
+            text={text}
+            key={group.start}
+          />
+        );
+      });
+
+    const children =
+      this.props.children ||
+      renderGroups(groupDecoratedLeafSets(tree, decorator));
 
     return (
       <div
@@ -129,3 +129,40 @@ test('renders ContentBlockNodes with root blocks that have wrapperTemplate', ()
     contentState,
   });
 });
+
+test('renders tables with their rows and cells', () => {
+  const contentState = ContentState.createFromBlockArray([
+    new ContentBlockNode({
+      key: 'A',
+      text: '',
+      type: 'table',
+      children: List(['B']),
+    }),
+    new ContentBlockNode({
+      parent: 'A',
+      key: 'B',
+      text: '',
+      type: 'table-row',
+      children: List(['C', 'D']),
+    }),
+    new ContentBlockNode({
+      parent: 'B',
+      key: 'C',
+      text: 'first cell',
+      type: 'table-cell',
+      nextSibling: 'D',
+    }),
+    new ContentBlockNode({
+      parent: 'B',
+      key: 'D',
+      text: 'second cell',
+      type: 'table-cell',
+      prevSibling: 'C',
+    }),
+  ]);
+
+  assertDraftEditorContentsRendering({
+    ...PROPS,
+    contentState,
+  });
+});
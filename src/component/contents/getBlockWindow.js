@@ -0,0 +1,51 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow strict-local
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+
+export type DraftBlockWindow = {
+  // Whether each block is rendered, by index
+  mounted: Array<boolean>,
+  // The offset of the top of each block from the top of the contents, by
+  // index, followed by the height of the contents
+  offsets: Array<number>,
+  ...
+};
+
+/**
+ * Find the blocks to render for the contents to show the area between `top`
+ * and `bottom`, in pixels from the top of the contents. The blocks whose keys
+ * are in `pinnedKeys` are rendered wherever they are.
+ */
+function getBlockWindow(
+  blocks: Array<BlockNodeRecord>,
+  getBlockHeight: (block: BlockNodeRecord) => number,
+  top: number,
+  bottom: number,
+  pinnedKeys: Array<string>,
+): DraftBlockWindow {
+  const mounted = [];
+  const offsets = [0];
+  for (let ii = 0; ii < blocks.length; ii++) {
+    const blockTop = offsets[ii];
+    const blockBottom = blockTop + getBlockHeight(blocks[ii]);
+    offsets.push(blockBottom);
+    mounted.push(
+      (blockBottom >= top && blockTop <= bottom) ||
+        pinnedKeys.indexOf(blocks[ii].getKey()) !== -1,
+    );
+  }
+  return {mounted, offsets};
+}
+
+module.exports = getBlockWindow;
@@ -0,0 +1,91 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {DraftDecoratorType} from 'DraftDecoratorType';
+import type {List} from 'immutable';
+
+export type DraftDecoratedLeafSets = {
+  // The key of the decoration rendered around the leaf sets, if any
+  decoratorKey: ?string,
+  // The indexes of the first leaf set and of the one after the last one in
+  // the tree of the block
+  start: number,
+  end: number,
+  // The decorations within this one, or the leaf sets themselves
+  children: Array<DraftDecoratedLeafSets>,
+  ...
+};
+
+const getStackedKeys = (
+  decorator: ?DraftDecoratorType,
+  decoratorKey: ?string,
+): Array<string> => {
+  if (decoratorKey == null || !decorator) {
+    return [];
+  }
+  return decorator.getKeysForKey
+    ? decorator.getKeysForKey(decoratorKey)
+    : [decoratorKey];
+};
+
+function groupByDepth(
+  stacks: Array<Array<string>>,
+  start: number,
+  end: number,
+  depth: number,
+): Array<DraftDecoratedLeafSets> {
+  const groups = [];
+  let ii = start;
+  while (ii < end) {
+    const decoratorKey = stacks[ii][depth];
+    if (decoratorKey == null) {
+      groups.push({decoratorKey: null, start: ii, end: ii + 1, children: []});
+      ii++;
+      continue;
+    }
+    let jj = ii + 1;
+    while (jj < end && stacks[jj][depth] === decoratorKey) {
+      jj++;
+    }
+    groups.push({
+      decoratorKey,
+      start: ii,
+      end: jj,
+      children: groupByDepth(stacks, ii, jj, depth + 1),
+    });
+    ii = jj;
+  }
+  return groups;
+}
+
+/**
+ * Group the leaf sets of the tree of a block by the decorations stacked on
+ * them, for the decorations to be rendered as nested components.
+ *
+ * The consecutive leaf sets sharing their outermost decoration are grouped
+ * within it, and so on for the decorations within. A decoration that is only
+ * partly within another one is split at the edges of the other one. Leaf
+ * sets without decorations are left as groups of their own, without a
+ * `decoratorKey`.
+ */
+function groupDecoratedLeafSets(
+  tree: List<any>,
+  decorator: ?DraftDecoratorType,
+): Array<DraftDecoratedLeafSets> {
+  const stacks = tree
+    .map(leafSet => getStackedKeys(decorator, leafSet.get('decoratorKey')))
+    .toArray();
+  return groupByDepth(stacks, 0, stacks.length, 0);
+}
+
+module.exports = groupDecoratedLeafSets;
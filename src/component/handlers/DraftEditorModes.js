@@ -18,6 +18,12 @@ export type DraftEditorModes =
    */
   | 'edit'
 
+  /**
+   * `suggest` mode replaces `edit` mode while the editor tracks changes as
+   * suggestions, i.e. while it has a `suggestionAuthor`.
+   */
+  | 'suggest'
+
   /**
    * `composite` mode handles IME text entry.
    */
@@ -24,6 +24,7 @@ const editOnSelect = require('editOnSelect');
 const getContentEditableContainer = require('getContentEditableContainer');
 const getDraftEditorSelection = require('getDraftEditorSelection');
 const getEntityKeyForSelection = require('getEntityKeyForSelection');
+const getSuggestionModifiers = require('getSuggestionModifiers');
 const nullthrows = require('nullthrows');
 
 const isIE = UserAgent.isBrowser('IE');
@@ -146,6 +147,9 @@ const DraftEditorCompositionHandler = {
    *
    * Resetting innerHTML will move focus to the beginning of the editor,
    * so we update to force it back to the correct place.
+   *
+   * While the editor tracks changes, the composed characters are inserted as
+   * a suggestion of its `suggestionAuthor`.
    */
   resolveComposition(editor: DraftEditor): void {
     if (stillComposing) {
@@ -185,6 +189,10 @@ const DraftEditorCompositionHandler = {
     //   return;
     // }
 
+    const replaceText =
+      editor.props.suggestionAuthor != null
+        ? getSuggestionModifiers(editor).replaceChangedText
+        : DraftModifier.replaceText;
     let contentState = editorState.getCurrentContent();
     mutations.forEach((composedChars, offsetKey) => {
       const {blockKey, decoratorKey, leafKey} =
@@ -210,7 +218,7 @@ const DraftEditorCompositionHandler = {
         .getBlockForKey(blockKey)
         .getInlineStyleAt(start);
 
-      contentState = DraftModifier.replaceText(
+      contentState = replaceText(
         contentState,
         replacementRange,
         composedChars,
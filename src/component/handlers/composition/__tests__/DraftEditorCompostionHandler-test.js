@@ -55,6 +55,7 @@ let editor: {
   _onCompositionStart: (editor: DraftEditor) => void,
   _onKeyDown: JestMockFn<$FlowFixMe, $FlowFixMe>,
   exitCurrentMode: JestMockFn<$FlowFixMe, $FlowFixMe>,
+  props: {suggestionAuthor?: string},
   restoreEditorDOM: JestMockFn<$FlowFixMe, $FlowFixMe>,
   setMode: JestMockFn<$FlowFixMe, $FlowFixMe>,
   update: JestMockFn<$FlowFixMe, $FlowFixMe>,
@@ -115,6 +116,7 @@ beforeEach(() => {
     _latestEditorState: EditorState.createEmpty(),
     _onCompositionStart: compositionHandler.onCompositionStart,
     _onKeyDown: jest.fn(),
+    props: {},
     setMode: jest.fn(),
     restoreEditorDOM: jest.fn(),
     exitCurrentMode: jest.fn(),
@@ -213,3 +215,35 @@ test('Can handle mutations in the same block in multiple leaf nodes', () => {
     expect(editorTextContent()).toBe('reacta draftbb graphqlccc');
   });
 });
+
+test('Can track mutations as suggestions', () => {
+  withGlobalGetSelectionAs({}, () => {
+    editor._latestEditorState = getEditorState({blockkey0: 'react'});
+    editor.props = {suggestionAuthor: 'alice'};
+    const mutations = Map({'blockkey0-0-0': 'reactjs'});
+    // $FlowFixMe[method-unbinding] added when improving typing for this parameters
+    require('DOMObserver').prototype.stopAndFlushMutations.mockReturnValue(
+      mutations,
+    );
+    // $FlowExpectedError[incompatible-use]
+    // $FlowExpectedError[incompatible-call]
+    compositionHandler.onCompositionStart(editor);
+    // $FlowExpectedError[incompatible-use]
+    // $FlowExpectedError[incompatible-call]
+    compositionHandler.onCompositionEnd(editor);
+    jest.runAllTimers();
+
+    expect(editorTextContent()).toBe('reactjs');
+    expect(
+      require('DraftSuggestions').getSuggestions(
+        editor._latestEditorState.getCurrentContent(),
+      ),
+    ).toMatchObject([
+      {
+        type: 'insertion',
+        author: 'alice',
+        ranges: [{blockKey: 'blockkey0', start: 5, end: 7}],
+      },
+    ]);
+  });
+});
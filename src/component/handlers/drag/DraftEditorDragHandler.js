@@ -11,20 +11,27 @@
 
 'use strict';
 
+import type {BlockMap} from 'BlockMap';
 import type DraftEditor from 'DraftEditor.react';
+import type {DraftTextReplacer} from 'editOnInput';
+import type {DraftFragmentInserter} from 'editOnPaste';
 import type SelectionState from 'SelectionState';
 
+const BlockMapBuilder = require('BlockMapBuilder');
 const DataTransfer = require('DataTransfer');
 const DraftModifier = require('DraftModifier');
 const EditorState = require('EditorState');
 
 const findAncestorOffsetKey = require('findAncestorOffsetKey');
+const getContentFromFiles = require('getContentFromFiles');
 const getCorrectDocumentFromNode = require('getCorrectDocumentFromNode');
-const getTextContentFromFiles = require('getTextContentFromFiles');
+const getSuggestionModifiers = require('getSuggestionModifiers');
 const getUpdatedSelectionState = require('getUpdatedSelectionState');
 const getWindowForNode = require('getWindowForNode');
 const isEventHandled = require('isEventHandled');
+const isTreeBasedContentState = require('isTreeBasedContentState');
 const nullthrows = require('nullthrows');
+const uploadFiles = require('uploadFiles');
 
 /**
  * Get a SelectionState for the supplied mouse event.
@@ -78,6 +85,10 @@ const DraftEditorDragHandler = {
 
   /**
    * Handle data being dropped.
+   *
+   * While the editor tracks changes, dropped content is inserted as a
+   * suggestion, and text dragged within the editor is not moved, since a move
+   * can't be tracked.
    */
   onDrop(editor: DraftEditor, e: Object): void {
     const data = new DataTransfer(e.nativeEvent.dataTransfer);
@@ -96,6 +107,11 @@ const DraftEditorDragHandler = {
       return;
     }
 
+    const suggestionModifiers =
+      editor.props.suggestionAuthor != null
+        ? getSuggestionModifiers(editor)
+        : null;
+
     const files: Array<Blob> = (data.getFiles(): any);
     if (files.length > 0) {
       if (
@@ -105,13 +121,46 @@ const DraftEditorDragHandler = {
         return;
       }
 
+      const textFiles = uploadFiles(editor, dropSelection, files);
+      if (textFiles.length === 0) {
+        return;
+      }
+
+      const fileImportOptions = {
+        blockRenderMap: editor.props.blockRenderMap,
+        htmlImportOptions: editor.props.htmlImportOptions,
+        maxLength: editor.props.maxFileTextLength,
+        treeData: isTreeBasedContentState(
+          editor._latestEditorState.getCurrentContent(),
+        ),
+      };
       /* $FlowFixMe[incompatible-call] This comment suppresses an error found
        * DataTransfer was typed. getFiles() returns an array of <Files extends
        * Blob>, not Blob */
-      getTextContentFromFiles(files, fileText => {
+      getContentFromFiles(textFiles, fileImportOptions, ({text, blocks}) => {
+        const latestEditorState = editor._latestEditorState;
+        if (blocks && !editor.props.stripPastedStyles) {
+          editor.update(
+            insertFragmentAtSelection(
+              latestEditorState,
+              dropSelection,
+              BlockMapBuilder.createFromArray(blocks),
+              suggestionModifiers?.replaceWithFragment,
+            ),
+          );
+          return;
+        }
+        const fileText = blocks
+          ? blocks.map(block => block.getText()).join('\n')
+          : text;
         fileText &&
           editor.update(
-            insertTextAtSelection(editorState, dropSelection, fileText),
+            insertTextAtSelection(
+              latestEditorState,
+              dropSelection,
+              fileText,
+              suggestionModifiers?.replaceText,
+            ),
           );
       });
       return;
@@ -124,13 +173,16 @@ const DraftEditorDragHandler = {
     ) {
       // handled
     } else if (editor._internalDrag) {
-      editor.update(moveText(editorState, dropSelection));
+      if (!suggestionModifiers) {
+        editor.update(moveText(editorState, dropSelection));
+      }
     } else {
       editor.update(
         insertTextAtSelection(
           editorState,
           dropSelection,
           (data.getText(): any),
+          suggestionModifiers?.replaceText,
         ),
       );
     }
@@ -169,14 +221,33 @@ function moveText(
 }
 
 /**
- * Insert text at a specified selection.
+ * Insert a fragment at a specified selection, with `replaceWithFragment` if
+ * given.
+ */
+function insertFragmentAtSelection(
+  editorState: EditorState,
+  selection: SelectionState,
+  fragment: BlockMap,
+  replaceWithFragment?: DraftFragmentInserter = DraftModifier.replaceWithFragment,
+): EditorState {
+  const newContentState = replaceWithFragment(
+    editorState.getCurrentContent(),
+    selection,
+    fragment,
+  );
+  return EditorState.push(editorState, newContentState, 'insert-fragment');
+}
+
+/**
+ * Insert text at a specified selection, with `replaceText` if given.
  */
 function insertTextAtSelection(
   editorState: EditorState,
   selection: SelectionState,
   text: string,
+  replaceText?: DraftTextReplacer = DraftModifier.insertText,
 ): EditorState {
-  const newContentState = DraftModifier.insertText(
+  const newContentState = replaceText(
     editorState.getCurrentContent(),
     selection,
     text,
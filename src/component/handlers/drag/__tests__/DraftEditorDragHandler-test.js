@@ -0,0 +1,91 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type DraftEditor from 'DraftEditor.react';
+
+const ContentBlock = require('ContentBlock');
+const ContentState = require('ContentState');
+const DraftEditorDragHandler = require('DraftEditorDragHandler');
+const DraftSuggestions = require('DraftSuggestions');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+jest.mock('findAncestorOffsetKey', () => jest.fn(() => 'a-0-0'));
+
+const getEditorState = () =>
+  EditorState.acceptSelection(
+    EditorState.createWithContent(
+      ContentState.createFromBlockArray([
+        new ContentBlock({key: 'a', text: 'Arsenal'}),
+      ]),
+    ),
+    new SelectionState({
+      anchorKey: 'a',
+      anchorOffset: 0,
+      focusKey: 'a',
+      focusOffset: 3,
+      isBackward: false,
+    }),
+  );
+
+const getDraftEditor = (internalDrag: boolean): DraftEditor =>
+  ({
+    _latestEditorState: getEditorState(),
+    _internalDrag: internalDrag,
+    props: {suggestionAuthor: 'alice'},
+    exitCurrentMode: jest.fn(),
+    update: jest.fn(),
+  }: any);
+
+const drop = (editor: DraftEditor, text: string, offset: number) => {
+  const target = document.createElement('div');
+  const oldCaretRangeFromPoint = (document: any).caretRangeFromPoint;
+  try {
+    (document: any).caretRangeFromPoint = () => ({
+      startContainer: document.createTextNode('Arsenal'),
+      startOffset: offset,
+    });
+    DraftEditorDragHandler.onDrop(editor, {
+      nativeEvent: {
+        currentTarget: target,
+        dataTransfer: {types: ['text/plain'], getData: () => text, files: []},
+      },
+      preventDefault: jest.fn(),
+    });
+  } finally {
+    (document: any).caretRangeFromPoint = oldCaretRangeFromPoint;
+  }
+};
+
+test('must insert dropped text as a suggestion', () => {
+  const editor = getDraftEditor(false);
+  drop(editor, ' FC', 7);
+
+  // $FlowExpectedError[prop-missing] `update` is a mock.
+  const content = editor.update.mock.calls[0][0].getCurrentContent();
+  expect(content.getPlainText()).toBe('Arsenal FC');
+  expect(DraftSuggestions.getSuggestions(content)).toMatchObject([
+    {
+      type: 'insertion',
+      author: 'alice',
+      ranges: [{blockKey: 'a', start: 7, end: 10}],
+    },
+  ]);
+});
+
+test('must not move text dragged within an editor that tracks changes', () => {
+  const editor = getDraftEditor(true);
+  drop(editor, 'Ars', 7);
+
+  expect(editor.update).not.toHaveBeenCalled();
+});
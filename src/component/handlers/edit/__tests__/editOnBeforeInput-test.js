@@ -16,6 +16,8 @@ import type DraftEditor from 'DraftEditor.react';
 const CompositeDraftDecorator = require('CompositeDraftDecorator');
 const ContentBlock = require('ContentBlock');
 const ContentState = require('ContentState');
+const DraftAutocorrect = require('DraftAutocorrect');
+const DraftInputRules = require('DraftInputRules');
 const EditorState = require('EditorState');
 const SelectionState = require('SelectionState');
 
@@ -254,3 +256,71 @@ test('decorator fingerprint logic bails out of native insertion', () => {
     global.getSelection = oldGetSelection;
   }
 });
+
+test('input rules convert the typed characters as a separate change', () => {
+  const editorState = EditorState.acceptSelection(
+    getEditorState('#'),
+    new SelectionState({
+      ...DEFAULT_SELECTION,
+      anchorOffset: 1,
+      focusOffset: 1,
+    }),
+  );
+
+  const editor = getDraftEditor({
+    _latestEditorState: editorState,
+    _latestCommittedEditorState: editorState,
+    props: {inputRules: DraftInputRules.MARKDOWN_RULES},
+    update: jest.fn(),
+  });
+
+  const ev = getInputEvent(' ');
+  onBeforeInput(editor, ev);
+
+  // $FlowFixMe[method-unbinding] added when improving typing for this parameters
+  expect(ev.preventDefault.mock.calls.length).toBe(1);
+  expect(editor.update.mock.calls.length).toBe(1);
+
+  const newEditorState = editor.update.mock.calls[0][0];
+  const block = newEditorState.getCurrentContent().getFirstBlock();
+  expect(block.getType()).toBe('header-one');
+  expect(block.getText()).toBe('');
+  expect(newEditorState.mustForceSelection()).toBe(true);
+
+  const undone = EditorState.undo(newEditorState)
+    .getCurrentContent()
+    .getFirstBlock();
+  expect(undone.getType()).toBe('unstyled');
+  expect(undone.getText()).toBe('# ');
+});
+
+test('autocorrect rules correct the typed characters as a separate change', () => {
+  const editorState = EditorState.acceptSelection(
+    getEditorState('Wait -'),
+    new SelectionState({
+      ...DEFAULT_SELECTION,
+      anchorOffset: 6,
+      focusOffset: 6,
+    }),
+  );
+
+  const editor = getDraftEditor({
+    _latestEditorState: editorState,
+    _latestCommittedEditorState: editorState,
+    props: {autocorrectRules: DraftAutocorrect.TYPOGRAPHY_RULES},
+    update: jest.fn(),
+  });
+
+  const ev = getInputEvent('-');
+  onBeforeInput(editor, ev);
+
+  // $FlowFixMe[method-unbinding] added when improving typing for this parameters
+  expect(ev.preventDefault.mock.calls.length).toBe(1);
+  const newEditorState = editor.update.mock.calls[0][0];
+  expect(newEditorState.getCurrentContent().getPlainText()).toBe('Wait —');
+  expect(newEditorState.getSelection().getAnchorOffset()).toBe(6);
+
+  const undone = EditorState.undo(newEditorState);
+  expect(undone.getCurrentContent().getPlainText()).toBe('Wait --');
+  expect(undone.getSelection().getAnchorOffset()).toBe(7);
+});
@@ -107,6 +107,7 @@ test('restoreEditorDOM and keyCommandPlainBackspace are called when backspace is
       .value;
     expect(require('keyCommandPlainBackspace')).toHaveBeenCalledWith(
       editorState,
+      undefined,
     );
     expect(editor.restoreEditorDOM).toHaveBeenCalledTimes(1);
     expect(editor.update).toHaveBeenCalledWith(newEditorState);
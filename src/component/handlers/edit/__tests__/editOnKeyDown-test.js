@@ -0,0 +1,145 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+const DraftKeymap = require('DraftKeymap');
+const EditorState = require('EditorState');
+const Keys = require('Keys');
+
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const onKeyDown = require('editOnKeyDown');
+
+const QUERY = {
+  trigger: '@',
+  entityType: 'MENTION',
+  text: 'al',
+  blockKey: 'a',
+  start: 0,
+  end: 3,
+};
+
+const getEditor = (itemCount: number) => ({
+  _latestEditorState: EditorState.createWithText('@al'),
+  _autocompleteQuery: QUERY,
+  _dismissAutocompleteQuery: jest.fn(),
+  props: {
+    autocomplete: {
+      triggers: [{trigger: '@', entityType: 'MENTION'}],
+      onQueryChange: jest.fn(),
+      itemCount,
+      highlightedIndex: 0,
+      onHighlightChange: jest.fn(),
+      onSelect: jest.fn(),
+      listboxID: 'mentions',
+      getItemID: index => 'mention-' + index,
+    },
+    keyBindingFn: () => null,
+    onEscape: jest.fn(),
+    onUpArrow: jest.fn(),
+  },
+});
+
+const pressKey = (editor, which: number) => {
+  const event = {which, preventDefault: jest.fn()};
+  // $FlowExpectedError[incompatible-call] The editor and event are stubs.
+  onKeyDown(editor, event);
+  return event;
+};
+
+test('must navigate the autocomplete list while it has items', () => {
+  const editor = getEditor(3);
+  const {autocomplete} = editor.props;
+
+  expect(pressKey(editor, Keys.UP).preventDefault).toHaveBeenCalled();
+  expect(autocomplete.onHighlightChange).toHaveBeenLastCalledWith(2);
+  pressKey(editor, Keys.DOWN);
+  expect(autocomplete.onHighlightChange).toHaveBeenLastCalledWith(1);
+  pressKey(editor, Keys.TAB);
+  expect(autocomplete.onSelect).toHaveBeenLastCalledWith(0, QUERY);
+  pressKey(editor, Keys.ESC);
+  expect(editor._dismissAutocompleteQuery).toHaveBeenCalled();
+  expect(editor.props.onUpArrow).not.toHaveBeenCalled();
+  expect(editor.props.onEscape).not.toHaveBeenCalled();
+});
+
+test('must leave the keys to the editor while the list is empty', () => {
+  const editor = getEditor(0);
+  pressKey(editor, Keys.UP);
+  pressKey(editor, Keys.ESC);
+  expect(editor.props.autocomplete.onHighlightChange).not.toHaveBeenCalled();
+  expect(editor._dismissAutocompleteQuery).not.toHaveBeenCalled();
+  expect(editor.props.onUpArrow).toHaveBeenCalled();
+  expect(editor.props.onEscape).toHaveBeenCalled();
+});
+
+test('must run the commands of the keymap, and wait for chords', () => {
+  const handleKeyCommand = jest.fn(() => 'handled');
+  const editor = {
+    _latestEditorState: EditorState.createWithText('text'),
+    props: {
+      keymap: new DraftKeymap({'Ctrl-x Ctrl-s': 'save'}, {isMac: false}),
+      keyBindingFn: () => 'bold',
+      handleKeyCommand,
+    },
+  };
+  const pressShortcut = (key: string) => {
+    const event = {
+      which: 0,
+      key,
+      ctrlKey: true,
+      altKey: false,
+      shiftKey: false,
+      metaKey: false,
+      nativeEvent: {code: ''},
+      preventDefault: jest.fn(),
+    };
+    // $FlowExpectedError[incompatible-call] The editor and event are stubs.
+    onKeyDown(editor, event);
+    return event;
+  };
+
+  expect(pressShortcut('x').preventDefault).toHaveBeenCalled();
+  expect(handleKeyCommand).not.toHaveBeenCalled();
+  pressShortcut('s');
+  pressShortcut('u');
+  expect(handleKeyCommand.mock.calls.map(([command]) => command)).toEqual([
+    'save',
+    'underline',
+  ]);
+});
+
+test('must nest list items on tab in tree-based content', () => {
+  const editorState = EditorState.moveSelectionToEnd(
+    EditorState.createWithContent(
+      convertFromRawToDraftState(
+        {
+          blocks: [
+            {key: 'a', text: 'a', type: 'unordered-list-item', depth: 0},
+            {key: 'b', text: 'b', type: 'unordered-list-item', depth: 0},
+          ],
+          entityMap: {},
+        },
+        {treeData: true},
+      ),
+    ),
+  );
+  const editor = {
+    _latestEditorState: editorState,
+    props: {keyBindingFn: () => null},
+    update: jest.fn(),
+  };
+  expect(pressKey(editor, Keys.TAB).preventDefault).toHaveBeenCalled();
+  const content = editor.update.mock.calls[0][0].getCurrentContent();
+  const parentKey = content.getBlockForKey('b').getParentKey();
+  expect(parentKey).not.toBe(null);
+  expect(content.getBlockBefore(parentKey ?? '')?.getKey()).toBe('a');
+});
@@ -0,0 +1,240 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const ContentBlock = require('ContentBlock');
+const ContentState = require('ContentState');
+const DraftModifier = require('DraftModifier');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const uploadFiles = require('uploadFiles');
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+const getEditor = () => {
+  const uploads = [];
+  const editor = {
+    _latestEditorState: EditorState.createWithContent(
+      ContentState.createFromBlockArray([
+        new ContentBlock({key: 'a', text: 'Alpha', type: 'unstyled'}),
+        new ContentBlock({key: 'b', text: 'Beta', type: 'unstyled'}),
+      ]),
+    ),
+    props: {
+      uploadFile: jest.fn((file, onProgress) => {
+        const upload = {file, onProgress, resolve: null, reject: null};
+        uploads.push(upload);
+        return new Promise((resolve, reject) => {
+          upload.resolve = resolve;
+          upload.reject = reject;
+        });
+      }),
+    },
+    update: jest.fn(editorState => {
+      editor._latestEditorState = editorState;
+    }),
+  };
+  return {editor, uploads};
+};
+
+const getImage = () => new File(['image'], 'photo.png', {type: 'image/png'});
+
+const collapsedAt = (key, offset) =>
+  SelectionState.createEmpty(key).merge({
+    anchorOffset: offset,
+    focusOffset: offset,
+  });
+
+const getTexts = editorState =>
+  editorState
+    .getCurrentContent()
+    .getBlocksAsArray()
+    .map(block => [block.getType(), block.getText()]);
+
+const getPlaceholderData = editorState => {
+  const contentState = editorState.getCurrentContent();
+  const placeholder = contentState
+    .getBlocksAsArray()
+    .find(block => block.getType() === 'atomic');
+  return placeholder
+    ? contentState.getEntity(placeholder.getEntityAt(0)).getData()
+    : null;
+};
+
+const typeAtEnd = (editor, key, text) => {
+  const editorState = editor._latestEditorState;
+  const block = editorState.getCurrentContent().getBlockForKey(key);
+  const selection = collapsedAt(key, block.getLength());
+  editor.update(
+    EditorState.push(
+      EditorState.acceptSelection(editorState, selection),
+      DraftModifier.insertText(
+        editorState.getCurrentContent(),
+        selection,
+        text,
+      ),
+      'insert-characters',
+    ),
+  );
+};
+
+test('must insert a placeholder as a single undo step', () => {
+  const {editor, uploads} = getEditor();
+  const editorState = editor._latestEditorState;
+  const file = getImage();
+  expect(uploadFiles((editor: any), collapsedAt('a', 2), [file])).toEqual([]);
+
+  const withPlaceholder = editor._latestEditorState;
+  expect(getTexts(withPlaceholder)).toEqual([
+    ['unstyled', 'Al'],
+    ['atomic', ' '],
+    ['unstyled', 'pha'],
+    ['unstyled', 'Beta'],
+  ]);
+  expect(
+    withPlaceholder
+      .getCurrentContent()
+      .getEntity(
+        withPlaceholder
+          .getCurrentContent()
+          .getBlocksAsArray()[1]
+          .getEntityAt(0),
+      )
+      .getType(),
+  ).toBe('IMAGE');
+  expect(getPlaceholderData(withPlaceholder)).toEqual({
+    name: 'photo.png',
+    status: 'uploading',
+    progress: 0,
+  });
+  expect(uploads.length).toBe(1);
+  expect(uploads[0].file).toBe(file);
+  expect(EditorState.undo(withPlaceholder).getCurrentContent()).toBe(
+    editorState.getCurrentContent(),
+  );
+});
+
+test('must report progress without creating undo steps', () => {
+  const {editor, uploads} = getEditor();
+  uploadFiles((editor: any), collapsedAt('a', 5), [getImage()]);
+  const withPlaceholder = editor._latestEditorState;
+  const placeholder = withPlaceholder.getCurrentContent().getBlocksAsArray()[1];
+
+  uploads[0].onProgress(0.5);
+  const withProgress = editor._latestEditorState;
+  expect(getPlaceholderData(withProgress)?.progress).toBe(0.5);
+  expect(
+    withProgress.getCurrentContent().getBlockForKey(placeholder.getKey()),
+  ).not.toBe(placeholder);
+  expect(withProgress.getUndoStack()).toBe(withPlaceholder.getUndoStack());
+});
+
+test('must set the URL of uploaded files while typing', async () => {
+  const {editor, uploads} = getEditor();
+  uploadFiles((editor: any), collapsedAt('a', 5), [getImage()]);
+  typeAtEnd(editor, 'b', '!');
+
+  uploads[0].resolve('https://example.com/photo.png');
+  await flushPromises();
+
+  const editorState = editor._latestEditorState;
+  expect(getTexts(editorState)).toEqual([
+    ['unstyled', 'Alpha'],
+    ['atomic', ' '],
+    ['unstyled', ''],
+    ['unstyled', 'Beta!'],
+  ]);
+  expect(getPlaceholderData(editorState)).toEqual({
+    name: 'photo.png',
+    status: 'done',
+    progress: 1,
+    src: 'https://example.com/photo.png',
+  });
+  expect(getTexts(EditorState.undo(editorState))[3]).toEqual([
+    'unstyled',
+    'Beta',
+  ]);
+  expect(getTexts(EditorState.undo(EditorState.undo(editorState)))).toEqual([
+    ['unstyled', 'Alpha'],
+    ['unstyled', 'Beta'],
+  ]);
+});
+
+test('must remove the placeholder of failed uploads', async () => {
+  const {editor, uploads} = getEditor();
+  uploadFiles((editor: any), collapsedAt('a', 2), [getImage()]);
+  const withPlaceholder = editor._latestEditorState;
+  const entityKey = withPlaceholder
+    .getCurrentContent()
+    .getBlocksAsArray()[1]
+    .getEntityAt(0);
+  typeAtEnd(editor, 'b', '!');
+
+  const error = new Error('Network error');
+  uploads[0].reject(error);
+  await flushPromises();
+
+  const editorState = editor._latestEditorState;
+  expect(getTexts(editorState)).toEqual([
+    ['unstyled', 'Al'],
+    ['unstyled', 'pha'],
+    ['unstyled', 'Beta!'],
+  ]);
+  expect(
+    editorState
+      .getCurrentContent()
+      .getEntity(entityKey)
+      .getData(),
+  ).toEqual({name: 'photo.png', status: 'failed', progress: 0, error});
+  expect(editorState.getUndoStack().size).toBe(2);
+
+  uploads[0].onProgress(1);
+  expect(editor._latestEditorState).toBe(editorState);
+});
+
+test('must only upload files that are not text', () => {
+  const {editor, uploads} = getEditor();
+  const textFile = new File(['text'], 'notes.txt', {type: 'text/plain'});
+  const pdfFile = new File(['pdf'], 'report.pdf', {type: 'application/pdf'});
+  expect(
+    uploadFiles((editor: any), collapsedAt('a', 5), [textFile, pdfFile]),
+  ).toEqual([textFile]);
+  expect(uploads.map(upload => upload.file)).toEqual([pdfFile]);
+  const contentState = editor._latestEditorState.getCurrentContent();
+  expect(
+    contentState
+      .getEntity(contentState.getBlocksAsArray()[1].getEntityAt(0))
+      .getType(),
+  ).toBe('FILE');
+});
+
+test('must not upload files without an upload function', () => {
+  const {editor} = getEditor();
+  editor.props = ({}: any);
+  const files = [getImage()];
+  expect(uploadFiles((editor: any), collapsedAt('a', 5), files)).toBe(files);
+  expect(editor.update).not.toHaveBeenCalled();
+});
+
+test('must leave RTF files to be imported', () => {
+  const {editor, uploads} = getEditor();
+  const rtfFile = new File(['{\\rtf1}'], 'letter.rtf', {
+    type: 'application/rtf',
+  });
+  expect(
+    uploadFiles((editor: any), collapsedAt('a', 5), [rtfFile, getImage()]),
+  ).toEqual([rtfFile]);
+  expect(uploads.map(upload => upload.file.name)).toEqual(['photo.png']);
+});
@@ -0,0 +1,108 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const DraftTreeInvariants = require('DraftTreeInvariants');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const keyCommandInsertNewline = require('keyCommandInsertNewline');
+const keyCommandPlainBackspace = require('keyCommandPlainBackspace');
+
+const getRawBlock = (key: string, text: string, depth: number) => ({
+  key,
+  text,
+  type: 'unordered-list-item',
+  depth,
+  entityRanges: [],
+  inlineStyleRanges: [],
+});
+
+// A list nesting B and C, then D nesting an empty item E
+const getEditorState = (key: string, offset: number): EditorState =>
+  EditorState.forceSelection(
+    EditorState.createWithContent(
+      convertFromRawToDraftState(
+        {
+          blocks: [
+            getRawBlock('A', 'Alpha', 0),
+            getRawBlock('B', 'Bravo', 1),
+            getRawBlock('C', 'Charlie', 1),
+            getRawBlock('D', 'Delta', 0),
+            getRawBlock('E', '', 1),
+          ],
+          entityMap: {},
+        },
+        {treeData: true},
+      ),
+    ),
+    SelectionState.createEmpty(key).merge({
+      anchorOffset: offset,
+      focusOffset: offset,
+    }),
+  );
+
+const getOutline = (editorState: EditorState) => {
+  const content = editorState.getCurrentContent();
+  expect(DraftTreeInvariants.isValidTree(content.getBlockMap())).toBe(true);
+  return convertFromDraftStateToRaw(content).blocks.map(function toOutline(
+    block,
+  ) {
+    const children = (block.children || []).map(toOutline);
+    return children.length > 0 ? children : block.text;
+  });
+};
+
+test('must move an empty nested list item out of its list on return', () => {
+  const editorState = keyCommandInsertNewline(getEditorState('E', 0));
+  expect(getOutline(editorState)).toEqual([
+    'Alpha',
+    ['Bravo', 'Charlie'],
+    'Delta',
+    '',
+  ]);
+  expect(editorState.getLastChangeType()).toBe('adjust-depth');
+  expect(editorState.getSelection().getAnchorKey()).toBe('E');
+
+  expect(getOutline(keyCommandInsertNewline(getEditorState('C', 7)))).toEqual([
+    'Alpha',
+    ['Bravo', 'Charlie', ''],
+    'Delta',
+    [''],
+  ]);
+});
+
+test('must move the first item of a nested list out of it on backspace', () => {
+  expect(getOutline(keyCommandPlainBackspace(getEditorState('B', 0)))).toEqual([
+    'Alpha',
+    'Bravo',
+    ['Charlie'],
+    'Delta',
+    [''],
+  ]);
+  // Other items are merged with the block before them.
+  expect(getOutline(keyCommandPlainBackspace(getEditorState('C', 0)))).toEqual([
+    'Alpha',
+    ['BravoCharlie'],
+    'Delta',
+    [''],
+  ]);
+  expect(getOutline(keyCommandPlainBackspace(getEditorState('D', 0)))).toEqual([
+    'Alpha',
+    ['Bravo', 'CharlieDelta'],
+    [''],
+  ]);
+});
@@ -0,0 +1,81 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const keyCommandPlainBackspace = require('keyCommandPlainBackspace');
+
+const block = (key, text = '', type = 'unstyled', children = []) => ({
+  key,
+  text,
+  type,
+  children,
+});
+
+// A paragraph, then a table with a single row, then a paragraph
+const getEditorState = (key: string, offset: number): EditorState =>
+  EditorState.forceSelection(
+    EditorState.createWithContent(
+      convertFromRawToDraftState(
+        {
+          blocks: [
+            block('a', 'Before'),
+            block('t', '', 'table', [
+              block('r', '', 'table-row', [
+                block('c1', 'A1', 'table-cell'),
+                block('c2', 'B1', 'table-cell'),
+              ]),
+            ]),
+            block('z', 'After'),
+          ],
+          entityMap: {},
+        },
+        {treeData: true},
+      ),
+    ),
+    SelectionState.createEmpty(key).merge({
+      anchorOffset: offset,
+      focusOffset: offset,
+    }),
+  );
+
+test('must move the selection into the last cell before the block', () => {
+  const editorState = getEditorState('z', 0);
+  const afterBackspace = keyCommandPlainBackspace(editorState);
+  expect(afterBackspace.getCurrentContent()).toBe(
+    editorState.getCurrentContent(),
+  );
+  const selection = afterBackspace.getSelection();
+  expect(selection.getAnchorKey()).toBe('c2');
+  expect(selection.getAnchorOffset()).toBe(2);
+  expect(selection.isCollapsed()).toBe(true);
+});
+
+test('must not join a cell with the block before the table', () => {
+  const editorState = getEditorState('c1', 0);
+  expect(keyCommandPlainBackspace(editorState)).toBe(editorState);
+});
+
+test('must remove text within a cell', () => {
+  const afterBackspace = keyCommandPlainBackspace(getEditorState('c2', 2));
+  expect(
+    afterBackspace
+      .getCurrentContent()
+      .getBlockForKey('c2')
+      .getText(),
+  ).toBe('B');
+});
@@ -12,6 +12,7 @@
 'use strict';
 
 import type {SelectionObject} from 'DraftDOMTypes';
+import type {DraftRangeRemover} from 'removeTextWithStrategy';
 
 const EditorState = require('EditorState');
 
@@ -23,6 +24,7 @@ const removeTextWithStrategy = require('removeTextWithStrategy');
 function keyCommandBackspaceToStartOfLine(
   editorState: EditorState,
   e: SyntheticKeyboardEvent<HTMLElement>,
+  removeRange?: DraftRangeRemover,
 ): EditorState {
   const afterRemoval = removeTextWithStrategy(
     editorState,
@@ -51,6 +53,7 @@ function keyCommandBackspaceToStartOfLine(
       ).selectionState;
     },
     'backward',
+    removeRange,
   );
 
   if (afterRemoval === editorState.getCurrentContent()) {
@@ -11,6 +11,8 @@
 
 'use strict';
 
+import type {DraftRangeRemover} from 'removeTextWithStrategy';
+
 const DraftRemovableWord = require('DraftRemovableWord');
 const EditorState = require('EditorState');
 
@@ -21,7 +23,10 @@ const removeTextWithStrategy = require('removeTextWithStrategy');
  * Delete the word that is left of the cursor, as well as any spaces or
  * punctuation after the word.
  */
-function keyCommandBackspaceWord(editorState: EditorState): EditorState {
+function keyCommandBackspaceWord(
+  editorState: EditorState,
+  removeRange?: DraftRangeRemover,
+): EditorState {
   const afterRemoval = removeTextWithStrategy(
     editorState,
     strategyState => {
@@ -38,6 +43,7 @@ function keyCommandBackspaceWord(editorState: EditorState): EditorState {
       return moveSelectionBackward(strategyState, toRemove.length || 1);
     },
     'backward',
+    removeRange,
   );
 
   if (afterRemoval === editorState.getCurrentContent()) {
@@ -11,6 +11,8 @@
 
 'use strict';
 
+import type {DraftRangeRemover} from 'removeTextWithStrategy';
+
 const DraftRemovableWord = require('DraftRemovableWord');
 const EditorState = require('EditorState');
 
@@ -21,7 +23,10 @@ const removeTextWithStrategy = require('removeTextWithStrategy');
  * Delete the word that is right of the cursor, as well as any spaces or
  * punctuation before the word.
  */
-function keyCommandDeleteWord(editorState: EditorState): EditorState {
+function keyCommandDeleteWord(
+  editorState: EditorState,
+  removeRange?: DraftRangeRemover,
+): EditorState {
   const afterRemoval = removeTextWithStrategy(
     editorState,
     strategyState => {
@@ -36,6 +41,7 @@ function keyCommandDeleteWord(editorState: EditorState): EditorState {
       return moveSelectionForward(strategyState, toRemove.length || 1);
     },
     'forward',
+    removeRange,
   );
 
   if (afterRemoval === editorState.getCurrentContent()) {
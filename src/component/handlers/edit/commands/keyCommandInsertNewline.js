@@ -11,13 +11,74 @@
 
 'use strict';
 
+import type {DraftInputRule} from 'DraftInputRules';
+import type {DraftTextReplacer} from 'editOnInput';
+import type {DraftRangeRemover} from 'removeTextWithStrategy';
+
+const DraftInputRules = require('DraftInputRules');
 const DraftModifier = require('DraftModifier');
 const EditorState = require('EditorState');
 
-function keyCommandInsertNewline(editorState: EditorState): EditorState {
+const keyCommandOutdentListItem = require('keyCommandOutdentListItem');
+
+/**
+ * Split the block at the selection, unless an input rule or the block calls
+ * for another change. When given, `removeRange` removes the selected text
+ * before the block is split, and `replaceText` inserts the soft newlines of
+ * table cells.
+ */
+function keyCommandInsertNewline(
+  editorState: EditorState,
+  inputRules?: ?$ReadOnlyArray<DraftInputRule>,
+  removeRange?: DraftRangeRemover,
+  replaceText?: DraftTextReplacer = DraftModifier.replaceText,
+): EditorState {
+  // A `newline` input rule, such as a code fence, converts the block instead
+  // of splitting it.
+  const ruleEditorState = inputRules
+    ? DraftInputRules.applyInputRules(editorState, inputRules, 'newline')
+    : null;
+  if (ruleEditorState) {
+    return ruleEditorState;
+  }
+  // Table cells can't be split, so a soft newline is inserted instead.
+  const startKey = editorState.getSelection().getStartKey();
+  const block = editorState.getCurrentContent().getBlockForKey(startKey);
+  if (block.getType() === 'table-cell') {
+    return EditorState.push(
+      editorState,
+      replaceText(
+        editorState.getCurrentContent(),
+        editorState.getSelection(),
+        '\n',
+      ),
+      'insert-characters',
+    );
+  }
+  // Return on an empty list item ends the list: a nested item is moved out
+  // of its list, and a top-level one becomes unstyled when split below.
+  if (block.getLength() === 0) {
+    const withOutdent = keyCommandOutdentListItem(editorState);
+    if (withOutdent !== editorState) {
+      return withOutdent;
+    }
+  }
+  const selection = editorState.getSelection();
+  if (removeRange && !selection.isCollapsed()) {
+    const withoutRange = removeRange(
+      editorState.getCurrentContent(),
+      selection,
+      'forward',
+    );
+    const contentState = DraftModifier.splitBlock(
+      withoutRange,
+      withoutRange.getSelectionAfter(),
+    ).setSelectionBefore(selection);
+    return EditorState.push(editorState, contentState, 'split-block');
+  }
   const contentState = DraftModifier.splitBlock(
     editorState.getCurrentContent(),
-    editorState.getSelection(),
+    selection,
   );
   return EditorState.push(editorState, contentState, 'split-block');
 }
@@ -0,0 +1,68 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+const ContentStateTable = require('ContentStateTable');
+const EditorState = require('EditorState');
+
+/**
+ * Move the selection to the end of the next (or previous) cell of the table
+ * containing it, as Tab and Shift-Tab do. Moving forward from the last cell
+ * adds a row to the table.
+ */
+function keyCommandMoveToTableCell(
+  editorState: EditorState,
+  isBackward: boolean,
+): EditorState {
+  let content = editorState.getCurrentContent();
+  const selection = editorState.getSelection();
+  let cellKey = ContentStateTable.getAdjacentCellKey(
+    content,
+    selection,
+    isBackward,
+  );
+  if (
+    !cellKey &&
+    !isBackward &&
+    content.getBlockForKey(selection.getEndKey()).getType() === 'table-cell'
+  ) {
+    const lastCell = selection.merge({
+      anchorKey: selection.getEndKey(),
+      anchorOffset: selection.getEndOffset(),
+      isBackward: false,
+    });
+    content = ContentStateTable.insertRow(content, lastCell, 'after');
+    cellKey = ContentStateTable.getAdjacentCellKey(content, lastCell, false);
+  }
+  if (!cellKey) {
+    return editorState;
+  }
+
+  const offset = content.getBlockForKey(cellKey).getLength();
+  const cellSelection = selection.merge({
+    anchorKey: cellKey,
+    anchorOffset: offset,
+    focusKey: cellKey,
+    focusOffset: offset,
+    isBackward: false,
+  });
+  if (content === editorState.getCurrentContent()) {
+    return EditorState.forceSelection(editorState, cellSelection);
+  }
+  return EditorState.push(
+    editorState,
+    content.merge({selectionAfter: cellSelection.set('hasFocus', true)}),
+    'insert-fragment',
+  );
+}
+
+module.exports = keyCommandMoveToTableCell;
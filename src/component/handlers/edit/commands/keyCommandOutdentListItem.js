@@ -0,0 +1,52 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+const ContentBlockNode = require('ContentBlockNode');
+const EditorState = require('EditorState');
+const NestedRichTextEditorUtil = require('NestedRichTextEditorUtil');
+
+/**
+ * Move the nested list item at the start of which the selection is collapsed
+ * out of its parent, in tree-based content. Returns the editor state
+ * unchanged for any other selection.
+ */
+function keyCommandOutdentListItem(editorState: EditorState): EditorState {
+  const selection = editorState.getSelection();
+  const block = editorState
+    .getCurrentContent()
+    .getBlockForKey(selection.getStartKey());
+  const type = block.getType();
+  if (
+    !selection.isCollapsed() ||
+    selection.getStartOffset() !== 0 ||
+    !(block instanceof ContentBlockNode) ||
+    block.getParentKey() == null ||
+    (type !== 'unordered-list-item' && type !== 'ordered-list-item')
+  ) {
+    return editorState;
+  }
+
+  const withOutdent = NestedRichTextEditorUtil.tryToRemoveBlockStyle(
+    editorState,
+  );
+  if (!withOutdent) {
+    return editorState;
+  }
+  return EditorState.push(
+    editorState,
+    withOutdent.merge({selectionBefore: selection, selectionAfter: selection}),
+    'adjust-depth',
+  );
+}
+
+module.exports = keyCommandOutdentListItem;
@@ -11,9 +11,14 @@
 
 'use strict';
 
+import type {DraftRangeRemover} from 'removeTextWithStrategy';
+
+const ContentBlockNode = require('ContentBlockNode');
+const ContentStateTable = require('ContentStateTable');
 const EditorState = require('EditorState');
 const UnicodeUtils = require('UnicodeUtils');
 
+const keyCommandOutdentListItem = require('keyCommandOutdentListItem');
 const moveSelectionBackward = require('moveSelectionBackward');
 const removeTextWithStrategy = require('removeTextWithStrategy');
 
@@ -22,7 +27,45 @@ const removeTextWithStrategy = require('removeTextWithStrategy');
  * character. This operation is Unicode-aware, so removing a single character
  * will remove a surrogate pair properly as well.
  */
-function keyCommandPlainBackspace(editorState: EditorState): EditorState {
+function keyCommandPlainBackspace(
+  editorState: EditorState,
+  removeRange?: DraftRangeRemover,
+): EditorState {
+  // The first item of a nested list can't be merged into the block that
+  // contains the list, so it is moved out of the list instead.
+  const content = editorState.getCurrentContent();
+  const selection = editorState.getSelection();
+  const block = content.getBlockForKey(selection.getStartKey());
+  if (block instanceof ContentBlockNode && block.getPrevSiblingKey() == null) {
+    const withOutdent = keyCommandOutdentListItem(editorState);
+    if (withOutdent !== editorState) {
+      return withOutdent;
+    }
+  }
+
+  // Nor can the block after a table be merged into its last cell, so the
+  // selection moves to the end of the cell instead.
+  const blockBefore = content.getBlockBefore(block.getKey());
+  if (
+    selection.isCollapsed() &&
+    selection.getStartOffset() === 0 &&
+    blockBefore &&
+    blockBefore.getType() === 'table-cell' &&
+    !ContentStateTable.isTableBlock(block)
+  ) {
+    const offset = blockBefore.getLength();
+    return EditorState.forceSelection(
+      editorState,
+      selection.merge({
+        anchorKey: blockBefore.getKey(),
+        anchorOffset: offset,
+        focusKey: blockBefore.getKey(),
+        focusOffset: offset,
+        isBackward: false,
+      }),
+    );
+  }
+
   const afterRemoval = removeTextWithStrategy(
     editorState,
     strategyState => {
@@ -37,13 +80,13 @@ function keyCommandPlainBackspace(editorState: EditorState): EditorState {
       );
     },
     'backward',
+    removeRange,
   );
 
-  if (afterRemoval === editorState.getCurrentContent()) {
+  if (afterRemoval === content) {
     return editorState;
   }
 
-  const selection = editorState.getSelection();
   return EditorState.push(
     editorState,
     afterRemoval.setSelectionBefore(selection),
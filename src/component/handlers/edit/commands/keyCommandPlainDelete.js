@@ -11,6 +11,8 @@
 
 'use strict';
 
+import type {DraftRangeRemover} from 'removeTextWithStrategy';
+
 const EditorState = require('EditorState');
 const UnicodeUtils = require('UnicodeUtils');
 
@@ -22,7 +24,10 @@ const removeTextWithStrategy = require('removeTextWithStrategy');
  * character. This operation is Unicode-aware, so removing a single character
  * will remove a surrogate pair properly as well.
  */
-function keyCommandPlainDelete(editorState: EditorState): EditorState {
+function keyCommandPlainDelete(
+  editorState: EditorState,
+  removeRange?: DraftRangeRemover,
+): EditorState {
   const afterRemoval = removeTextWithStrategy(
     editorState,
     strategyState => {
@@ -37,6 +42,7 @@ function keyCommandPlainDelete(editorState: EditorState): EditorState {
       );
     },
     'forward',
+    removeRange,
   );
 
   if (afterRemoval === editorState.getCurrentContent()) {
@@ -16,11 +16,19 @@ import type {DraftRemovalDirection} from 'DraftRemovalDirection';
 import type EditorState from 'EditorState';
 import type SelectionState from 'SelectionState';
 
+const ContentBlockNode = require('ContentBlockNode');
+const ContentStateTable = require('ContentStateTable');
 const DraftModifier = require('DraftModifier');
 
-const gkx = require('gkx');
-
-const experimentalTreeDataSupport = gkx('draft_tree_data_support');
+/**
+ * Removes a range of text, like `DraftModifier.removeRange`, which is used
+ * unless another function is given, e.g. in suggestion mode.
+ */
+export type DraftRangeRemover = (
+  contentState: ContentState,
+  rangeToRemove: SelectionState,
+  removalDirection: DraftRemovalDirection,
+) => ContentState;
 
 /**
  * For a collapsed selection state, remove text based on the specified strategy.
@@ -30,6 +38,7 @@ function removeTextWithStrategy(
   editorState: EditorState,
   strategy: (editorState: EditorState) => SelectionState,
   direction: DraftRemovalDirection,
+  removeRange?: DraftRangeRemover = DraftModifier.removeRange,
 ): ContentState {
   const selection = editorState.getSelection();
   const content = editorState.getCurrentContent();
@@ -37,7 +46,7 @@ function removeTextWithStrategy(
   const anchorKey = selection.getAnchorKey();
   const focusKey = selection.getFocusKey();
   const anchorBlock = content.getBlockForKey(anchorKey);
-  if (experimentalTreeDataSupport) {
+  if (anchorBlock instanceof ContentBlockNode) {
     if (direction === 'forward') {
       if (anchorKey !== focusKey) {
         // For now we ignore forward delete across blocks,
@@ -51,14 +60,16 @@ function removeTextWithStrategy(
       if (editorState.isSelectionAtEndOfContent()) {
         return content;
       }
-      if (experimentalTreeDataSupport) {
+      if (anchorBlock instanceof ContentBlockNode) {
         const isAtEndOfBlock =
           selection.getAnchorOffset() ===
           content.getBlockForKey(anchorKey).getLength();
         if (isAtEndOfBlock) {
-          const anchorBlockSibling = content.getBlockForKey(
-            anchorBlock.nextSibling,
-          );
+          const nextSiblingKey = anchorBlock.getNextSiblingKey();
+          const anchorBlockSibling =
+            nextSiblingKey != null
+              ? content.getBlockForKey(nextSiblingKey)
+              : null;
           if (!anchorBlockSibling || anchorBlockSibling.getLength() === 0) {
             // For now we ignore forward delete at the end of a block,
             // if there is demand for this we will implement it.
@@ -74,8 +85,20 @@ function removeTextWithStrategy(
     if (target === selection) {
       return content;
     }
+    // Removing the boundary of a table cell would join it with another block.
+    if (
+      target.getStartKey() !== target.getEndKey() &&
+      (ContentStateTable.isTableBlock(
+        content.getBlockForKey(target.getStartKey()),
+      ) ||
+        ContentStateTable.isTableBlock(
+          content.getBlockForKey(target.getEndKey()),
+        ))
+    ) {
+      return content;
+    }
   }
-  return DraftModifier.removeRange(content, target, direction);
+  return removeRange(content, target, direction);
 }
 
 module.exports = removeTextWithStrategy;
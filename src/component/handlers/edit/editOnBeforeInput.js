@@ -14,6 +14,8 @@
 import type DraftEditor from 'DraftEditor.react';
 import type {DraftInlineStyle} from 'DraftInlineStyle';
 
+const DraftAutocorrect = require('DraftAutocorrect');
+const DraftInputRules = require('DraftInputRules');
 const DraftModifier = require('DraftModifier');
 const EditorState = require('EditorState');
 const UserAgent = require('UserAgent');
@@ -70,6 +72,25 @@ function replaceText(
   );
 }
 
+/**
+ * Apply the input rules of the editor, if any, to the state resulting from
+ * the insertion of the typed characters, or else its autocorrect rules.
+ */
+function applyInputRules(
+  editor: DraftEditor,
+  editorState: EditorState,
+): ?EditorState {
+  const {autocorrectRules, inputRules} = editor.props;
+  return (
+    (inputRules
+      ? DraftInputRules.applyInputRules(editorState, inputRules, 'input')
+      : null) ||
+    (autocorrectRules
+      ? DraftAutocorrect.applyAutocorrect(editorState, autocorrectRules)
+      : null)
+  );
+}
+
 /**
  * When `onBeforeInput` executes, the browser is attempting to insert a
  * character into the editor. Apply this character data to the document,
@@ -127,17 +148,18 @@ function editOnBeforeInput(
 
   if (!selection.isCollapsed()) {
     e.preventDefault();
-    editor.update(
-      replaceText(
-        editorState,
-        chars,
-        editorState.getCurrentInlineStyle(),
-        getEntityKeyForSelection(
-          editorState.getCurrentContent(),
-          editorState.getSelection(),
-        ),
-        true,
+    const replacedEditorState = replaceText(
+      editorState,
+      chars,
+      editorState.getCurrentInlineStyle(),
+      getEntityKeyForSelection(
+        editorState.getCurrentContent(),
+        editorState.getSelection(),
       ),
+      true,
+    );
+    editor.update(
+      applyInputRules(editor, replacedEditorState) || replacedEditorState,
     );
     return;
   }
@@ -153,6 +175,17 @@ function editOnBeforeInput(
     false,
   );
 
+  // Typed characters completing an input rule, such as `# ` at the start of a
+  // block, or an autocorrect rule, such as `--`, are converted right away.
+  // The conversion is a separate change, so undoing it restores the
+  // characters as typed.
+  const ruleEditorState = applyInputRules(editor, newEditorState);
+  if (ruleEditorState) {
+    e.preventDefault();
+    editor.update(EditorState.set(ruleEditorState, {forceSelection: true}));
+    return;
+  }
+
   // Bunch of different cases follow where we need to prevent native insertion.
   let mustPreventNative = false;
   if (!mustPreventNative) {
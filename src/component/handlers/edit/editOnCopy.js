@@ -13,12 +13,18 @@
 
 import type DraftEditor from 'DraftEditor.react';
 
+const DraftClipboard = require('DraftClipboard');
+
 const getFragmentFromSelection = require('getFragmentFromSelection');
 
 /**
  * If we have a selection, create a ContentState fragment and store
  * it in our internal clipboard. Subsequent paste events will use this
  * fragment if no external clipboard data is supplied.
+ *
+ * The fragment is also written to the system clipboard, along with HTML and
+ * plain text generated from it, so that it can be pasted with its entities
+ * and block data in other editors.
  */
 function editOnCopy(editor: DraftEditor, e: SyntheticClipboardEvent<>): void {
   const editorState = editor._latestEditorState;
@@ -30,7 +36,17 @@ function editOnCopy(editor: DraftEditor, e: SyntheticClipboardEvent<>): void {
     return;
   }
 
-  editor.setClipboard(getFragmentFromSelection(editor._latestEditorState));
+  const fragment = getFragmentFromSelection(editor._latestEditorState);
+  editor.setClipboard(fragment);
+  if (
+    fragment &&
+    DraftClipboard.setClipboardData(e.clipboardData, fragment, {
+      blockRenderMap: editor.props.blockRenderMap,
+      customStyleMap: editor.props.customStyleMap,
+    })
+  ) {
+    e.preventDefault();
+  }
 }
 
 module.exports = editOnCopy;
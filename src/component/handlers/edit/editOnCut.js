@@ -12,7 +12,9 @@
 'use strict';
 
 import type DraftEditor from 'DraftEditor.react';
+import type {DraftRangeRemover} from 'removeTextWithStrategy';
 
+const DraftClipboard = require('DraftClipboard');
 const DraftModifier = require('DraftModifier');
 const EditorState = require('EditorState');
 const Style = require('Style');
@@ -29,8 +31,18 @@ const isNode = require('isInstanceOfNode');
  *
  * In addition, we can keep a copy of the removed fragment, including all
  * styles and entities, for use as an internal paste.
+ *
+ * When the fragment can be written to the system clipboard, as it is on
+ * copy, the native behavior is prevented and the fragment is removed right
+ * away instead.
+ *
+ * The cut text is removed with `removeRange`, if given.
  */
-function editOnCut(editor: DraftEditor, e: SyntheticClipboardEvent<>): void {
+function editOnCut(
+  editor: DraftEditor,
+  e: SyntheticClipboardEvent<>,
+  removeRange?: DraftRangeRemover = DraftModifier.removeRange,
+): void {
   const editorState = editor._latestEditorState;
   const selection = editorState.getSelection();
   const element = e.target;
@@ -52,6 +64,18 @@ function editOnCut(editor: DraftEditor, e: SyntheticClipboardEvent<>): void {
   const fragment = getFragmentFromSelection(editorState);
   editor.setClipboard(fragment);
 
+  if (
+    fragment &&
+    DraftClipboard.setClipboardData(e.clipboardData, fragment, {
+      blockRenderMap: editor.props.blockRenderMap,
+      customStyleMap: editor.props.customStyleMap,
+    })
+  ) {
+    e.preventDefault();
+    editor.update(removeFragment(editorState, removeRange));
+    return;
+  }
+
   // Set `cut` mode to disable all event handling temporarily.
   editor.setMode('cut');
 
@@ -59,12 +83,15 @@ function editOnCut(editor: DraftEditor, e: SyntheticClipboardEvent<>): void {
   setTimeout(() => {
     editor.restoreEditorDOM(scrollPosition);
     editor.exitCurrentMode();
-    editor.update(removeFragment(editorState));
+    editor.update(removeFragment(editorState, removeRange));
   }, 0);
 }
 
-function removeFragment(editorState: EditorState): EditorState {
-  const newContent = DraftModifier.removeRange(
+function removeFragment(
+  editorState: EditorState,
+  removeRange: DraftRangeRemover,
+): EditorState {
+  const newContent = removeRange(
     editorState.getCurrentContent(),
     editorState.getSelection(),
     'forward',
@@ -11,8 +11,25 @@
 
 'use strict';
 
+import type ContentState from 'ContentState';
 import type {SelectionObject} from 'DraftDOMTypes';
 import type DraftEditor from 'DraftEditor.react';
+import type {DraftInlineStyle} from 'DraftInlineStyle';
+import type {DraftRangeRemover} from 'removeTextWithStrategy';
+import type SelectionState from 'SelectionState';
+
+/**
+ * Replaces the text of a leaf with the text that the browser rendered for it,
+ * like `DraftModifier.replaceText`, which is used unless another function is
+ * given, e.g. in suggestion mode.
+ */
+export type DraftTextReplacer = (
+  contentState: ContentState,
+  rangeToReplace: SelectionState,
+  text: string,
+  inlineStyle?: DraftInlineStyle,
+  entityKey?: ?string,
+) => ContentState;
 
 const DraftModifier = require('DraftModifier');
 const DraftOffsetKey = require('DraftOffsetKey');
@@ -28,10 +45,14 @@ const isGecko = UserAgent.isEngine('Gecko');
 
 const DOUBLE_NEWLINE = '\n\n';
 
-function onInputType(inputType: string, editorState: EditorState): EditorState {
+function onInputType(
+  inputType: string,
+  editorState: EditorState,
+  removeRange?: DraftRangeRemover,
+): EditorState {
   switch (inputType) {
     case 'deleteContentBackward':
-      return keyCommandPlainBackspace(editorState);
+      return keyCommandPlainBackspace(editorState, removeRange);
   }
   return editorState;
 }
@@ -58,8 +79,16 @@ function onInputType(inputType: string, editorState: EditorState): EditorState {
  * the DOM state should match the model in all controlled input cases. Thus,
  * when an `input` change leads to a DOM/model mismatch, the change should be
  * due to a spellcheck change, and we can incorporate it into our model.
+ *
+ * The changed text is incorporated with `replaceText`, and text removed on
+ * `deleteContentBackward` with `removeRange`, if given.
  */
-function editOnInput(editor: DraftEditor, event: ?SyntheticInputEvent<>): void {
+function editOnInput(
+  editor: DraftEditor,
+  event: ?SyntheticInputEvent<>,
+  replaceText?: DraftTextReplacer = DraftModifier.replaceText,
+  removeRange?: DraftRangeRemover,
+): void {
   // This will happen for most simple insertions. The new state is already
   // computed. Let's just call "editor.update". Things should match nicely so
   // this function will exit below where we check "domText === modelText".
@@ -143,7 +172,7 @@ function editOnInput(editor: DraftEditor, event: ?SyntheticInputEvent<>): void {
      */
     const inputType = event ? event.nativeEvent.inputType : undefined;
     if (inputType) {
-      const newEditorState = onInputType(inputType, editorState);
+      const newEditorState = onInputType(inputType, editorState, removeRange);
       if (newEditorState !== editorState) {
         editor.restoreEditorDOM();
         editor.update(newEditorState);
@@ -173,7 +202,7 @@ function editOnInput(editor: DraftEditor, event: ?SyntheticInputEvent<>): void {
   // native browser undo.
   const changeType = preserveEntity ? 'spellcheck-change' : 'apply-entity';
 
-  const newContent = DraftModifier.replaceText(
+  const newContent = replaceText(
     content,
     targetRange,
     domText,
@@ -203,8 +232,10 @@ function editOnInput(editor: DraftEditor, event: ?SyntheticInputEvent<>): void {
     // menu is open, and Safari autocorrect is prone to providing an inaccurate
     // DOM selection. Don't trust it. Instead, use our existing SelectionState
     // and adjust it based on the number of characters changed during the
-    // mutation.
-    const charDelta = domText.length - modelText.length;
+    // mutation. The replaced text may be kept, e.g. in suggestion mode, so
+    // the change is measured on the block rather than on the DOM.
+    const charDelta =
+      newContent.getBlockForKey(blockKey).getLength() - block.getLength();
     startOffset = selection.getStartOffset();
     endOffset = selection.getEndOffset();
 
@@ -13,21 +13,27 @@
 
 import type DraftEditor from 'DraftEditor.react';
 import type {DraftEditorCommand} from 'DraftEditorCommand';
+import type {DraftInputRule} from 'DraftInputRules';
+import type {DraftTextReplacer} from 'editOnInput';
+import type {DraftRangeRemover} from 'removeTextWithStrategy';
 
 const DraftModifier = require('DraftModifier');
 const EditorState = require('EditorState');
 const KeyBindingUtil = require('KeyBindingUtil');
 const Keys = require('Keys');
+const NestedRichTextEditorUtil = require('NestedRichTextEditorUtil');
 const SecondaryClipboard = require('SecondaryClipboard');
 const UserAgent = require('UserAgent');
 
 const isEventHandled = require('isEventHandled');
+const isTreeBasedContentState = require('isTreeBasedContentState');
 const keyCommandBackspaceToStartOfLine = require('keyCommandBackspaceToStartOfLine');
 const keyCommandBackspaceWord = require('keyCommandBackspaceWord');
 const keyCommandDeleteWord = require('keyCommandDeleteWord');
 const keyCommandInsertNewline = require('keyCommandInsertNewline');
 const keyCommandMoveSelectionToEndOfBlock = require('keyCommandMoveSelectionToEndOfBlock');
 const keyCommandMoveSelectionToStartOfBlock = require('keyCommandMoveSelectionToStartOfBlock');
+const keyCommandMoveToTableCell = require('keyCommandMoveToTableCell');
 const keyCommandPlainBackspace = require('keyCommandPlainBackspace');
 const keyCommandPlainDelete = require('keyCommandPlainDelete');
 const keyCommandTransposeCharacters = require('keyCommandTransposeCharacters');
@@ -43,22 +49,44 @@ function onKeyCommand(
   command: DraftEditorCommand | string,
   editorState: EditorState,
   e: SyntheticKeyboardEvent<HTMLElement>,
+  inputRules: ?$ReadOnlyArray<DraftInputRule>,
+  removeRange: ?DraftRangeRemover,
+  replaceText: DraftTextReplacer,
 ): EditorState {
+  // When a custom `removeRange` is given, commands that remove text some
+  // other way are ignored, so that every removal goes through it.
+  if (
+    removeRange &&
+    (command === 'transpose-characters' ||
+      command === 'secondary-cut' ||
+      command === 'secondary-paste')
+  ) {
+    return editorState;
+  }
   switch (command) {
     case 'redo':
       return EditorState.redo(editorState);
     case 'delete':
-      return keyCommandPlainDelete(editorState);
+      return keyCommandPlainDelete(editorState, removeRange || undefined);
     case 'delete-word':
-      return keyCommandDeleteWord(editorState);
+      return keyCommandDeleteWord(editorState, removeRange || undefined);
     case 'backspace':
-      return keyCommandPlainBackspace(editorState);
+      return keyCommandPlainBackspace(editorState, removeRange || undefined);
     case 'backspace-word':
-      return keyCommandBackspaceWord(editorState);
+      return keyCommandBackspaceWord(editorState, removeRange || undefined);
     case 'backspace-to-start-of-line':
-      return keyCommandBackspaceToStartOfLine(editorState, e);
+      return keyCommandBackspaceToStartOfLine(
+        editorState,
+        e,
+        removeRange || undefined,
+      );
     case 'split-block':
-      return keyCommandInsertNewline(editorState);
+      return keyCommandInsertNewline(
+        editorState,
+        inputRules,
+        removeRange || undefined,
+        replaceText,
+      );
     case 'transpose-characters':
       return keyCommandTransposeCharacters(editorState);
     case 'move-selection-to-start-of-block':
@@ -74,6 +102,43 @@ function onKeyCommand(
   }
 }
 
+/**
+ * Navigate the autocomplete list of the editor while it has items, and
+ * return whether the key was handled.
+ */
+function onAutocompleteKeyDown(
+  editor: DraftEditor,
+  e: SyntheticKeyboardEvent<HTMLElement>,
+): boolean {
+  const {autocomplete} = editor.props;
+  const query = editor._autocompleteQuery;
+  if (!autocomplete || !query || autocomplete.itemCount === 0) {
+    return false;
+  }
+  const {highlightedIndex, itemCount} = autocomplete;
+  switch (e.which) {
+    case Keys.UP:
+      autocomplete.onHighlightChange(
+        (highlightedIndex + itemCount - 1) % itemCount,
+      );
+      break;
+    case Keys.DOWN:
+      autocomplete.onHighlightChange((highlightedIndex + 1) % itemCount);
+      break;
+    case Keys.RETURN:
+    case Keys.TAB:
+      autocomplete.onSelect(highlightedIndex, query);
+      break;
+    case Keys.ESC:
+      editor._dismissAutocompleteQuery();
+      break;
+    default:
+      return false;
+  }
+  e.preventDefault();
+  return true;
+}
+
 /**
  * Intercept keydown behavior to handle keys and commands manually, if desired.
  *
@@ -81,14 +146,27 @@ function onKeyCommand(
  * correspond to command functions that modify the editor or its contents.
  *
  * See `getDefaultKeyBinding` for defaults. Alternatively, the top-level
- * component may provide a custom mapping via the `keyBindingFn` prop.
+ * component may provide a custom mapping via the `keyBindingFn` prop, or a
+ * `DraftKeymap` via the `keymap` prop.
+ *
+ * Text removed by commands goes through `removeRange`, if given, instead of
+ * `DraftModifier.removeRange`, and text inserted by them through
+ * `replaceText`. Input rules are only applied without `removeRange`.
+ *
+ * While the autocomplete list of the editor has items, its navigation keys
+ * are handled before the key handler props and commands.
  */
 function editOnKeyDown(
   editor: DraftEditor,
   e: SyntheticKeyboardEvent<HTMLElement>,
+  removeRange?: DraftRangeRemover,
+  replaceText?: DraftTextReplacer = DraftModifier.replaceText,
 ): void {
   const keyCode = e.which;
   const editorState = editor._latestEditorState;
+  if (onAutocompleteKeyDown(editor, e)) {
+    return;
+  }
   function callDeprecatedHandler(
     handlerName:
       | 'onDownArrow'
@@ -124,11 +202,31 @@ function editOnKeyDown(
         return;
       }
       break;
-    case Keys.TAB:
+    case Keys.TAB: {
       if (callDeprecatedHandler('onTab')) {
         return;
       }
+      // Tab moves between the cells of a table.
+      const withCellSelection = keyCommandMoveToTableCell(
+        editorState,
+        e.shiftKey,
+      );
+      if (withCellSelection !== editorState) {
+        e.preventDefault();
+        editor.update(withCellSelection);
+        return;
+      }
+      // In tree-based content, Tab nests list items in the items before
+      // them, and Shift-Tab moves them out.
+      if (isTreeBasedContentState(editorState.getCurrentContent())) {
+        const withNesting = NestedRichTextEditorUtil.onTab(e, editorState);
+        if (withNesting !== editorState) {
+          editor.update(withNesting);
+          return;
+        }
+      }
       break;
+    }
     case Keys.UP:
       if (callDeprecatedHandler('onUpArrow')) {
         return;
@@ -156,7 +254,14 @@ function editOnKeyDown(
       }
   }
 
-  const command = editor.props.keyBindingFn(e);
+  const {keymap} = editor.props;
+  const command = keymap ? keymap.getCommand(e) : editor.props.keyBindingFn(e);
+
+  // The first keys of a chord only wait for the next ones.
+  if (keymap && keymap.isChordPending()) {
+    e.preventDefault();
+    return;
+  }
 
   // If no command is specified, allow keydown event to continue.
   if (command == null || command === '') {
@@ -164,7 +269,7 @@ function editOnKeyDown(
       // The default keydown event has already been prevented in order to stop
       // Chrome from scrolling. Insert a nbsp into the editor as OSX would for
       // other browsers.
-      const contentState = DraftModifier.replaceText(
+      const contentState = replaceText(
         editorState.getCurrentContent(),
         editorState.getSelection(),
         '\u00a0',
@@ -197,7 +302,14 @@ function editOnKeyDown(
     return;
   }
 
-  const newState = onKeyCommand(command, editorState, e);
+  const newState = onKeyCommand(
+    command,
+    editorState,
+    e,
+    removeRange ? null : editor.props.inputRules,
+    removeRange,
+    replaceText,
+  );
   if (newState !== editorState) {
     editor.update(newState);
   }
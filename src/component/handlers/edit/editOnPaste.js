@@ -14,31 +14,50 @@
 import type {BlockMap} from 'BlockMap';
 import type DraftEditor from 'DraftEditor.react';
 import type {EntityMap} from 'EntityMap';
+import type SelectionState from 'SelectionState';
+
+/**
+ * Inserts pasted content, like `DraftModifier.replaceWithFragment`, which is
+ * used unless another function is given, e.g. in suggestion mode.
+ */
+export type DraftFragmentInserter = (
+  contentState: ContentState,
+  targetRange: SelectionState,
+  fragment: BlockMap,
+) => ContentState;
 
 const BlockMapBuilder = require('BlockMapBuilder');
 const CharacterMetadata = require('CharacterMetadata');
 const ContentState = require('ContentState');
 const DataTransfer = require('DataTransfer');
+const DraftClipboard = require('DraftClipboard');
 const DraftModifier = require('DraftModifier');
 const DraftPasteProcessor = require('DraftPasteProcessor');
 const EditorState = require('EditorState');
 const RichTextEditorUtil = require('RichTextEditorUtil');
 
+const getContentFromFiles = require('getContentFromFiles');
 const getEntityKeyForSelection = require('getEntityKeyForSelection');
-const getTextContentFromFiles = require('getTextContentFromFiles');
 const isEventHandled = require('isEventHandled');
+const isTreeBasedContentState = require('isTreeBasedContentState');
 const splitTextIntoTextBlocks = require('splitTextIntoTextBlocks');
+const uploadFiles = require('uploadFiles');
 
 /**
- * Paste content.
+ * Paste content. The pasted fragment is inserted with `replaceWithFragment`,
+ * if given.
  */
-function editOnPaste(editor: DraftEditor, e: SyntheticClipboardEvent<>): void {
+function editOnPaste(
+  editor: DraftEditor,
+  e: SyntheticClipboardEvent<>,
+  replaceWithFragment?: DraftFragmentInserter = DraftModifier.replaceWithFragment,
+): void {
   e.preventDefault();
   const data = new DataTransfer(e.clipboardData);
 
   // Get files, unless this is likely to be a string the user wants inline.
   if (!data.isRichText()) {
-    const files: Array<Blob> = (data.getFiles(): any);
+    let files: Array<Blob> = (data.getFiles(): any);
     const defaultFileText = data.getText();
     if (files.length > 0) {
       // Allow customized paste handling for images, etc. Otherwise, fall
@@ -50,16 +69,57 @@ function editOnPaste(editor: DraftEditor, e: SyntheticClipboardEvent<>): void {
         return;
       }
 
+      // Upload files with the `uploadFile` function of the editor, if any.
+      // Only text files are left to be inserted as text.
+      const textFiles = uploadFiles(
+        editor,
+        editor._latestEditorState.getSelection(),
+        files,
+      );
+      if (textFiles.length === 0) {
+        return;
+      }
+      files = textFiles;
+
+      // HTML, Markdown and RTF files are converted to rich content, unless
+      // styles are stripped. Other text files are inserted as plain text.
+      const fileImportOptions = {
+        blockRenderMap: editor.props.blockRenderMap,
+        htmlImportOptions: editor.props.htmlImportOptions,
+        maxLength: editor.props.maxFileTextLength,
+        treeData: isTreeBasedContentState(
+          editor._latestEditorState.getCurrentContent(),
+        ),
+      };
       /* $FlowFixMe[incompatible-call] This comment suppresses an error found
        * DataTransfer was typed. getFiles() returns an array of <Files extends
        * Blob>, not Blob */
-      getTextContentFromFiles(files, (/*string*/ fileText) => {
-        fileText = fileText || defaultFileText;
+      getContentFromFiles(files, fileImportOptions, fileContent => {
+        const editorState = editor._latestEditorState;
+        const fileBlocks = fileContent.blocks;
+        if (fileBlocks && !editor.props.stripPastedStyles) {
+          editor.update(
+            EditorState.push(
+              editorState,
+              replaceWithFragment(
+                editorState.getCurrentContent(),
+                editorState.getSelection(),
+                BlockMapBuilder.createFromArray(fileBlocks),
+              ),
+              'insert-fragment',
+            ),
+          );
+          return;
+        }
+
+        const fileText =
+          (fileBlocks
+            ? fileBlocks.map(block => block.getText()).join('\n')
+            : fileContent.text) || defaultFileText;
         if (!fileText) {
           return;
         }
 
-        const editorState = editor._latestEditorState;
         const blocks = splitTextIntoTextBlocks(fileText);
         const character = CharacterMetadata.create({
           style: editorState.getCurrentInlineStyle(),
@@ -75,10 +135,11 @@ function editOnPaste(editor: DraftEditor, e: SyntheticClipboardEvent<>): void {
           blocks,
           character,
           currentBlockType,
+          fileImportOptions,
         );
         const fragment = BlockMapBuilder.createFromArray(text);
 
-        const withInsertedText = DraftModifier.replaceWithFragment(
+        const withInsertedText = replaceWithFragment(
           editorState.getCurrentContent(),
           editorState.getSelection(),
           fragment,
@@ -97,6 +158,8 @@ function editOnPaste(editor: DraftEditor, e: SyntheticClipboardEvent<>): void {
   let text: string = (data.getText(): any);
   let html: string = (data.getHTML(): any);
   const editorState = editor._latestEditorState;
+  // Pasted content is converted to the kind of blocks the editor has.
+  const treeData = isTreeBasedContentState(editorState.getCurrentContent());
 
   if (editor.props.formatPastedText) {
     const {text: formattedText, html: formattedHtml} =
@@ -119,8 +182,28 @@ function editOnPaste(editor: DraftEditor, e: SyntheticClipboardEvent<>): void {
     // stripped during comparison -- this is because copy/paste within the
     // editor in Firefox and IE will not include empty lines. The resulting
     // paste will preserve the newlines correctly.
+    //
+    // A fragment copied from any Draft editor is preferred, since it is
+    // pasted as it was copied.
     const internalClipboard = editor.getClipboard();
-    if (
+    const pastedFragment =
+      !editor.props.formatPastedText &&
+      data.types.includes(DraftClipboard.FRAGMENT_TYPE)
+        ? DraftClipboard.getFragment(
+            e.clipboardData.getData(DraftClipboard.FRAGMENT_TYPE),
+            {treeData},
+          )
+        : null;
+    if (pastedFragment) {
+      handleInternalPaste = () =>
+        editor.update(
+          insertFragment(
+            editor._latestEditorState,
+            pastedFragment,
+            replaceWithFragment,
+          ),
+        );
+    } else if (
       !editor.props.formatPastedText &&
       data.isRichText() &&
       internalClipboard
@@ -138,7 +221,11 @@ function editOnPaste(editor: DraftEditor, e: SyntheticClipboardEvent<>): void {
       ) {
         handleInternalPaste = () =>
           editor.update(
-            insertFragment(editor._latestEditorState, internalClipboard),
+            insertFragment(
+              editor._latestEditorState,
+              internalClipboard,
+              replaceWithFragment,
+            ),
           );
       }
     } else if (
@@ -152,7 +239,11 @@ function editOnPaste(editor: DraftEditor, e: SyntheticClipboardEvent<>): void {
       // the clipboard. See https://bugs.webkit.org/show_bug.cgi?id=19893.
       handleInternalPaste = () =>
         editor.update(
-          insertFragment(editor._latestEditorState, internalClipboard),
+          insertFragment(
+            editor._latestEditorState,
+            internalClipboard,
+            replaceWithFragment,
+          ),
         );
     }
 
@@ -180,13 +271,19 @@ function editOnPaste(editor: DraftEditor, e: SyntheticClipboardEvent<>): void {
       const htmlFragment = DraftPasteProcessor.processHTML(
         html,
         editor.props.blockRenderMap,
+        {...editor.props.htmlImportOptions, treeData},
       );
       if (htmlFragment) {
         const {contentBlocks, entityMap} = htmlFragment;
         if (contentBlocks) {
           const htmlMap = BlockMapBuilder.createFromArray(contentBlocks);
           editor.update(
-            insertFragment(editor._latestEditorState, htmlMap, entityMap),
+            insertFragment(
+              editor._latestEditorState,
+              htmlMap,
+              replaceWithFragment,
+              entityMap,
+            ),
           );
           return;
         }
@@ -214,19 +311,23 @@ function editOnPaste(editor: DraftEditor, e: SyntheticClipboardEvent<>): void {
       textBlocks,
       character,
       currentBlockType,
+      {treeData},
     );
 
     const textMap = BlockMapBuilder.createFromArray(textFragment);
-    editor.update(insertFragment(editor._latestEditorState, textMap));
+    editor.update(
+      insertFragment(editor._latestEditorState, textMap, replaceWithFragment),
+    );
   }
 }
 
 function insertFragment(
   editorState: EditorState,
   fragment: BlockMap,
+  replaceWithFragment: DraftFragmentInserter,
   entityMap: ?EntityMap,
 ): EditorState {
-  const newContent = DraftModifier.replaceWithFragment(
+  const newContent = replaceWithFragment(
     editorState.getCurrentContent(),
     editorState.getSelection(),
     fragment,
@@ -0,0 +1,232 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type DraftEditor from 'DraftEditor.react';
+
+/**
+ * Uploads a file and resolves with its URL. `onProgress` may be called with
+ * the fraction of the file uploaded so far, from 0 to 1.
+ */
+export type DraftUploadFileFn = (
+  file: Blob,
+  onProgress: (progress: number) => void,
+) => Promise<string>;
+
+const AtomicBlockUtils = require('AtomicBlockUtils');
+const DraftModifier = require('DraftModifier');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const {List} = require('immutable');
+
+// Types of files that are not text but are imported as rich text
+const IMPORTED_TYPES = ['application/rtf'];
+
+/**
+ * Text files, and RTF files, are inserted as text rather than uploaded. Files
+ * without a type, such as text clippings, are treated as text as well.
+ */
+const isUploadable = (file: Blob): boolean =>
+  file.type !== '' &&
+  file.type.indexOf('text/') !== 0 &&
+  !IMPORTED_TYPES.includes(file.type);
+
+const findPlaceholders = (
+  editorState: EditorState,
+  entityKey: string,
+): List<BlockNodeRecord> =>
+  editorState
+    .getCurrentContent()
+    .getBlockMap()
+    .filter(
+      block =>
+        block.getType() === 'atomic' && block.getEntityAt(0) === entityKey,
+    )
+    .toList();
+
+/**
+ * Entity data is not part of the content, so the placeholders of an entity
+ * are replaced with copies of themselves for them to be rendered again. The
+ * undo stack is left as is.
+ */
+const refreshPlaceholders = (
+  editorState: EditorState,
+  entityKey: string,
+): EditorState => {
+  const placeholders = findPlaceholders(editorState, entityKey);
+  if (placeholders.isEmpty()) {
+    return editorState;
+  }
+  const contentState = editorState.getCurrentContent();
+  const blockMap = contentState.getBlockMap().merge(
+    placeholders.map(block => [
+      block.getKey(),
+      block.merge({
+        characterList: List(block.getCharacterList().toArray()),
+      }),
+    ]),
+  );
+  return EditorState.set(editorState, {
+    currentContent: contentState.merge({blockMap}),
+  });
+};
+
+/**
+ * Remove a placeholder block without changing the blocks around it.
+ */
+const removePlaceholder = (contentState, block) => {
+  const key = block.getKey();
+  const blockBefore = contentState.getBlockBefore(key);
+  const blockAfter = contentState.getBlockAfter(key);
+  if (blockBefore) {
+    return DraftModifier.removeRange(
+      contentState,
+      new SelectionState({
+        anchorKey: blockBefore.getKey(),
+        anchorOffset: blockBefore.getLength(),
+        focusKey: key,
+        focusOffset: block.getLength(),
+      }),
+      'backward',
+    );
+  }
+  const range = SelectionState.createEmpty(key).merge({
+    focusKey: blockAfter ? blockAfter.getKey() : key,
+    focusOffset: blockAfter ? 0 : block.getLength(),
+  });
+  return DraftModifier.setBlockType(
+    DraftModifier.removeRange(contentState, range, 'forward'),
+    SelectionState.createEmpty(key),
+    blockAfter ? blockAfter.getType() : 'unstyled',
+  );
+};
+
+const removePlaceholders = (
+  editorState: EditorState,
+  entityKey: string,
+): EditorState => {
+  const placeholders = findPlaceholders(editorState, entityKey);
+  if (placeholders.isEmpty()) {
+    return editorState;
+  }
+  const contentState = placeholders.reduce(
+    removePlaceholder,
+    editorState.getCurrentContent(),
+  );
+  const selection = editorState.getSelection();
+  const isSelectionRemoved = placeholders.some(
+    block =>
+      block.getKey() === selection.getStartKey() ||
+      block.getKey() === selection.getEndKey(),
+  );
+  const withoutPlaceholders = EditorState.set(editorState, {
+    currentContent: contentState,
+  });
+  return isSelectionRemoved
+    ? EditorState.forceSelection(
+        withoutPlaceholders,
+        contentState.getSelectionAfter(),
+      )
+    : withoutPlaceholders;
+};
+
+/**
+ * Upload the files pasted or dropped at a selection with the `uploadFile`
+ * function of the editor.
+ *
+ * An atomic block is inserted in place of each file right away, as a single
+ * change, with an `IMAGE` entity for images and a `FILE` entity for other
+ * files. The entity data holds the `name` of the file, the `status` of the
+ * upload, `uploading`, `done` or `failed`, and its `progress`, from 0 to 1.
+ * Once the file is uploaded, its URL is set as the `src` of the entity. If the
+ * upload fails, the `error` is set on the entity and its block is removed.
+ *
+ * Neither progress nor completion create undo steps: the content is looked up
+ * again when they happen, so that typing during uploads is kept, and undoing
+ * the insertion removes the block whatever the status of the upload.
+ *
+ * Returns the files that are not uploaded, which are inserted as text.
+ */
+function uploadFiles(
+  editor: DraftEditor,
+  selection: SelectionState,
+  files: Array<Blob>,
+): Array<Blob> {
+  const uploadFile = editor.props.uploadFile;
+  const uploadableFiles = uploadFile ? files.filter(isUploadable) : [];
+  if (!uploadFile || uploadableFiles.length === 0) {
+    return files;
+  }
+
+  const editorState = editor._latestEditorState;
+  let withPlaceholders = EditorState.acceptSelection(editorState, selection);
+  const entityKeys = uploadableFiles.map(file => {
+    const contentState = withPlaceholders
+      .getCurrentContent()
+      .createEntity(
+        file.type.indexOf('image/') === 0 ? 'IMAGE' : 'FILE',
+        'IMMUTABLE',
+        {
+          name: typeof (file: any).name === 'string' ? (file: any).name : null,
+          status: 'uploading',
+          progress: 0,
+        },
+      );
+    const entityKey = contentState.getLastCreatedEntityKey();
+    withPlaceholders = AtomicBlockUtils.insertAtomicBlock(
+      withPlaceholders,
+      entityKey,
+      ' ',
+    );
+    return entityKey;
+  });
+  editor.update(
+    EditorState.push(
+      editorState,
+      withPlaceholders
+        .getCurrentContent()
+        .merge({selectionBefore: editorState.getSelection()}),
+      'insert-fragment',
+    ),
+  );
+
+  uploadableFiles.forEach((file, ii) => {
+    const entityKey = entityKeys[ii];
+    const updateEntity = (data, updateFn) => {
+      const latestEditorState = editor._latestEditorState;
+      latestEditorState.getCurrentContent().mergeEntityData(entityKey, data);
+      editor.update(updateFn(latestEditorState, entityKey));
+    };
+    const onProgress = progress => {
+      const entity = editor._latestEditorState
+        .getCurrentContent()
+        .getEntity(entityKey);
+      if (entity.getData().status === 'uploading') {
+        updateEntity(
+          {progress: Math.min(Math.max(progress, 0), 1)},
+          refreshPlaceholders,
+        );
+      }
+    };
+    uploadFile(file, onProgress).then(
+      src =>
+        updateEntity({src, status: 'done', progress: 1}, refreshPlaceholders),
+      error => updateEntity({status: 'failed', error}, removePlaceholders),
+    );
+  });
+
+  return files.filter(file => !isUploadable(file));
+}
+
+module.exports = uploadFiles;
@@ -0,0 +1,94 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type DraftEditor from 'DraftEditor.react';
+
+const DraftEditorEditHandler = require('DraftEditorEditHandler');
+const EditorState = require('EditorState');
+
+const editOnCut = require('editOnCut');
+const editOnInput = require('editOnInput');
+const editOnKeyDown = require('editOnKeyDown');
+const editOnPaste = require('editOnPaste');
+const getEntityKeyForSelection = require('getEntityKeyForSelection');
+const getSuggestionModifiers = require('getSuggestionModifiers');
+const isEventHandled = require('isEventHandled');
+
+/**
+ * `suggest` mode handles text entry while the editor tracks changes: it
+ * behaves like `edit` mode, except that typing, deleting, cutting, pasting
+ * and native text changes go through `DraftSuggestions` to be recorded as
+ * suggestions.
+ */
+const DraftEditorSuggestHandler = {
+  ...DraftEditorEditHandler,
+
+  /**
+   * Typed characters are never inserted natively, since they are rendered
+   * with the style of the insertion.
+   */
+  onBeforeInput(editor: DraftEditor, e: SyntheticInputEvent<HTMLElement>) {
+    const chars = e.data;
+    if (!chars) {
+      return;
+    }
+
+    const editorState = editor._latestEditorState;
+    e.preventDefault();
+    if (
+      editor.props.handleBeforeInput &&
+      isEventHandled(
+        editor.props.handleBeforeInput(chars, editorState, e.timeStamp),
+      )
+    ) {
+      return;
+    }
+
+    const contentState = editorState.getCurrentContent();
+    const selection = editorState.getSelection();
+    const newContentState = getSuggestionModifiers(editor).replaceText(
+      contentState,
+      selection,
+      chars,
+      editorState.getCurrentInlineStyle(),
+      getEntityKeyForSelection(contentState, selection),
+    );
+    editor.update(
+      EditorState.push(editorState, newContentState, 'insert-characters', true),
+    );
+  },
+
+  onCut(editor: DraftEditor, e: SyntheticClipboardEvent<>) {
+    editOnCut(editor, e, getSuggestionModifiers(editor).removeRange);
+  },
+
+  /**
+   * Spellcheck and autocorrect change the DOM natively; the change is
+   * reconciled with the model as a suggestion.
+   */
+  onInput(editor: DraftEditor, e: SyntheticInputEvent<>) {
+    const {removeRange, replaceChangedText} = getSuggestionModifiers(editor);
+    editOnInput(editor, e, replaceChangedText, removeRange);
+  },
+
+  onKeyDown(editor: DraftEditor, e: SyntheticKeyboardEvent<HTMLElement>) {
+    const {removeRange, replaceText} = getSuggestionModifiers(editor);
+    editOnKeyDown(editor, e, removeRange, replaceText);
+  },
+
+  onPaste(editor: DraftEditor, e: SyntheticClipboardEvent<>) {
+    editOnPaste(editor, e, getSuggestionModifiers(editor).replaceWithFragment);
+  },
+};
+
+module.exports = DraftEditorSuggestHandler;
@@ -0,0 +1,237 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type DraftEditor from 'DraftEditor.react';
+
+const ContentBlock = require('ContentBlock');
+const ContentState = require('ContentState');
+const DraftEditorSuggestHandler = require('DraftEditorSuggestHandler');
+const DraftSuggestions = require('DraftSuggestions');
+const EditorState = require('EditorState');
+const Keys = require('Keys');
+const SelectionState = require('SelectionState');
+
+jest.mock('findAncestorOffsetKey', () => jest.fn(() => 'a-0-0'));
+
+const getEditorState = (offset: number) =>
+  EditorState.acceptSelection(
+    EditorState.createWithContent(
+      ContentState.createFromBlockArray([
+        new ContentBlock({key: 'a', text: 'Arsenal'}),
+      ]),
+    ),
+    new SelectionState({
+      anchorKey: 'a',
+      anchorOffset: offset,
+      focusKey: 'a',
+      focusOffset: offset,
+      isBackward: false,
+    }),
+  );
+
+const getDraftEditor = (editorState, command = null): DraftEditor =>
+  ({
+    _latestEditorState: editorState,
+    props: {
+      suggestionAuthor: 'alice',
+      keyBindingFn: () => command,
+    },
+    update: jest.fn(),
+  }: any);
+
+const getUpdatedContent = (editor: DraftEditor) =>
+  // $FlowExpectedError[prop-missing] `update` is a mock.
+  editor.update.mock.calls[0][0].getCurrentContent();
+
+test('must insert typed characters as a suggestion', () => {
+  const editor = getDraftEditor(getEditorState(7));
+  const preventDefault = jest.fn();
+  DraftEditorSuggestHandler.onBeforeInput(
+    editor,
+    ({
+      data: '!',
+      preventDefault,
+    }: any),
+  );
+
+  expect(preventDefault).toHaveBeenCalled();
+  const content = getUpdatedContent(editor);
+  expect(content.getPlainText()).toBe('Arsenal!');
+  expect(DraftSuggestions.getSuggestions(content)).toMatchObject([
+    {
+      type: 'insertion',
+      author: 'alice',
+      ranges: [{blockKey: 'a', start: 7, end: 8}],
+    },
+  ]);
+});
+
+test('must keep the character removed with backspace as a suggestion', () => {
+  const editor = getDraftEditor(getEditorState(7), 'backspace');
+  DraftEditorSuggestHandler.onKeyDown(
+    editor,
+    ({
+      which: Keys.BACKSPACE,
+      preventDefault: jest.fn(),
+    }: any),
+  );
+
+  const content = getUpdatedContent(editor);
+  expect(content.getPlainText()).toBe('Arsenal');
+  expect(content.getSelectionAfter().getAnchorOffset()).toBe(6);
+  expect(DraftSuggestions.getSuggestions(content)).toMatchObject([
+    {
+      type: 'deletion',
+      author: 'alice',
+      ranges: [{blockKey: 'a', start: 6, end: 7}],
+    },
+  ]);
+});
+
+test('must move past the character removed with delete', () => {
+  const editor = getDraftEditor(getEditorState(0), 'delete');
+  DraftEditorSuggestHandler.onKeyDown(
+    editor,
+    ({
+      which: Keys.DELETE,
+      preventDefault: jest.fn(),
+    }: any),
+  );
+
+  const content = getUpdatedContent(editor);
+  expect(content.getSelectionAfter().getAnchorOffset()).toBe(1);
+  expect(DraftSuggestions.getSuggestions(content)).toMatchObject([
+    {type: 'deletion', ranges: [{blockKey: 'a', start: 0, end: 1}]},
+  ]);
+});
+
+test('must ignore commands that cannot be tracked', () => {
+  const editor = getDraftEditor(getEditorState(3), 'transpose-characters');
+  DraftEditorSuggestHandler.onKeyDown(
+    editor,
+    ({
+      which: Keys.A,
+      preventDefault: jest.fn(),
+    }: any),
+  );
+  expect(editor.update).not.toHaveBeenCalled();
+});
+
+const onInput = (editor: DraftEditor, domText: string, inputType: string) => {
+  const oldGetSelection = global.getSelection;
+  try {
+    global.getSelection = () => ({
+      anchorNode: document.createTextNode(domText),
+      isCollapsed: true,
+    });
+    DraftEditorSuggestHandler.onInput(
+      editor,
+      ({nativeEvent: {inputType}}: any),
+    );
+  } finally {
+    global.getSelection = oldGetSelection;
+  }
+};
+
+const getDraftEditorWithDOM = (editorState): DraftEditor =>
+  ({
+    ...getDraftEditor(editorState),
+    editor: document.createElement('div'),
+    restoreEditorDOM: jest.fn(),
+  }: any);
+
+test('must suggest the text changed by spellcheck', () => {
+  const editor = getDraftEditorWithDOM(getEditorState(7));
+  onInput(editor, 'Arsenic', 'insertReplacementText');
+
+  const content = getUpdatedContent(editor);
+  expect(content.getPlainText()).toBe('Arsenalic');
+  expect(content.getSelectionAfter().getAnchorOffset()).toBe(9);
+  expect(DraftSuggestions.getSuggestions(content)).toMatchObject([
+    {
+      type: 'deletion',
+      author: 'alice',
+      ranges: [{blockKey: 'a', start: 5, end: 7}],
+    },
+    {
+      type: 'insertion',
+      author: 'alice',
+      ranges: [{blockKey: 'a', start: 7, end: 9}],
+    },
+  ]);
+});
+
+test('must keep the character removed on input as a suggestion', () => {
+  const editor = getDraftEditorWithDOM(getEditorState(7));
+  onInput(editor, 'Arsenal', 'deleteContentBackward');
+
+  const content = getUpdatedContent(editor);
+  expect(content.getPlainText()).toBe('Arsenal');
+  expect(DraftSuggestions.getSuggestions(content)).toMatchObject([
+    {type: 'deletion', ranges: [{blockKey: 'a', start: 6, end: 7}]},
+  ]);
+});
+
+test('must keep the text replaced by a block split as a suggestion', () => {
+  const editor = getDraftEditor(
+    EditorState.acceptSelection(
+      getEditorState(0),
+      new SelectionState({
+        anchorKey: 'a',
+        anchorOffset: 2,
+        focusKey: 'a',
+        focusOffset: 4,
+        isBackward: false,
+      }),
+    ),
+    'split-block',
+  );
+  DraftEditorSuggestHandler.onKeyDown(
+    editor,
+    ({which: Keys.RETURN, preventDefault: jest.fn()}: any),
+  );
+
+  const content = getUpdatedContent(editor);
+  expect(content.getPlainText()).toBe('Arse\nnal');
+  expect(DraftSuggestions.getSuggestions(content)).toMatchObject([
+    {
+      type: 'deletion',
+      author: 'alice',
+      ranges: [{blockKey: 'a', start: 2, end: 4}],
+    },
+  ]);
+});
+
+test('must insert newlines in table cells as a suggestion', () => {
+  const editor = getDraftEditor(
+    EditorState.acceptSelection(
+      EditorState.createWithContent(
+        ContentState.createFromBlockArray([
+          new ContentBlock({key: 'a', text: 'Cell', type: 'table-cell'}),
+        ]),
+      ),
+      SelectionState.createEmpty('a').merge({anchorOffset: 2, focusOffset: 2}),
+    ),
+    'split-block',
+  );
+  DraftEditorSuggestHandler.onKeyDown(
+    editor,
+    ({which: Keys.RETURN, preventDefault: jest.fn()}: any),
+  );
+
+  const content = getUpdatedContent(editor);
+  expect(content.getPlainText()).toBe('Ce\nll');
+  expect(DraftSuggestions.getSuggestions(content)).toMatchObject([
+    {type: 'insertion', ranges: [{blockKey: 'a', start: 2, end: 3}]},
+  ]);
+});
@@ -0,0 +1,84 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type DraftEditor from 'DraftEditor.react';
+import type {DraftTextReplacer} from 'editOnInput';
+import type {DraftFragmentInserter} from 'editOnPaste';
+import type {DraftRangeRemover} from 'removeTextWithStrategy';
+
+const DraftSuggestions = require('DraftSuggestions');
+
+const nullthrows = require('nullthrows');
+
+export type DraftSuggestionModifiers = {
+  removeRange: DraftRangeRemover,
+  // For text changed natively by the browser, on `input` events and at the
+  // end of IME compositions: only the part of it that changed is suggested.
+  replaceChangedText: DraftTextReplacer,
+  replaceText: DraftTextReplacer,
+  replaceWithFragment: DraftFragmentInserter,
+};
+
+/**
+ * Get the modifiers with which the handlers of the editor make changes while
+ * it tracks them. Changes are attributed to the `suggestionAuthor` of the
+ * editor, at the time of the event.
+ */
+function getSuggestionModifiers(editor: DraftEditor): DraftSuggestionModifiers {
+  const context = {
+    author: nullthrows(editor.props.suggestionAuthor),
+    timestamp: Date.now(),
+  };
+  return {
+    removeRange: (contentState, rangeToRemove, removalDirection) =>
+      DraftSuggestions.removeRange(
+        contentState,
+        rangeToRemove,
+        removalDirection,
+        context,
+      ),
+    replaceChangedText: (
+      contentState,
+      rangeToReplace,
+      text,
+      inlineStyle,
+      entityKey,
+    ) =>
+      DraftSuggestions.replaceChangedText(
+        contentState,
+        rangeToReplace,
+        text,
+        context,
+        inlineStyle,
+        entityKey,
+      ),
+    replaceText: (contentState, rangeToReplace, text, inlineStyle, entityKey) =>
+      DraftSuggestions.replaceText(
+        contentState,
+        rangeToReplace,
+        text,
+        context,
+        inlineStyle,
+        entityKey,
+      ),
+    replaceWithFragment: (contentState, targetRange, fragment) =>
+      DraftSuggestions.replaceWithFragment(
+        contentState,
+        targetRange,
+        fragment,
+        context,
+      ),
+  };
+}
+
+module.exports = getSuggestionModifiers;
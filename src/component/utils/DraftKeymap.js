@@ -0,0 +1,438 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow strict-local
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+const KeyBindingUtil = require('KeyBindingUtil');
+
+const invariant = require('invariant');
+
+/**
+ * Commands bound to shortcuts, such as `'Mod-b': 'bold'`. A shortcut is a
+ * sequence of keys separated by spaces, as in the chord `'Ctrl-x Ctrl-s'`.
+ * Each key is a key name, as in `KeyboardEvent.key`, preceded by modifiers:
+ * `Ctrl`, `Alt`, `Shift`, `Meta` (or `Cmd`), and `Mod`, which stands for
+ * `Meta` on macOS and for `Ctrl` elsewhere. A null command unbinds the
+ * shortcut.
+ */
+export type DraftKeymapBindings = {[shortcut: string]: ?string, ...};
+
+export type DraftKeymapOptions = {
+  // The time allowed between the keys of a chord, in milliseconds. Defaults
+  // to 1000.
+  chordTimeout?: number,
+  // Whether the bindings are layered over the default bindings of the
+  // editor. Defaults to true.
+  useDefaults?: boolean,
+  // Whether `Mod` stands for `Meta`. Defaults to whether the platform is
+  // macOS.
+  isMac?: boolean,
+  ...
+};
+
+export type DraftKeymapBinding = {
+  shortcut: string,
+  command: string,
+  isDefault: boolean,
+  ...
+};
+
+export type DraftKeymapConflict = {
+  shortcut: string,
+  // The commands bound to the shortcut, then those bound to the chords that
+  // start with it, if any
+  commands: Array<string>,
+  ...
+};
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+const MODIFIER_ALIASES = {
+  alt: 'Alt',
+  cmd: 'Meta',
+  command: 'Meta',
+  control: 'Ctrl',
+  ctrl: 'Ctrl',
+  meta: 'Meta',
+  option: 'Alt',
+  shift: 'Shift',
+};
+
+const KEY_ALIASES = {
+  del: 'Delete',
+  down: 'ArrowDown',
+  esc: 'Escape',
+  left: 'ArrowLeft',
+  return: 'Enter',
+  right: 'ArrowRight',
+  space: 'Space',
+  up: 'ArrowUp',
+};
+
+// Keys that are only pressed along with other keys
+const MODIFIER_KEYS = [
+  'Alt',
+  'AltGraph',
+  'CapsLock',
+  'Control',
+  'Meta',
+  'OS',
+  'Shift',
+];
+
+const REGEX_CODE_KEY = /^(?:Key([A-Z])|Digit([0-9]))$/;
+
+const normalizeKeyName = (name: string): string => {
+  if (name === ' ') {
+    return 'Space';
+  }
+  if (name.length === 1) {
+    return name.toLowerCase();
+  }
+  return KEY_ALIASES[name.toLowerCase()] || name;
+};
+
+const toStroke = (modifiers: {[string]: boolean, ...}, key: string): string =>
+  MODIFIERS.filter(modifier => modifiers[modifier])
+    .concat(key)
+    .join('-');
+
+const MODIFIER_COMBINATIONS = MODIFIERS.reduce(
+  (combinations: Array<{[string]: boolean, ...}>, modifier: string) =>
+    combinations.concat(
+      combinations.map(modifiers => ({...modifiers, [modifier]: true})),
+    ),
+  [{Ctrl: false, Alt: false, Shift: false, Meta: false}],
+);
+
+// The keys that `getDefaultKeyBinding` binds, except for the arrow keys that
+// it only binds on Firefox 28 and earlier
+const DEFAULT_KEYS = [
+  'b',
+  'd',
+  'h',
+  'i',
+  'j',
+  'k',
+  'm',
+  'o',
+  't',
+  'u',
+  'w',
+  'x',
+  'y',
+  'z',
+  'Enter',
+  'Delete',
+  'Backspace',
+];
+
+/**
+ * Get the command that `getDefaultKeyBinding` gives a key with some
+ * modifiers, on macOS or elsewhere.
+ */
+const getDefaultCommand = (
+  key: string,
+  modifiers: {[string]: boolean, ...},
+  isMac: boolean,
+): ?string => {
+  const {Ctrl, Alt, Shift, Meta} = modifiers;
+  const isCtrlCommand = Ctrl && !Alt;
+  const isModCommand = isMac ? Meta && !Alt : isCtrlCommand;
+  const isWordCommand = (isMac && Alt) || isCtrlCommand;
+  switch (key) {
+    case 'b':
+      return isModCommand ? 'bold' : null;
+    case 'd':
+      return isCtrlCommand ? 'delete' : null;
+    case 'h':
+      return isCtrlCommand ? 'backspace' : null;
+    case 'i':
+      return isModCommand ? 'italic' : null;
+    case 'j':
+      return isModCommand ? 'code' : null;
+    case 'k':
+      return isMac && isCtrlCommand ? 'secondary-cut' : null;
+    case 'm':
+    case 'o':
+      return isCtrlCommand ? 'split-block' : null;
+    case 't':
+      return isMac && isCtrlCommand ? 'transpose-characters' : null;
+    case 'u':
+      return isModCommand ? 'underline' : null;
+    case 'w':
+      return isMac && isCtrlCommand ? 'backspace-word' : null;
+    case 'x':
+      return isModCommand && Shift ? 'strikethrough' : null;
+    case 'y':
+      if (!isCtrlCommand) {
+        return null;
+      }
+      return isMac ? 'secondary-paste' : 'redo';
+    case 'z':
+      if (!isModCommand) {
+        return null;
+      }
+      return Shift ? 'redo' : 'undo';
+    case 'Enter':
+      return 'split-block';
+    case 'Delete':
+      // Shift-Delete cuts on Windows and Linux.
+      if (!isMac && Shift) {
+        return null;
+      }
+      return isWordCommand ? 'delete-word' : 'delete';
+    case 'Backspace':
+      if (isMac && isModCommand) {
+        return 'backspace-to-start-of-line';
+      }
+      return isWordCommand ? 'backspace-word' : 'backspace';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Get the default bindings of the editor. `getDefaultKeyBinding` ignores the
+ * modifiers that it doesn't check, whereas shortcuts match exact modifiers,
+ * so each key is bound with every combination of modifiers that it accepts.
+ */
+const getDefaultBindings = (isMac: boolean): DraftKeymapBindings => {
+  const bindings = {};
+  DEFAULT_KEYS.forEach(key => {
+    MODIFIER_COMBINATIONS.forEach(modifiers => {
+      const command = getDefaultCommand(key, modifiers, isMac);
+      if (command != null) {
+        bindings[toStroke(modifiers, key)] = command;
+      }
+    });
+  });
+  return bindings;
+};
+
+/**
+ * Normalize a key of a shortcut, such as `Mod-Shift-X`, to the modifiers it
+ * uses in a fixed order and its key name, as in `Ctrl-Shift-x`.
+ */
+const parseStroke = (stroke: string, isMac: boolean): string => {
+  const index =
+    stroke.length > 1 ? stroke.lastIndexOf('-', stroke.length - 2) : -1;
+  const modifierAliases = {...MODIFIER_ALIASES, mod: isMac ? 'Meta' : 'Ctrl'};
+  const modifiers = {};
+  if (index !== -1) {
+    stroke
+      .slice(0, index)
+      .split('-')
+      .forEach(name => {
+        const modifier = modifierAliases[name.toLowerCase()];
+        invariant(
+          modifier != null,
+          'Unknown modifier "%s" in shortcut "%s".',
+          name,
+          stroke,
+        );
+        modifiers[modifier] = true;
+      });
+  }
+  return toStroke(modifiers, normalizeKeyName(stroke.slice(index + 1)));
+};
+
+const parseShortcut = (shortcut: string, isMac: boolean): string =>
+  shortcut
+    .trim()
+    .split(/\s+/)
+    .map(stroke => parseStroke(stroke, isMac))
+    .join(' ');
+
+/**
+ * Get the keys that a keyboard event may stand for. Shifted symbols, such as
+ * `?`, match with or without `Shift`. When the key produces a character out
+ * of the ASCII range, as with the Option key on macOS or with non-Latin
+ * layouts, the key at the same place on a US keyboard matches too, unless
+ * the event comes from the AltGr key of Windows and Linux.
+ */
+const getEventStrokes = (
+  e: SyntheticKeyboardEvent<>,
+  isMac: boolean,
+): Array<string> => {
+  const modifiers = {
+    Ctrl: e.ctrlKey,
+    Alt: e.altKey,
+    Shift: e.shiftKey,
+    Meta: e.metaKey,
+  };
+  const key = normalizeKeyName(e.key);
+  const strokes = [toStroke(modifiers, key)];
+  if (e.shiftKey && key.length === 1 && key === key.toUpperCase()) {
+    strokes.push(toStroke({...modifiers, Shift: false}, key));
+  }
+  // React doesn't provide `code` on its keyboard events.
+  const codeMatch = REGEX_CODE_KEY.exec(e.nativeEvent.code || '');
+  if (
+    codeMatch &&
+    e.key.length === 1 &&
+    e.key.charCodeAt(0) > 127 &&
+    (isMac || !(e.ctrlKey && e.altKey))
+  ) {
+    strokes.push(
+      toStroke(modifiers, (codeMatch[1] || codeMatch[2]).toLowerCase()),
+    );
+  }
+  return strokes;
+};
+
+/**
+ * `DraftKeymap` maps keyboard shortcuts to editor commands, for the `keymap`
+ * prop of the editor, which then replaces `keyBindingFn`.
+ *
+ * The bindings of a keymap are layered over the default bindings of the
+ * editor, and can be extended with further layers. Each layer overrides the
+ * bindings of the layers below it, or unbinds them with a null command.
+ * Shortcuts are matched against `KeyboardEvent.key`, with `KeyboardEvent.code`
+ * as a fallback for layouts that don't produce Latin characters.
+ *
+ * A keymap remembers the first keys of a chord while it waits for the next
+ * ones, so it shouldn't be shared by several editors.
+ */
+class DraftKeymap {
+  _layers: $ReadOnlyArray<DraftKeymapBindings>;
+  _options: DraftKeymapOptions;
+  _isMac: boolean;
+  _chordTimeout: number;
+  _bindings: Map<string, DraftKeymapBinding> = new Map();
+  _chordPrefixes: Map<string, Array<string>> = new Map();
+  _conflicts: Array<DraftKeymapConflict> = [];
+  _pendingChord: ?string = null;
+  _pendingChordTime: number = 0;
+
+  constructor(
+    bindings: DraftKeymapBindings | $ReadOnlyArray<DraftKeymapBindings> = {},
+    options: DraftKeymapOptions = {},
+  ) {
+    this._layers = Array.isArray(bindings) ? bindings : [bindings];
+    this._options = options;
+    this._isMac = options.isMac ?? KeyBindingUtil.usesMacOSHeuristics();
+    this._chordTimeout = options.chordTimeout ?? 1000;
+
+    if (options.useDefaults !== false) {
+      this._addLayer(getDefaultBindings(this._isMac), true);
+    }
+    this._layers.forEach(layer => this._addLayer(layer, false));
+    this._findChordConflicts();
+  }
+
+  _addLayer(layer: DraftKeymapBindings, isDefault: boolean): void {
+    const layerCommands = new Map();
+    Object.keys(layer).forEach(shortcut => {
+      const sequence = parseShortcut(shortcut, this._isMac);
+      const command = layer[shortcut];
+      const otherCommand = layerCommands.get(sequence);
+      if (otherCommand !== undefined && otherCommand !== command) {
+        this._conflicts.push({
+          shortcut: sequence,
+          commands: [otherCommand, command].filter(Boolean),
+        });
+      }
+      layerCommands.set(sequence, command);
+      if (command == null) {
+        this._bindings.delete(sequence);
+      } else {
+        this._bindings.set(sequence, {shortcut: sequence, command, isDefault});
+      }
+    });
+  }
+
+  /**
+   * Find the shortcuts bound to a command that are also the start of a
+   * chord. The chord wins, so the command can't be run.
+   */
+  _findChordConflicts(): void {
+    this._bindings.forEach(({command}, sequence) => {
+      const strokes = sequence.split(' ');
+      for (let ii = 1; ii < strokes.length; ii++) {
+        const prefix = strokes.slice(0, ii).join(' ');
+        const commands = this._chordPrefixes.get(prefix) || [];
+        this._chordPrefixes.set(prefix, commands.concat(command));
+      }
+    });
+    this._chordPrefixes.forEach((commands, prefix) => {
+      const binding = this._bindings.get(prefix);
+      if (binding) {
+        this._conflicts.push({
+          shortcut: prefix,
+          commands: [binding.command, ...commands],
+        });
+      }
+    });
+  }
+
+  /**
+   * Create a keymap with `bindings` layered over the bindings of this one.
+   */
+  extend(bindings: DraftKeymapBindings): DraftKeymap {
+    return new DraftKeymap([...this._layers, bindings], this._options);
+  }
+
+  /**
+   * Get the command bound to the key of a keydown event, if any. The first
+   * keys of a chord have no command: `isChordPending()` tells whether the
+   * keymap is waiting for the next keys.
+   */
+  getCommand(e: SyntheticKeyboardEvent<>): ?string {
+    if (MODIFIER_KEYS.includes(e.key)) {
+      return null;
+    }
+    const prefix = this.isChordPending() ? this._pendingChord : null;
+    this._pendingChord = null;
+    const strokes = getEventStrokes(e, this._isMac);
+    const sequences =
+      prefix != null
+        ? strokes.map(stroke => prefix + ' ' + stroke).concat(strokes)
+        : strokes;
+    for (let ii = 0; ii < sequences.length; ii++) {
+      if (this._chordPrefixes.has(sequences[ii])) {
+        this._pendingChord = sequences[ii];
+        this._pendingChordTime = Date.now();
+        return null;
+      }
+      const binding = this._bindings.get(sequences[ii]);
+      if (binding) {
+        return binding.command;
+      }
+    }
+    return null;
+  }
+
+  isChordPending(): boolean {
+    return (
+      this._pendingChord != null &&
+      Date.now() - this._pendingChordTime <= this._chordTimeout
+    );
+  }
+
+  /**
+   * Get the active bindings, for instance to list them in a help screen.
+   * Shortcuts are normalized, with `Mod` resolved for the platform.
+   */
+  getBindings(): Array<DraftKeymapBinding> {
+    return Array.from(this._bindings.values());
+  }
+
+  /**
+   * Get the shortcuts bound to several commands in the same layer, and those
+   * bound to a command that also start a chord.
+   */
+  getConflicts(): Array<DraftKeymapConflict> {
+    return this._conflicts;
+  }
+}
+
+module.exports = DraftKeymap;
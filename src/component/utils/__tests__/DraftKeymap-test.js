@@ -0,0 +1,168 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+const DraftKeymap = require('DraftKeymap');
+
+const getEvent = (shortcut: string, code: string = ''): any => {
+  const names = shortcut.split('-');
+  const has = name => names.slice(0, -1).includes(name);
+  return {
+    key: names[names.length - 1],
+    ctrlKey: has('Ctrl'),
+    altKey: has('Alt'),
+    shiftKey: has('Shift'),
+    metaKey: has('Meta'),
+    nativeEvent: {code},
+  };
+};
+
+test('must resolve Mod for the platform', () => {
+  const mac = new DraftKeymap({'Mod-Shift-k': 'link'}, {isMac: true});
+  const other = new DraftKeymap({'Mod-Shift-k': 'link'}, {isMac: false});
+
+  expect(mac.getCommand(getEvent('Meta-Shift-K'))).toBe('link');
+  expect(mac.getCommand(getEvent('Ctrl-Shift-K'))).toBe('secondary-cut');
+  expect(other.getCommand(getEvent('Ctrl-Shift-K'))).toBe('link');
+  expect(mac.getCommand(getEvent('Meta-b'))).toBe('bold');
+  expect(other.getCommand(getEvent('Ctrl-y'))).toBe('redo');
+  expect(mac.getCommand(getEvent('Ctrl-y'))).toBe('secondary-paste');
+});
+
+test('must match shifted symbols and keys of other layouts', () => {
+  const keymap = new DraftKeymap(
+    {'Ctrl-?': 'help', 'Alt-Space': 'menu'},
+    {isMac: true},
+  );
+  expect(keymap.getCommand(getEvent('Ctrl-Shift-?'))).toBe('help');
+  expect(keymap.getCommand(getEvent('Alt- '))).toBe('menu');
+  // A Cyrillic layout, and the Option key of macOS
+  expect(keymap.getCommand(getEvent('Meta-и', 'KeyB'))).toBe('bold');
+  expect(keymap.getCommand(getEvent('Alt-Backspace'))).toBe('backspace-word');
+
+  // AltGr on Windows produces characters rather than shortcuts.
+  const other = new DraftKeymap({'Ctrl-Alt-e': 'euro'}, {isMac: false});
+  expect(other.getCommand(getEvent('Ctrl-Alt-€', 'KeyE'))).toBe(null);
+});
+
+test('must layer bindings over the defaults', () => {
+  const keymap = new DraftKeymap(
+    {'Mod-b': null, 'Mod-Shift-b': 'bold'},
+    {isMac: false},
+  ).extend({'Mod-i': 'insert-image'});
+
+  expect(keymap.getCommand(getEvent('Ctrl-b'))).toBe(null);
+  expect(keymap.getCommand(getEvent('Ctrl-Shift-B'))).toBe('bold');
+  expect(keymap.getCommand(getEvent('Ctrl-i'))).toBe('insert-image');
+  const bindings = keymap.getBindings();
+  expect(bindings.find(binding => binding.shortcut === 'Ctrl-i')).toEqual({
+    shortcut: 'Ctrl-i',
+    command: 'insert-image',
+    isDefault: false,
+  });
+  expect(bindings.filter(binding => binding.command === 'bold')).toEqual([
+    {shortcut: 'Ctrl-Shift-b', command: 'bold', isDefault: false},
+    {shortcut: 'Ctrl-Meta-b', command: 'bold', isDefault: true},
+    {shortcut: 'Ctrl-Shift-Meta-b', command: 'bold', isDefault: true},
+  ]);
+  expect(
+    new DraftKeymap({}, {useDefaults: false}).getCommand(getEvent('Enter')),
+  ).toBe(null);
+});
+
+test('must match chords within the timeout', () => {
+  let now = 0;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  const keymap = new DraftKeymap(
+    {'Ctrl-x Ctrl-s': 'save', 'Ctrl-x k': 'kill'},
+    {chordTimeout: 500, isMac: true},
+  );
+
+  expect(keymap.getCommand(getEvent('Ctrl-x'))).toBe(null);
+  expect(keymap.isChordPending()).toBe(true);
+  expect(keymap.getCommand(getEvent('Control'))).toBe(null);
+  expect(keymap.getCommand(getEvent('Ctrl-s'))).toBe('save');
+  expect(keymap.isChordPending()).toBe(false);
+
+  keymap.getCommand(getEvent('Ctrl-x'));
+  now = 600;
+  expect(keymap.isChordPending()).toBe(false);
+  expect(keymap.getCommand(getEvent('k'))).toBe(null);
+
+  keymap.getCommand(getEvent('Ctrl-x'));
+  expect(keymap.getCommand(getEvent('Ctrl-b'))).toBe(null);
+  expect(keymap.getCommand(getEvent('Meta-b'))).toBe('bold');
+
+  // $FlowFixMe[prop-missing] Date.now is mocked above.
+  Date.now.mockRestore();
+});
+
+test('must detect conflicts', () => {
+  const keymap = new DraftKeymap(
+    {'Mod-k': 'link', 'Cmd-k': 'search', 'Ctrl-x': 'cut', 'Ctrl-x u': 'undo'},
+    {isMac: true},
+  );
+  expect(keymap.getConflicts()).toEqual([
+    {shortcut: 'Meta-k', commands: ['link', 'search']},
+    {shortcut: 'Ctrl-x', commands: ['cut', 'undo']},
+  ]);
+  expect(keymap.getCommand(getEvent('Ctrl-x'))).toBe(null);
+  expect(keymap.isChordPending()).toBe(true);
+});
+
+test('must match getDefaultKeyBinding by default', () => {
+  const keyCodes = {
+    Backspace: 8,
+    Tab: 9,
+    Enter: 13,
+    Escape: 27,
+    ' ': 32,
+    ArrowLeft: 37,
+    ArrowRight: 39,
+    Delete: 46,
+    '1': 49,
+  };
+  'abcdefghijklmnopqrstuvwxyz'.split('').forEach(letter => {
+    keyCodes[letter] = letter.toUpperCase().charCodeAt(0);
+  });
+  const modifierNames = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+  const events = [];
+  Object.keys(keyCodes).forEach(key => {
+    modifierNames
+      .reduce(
+        (combinations, name) =>
+          combinations.concat(combinations.map(names => names.concat(name))),
+        [[]],
+      )
+      .forEach(names => {
+        const shifted =
+          names.includes('Shift') && key.length === 1 ? key.toUpperCase() : key;
+        events.push({
+          ...getEvent(names.concat(shifted).join('-')),
+          keyCode: keyCodes[key],
+        });
+      });
+  });
+
+  [true, false].forEach(isMac => {
+    jest.resetModules();
+    jest.mock('UserAgent', () => ({
+      isBrowser: () => false,
+      isPlatform: name => isMac && name === 'Mac OS X',
+    }));
+    const getDefaultKeyBinding = require('getDefaultKeyBinding');
+    const keymap = new DraftKeymap({}, {isMac});
+    events.forEach(e => {
+      expect([e, keymap.getCommand(e)]).toEqual([e, getDefaultKeyBinding(e)]);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const getContentFromFiles = require('getContentFromFiles');
+
+const readFiles = (files: Array<File>, options = {}) =>
+  new Promise(resolve => getContentFromFiles(files, options, resolve));
+
+const toBlockSummary = blocks =>
+  blocks && blocks.map(block => [block.getType(), block.getText()]);
+
+test('must only read the text of plain text files', async () => {
+  const {text, blocks} = await readFiles([
+    new File(['first'], 'first.txt', {type: 'text/plain'}),
+    new File(['second'], 'second.txt', {type: 'text/plain'}),
+  ]);
+  expect(text).toBe('first\rsecond');
+  expect(blocks).toBe(null);
+});
+
+test('must convert files by type or by extension', async () => {
+  const {blocks} = await readFiles([
+    new File(['# Title'], 'notes', {type: 'text/markdown'}),
+    new File(['<ul><li>item</li></ul>'], 'page.html', {type: ''}),
+    new File(['{\\rtf1 {\\b bold}\\par}'], 'letter.RTF', {type: ''}),
+    new File(['plain'], 'plain.txt', {type: 'text/plain'}),
+  ]);
+  expect(toBlockSummary(blocks)).toEqual([
+    ['header-one', 'Title'],
+    ['unordered-list-item', 'item'],
+    ['unstyled', 'bold'],
+    ['unstyled', 'plain'],
+  ]);
+});
+
+test('must cut the text of files to the maximum length', async () => {
+  const {text, blocks} = await readFiles(
+    [
+      new File(['**abcdef**\n\nghi'], 'notes.md', {type: ''}),
+      new File(['abcdef'], 'plain.txt', {type: 'text/plain'}),
+    ],
+    {maxLength: 4},
+  );
+  expect(text).toBe('abcd\rabcd');
+  expect(toBlockSummary(blocks)).toEqual([
+    ['unstyled', 'abcd'],
+    ['unstyled', 'abcd'],
+  ]);
+  expect(blocks?.[0].getInlineStyleAt(3).toArray()).toEqual(['BOLD']);
+});
+
+test('must cut converted files rather than their source', async () => {
+  const rtf = '{\\rtf1{\\stylesheet ' + 'x'.repeat(6000) + '}\\pard text\\par}';
+  const {text, blocks} = await readFiles([
+    new File([rtf], 'letter.rtf', {type: 'application/rtf'}),
+  ]);
+  expect(text).toBe('text');
+  expect(toBlockSummary(blocks)).toEqual([['unstyled', 'text']]);
+});
+
+test('must not return blocks for files without content', async () => {
+  const {text, blocks} = await readFiles([
+    new File(['{\\rtf1}'], 'empty.rtf', {type: 'application/rtf'}),
+    new File(['<br>'], 'empty.html', {type: 'text/html'}),
+  ]);
+  expect(text).toBe('');
+  expect(blocks).toBe(null);
+});
+
+test('must only keep the nested blocks that are kept', async () => {
+  const {blocks} = await readFiles(
+    [
+      new File(
+        ['<ul><li>a<ul><li>bc</li></ul></li><li>d</li></ul>'],
+        'a.html',
+        {
+          type: 'text/html',
+        },
+      ),
+    ],
+    {maxLength: 2, treeData: true},
+  );
+  const keys = (blocks || []).map(block => block.getKey());
+  expect(toBlockSummary(blocks)).toEqual([
+    ['unordered-list-item', 'a'],
+    ['unordered-list-item', ''],
+    ['unordered-list-item', 'b'],
+  ]);
+  (blocks || []).forEach(block => {
+    block
+      .getChildKeys()
+      .toArray()
+      .concat(block.getNextSiblingKey())
+      .forEach(key => key == null || expect(keys).toContain(key));
+  });
+});
+
+test('must not import links or images with unsafe URLs from files', async () => {
+  const {blocks} = await readFiles([
+    new File(
+      // eslint-disable-next-line no-script-url
+      [
+        '[bad](javascript:alert(1)) ![](javascript:alert(1))[good](https://x.y)',
+      ],
+      'notes.md',
+      {type: 'text/markdown'},
+    ),
+  ]);
+  expect(toBlockSummary(blocks)).toEqual([['unstyled', 'bad good']]);
+  const block = blocks?.[0];
+  expect(block?.getEntityAt(0)).toBe(null);
+  expect(block?.getEntityAt(4)).not.toBe(null);
+});
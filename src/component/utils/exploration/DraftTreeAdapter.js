@@ -83,6 +83,14 @@ const DraftTreeAdapter = {
         ...block,
       };
 
+      // Tables need tree data support, only the text of their cells is kept
+      if (block.type === 'table' || block.type === 'table-row') {
+        return;
+      }
+      if (block.type === 'table-cell') {
+        newBlock.type = 'unstyled';
+      }
+
       if (isListBlock(block)) {
         newBlock.depth = newBlock.depth || 0;
         addDepthToChildren(block);
@@ -325,3 +325,32 @@ test('must be able to convert from raw state to raw tree state with nested trees
 
   assertFromRawStateToRawTreeState(rawState);
 });
+
+test('must convert the cells of tables to blocks when converting from tree raw state to raw state', () => {
+  const rawState = {
+    blocks: [
+      {
+        key: 'A',
+        text: '',
+        type: 'table',
+        children: [
+          {
+            key: 'B',
+            text: '',
+            type: 'table-row',
+            children: [
+              {key: 'C', text: 'Charlie', type: 'table-cell', children: []},
+              {key: 'D', text: 'Delta', type: 'table-cell', children: []},
+            ],
+          },
+        ],
+      },
+    ],
+    entityMap: {},
+  };
+
+  expect(DraftTreeAdapter.fromRawTreeStateToRawState(rawState).blocks).toEqual([
+    {key: 'C', text: 'Charlie', type: 'unstyled'},
+    {key: 'D', text: 'Delta', type: 'unstyled'},
+  ]);
+});
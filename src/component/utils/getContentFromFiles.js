@@ -0,0 +1,207 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type {DraftBlockRenderMap} from 'DraftBlockRenderMap';
+import type {DraftHTMLImportOptions} from 'convertFromHTMLToContentBlocks';
+
+const CharacterMetadata = require('CharacterMetadata');
+const ContentBlockNode = require('ContentBlockNode');
+const DraftPasteProcessor = require('DraftPasteProcessor');
+
+const convertFromMarkdownToDraftState = require('convertFromMarkdownToDraftState');
+const convertFromRTFToContentBlocks = require('convertFromRTFToContentBlocks');
+const getTextContentFromFiles = require('getTextContentFromFiles');
+const splitTextIntoTextBlocks = require('splitTextIntoTextBlocks');
+
+export type DraftFileImportOptions = {
+  blockRenderMap?: DraftBlockRenderMap,
+  htmlImportOptions?: DraftHTMLImportOptions,
+  // Maximum number of characters of text imported from each file. HTML,
+  // Markdown and RTF files are read in full, and cut once converted.
+  maxLength?: ?number,
+  // Whether the blocks are converted for an editor with tree-structured
+  // blocks, as for `convertFromRaw`.
+  treeData?: boolean,
+  ...
+};
+
+type DraftFileFormat = 'html' | 'markdown' | 'rtf' | 'text';
+
+// Somewhat arbitrary upper bound on text size. Let's not lock up the browser.
+const TEXT_SIZE_UPPER_BOUND = 5000;
+
+const FORMATS_BY_TYPE: {[type: string]: DraftFileFormat} = {
+  'text/html': 'html',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/rtf': 'rtf',
+  'application/rtf': 'rtf',
+};
+
+const FORMATS_BY_EXTENSION: {[extension: string]: DraftFileFormat} = {
+  htm: 'html',
+  html: 'html',
+  markdown: 'markdown',
+  md: 'markdown',
+  rtf: 'rtf',
+};
+
+/**
+ * Get the format of a file from its type, or from its extension for files
+ * of an unknown or generic type.
+ */
+const getFileFormat = (file: File): DraftFileFormat => {
+  if (FORMATS_BY_TYPE[file.type]) {
+    return FORMATS_BY_TYPE[file.type];
+  }
+  const extension = (/\.([^.]+)$/.exec(file.name) || [])[1];
+  return (extension && FORMATS_BY_EXTENSION[extension.toLowerCase()]) || 'text';
+};
+
+/**
+ * Keep the blocks up to `maxLength` characters of text. Tree-structured
+ * blocks only keep the children and siblings that are kept.
+ */
+const cutBlocks = (
+  blocks: Array<BlockNodeRecord>,
+  maxLength: number,
+): Array<BlockNodeRecord> => {
+  const keptBlocks = [];
+  let length = 0;
+  for (let ii = 0; ii < blocks.length && length < maxLength; ii++) {
+    const block = blocks[ii];
+    const keptLength = maxLength - length;
+    keptBlocks.push(
+      block.getLength() > keptLength
+        ? block.merge({
+            text: block.getText().slice(0, keptLength),
+            characterList: block.getCharacterList().slice(0, keptLength),
+          })
+        : block,
+    );
+    length += block.getLength();
+  }
+  if (keptBlocks.length === blocks.length) {
+    return keptBlocks;
+  }
+  const keptKeys = new Set(keptBlocks.map(block => block.getKey()));
+  return keptBlocks.map(block =>
+    block instanceof ContentBlockNode
+      ? block.merge({
+          children: block.getChildKeys().filter(key => keptKeys.has(key)),
+          nextSibling: keptKeys.has(block.getNextSiblingKey())
+            ? block.getNextSiblingKey()
+            : null,
+        })
+      : block,
+  );
+};
+
+const convertFileText = (
+  text: string,
+  format: DraftFileFormat,
+  options: DraftFileImportOptions,
+): Array<BlockNodeRecord> => {
+  switch (format) {
+    case 'html':
+      const htmlFragment = DraftPasteProcessor.processHTML(
+        text,
+        options.blockRenderMap,
+        {...options.htmlImportOptions, treeData: options.treeData},
+      );
+      return (htmlFragment && htmlFragment.contentBlocks) || [];
+    case 'markdown':
+      return convertFromMarkdownToDraftState(text, options).getBlocksAsArray();
+    case 'rtf':
+      return convertFromRTFToContentBlocks(text, options);
+    default:
+      return DraftPasteProcessor.processText(
+        splitTextIntoTextBlocks(text),
+        CharacterMetadata.EMPTY,
+        'unstyled',
+        options,
+      );
+  }
+};
+
+/**
+ * Read the content of pasted or dropped files, in order. If any of them is an
+ * HTML, Markdown or RTF file, the files are converted to blocks, which are
+ * passed to the callback along with their text. Otherwise, or if the files
+ * have no content, the blocks are null and only the text of the files is
+ * passed, to be inserted as plain text.
+ */
+function getContentFromFiles(
+  files: Array<File>,
+  options: DraftFileImportOptions,
+  callback: (content: {
+    text: string,
+    blocks: ?Array<BlockNodeRecord>,
+    ...
+  }) => void,
+): void {
+  const maxLength =
+    options.maxLength != null ? options.maxLength : TEXT_SIZE_UPPER_BOUND;
+  const formats = files.map(getFileFormat);
+  const texts: Array<string> = [];
+  let readCount = 0;
+  files.forEach((file, ii) => {
+    getTextContentFromFiles(
+      [file],
+      fileText => {
+        texts[ii] = fileText;
+        readCount++;
+        if (readCount < files.length) {
+          return;
+        }
+
+        // HTML, Markdown and RTF files are converted first. Plain text files
+        // are only converted to blocks along with them.
+        const convertedBlocks = texts.map((fileText, jj) =>
+          formats[jj] !== 'text' && fileText
+            ? cutBlocks(
+                convertFileText(fileText, formats[jj], options),
+                maxLength,
+              )
+            : null,
+        );
+        const text = texts
+          .map((fileText, jj) => {
+            const fileBlocks = convertedBlocks[jj];
+            return fileBlocks
+              ? fileBlocks.map(block => block.getText()).join('\n')
+              : fileText;
+          })
+          .filter(Boolean)
+          .join('\r');
+        if (!convertedBlocks.some(fileBlocks => fileBlocks?.length)) {
+          callback({text, blocks: null});
+          return;
+        }
+        const blocks = texts.reduce(
+          (blocks, fileText, jj) =>
+            blocks.concat(
+              convertedBlocks[jj] ||
+                (fileText ? convertFileText(fileText, 'text', options) : []),
+            ),
+          [],
+        );
+        callback({text, blocks});
+      },
+      formats[ii] === 'text' ? maxLength : Infinity,
+    );
+  });
+}
+
+module.exports = getContentFromFiles;
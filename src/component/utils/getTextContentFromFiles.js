@@ -15,28 +15,37 @@ const invariant = require('invariant');
 
 const TEXT_CLIPPING_REGEX = /\.textClipping$/;
 
+// Some systems don't know the type of these files, so they are read as text
+// based on their extension.
+const TEXT_FILE_NAME_REGEX = /\.(html?|markdown|md|rtf|txt)$/i;
+
 const TEXT_TYPES = {
   'text/plain': true,
   'text/html': true,
+  'text/markdown': true,
+  'text/x-markdown': true,
   'text/rtf': true,
+  'application/rtf': true,
 };
 
 // Somewhat arbitrary upper bound on text size. Let's not lock up the browser.
 const TEXT_SIZE_UPPER_BOUND = 5000;
 
 /**
- * Extract the text content from a file list.
+ * Extract the text content from a file list. The text of each file is cut to
+ * `maxLength` characters.
  */
 function getTextContentFromFiles(
   files: Array<File>,
   callback: (contents: string) => void,
+  maxLength?: number = TEXT_SIZE_UPPER_BOUND,
 ): void {
   let readCount = 0;
   const results = [];
   files.forEach(function (/*blob*/ file) {
     readFile(file, function (/*string*/ text) {
       readCount++;
-      text && results.push(text.slice(0, TEXT_SIZE_UPPER_BOUND));
+      text && results.push(text.slice(0, maxLength));
       if (readCount == files.length) {
         callback(results.join('\r'));
       }
@@ -45,7 +54,8 @@ function getTextContentFromFiles(
 }
 
 /**
- * todo isaac: Do work to turn html/rtf into a content fragment.
+ * Read the text of a file, or an empty string if it is not a text file. HTML,
+ * Markdown and RTF are read as is, see `getContentFromFiles` to convert them.
  */
 function readFile(file: File, callback: (contents: string) => void): void {
   if (!global.FileReader || (file.type && !(file.type in TEXT_TYPES))) {
@@ -53,7 +63,7 @@ function readFile(file: File, callback: (contents: string) => void): void {
     return;
   }
 
-  if (file.type === '') {
+  if (file.type === '' && !TEXT_FILE_NAME_REGEX.test(file.name)) {
     let contents = '';
     // Special-case text clippings, which have an empty type but include
     // `.textClipping` in the file name. `readAsText` results in an empty
@@ -0,0 +1,202 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+const DraftModifier = require('DraftModifier');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const applyEntityToContentState = require('applyEntityToContentState');
+
+/**
+ * A trigger starts a query when `trigger`, such as `@` or `#`, is typed at
+ * the start of a word. The items chosen for the query are inserted as
+ * `IMMUTABLE` entities of type `entityType`.
+ */
+export type DraftAutocompleteTrigger = {
+  trigger: string,
+  entityType: string,
+  // Whether the query may contain spaces, as in full names. By default, a
+  // space ends the query.
+  allowSpaces?: boolean,
+  ...
+};
+
+/**
+ * The query typed after a trigger, up to the caret. `start` is the offset of
+ * the trigger in the block, and `end` the offset of the caret.
+ */
+export type DraftAutocompleteQuery = {
+  trigger: string,
+  entityType: string,
+  text: string,
+  blockKey: string,
+  start: number,
+  end: number,
+  ...
+};
+
+/**
+ * The `autocomplete` prop of the editor. The editor tracks the query at the
+ * caret and reports it through `onQueryChange`, while the app finds and lists
+ * the items matching it, in an element with the `listboxID` id.
+ *
+ * While the list has items, the Up and Down keys move the highlight with
+ * `onHighlightChange`, Return and Tab choose the highlighted item with
+ * `onSelect`, and Escape dismisses the query until the caret leaves it.
+ */
+export type DraftAutocompleteConfig = {
+  triggers: $ReadOnlyArray<DraftAutocompleteTrigger>,
+  onQueryChange: (query: ?DraftAutocompleteQuery) => void,
+  itemCount: number,
+  highlightedIndex: number,
+  onHighlightChange: (index: number) => void,
+  onSelect: (index: number, query: DraftAutocompleteQuery) => void,
+  listboxID: string,
+  // The id of the element of the item at `index`, for assistive technologies
+  // to announce the highlighted item.
+  getItemID: (index: number) => string,
+  ...
+};
+
+const REGEX_WHITESPACE = /\s/;
+
+/**
+ * Find the query of a trigger before `offset` in `text`, if any.
+ */
+const getQueryForTrigger = (
+  text: string,
+  offset: number,
+  trigger: DraftAutocompleteTrigger,
+): ?{start: number, text: string} => {
+  const start = text.lastIndexOf(
+    trigger.trigger,
+    offset - trigger.trigger.length,
+  );
+  if (start === -1 || (start > 0 && !REGEX_WHITESPACE.test(text[start - 1]))) {
+    return null;
+  }
+  const query = text.slice(start + trigger.trigger.length, offset);
+  const isInvalid = trigger.allowSpaces
+    ? query.indexOf('\n') !== -1
+    : REGEX_WHITESPACE.test(query);
+  return isInvalid ? null : {start, text: query};
+};
+
+/**
+ * `DraftAutocomplete` finds the query typed after a trigger character, such
+ * as `@` for mentions, and inserts the item chosen for it as an `IMMUTABLE`
+ * entity.
+ *
+ * Like any `IMMUTABLE` entity, an inserted item is removed as a whole by
+ * Backspace and Delete. When an edit starts or ends within it, its text is
+ * kept without the entity, as `removeEntitiesAtEdges` does for other edits.
+ */
+const DraftAutocomplete = {
+  /**
+   * Get the query before the caret, or null if the selection isn't
+   * collapsed or no trigger precedes it. When several triggers match, the
+   * one closest to the caret wins. Text that is already part of an entity,
+   * such as an inserted item, doesn't start queries.
+   */
+  getActiveQuery(
+    editorState: EditorState,
+    triggers: $ReadOnlyArray<DraftAutocompleteTrigger>,
+  ): ?DraftAutocompleteQuery {
+    const selection = editorState.getSelection();
+    if (!selection.isCollapsed()) {
+      return null;
+    }
+    const blockKey = selection.getStartKey();
+    const offset = selection.getStartOffset();
+    const block = editorState.getCurrentContent().getBlockForKey(blockKey);
+    const text = block.getText();
+
+    let activeQuery = null;
+    triggers.forEach(trigger => {
+      const query = getQueryForTrigger(text, offset, trigger);
+      if (query && (!activeQuery || query.start > activeQuery.start)) {
+        activeQuery = {
+          trigger: trigger.trigger,
+          entityType: trigger.entityType,
+          text: query.text,
+          blockKey,
+          start: query.start,
+          end: offset,
+        };
+      }
+    });
+    if (!activeQuery) {
+      return null;
+    }
+    for (let ii = activeQuery.start; ii < offset; ii++) {
+      if (block.getEntityAt(ii) != null) {
+        return null;
+      }
+    }
+    return activeQuery;
+  },
+
+  /**
+   * Replace the trigger and the query with `text`, as an `IMMUTABLE` entity
+   * holding `data`, followed by a space. The caret is moved after the space.
+   */
+  insertItem(
+    editorState: EditorState,
+    query: DraftAutocompleteQuery,
+    text: string,
+    data?: Object,
+  ): EditorState {
+    const selection = editorState.getSelection();
+    const querySelection = SelectionState.createEmpty(query.blockKey).merge({
+      anchorOffset: query.start,
+      focusOffset: query.end,
+      hasFocus: selection.getHasFocus(),
+    });
+    let contentState = editorState.getCurrentContent();
+    const style = contentState
+      .getBlockForKey(query.blockKey)
+      .getInlineStyleAt(query.start);
+
+    contentState = DraftModifier.replaceText(
+      contentState,
+      querySelection,
+      text,
+      style,
+    ).createEntity(query.entityType, 'IMMUTABLE', data);
+    contentState = applyEntityToContentState(
+      contentState,
+      querySelection.merge({focusOffset: query.start + text.length}),
+      contentState.getLastCreatedEntityKey(),
+    );
+    contentState = DraftModifier.insertText(
+      contentState,
+      querySelection.merge({
+        anchorOffset: query.start + text.length,
+        focusOffset: query.start + text.length,
+      }),
+      ' ',
+      style,
+    );
+
+    return EditorState.forceSelection(
+      EditorState.push(
+        editorState,
+        contentState.merge({selectionBefore: selection}),
+        'insert-fragment',
+      ),
+      contentState.getSelectionAfter(),
+    );
+  },
+};
+
+module.exports = DraftAutocomplete;
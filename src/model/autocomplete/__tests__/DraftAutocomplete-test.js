@@ -0,0 +1,133 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const DraftAutocomplete = require('DraftAutocomplete');
+const DraftModifier = require('DraftModifier');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const keyCommandPlainBackspace = require('keyCommandPlainBackspace');
+
+const TRIGGERS = [
+  {trigger: '@', entityType: 'MENTION'},
+  {trigger: '#', entityType: 'TAG'},
+  {trigger: '::', entityType: 'EMOJI'},
+];
+
+const getEditorState = (text: string, offset: number = text.length) => {
+  const editorState = EditorState.createWithContent(
+    convertFromRawToDraftState({
+      blocks: [{key: 'a', text, type: 'unstyled'}],
+      entityMap: {},
+    }),
+  );
+  return EditorState.forceSelection(
+    editorState,
+    SelectionState.createEmpty('a').merge({
+      anchorOffset: offset,
+      focusOffset: offset,
+    }),
+  );
+};
+
+const getQueryText = (text: string, offset?: number, triggers = TRIGGERS) => {
+  const query = DraftAutocomplete.getActiveQuery(
+    getEditorState(text, offset),
+    triggers,
+  );
+  return query && [query.trigger, query.text, query.start, query.end];
+};
+
+const getRawBlock = editorState => {
+  const {blocks, entityMap} = convertFromDraftStateToRaw(
+    editorState.getCurrentContent(),
+  );
+  return {
+    text: blocks[0].text,
+    entityRanges: blocks[0].entityRanges,
+    entityMap,
+  };
+};
+
+test('must find the query of the trigger closest to the caret', () => {
+  expect(getQueryText('Hi @ali')).toEqual(['@', 'ali', 3, 7]);
+  expect(getQueryText('@ali #dra', 9)).toEqual(['#', 'dra', 5, 9]);
+  expect(getQueryText('@ali #dra', 3)).toEqual(['@', 'al', 0, 3]);
+  expect(getQueryText('::smi')).toEqual(['::', 'smi', 0, 5]);
+  expect(getQueryText('Hi @')).toEqual(['@', '', 3, 4]);
+});
+
+test('must only find queries started at the start of a word', () => {
+  expect(getQueryText('mail@ali')).toBe(null);
+  expect(getQueryText('@ali ce')).toBe(null);
+  expect(getQueryText('Hi ali')).toBe(null);
+  expect(
+    getQueryText('@ali ce', 7, [
+      {trigger: '@', entityType: 'MENTION', allowSpaces: true},
+    ]),
+  ).toEqual(['@', 'ali ce', 0, 7]);
+});
+
+test('must insert the item as an immutable entity followed by a space', () => {
+  const editorState = getEditorState('Hi @al, bye', 6);
+  const query = DraftAutocomplete.getActiveQuery(editorState, TRIGGERS);
+  if (!query) {
+    throw new Error('expected a query');
+  }
+  const withItem = DraftAutocomplete.insertItem(editorState, query, '@Alice', {
+    id: 1,
+  });
+
+  expect(getRawBlock(withItem)).toEqual({
+    text: 'Hi @Alice , bye',
+    entityRanges: [{key: 0, offset: 3, length: 6}],
+    entityMap: {
+      '0': {type: 'MENTION', mutability: 'IMMUTABLE', data: {id: 1}},
+    },
+  });
+  expect(withItem.getSelection().getAnchorOffset()).toBe(10);
+  expect(DraftAutocomplete.getActiveQuery(withItem, TRIGGERS)).toBe(null);
+  expect(
+    EditorState.undo(withItem)
+      .getCurrentContent()
+      .getPlainText(),
+  ).toBe('Hi @al, bye');
+});
+
+test('must delete an inserted item as a unit', () => {
+  const editorState = getEditorState('Hi @al');
+  const query = DraftAutocomplete.getActiveQuery(editorState, TRIGGERS);
+  if (!query) {
+    throw new Error('expected a query');
+  }
+  const withItem = DraftAutocomplete.insertItem(editorState, query, '@Alice');
+  const withoutSpace = keyCommandPlainBackspace(withItem);
+  expect(withoutSpace.getCurrentContent().getPlainText()).toBe('Hi @Alice');
+
+  const withoutItem = keyCommandPlainBackspace(withoutSpace);
+  expect(withoutItem.getCurrentContent().getPlainText()).toBe('Hi ');
+
+  // Typing within the item keeps its text, without the entity.
+  const withText = DraftModifier.insertText(
+    withoutSpace.getCurrentContent(),
+    SelectionState.createEmpty('a').merge({anchorOffset: 6, focusOffset: 6}),
+    'x',
+  );
+  expect(
+    getRawBlock(EditorState.push(withoutSpace, withText, 'insert-characters')),
+  ).toEqual({text: 'Hi @Alxice', entityRanges: [], entityMap: {}});
+});
@@ -0,0 +1,100 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {DraftEntityMutability} from 'DraftEntityMutability';
+
+/**
+ * Entities are sent along with the operations that refer to them. Entity keys
+ * are random, so `key` is the key of the entity in the editor that created
+ * it, and applying an operation creates the entity with the same key and with
+ * this type, mutability and data, unless an entity with this key exists.
+ * Every editor then refers to the entity with the same key.
+ */
+export type DraftOperationEntity = {|
+  key: string,
+  type: string,
+  mutability: DraftEntityMutability,
+  data: {[key: string]: mixed, ...},
+|};
+
+/**
+ * Operations describe changes to a ContentState in a serializable form, so
+ * that they can be sent to other editors of the same document. Positions are
+ * given as a block key and an offset in the text of the block.
+ *
+ * `split_block` moves the text of `blockKey` from `offset` to a new block
+ * `newBlockKey`, inserted right after it. `merge_block` appends the text of
+ * `blockKey` to `targetKey`, whose length is `offset`, and removes the block.
+ */
+export type DraftOperation =
+  | {|
+      type: 'insert_text',
+      blockKey: string,
+      offset: number,
+      text: string,
+      style: Array<string>,
+      entity: ?DraftOperationEntity,
+    |}
+  | {|
+      type: 'remove_text',
+      blockKey: string,
+      offset: number,
+      length: number,
+    |}
+  | {|
+      type: 'split_block',
+      blockKey: string,
+      offset: number,
+      newBlockKey: string,
+      blockType: string,
+      depth: number,
+    |}
+  | {|
+      type: 'merge_block',
+      blockKey: string,
+      targetKey: string,
+      offset: number,
+    |}
+  | {|
+      type: 'insert_block',
+      blockKey: string,
+      afterKey: ?string,
+      blockType: string,
+      depth: number,
+      data: {[key: string]: mixed, ...},
+    |}
+  | {|
+      type: 'set_block_type',
+      blockKey: string,
+      blockType: string,
+      depth: number,
+    |}
+  | {|
+      type: 'set_block_data',
+      blockKey: string,
+      data: {[key: string]: mixed, ...},
+    |}
+  | {|
+      type: 'apply_inline_style' | 'remove_inline_style',
+      blockKey: string,
+      offset: number,
+      length: number,
+      style: string,
+    |}
+  | {|
+      type: 'apply_entity',
+      blockKey: string,
+      offset: number,
+      length: number,
+      entity: ?DraftOperationEntity,
+    |};
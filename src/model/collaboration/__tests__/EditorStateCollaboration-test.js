@@ -0,0 +1,313 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const ContentState = require('ContentState');
+const DraftModifier = require('DraftModifier');
+const EditorState = require('EditorState');
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const getEntityKeyForSelection = require('getEntityKeyForSelection');
+const transformDraftOperations = require('transformDraftOperations');
+
+/**
+ * In-memory stand-in for a collaboration server: it keeps the history of
+ * operations, rebases the operations it receives on the ones the sender had
+ * not seen yet, and broadcasts them to every client.
+ */
+class Server {
+  clients = [];
+  history = [];
+
+  receive(client, revision, operations) {
+    let rebased = operations;
+    this.history.slice(revision).forEach(seen => {
+      rebased = transformDraftOperations(rebased, seen)[1];
+    });
+    this.history.push(rebased);
+    this.clients.forEach(other =>
+      other === client ? other.acknowledge() : other.receive(rebased),
+    );
+  }
+}
+
+class Client {
+  buffered = [];
+  inflight = null;
+  revision = 0;
+
+  constructor(server, contentState) {
+    this.server = server;
+    this.editorState = EditorState.create({
+      currentContent: contentState,
+      selection: contentState.getSelectionAfter(),
+      trackOperations: true,
+    });
+    server.clients.push(this);
+  }
+
+  edit(change) {
+    this.editorState = change(this.editorState);
+  }
+
+  // Send the local operations, one batch at a time.
+  flush() {
+    const operations = this.editorState.getPendingOperations().toArray();
+    if (this.inflight || operations.length === 0) {
+      return;
+    }
+    this.editorState = EditorState.clearPendingOperations(this.editorState);
+    this.inflight = operations;
+    this.server.receive(this, this.revision, operations);
+  }
+
+  acknowledge() {
+    this.inflight = null;
+    this.revision++;
+  }
+
+  receive(operations) {
+    let remote = operations;
+    if (this.inflight) {
+      [this.inflight, remote] = transformDraftOperations(this.inflight, remote);
+    }
+    this.editorState = EditorState.applyOperations(this.editorState, remote);
+    this.revision++;
+  }
+
+  getText() {
+    return this.editorState.getCurrentContent().getPlainText();
+  }
+}
+
+const insertText = text => editorState =>
+  EditorState.push(
+    editorState,
+    DraftModifier.insertText(
+      editorState.getCurrentContent(),
+      editorState.getSelection(),
+      text,
+    ),
+    'insert-characters',
+  );
+
+const splitBlock = editorState =>
+  EditorState.push(
+    editorState,
+    DraftModifier.splitBlock(
+      editorState.getCurrentContent(),
+      editorState.getSelection(),
+    ),
+    'split-block',
+  );
+
+const moveTo = (key, offset) => editorState =>
+  EditorState.forceSelection(
+    editorState,
+    editorState.getSelection().merge({
+      anchorKey: key,
+      anchorOffset: offset,
+      focusKey: key,
+      focusOffset: offset,
+    }),
+  );
+
+const setUp = () => {
+  const server = new Server();
+  const contentState = ContentState.createFromText('Hello world');
+  return [
+    server,
+    new Client(server, contentState),
+    new Client(server, contentState),
+    contentState.getFirstBlock().getKey(),
+  ];
+};
+
+test('must track operations only when enabled', () => {
+  const editorState = insertText('a')(EditorState.createEmpty());
+  expect(editorState.getTrackOperations()).toBe(false);
+  expect(editorState.getPendingOperations().size).toBe(0);
+});
+
+test('must record pushed changes as pending operations', () => {
+  const [, alice, , key] = setUp();
+  alice.edit(moveTo(key, 5));
+  alice.edit(insertText(','));
+  expect(alice.editorState.getPendingOperations().toJS()).toEqual([
+    {
+      type: 'insert_text',
+      blockKey: key,
+      offset: 5,
+      text: ',',
+      style: [],
+      entity: null,
+    },
+  ]);
+  alice.edit(EditorState.undo);
+  expect(alice.editorState.getPendingOperations().size).toBe(2);
+});
+
+test('must converge when clients edit concurrently', () => {
+  const [, alice, bob, key] = setUp();
+  alice.edit(moveTo(key, 5));
+  bob.edit(moveTo(key, 11));
+
+  alice.edit(insertText(','));
+  alice.edit(splitBlock);
+  bob.edit(insertText('!'));
+  bob.edit(moveTo(key, 0));
+  bob.edit(insertText('Oh, '));
+
+  alice.flush();
+  alice.edit(insertText('dear '));
+  bob.flush();
+  alice.flush();
+  bob.flush();
+
+  expect(alice.getText()).toBe('Oh, Hello,\ndear  world!');
+  expect(
+    convertFromDraftStateToRaw(alice.editorState.getCurrentContent()),
+  ).toEqual(convertFromDraftStateToRaw(bob.editorState.getCurrentContent()));
+});
+
+test('must not move the local caret for remote text inserted at it', () => {
+  const [, alice, bob, key] = setUp();
+  alice.edit(moveTo(key, 5));
+  bob.edit(moveTo(key, 5));
+  bob.edit(insertText(' there'));
+  bob.flush();
+
+  const selection = alice.editorState.getSelection();
+  expect(alice.getText()).toBe('Hello there world');
+  expect(selection.getAnchorOffset()).toBe(5);
+  expect(selection.getFocusOffset()).toBe(5);
+  expect(alice.editorState.mustForceSelection()).toBe(true);
+});
+
+test('must only undo local changes after remote operations', () => {
+  const [, alice, bob, key] = setUp();
+  alice.edit(moveTo(key, 11));
+  alice.edit(insertText('!'));
+  bob.edit(moveTo(key, 0));
+  bob.edit(insertText('Oh, '));
+  bob.flush();
+
+  expect(alice.getText()).toBe('Oh, Hello world!');
+  alice.edit(EditorState.undo);
+  expect(alice.getText()).toBe('Oh, Hello world');
+  alice.edit(EditorState.redo);
+  expect(alice.getText()).toBe('Oh, Hello world!');
+
+  alice.flush();
+  expect(bob.getText()).toBe('Oh, Hello world!');
+});
+
+test('must keep text typed within an entity in the entity', () => {
+  const server = new Server();
+  const rawState = {
+    blocks: [
+      {
+        key: 'a',
+        text: 'Hello world',
+        type: 'unstyled',
+        entityRanges: [{offset: 0, length: 5, key: 0}],
+      },
+    ],
+    entityMap: {
+      '0': {type: 'LINK', mutability: 'MUTABLE', data: {url: 'https://a.b'}},
+    },
+  };
+  // Each client loads the document, with its own keys for the entities.
+  const alice = new Client(server, convertFromRawToDraftState(rawState));
+  const bob = new Client(server, convertFromRawToDraftState(rawState));
+  const typeInEntity = text => editorState => {
+    const content = editorState.getCurrentContent();
+    const selection = editorState.getSelection();
+    return EditorState.push(
+      editorState,
+      DraftModifier.insertText(
+        content,
+        selection,
+        text,
+        null,
+        getEntityKeyForSelection(content, selection),
+      ),
+      'insert-characters',
+    );
+  };
+  const getEntityKeys = client =>
+    client.editorState
+      .getCurrentContent()
+      .getBlockForKey('a')
+      .getCharacterList()
+      .map(character => character.getEntity())
+      .toArray();
+
+  alice.edit(moveTo('a', 2));
+  alice.edit(typeInEntity('X'));
+  alice.flush();
+  bob.edit(moveTo('a', 4));
+  bob.edit(typeInEntity('Y'));
+  bob.flush();
+
+  expect(alice.getText()).toBe('HeXlYlo world');
+  expect(bob.getText()).toBe('HeXlYlo world');
+  [alice, bob].forEach(client => {
+    const entityKeys = getEntityKeys(client);
+    expect(new Set(entityKeys.slice(0, 7)).size).toBe(1);
+    expect(entityKeys[0]).not.toBe(null);
+    expect(entityKeys[7]).toBe(null);
+  });
+});
+
+test('must reject tree-based content', () => {
+  const contentState = convertFromRawToDraftState(
+    {
+      blocks: [
+        {key: 'a', type: 'ordered-list-item', text: 'Hello', children: []},
+        {
+          key: 'b',
+          type: 'ordered-list-item',
+          text: '',
+          children: [
+            {key: 'c', type: 'ordered-list-item', text: 'world', children: []},
+          ],
+        },
+      ],
+      entityMap: {},
+    },
+    {treeData: true},
+  );
+  const editorState = EditorState.create({
+    currentContent: contentState,
+    selection: contentState.getSelectionAfter(),
+    trackOperations: true,
+  });
+  expect(() => insertText('!')(editorState)).toThrow(
+    'Operations cannot be computed for tree-based content.',
+  );
+  expect(() =>
+    EditorState.applyOperations(editorState, [
+      {
+        type: 'split_block',
+        blockKey: 'c',
+        offset: 5,
+        newBlockKey: 'd',
+        blockType: 'ordered-list-item',
+        depth: 0,
+      },
+    ]),
+  ).toThrow('Operations cannot be applied to tree-based content.');
+});
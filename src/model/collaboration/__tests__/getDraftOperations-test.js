@@ -0,0 +1,265 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const ContentState = require('ContentState');
+const DraftModifier = require('DraftModifier');
+const SelectionState = require('SelectionState');
+
+const applyOperationsToContentState = require('applyOperationsToContentState');
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const getDraftOperations = require('getDraftOperations');
+const Immutable = require('immutable');
+const moveBlockInContentState = require('moveBlockInContentState');
+
+const getContentState = (): ContentState =>
+  convertFromRawToDraftState({
+    blocks: [
+      {
+        key: 'a',
+        text: 'Hello world',
+        type: 'unstyled',
+        depth: 0,
+        inlineStyleRanges: [{offset: 0, length: 5, style: 'BOLD'}],
+        entityRanges: [],
+        data: {},
+      },
+      {
+        key: 'b',
+        text: 'Second line',
+        type: 'unstyled',
+        depth: 0,
+        inlineStyleRanges: [],
+        entityRanges: [{offset: 7, length: 4, key: 0}],
+        data: {},
+      },
+      {
+        key: 'c',
+        text: 'Third',
+        type: 'unordered-list-item',
+        depth: 0,
+        inlineStyleRanges: [],
+        entityRanges: [],
+        data: {},
+      },
+    ],
+    entityMap: {
+      '0': {type: 'LINK', mutability: 'MUTABLE', data: {url: 'https://a.b'}},
+    },
+  });
+
+const range = (
+  anchorKey: string,
+  anchorOffset: number,
+  focusKey: string = anchorKey,
+  focusOffset: number = anchorOffset,
+) =>
+  new SelectionState({
+    anchorKey,
+    anchorOffset,
+    focusKey,
+    focusOffset,
+    isBackward: false,
+  });
+
+const assertOperationsReproduce = (
+  contentState: ContentState,
+  newContentState: ContentState,
+) => {
+  const operations = getDraftOperations(contentState, newContentState);
+  // Operations must survive serialization.
+  const serialized = JSON.parse(JSON.stringify(operations));
+  expect(
+    convertFromDraftStateToRaw(
+      applyOperationsToContentState(contentState, serialized),
+    ),
+  ).toEqual(convertFromDraftStateToRaw(newContentState));
+  return operations;
+};
+
+test('must return no operations for unchanged content', () => {
+  const contentState = getContentState();
+  expect(
+    getDraftOperations(
+      contentState,
+      contentState.set('selectionAfter', range('b', 1)),
+    ),
+  ).toEqual([]);
+});
+
+test('must record typed text with its style', () => {
+  const contentState = getContentState();
+  const operations = assertOperationsReproduce(
+    contentState,
+    DraftModifier.insertText(
+      contentState,
+      range('a', 5),
+      '!',
+      Immutable.OrderedSet(['BOLD', 'ITALIC']),
+    ),
+  );
+  expect(operations).toEqual([
+    {
+      type: 'insert_text',
+      blockKey: 'a',
+      offset: 5,
+      text: '!',
+      style: ['BOLD', 'ITALIC'],
+      entity: null,
+    },
+  ]);
+});
+
+test('must record replaced text as a removal and an insertion', () => {
+  const contentState = getContentState();
+  const operations = assertOperationsReproduce(
+    contentState,
+    DraftModifier.replaceText(contentState, range('b', 0, 'b', 6), 'First'),
+  );
+  expect(operations).toEqual([
+    {type: 'remove_text', blockKey: 'b', offset: 0, length: 6},
+    {
+      type: 'insert_text',
+      blockKey: 'b',
+      offset: 0,
+      text: 'First',
+      style: [],
+      entity: null,
+    },
+  ]);
+});
+
+test('must record a new block as a split', () => {
+  const contentState = getContentState();
+  const newContentState = DraftModifier.splitBlock(contentState, range('a', 5));
+  const newKey = newContentState.getKeyAfter('a');
+  const operations = assertOperationsReproduce(contentState, newContentState);
+  expect(operations).toEqual([
+    {
+      type: 'split_block',
+      blockKey: 'a',
+      offset: 5,
+      newBlockKey: newKey,
+      blockType: 'unstyled',
+      depth: 0,
+    },
+  ]);
+});
+
+test('must record a joined block as a merge', () => {
+  const contentState = getContentState();
+  const operations = assertOperationsReproduce(
+    contentState,
+    DraftModifier.removeRange(contentState, range('a', 11, 'b', 0), 'backward'),
+  );
+  expect(operations).toEqual([
+    {type: 'merge_block', blockKey: 'b', targetKey: 'a', offset: 11},
+  ]);
+});
+
+test('must record removals spanning several blocks', () => {
+  const contentState = getContentState();
+  assertOperationsReproduce(
+    contentState,
+    DraftModifier.removeRange(contentState, range('a', 6, 'c', 2), 'forward'),
+  );
+});
+
+test('must record block type, data, style and entity changes', () => {
+  const contentState = getContentState();
+  let newContentState = DraftModifier.setBlockType(
+    contentState,
+    range('b', 0),
+    'header-two',
+  );
+  newContentState = DraftModifier.setBlockData(
+    newContentState,
+    range('c', 0),
+    Immutable.Map({checked: true}),
+  );
+  newContentState = DraftModifier.removeInlineStyle(
+    newContentState,
+    range('a', 0, 'a', 3),
+    'BOLD',
+  );
+  newContentState = DraftModifier.applyInlineStyle(
+    newContentState,
+    range('a', 2, 'a', 8),
+    'ITALIC',
+  );
+  newContentState = newContentState.createEntity('MENTION', 'IMMUTABLE', {
+    id: 4,
+  });
+  const mentionKey = newContentState.getLastCreatedEntityKey();
+  newContentState = DraftModifier.applyEntity(
+    newContentState,
+    range('b', 0, 'b', 6),
+    mentionKey,
+  );
+  const operations = assertOperationsReproduce(contentState, newContentState);
+  expect(operations).toContainEqual({
+    type: 'apply_entity',
+    blockKey: 'b',
+    offset: 0,
+    length: 6,
+    entity: {
+      key: mentionKey,
+      type: 'MENTION',
+      mutability: 'IMMUTABLE',
+      data: {id: 4},
+    },
+  });
+  expect(operations).toContainEqual({
+    type: 'remove_inline_style',
+    blockKey: 'a',
+    offset: 0,
+    length: 3,
+    style: 'BOLD',
+  });
+});
+
+test('must record pasted fragments', () => {
+  const contentState = getContentState();
+  const fragment = ContentState.createFromText('one\ntwo\nthree').getBlockMap();
+  assertOperationsReproduce(
+    contentState,
+    DraftModifier.replaceWithFragment(
+      contentState,
+      range('b', 3, 'c', 1),
+      fragment,
+    ),
+  );
+});
+
+test('must record moved blocks', () => {
+  const contentState = getContentState();
+  assertOperationsReproduce(
+    contentState,
+    moveBlockInContentState(
+      contentState,
+      contentState.getBlockForKey('c'),
+      contentState.getBlockForKey('a'),
+      'before',
+    ),
+  );
+});
+
+test('must record replaced content', () => {
+  const contentState = getContentState();
+  assertOperationsReproduce(
+    contentState,
+    ContentState.createFromText('Completely\nnew'),
+  );
+});
@@ -0,0 +1,249 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+import type ContentState from 'ContentState';
+
+const DraftModifier = require('DraftModifier');
+const SelectionState = require('SelectionState');
+
+const applyOperationsToContentState = require('applyOperationsToContentState');
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const getDraftOperations = require('getDraftOperations');
+const Immutable = require('immutable');
+const transformDraftOperations = require('transformDraftOperations');
+const transformSelectionByOperations = require('transformSelectionByOperations');
+
+const getContentState = (): ContentState =>
+  convertFromRawToDraftState({
+    blocks: [
+      {
+        key: 'a',
+        text: 'Hello world',
+        type: 'unstyled',
+        depth: 0,
+        inlineStyleRanges: [],
+        entityRanges: [],
+        data: {},
+      },
+      {
+        key: 'b',
+        text: 'Second line',
+        type: 'unstyled',
+        depth: 0,
+        inlineStyleRanges: [],
+        entityRanges: [],
+        data: {},
+      },
+      {
+        key: 'c',
+        text: 'Third',
+        type: 'unstyled',
+        depth: 0,
+        inlineStyleRanges: [],
+        entityRanges: [],
+        data: {},
+      },
+    ],
+    entityMap: {},
+  });
+
+const range = (
+  anchorKey: string,
+  anchorOffset: number,
+  focusKey: string = anchorKey,
+  focusOffset: number = anchorOffset,
+) =>
+  new SelectionState({
+    anchorKey,
+    anchorOffset,
+    focusKey,
+    focusOffset,
+    isBackward: false,
+  });
+
+const EDITS: {[name: string]: (ContentState) => ContentState, ...} = {
+  'type at start of a': content =>
+    DraftModifier.insertText(content, range('a', 0), 'X'),
+  'type in a': content => DraftModifier.insertText(content, range('a', 5), ','),
+  'type at end of a': content =>
+    DraftModifier.insertText(content, range('a', 11), '!'),
+  'replace in a': content =>
+    DraftModifier.replaceText(content, range('a', 3, 'a', 8), 'p, w'),
+  'remove in a': content =>
+    DraftModifier.removeRange(content, range('a', 2, 'a', 7), 'forward'),
+  'split a': content => DraftModifier.splitBlock(content, range('a', 5)),
+  'split a at end': content =>
+    DraftModifier.splitBlock(content, range('a', 11)),
+  'merge b into a': content =>
+    DraftModifier.removeRange(content, range('a', 11, 'b', 0), 'backward'),
+  'merge c into b': content =>
+    DraftModifier.removeRange(content, range('b', 11, 'c', 0), 'backward'),
+  'remove across blocks': content =>
+    DraftModifier.removeRange(content, range('a', 6, 'c', 2), 'forward'),
+  'paste blocks in b': content =>
+    DraftModifier.replaceWithFragment(
+      content,
+      range('b', 3),
+      convertFromRawToDraftState({
+        blocks: [
+          {key: 'x', text: 'one', type: 'unstyled'},
+          {key: 'y', text: 'two', type: 'header-one'},
+        ],
+        entityMap: {},
+      }).getBlockMap(),
+    ),
+  'bold a': content =>
+    DraftModifier.applyInlineStyle(content, range('a', 0, 'a', 7), 'BOLD'),
+  'unbold a': content =>
+    DraftModifier.removeInlineStyle(content, range('a', 3, 'a', 9), 'BOLD'),
+  'link a': content => {
+    const withEntity = content.createEntity('LINK', 'MUTABLE', {url: 'x'});
+    return DraftModifier.applyEntity(
+      withEntity,
+      range('a', 4, 'a', 10),
+      withEntity.getLastCreatedEntityKey(),
+    );
+  },
+  'header b': content =>
+    DraftModifier.setBlockType(content, range('b', 0), 'header-one'),
+  'quote b': content =>
+    DraftModifier.setBlockType(content, range('b', 0), 'blockquote'),
+  'data a': content =>
+    DraftModifier.setBlockData(content, range('a', 0), Immutable.Map({x: 1})),
+};
+
+// Ranges split by a concurrent edit get an entity each, so entities are
+// compared by value.
+const toRaw = (content: ContentState) => {
+  const {blocks, entityMap} = convertFromDraftStateToRaw(content);
+  return blocks.map(({entityRanges, ...block}) => ({
+    ...block,
+    entityRanges: entityRanges.map(({key, ...entityRange}) => ({
+      ...entityRange,
+      entity: entityMap[key],
+    })),
+  }));
+};
+
+const getConvergedContents = (
+  content: ContentState,
+  operationsA,
+  operationsB,
+) => {
+  const [transformedA, transformedB] = transformDraftOperations(
+    operationsA,
+    operationsB,
+  );
+  return [
+    applyOperationsToContentState(
+      applyOperationsToContentState(content, operationsA),
+      transformedB,
+    ),
+    applyOperationsToContentState(
+      applyOperationsToContentState(content, operationsB),
+      transformedA,
+    ),
+  ];
+};
+
+Object.keys(EDITS).forEach(nameA => {
+  Object.keys(EDITS).forEach(nameB => {
+    test(`must converge for "${nameA}" and "${nameB}"`, () => {
+      const content = getContentState();
+      const operationsA = getDraftOperations(content, EDITS[nameA](content));
+      const operationsB = getDraftOperations(content, EDITS[nameB](content));
+      const [contentAB, contentBA] = getConvergedContents(
+        content,
+        operationsA,
+        operationsB,
+      );
+      expect(toRaw(contentAB)).toEqual(toRaw(contentBA));
+    });
+  });
+});
+
+test('must converge for lists of operations', () => {
+  const content = getContentState();
+  const contentA = EDITS['split a'](EDITS['type in a'](content));
+  const contentB = EDITS['merge c into b'](EDITS['bold a'](content));
+  const [contentAB, contentBA] = getConvergedContents(
+    content,
+    getDraftOperations(content, contentA),
+    getDraftOperations(content, contentB),
+  );
+  expect(toRaw(contentAB)).toEqual(toRaw(contentBA));
+});
+
+test('must keep both insertions at the same position, left first', () => {
+  const content = getContentState();
+  const [contentAB] = getConvergedContents(
+    content,
+    getDraftOperations(
+      content,
+      DraftModifier.insertText(content, range('a', 5), 'A'),
+    ),
+    getDraftOperations(
+      content,
+      DraftModifier.insertText(content, range('a', 5), 'B'),
+    ),
+  );
+  expect(contentAB.getBlockForKey('a').getText()).toBe('HelloAB world');
+});
+
+test('must let the left operation win conflicting block types', () => {
+  const content = getContentState();
+  const [contentAB] = getConvergedContents(
+    content,
+    getDraftOperations(content, EDITS['header b'](content)),
+    getDraftOperations(content, EDITS['quote b'](content)),
+  );
+  expect(contentAB.getBlockForKey('b').getType()).toBe('header-one');
+});
+
+test('must not move a collapsed selection for text inserted at the caret', () => {
+  const content = getContentState();
+  const selection = range('a', 5);
+  const operations = getDraftOperations(
+    content,
+    DraftModifier.insertText(content, range('a', 5), 'remote'),
+  );
+  expect(transformSelectionByOperations(selection, operations)).toBe(selection);
+});
+
+test('must move a selection after text inserted before it', () => {
+  const content = getContentState();
+  const operations = getDraftOperations(
+    content,
+    DraftModifier.insertText(content, range('a', 0), 'abc'),
+  );
+  const selection = transformSelectionByOperations(
+    range('a', 2, 'b', 1),
+    operations,
+  );
+  expect(selection.getAnchorOffset()).toBe(5);
+  expect(selection.getFocusOffset()).toBe(1);
+});
+
+test('must move a selection into the block it was merged into', () => {
+  const content = getContentState();
+  const operations = getDraftOperations(
+    content,
+    EDITS['merge b into a'](content),
+  );
+  const selection = transformSelectionByOperations(range('b', 3), operations);
+  expect(selection.getAnchorKey()).toBe('a');
+  expect(selection.getAnchorOffset()).toBe(14);
+});
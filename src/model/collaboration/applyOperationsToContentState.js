@@ -0,0 +1,300 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockMap} from 'BlockMap';
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type {DraftOperation, DraftOperationEntity} from 'DraftOperation';
+
+const CharacterMetadata = require('CharacterMetadata');
+const ContentBlock = require('ContentBlock');
+const DraftEntityInstance = require('DraftEntityInstance');
+
+const applyEntityToContentBlock = require('applyEntityToContentBlock');
+const Immutable = require('immutable');
+const insertIntoList = require('insertIntoList');
+const invariant = require('invariant');
+const isTreeBasedContentState = require('isTreeBasedContentState');
+const transformSelectionByOperations = require('transformSelectionByOperations');
+
+const {Map, OrderedMap, OrderedSet, Repeat} = Immutable;
+
+/**
+ * Insert `blocks` right after the block with key `afterKey`, or at the start
+ * of the block map if `afterKey` is null.
+ */
+const insertBlocksAfter = (
+  blockMap: BlockMap,
+  afterKey: ?string,
+  blocks: Array<BlockNodeRecord>,
+): BlockMap => {
+  const inserted = OrderedMap(blocks.map(block => [block.getKey(), block]));
+  if (afterKey == null) {
+    return inserted.concat(blockMap).toOrderedMap();
+  }
+  const blocksBefore = blockMap.toSeq().takeUntil((_, k) => k === afterKey);
+  const blocksAfter = blockMap
+    .toSeq()
+    .skipUntil((_, k) => k === afterKey)
+    .rest();
+  return blocksBefore
+    .concat([[afterKey, blockMap.get(afterKey)]], inserted, blocksAfter)
+    .toOrderedMap();
+};
+
+/**
+ * Get the key of the entity of an operation. Text inserted or styled next to
+ * the same entity, `neighborKeys` being the entities of the characters around
+ * the operation, joins it: editors that loaded the document separately have
+ * different keys for the entities it had, so neighbors are compared by value.
+ * Otherwise the entity is looked up by key, and created with the key of the
+ * operation if it doesn't exist yet.
+ */
+const getEntityKey = (
+  contentState: ContentState,
+  entity: DraftOperationEntity,
+  neighborKeys: Array<?string>,
+): string => {
+  const entities = contentState.getAllEntities();
+  const neighborKey = neighborKeys.find(key => {
+    const neighbor = key != null ? entities.get(key) : null;
+    return (
+      neighbor != null &&
+      neighbor.getType() === entity.type &&
+      neighbor.getMutability() === entity.mutability &&
+      Immutable.is(
+        Immutable.fromJS(neighbor.getData()),
+        Immutable.fromJS(entity.data),
+      )
+    );
+  });
+  if (neighborKey != null) {
+    return neighborKey;
+  }
+  if (entities.has(entity.key)) {
+    return entity.key;
+  }
+  contentState.getEntityMap().set(
+    entity.key,
+    new DraftEntityInstance({
+      type: entity.type,
+      mutability: entity.mutability,
+      data: {...entity.data},
+    }),
+  );
+  return entity.key;
+};
+
+const getEntityBefore = (block: BlockNodeRecord, offset: number): ?string =>
+  offset > 0 ? block.getEntityAt(offset - 1) : null;
+
+function applyOperation(
+  contentState: ContentState,
+  operation: DraftOperation,
+): ContentState {
+  const blockMap = contentState.getBlockMap();
+  const block = blockMap.get(operation.blockKey);
+  if (!block && operation.type !== 'insert_block') {
+    return contentState;
+  }
+  switch (operation.type) {
+    case 'insert_text': {
+      const {offset, text} = operation;
+      const characterMetadata = CharacterMetadata.create({
+        style: OrderedSet(operation.style),
+        entity: operation.entity
+          ? getEntityKey(contentState, operation.entity, [
+              getEntityBefore(block, offset),
+              block.getEntityAt(offset),
+            ])
+          : null,
+      });
+      const blockText = block.getText();
+      return contentState.setBlockMap(
+        blockMap.set(
+          block.getKey(),
+          block.merge({
+            text: blockText.slice(0, offset) + text + blockText.slice(offset),
+            characterList: insertIntoList(
+              block.getCharacterList(),
+              Repeat(characterMetadata, text.length).toList(),
+              offset,
+            ),
+          }),
+        ),
+      );
+    }
+
+    case 'remove_text': {
+      const start = operation.offset;
+      const end = start + operation.length;
+      const chars = block.getCharacterList();
+      const blockText = block.getText();
+      return contentState.setBlockMap(
+        blockMap.set(
+          block.getKey(),
+          block.merge({
+            text: blockText.slice(0, start) + blockText.slice(end),
+            characterList: chars.slice(0, start).concat(chars.slice(end)),
+          }),
+        ),
+      );
+    }
+
+    case 'split_block': {
+      const {offset} = operation;
+      const chars = block.getCharacterList();
+      const blockText = block.getText();
+      const blockAbove = block.merge({
+        text: blockText.slice(0, offset),
+        characterList: chars.slice(0, offset),
+      });
+      const blockBelow = new ContentBlock({
+        key: operation.newBlockKey,
+        type: operation.blockType,
+        depth: operation.depth,
+        text: blockText.slice(offset),
+        characterList: chars.slice(offset),
+      });
+      return contentState.setBlockMap(
+        insertBlocksAfter(
+          blockMap.set(block.getKey(), blockAbove),
+          block.getKey(),
+          [blockBelow],
+        ),
+      );
+    }
+
+    case 'merge_block': {
+      const target = blockMap.get(operation.targetKey);
+      if (!target) {
+        return contentState;
+      }
+      return contentState.setBlockMap(
+        blockMap
+          .set(
+            target.getKey(),
+            target.merge({
+              text: target.getText() + block.getText(),
+              characterList: target
+                .getCharacterList()
+                .concat(block.getCharacterList()),
+            }),
+          )
+          .delete(block.getKey()),
+      );
+    }
+
+    case 'insert_block': {
+      const {afterKey} = operation;
+      if (block || (afterKey != null && !blockMap.has(afterKey))) {
+        return contentState;
+      }
+      return contentState.setBlockMap(
+        insertBlocksAfter(blockMap, afterKey, [
+          new ContentBlock({
+            key: operation.blockKey,
+            type: operation.blockType,
+            depth: operation.depth,
+            data: Map(operation.data),
+          }),
+        ]),
+      );
+    }
+
+    case 'set_block_type':
+      return contentState.setBlockMap(
+        blockMap.set(
+          block.getKey(),
+          block.merge({type: operation.blockType, depth: operation.depth}),
+        ),
+      );
+
+    case 'set_block_data':
+      return contentState.setBlockMap(
+        blockMap.set(block.getKey(), block.merge({data: Map(operation.data)})),
+      );
+
+    case 'apply_inline_style':
+    case 'remove_inline_style': {
+      const {offset, length, style} = operation;
+      const modify =
+        operation.type === 'apply_inline_style'
+          ? CharacterMetadata.applyStyle
+          : CharacterMetadata.removeStyle;
+      const characterList = block
+        .getCharacterList()
+        .map((character, index) =>
+          index >= offset && index < offset + length
+            ? modify(character, style)
+            : character,
+        );
+      return contentState.setBlockMap(
+        blockMap.set(block.getKey(), block.set('characterList', characterList)),
+      );
+    }
+
+    case 'apply_entity': {
+      const {offset, length} = operation;
+      const entityKey = operation.entity
+        ? getEntityKey(contentState, operation.entity, [
+            getEntityBefore(block, offset),
+            block.getEntityAt(offset + length),
+          ])
+        : null;
+      return contentState.setBlockMap(
+        blockMap.set(
+          block.getKey(),
+          applyEntityToContentBlock(block, offset, offset + length, entityKey),
+        ),
+      );
+    }
+
+    default:
+      return contentState;
+  }
+}
+
+/**
+ * Apply serialized operations to a ContentState. The selections stored on
+ * the ContentState are moved to account for the operations. Operations
+ * referring to blocks that no longer exist are ignored.
+ *
+ * Operations don't describe the nesting of blocks, so they can't be applied
+ * to tree-based content, whose parent and sibling links they would break.
+ */
+function applyOperationsToContentState(
+  contentState: ContentState,
+  operations: $ReadOnlyArray<DraftOperation>,
+): ContentState {
+  invariant(
+    !isTreeBasedContentState(contentState),
+    'Operations cannot be applied to tree-based content.',
+  );
+  if (operations.length === 0) {
+    return contentState;
+  }
+  const newContentState = operations.reduce(applyOperation, contentState);
+  return newContentState.merge({
+    selectionBefore: transformSelectionByOperations(
+      contentState.getSelectionBefore(),
+      operations,
+    ),
+    selectionAfter: transformSelectionByOperations(
+      contentState.getSelectionAfter(),
+      operations,
+    ),
+  });
+}
+
+module.exports = applyOperationsToContentState;
@@ -0,0 +1,328 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type CharacterMetadata from 'CharacterMetadata';
+import type ContentState from 'ContentState';
+import type {DraftOperation, DraftOperationEntity} from 'DraftOperation';
+
+const applyOperationsToContentState = require('applyOperationsToContentState');
+const getUnmovedBlockKeys = require('getUnmovedBlockKeys');
+const Immutable = require('immutable');
+const invariant = require('invariant');
+const isTreeBasedContentState = require('isTreeBasedContentState');
+const nullthrows = require('nullthrows');
+
+const getEntity = (
+  contentState: ContentState,
+  entityKey: ?string,
+): ?DraftOperationEntity => {
+  if (entityKey == null) {
+    return null;
+  }
+  const entity = contentState.getEntity(entityKey);
+  return {
+    key: entityKey,
+    type: entity.getType(),
+    mutability: entity.getMutability(),
+    data: {...entity.getData()},
+  };
+};
+
+/**
+ * Append the operations turning the text, styles and entities of `block`
+ * into those of `newBlock`. Only the text between the common prefix and
+ * suffix of both blocks is replaced.
+ */
+const diffBlockText = (
+  block: BlockNodeRecord,
+  newBlock: BlockNodeRecord,
+  newContentState: ContentState,
+  operations: Array<DraftOperation>,
+): void => {
+  const blockKey = newBlock.getKey();
+  const text = block.getText();
+  const newText = newBlock.getText();
+  const chars = block.getCharacterList();
+  const newChars = newBlock.getCharacterList();
+
+  let prefix = 0;
+  const maxLength = Math.min(text.length, newText.length);
+  while (prefix < maxLength && text[prefix] === newText[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < maxLength - prefix &&
+    text[text.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const removedLength = text.length - prefix - suffix;
+  if (removedLength > 0) {
+    operations.push({
+      type: 'remove_text',
+      blockKey,
+      offset: prefix,
+      length: removedLength,
+    });
+  }
+
+  // Insert the new text in runs of characters with the same metadata.
+  const insertedEnd = newText.length - suffix;
+  let runStart = prefix;
+  for (let offset = prefix + 1; offset <= insertedEnd; offset++) {
+    if (
+      offset === insertedEnd ||
+      newChars.get(offset) !== newChars.get(runStart)
+    ) {
+      const character = newChars.get(runStart);
+      operations.push({
+        type: 'insert_text',
+        blockKey,
+        offset: runStart,
+        text: newText.slice(runStart, offset),
+        style: character.getStyle().toArray(),
+        entity: getEntity(newContentState, character.getEntity()),
+      });
+      runStart = offset;
+    }
+  }
+
+  // Compare the metadata of the characters that were kept.
+  const keptCharacters: Array<
+    [number, CharacterMetadata, CharacterMetadata],
+  > = [];
+  for (let offset = 0; offset < newText.length; offset++) {
+    if (offset < prefix || offset >= insertedEnd) {
+      const oldOffset =
+        offset < prefix ? offset : offset - insertedEnd + text.length - suffix;
+      const character = chars.get(oldOffset);
+      const newCharacter = newChars.get(offset);
+      if (character !== newCharacter) {
+        keptCharacters.push([offset, character, newCharacter]);
+      }
+    }
+  }
+  if (keptCharacters.length === 0) {
+    return;
+  }
+
+  const styleRuns: Array<{|
+    type: 'apply_inline_style' | 'remove_inline_style',
+    style: string,
+    start: number,
+    end: number,
+  |}> = [];
+  const openStyleRuns = {};
+  const entityRuns = [];
+  keptCharacters.forEach(([offset, character, newCharacter]) => {
+    const style = character.getStyle();
+    const newStyle = newCharacter.getStyle();
+    const changes = newStyle
+      .subtract(style)
+      .toArray()
+      .map(name => ['apply_inline_style', name])
+      .concat(
+        style
+          .subtract(newStyle)
+          .toArray()
+          .map(name => ['remove_inline_style', name]),
+      );
+    changes.forEach(([type, name]) => {
+      const run = openStyleRuns[name];
+      if (run && run.type === type && run.end === offset) {
+        run.end = offset + 1;
+      } else {
+        const newRun = {type, style: name, start: offset, end: offset + 1};
+        styleRuns.push(newRun);
+        openStyleRuns[name] = newRun;
+      }
+    });
+
+    const newEntityKey = newCharacter.getEntity();
+    if (character.getEntity() !== newEntityKey) {
+      const run = entityRuns[entityRuns.length - 1];
+      if (run && run.entityKey === newEntityKey && run.end === offset) {
+        run.end = offset + 1;
+      } else {
+        entityRuns.push({
+          entityKey: newEntityKey,
+          start: offset,
+          end: offset + 1,
+        });
+      }
+    }
+  });
+
+  styleRuns.forEach(({type, style, start, end}) => {
+    operations.push({
+      type,
+      blockKey,
+      offset: start,
+      length: end - start,
+      style,
+    });
+  });
+  entityRuns.forEach(({entityKey, start, end}) => {
+    operations.push({
+      type: 'apply_entity',
+      blockKey,
+      offset: start,
+      length: end - start,
+      entity: getEntity(newContentState, entityKey),
+    });
+  });
+};
+
+/**
+ * Compute the operations turning `contentState` into `newContentState`.
+ * Applying them with `applyOperationsToContentState` gives back the blocks of
+ * `newContentState`, with the same keys for the entities.
+ *
+ * Blocks are compared by key, and unchanged blocks are skipped thanks to
+ * structural sharing. A new block whose text ends the previous block is
+ * recorded as a split, and a removed block as a merge into the previous one,
+ * so that concurrent edits of their text are preserved.
+ *
+ * Tree-based content is not supported, as operations don't describe the
+ * nesting of blocks.
+ */
+function getDraftOperations(
+  contentState: ContentState,
+  newContentState: ContentState,
+): Array<DraftOperation> {
+  invariant(
+    !isTreeBasedContentState(contentState) &&
+      !isTreeBasedContentState(newContentState),
+    'Operations cannot be computed for tree-based content.',
+  );
+  const blockMap = contentState.getBlockMap();
+  const newBlockMap = newContentState.getBlockMap();
+  if (blockMap === newBlockMap) {
+    return [];
+  }
+
+  const operations = [];
+  let currentContent = contentState;
+  const pushStructural = (operation: DraftOperation) => {
+    operations.push(operation);
+    currentContent = applyOperationsToContentState(currentContent, [operation]);
+  };
+
+  const newKeys = newBlockMap.keySeq().toArray();
+  const unmoved = getUnmovedBlockKeys(blockMap, newBlockMap);
+  const isMoved = key => blockMap.has(key) && !unmoved[key];
+
+  const insertBlock = (key: string, afterKey: ?string) => {
+    const newBlock = newBlockMap.get(key);
+    const previousBlock =
+      afterKey != null ? currentContent.getBlockForKey(afterKey) : null;
+    const previousText = previousBlock ? previousBlock.getText() : '';
+    if (
+      previousBlock &&
+      !isMoved(key) &&
+      newBlock.getData().isEmpty() &&
+      previousText.endsWith(newBlock.getText())
+    ) {
+      pushStructural({
+        type: 'split_block',
+        blockKey: previousBlock.getKey(),
+        offset: previousText.length - newBlock.getLength(),
+        newBlockKey: key,
+        blockType: newBlock.getType(),
+        depth: newBlock.getDepth(),
+      });
+    } else {
+      pushStructural({
+        type: 'insert_block',
+        blockKey: key,
+        afterKey,
+        blockType: newBlock.getType(),
+        depth: newBlock.getDepth(),
+        data: newBlock.getData().toObject(),
+      });
+    }
+  };
+
+  // New blocks are added first, so that removed blocks always have a
+  // neighbor to be merged into.
+  let afterKey = null;
+  newKeys.forEach(key => {
+    if (!blockMap.has(key)) {
+      insertBlock(key, afterKey);
+      afterKey = key;
+    } else if (!isMoved(key)) {
+      afterKey = key;
+    }
+  });
+
+  blockMap.keySeq().forEach(key => {
+    if (!newBlockMap.has(key) || isMoved(key)) {
+      const targetKey = nullthrows(
+        currentContent.getKeyBefore(key) || currentContent.getKeyAfter(key),
+      );
+      pushStructural({
+        type: 'merge_block',
+        blockKey: key,
+        targetKey,
+        offset: currentContent.getBlockForKey(targetKey).getLength(),
+      });
+    }
+  });
+
+  afterKey = null;
+  newKeys.forEach(key => {
+    if (isMoved(key)) {
+      insertBlock(key, afterKey);
+    }
+    afterKey = key;
+  });
+
+  newKeys.forEach(key => {
+    const block = currentContent.getBlockForKey(key);
+    const newBlock = newBlockMap.get(key);
+    if (block === newBlock) {
+      return;
+    }
+    if (
+      block.getType() !== newBlock.getType() ||
+      block.getDepth() !== newBlock.getDepth()
+    ) {
+      operations.push({
+        type: 'set_block_type',
+        blockKey: key,
+        blockType: newBlock.getType(),
+        depth: newBlock.getDepth(),
+      });
+    }
+    if (!Immutable.is(block.getData(), newBlock.getData())) {
+      operations.push({
+        type: 'set_block_data',
+        blockKey: key,
+        data: newBlock.getData().toObject(),
+      });
+    }
+    if (
+      block.getText() !== newBlock.getText() ||
+      block.getCharacterList() !== newBlock.getCharacterList()
+    ) {
+      diffBlockText(block, newBlock, newContentState, operations);
+    }
+  });
+
+  return operations;
+}
+
+module.exports = getDraftOperations;
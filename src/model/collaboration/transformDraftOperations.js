@@ -0,0 +1,316 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {DraftOperation} from 'DraftOperation';
+
+const transformDraftPoint = require('transformDraftPoint');
+
+type DraftRange = {|
+  key: string,
+  start: number,
+  end: number,
+|};
+
+/**
+ * Find where a range of text ends up once `operation` is applied. Text
+ * inserted inside the range is not part of the result, so the range may be
+ * split in two, as it is when the block containing it is split.
+ */
+function transformRange(
+  range: DraftRange,
+  operation: DraftOperation,
+): Array<DraftRange> {
+  const {key, start, end} = range;
+  if (operation.blockKey !== key) {
+    return [range];
+  }
+
+  switch (operation.type) {
+    case 'insert_text': {
+      const {offset} = operation;
+      const length = operation.text.length;
+      if (offset <= start) {
+        return [{key, start: start + length, end: end + length}];
+      }
+      if (offset >= end) {
+        return [range];
+      }
+      return [
+        {key, start, end: offset},
+        {key, start: offset + length, end: end + length},
+      ];
+    }
+    case 'split_block': {
+      const {offset, newBlockKey} = operation;
+      if (end <= offset) {
+        return [range];
+      }
+      if (start >= offset) {
+        return [{key: newBlockKey, start: start - offset, end: end - offset}];
+      }
+      return [
+        {key, start, end: offset},
+        {key: newBlockKey, start: 0, end: end - offset},
+      ];
+    }
+    default: {
+      const newStart = transformDraftPoint(
+        {key, offset: start},
+        operation,
+        false,
+        false,
+      );
+      const newEnd = transformDraftPoint(
+        {key, offset: end},
+        operation,
+        false,
+        false,
+      );
+      return [{key: newStart.key, start: newStart.offset, end: newEnd.offset}];
+    }
+  }
+}
+
+/**
+ * Remove the part of `range` covered by the range of `operation`.
+ */
+function subtractRange(
+  range: DraftRange,
+  operation: {blockKey: string, offset: number, length: number, ...},
+): Array<DraftRange> {
+  const {key, start, end} = range;
+  const otherStart = operation.offset;
+  const otherEnd = operation.offset + operation.length;
+  if (operation.blockKey !== key || otherEnd <= start || otherStart >= end) {
+    return [range];
+  }
+  return [
+    {key, start, end: Math.max(start, otherStart)},
+    {key, start: Math.min(end, otherEnd), end},
+  ];
+}
+
+/**
+ * Whether two concurrent operations set conflicting values for the same
+ * property, in which case only one of them can win.
+ */
+function isConflicting(
+  operation: DraftOperation,
+  other: DraftOperation,
+): boolean {
+  if (operation.blockKey !== other.blockKey) {
+    return false;
+  }
+  switch (operation.type) {
+    case 'set_block_type':
+    case 'set_block_data':
+    case 'apply_entity':
+      return operation.type === other.type;
+    case 'apply_inline_style':
+    case 'remove_inline_style':
+      return (
+        (other.type === 'apply_inline_style' ||
+          other.type === 'remove_inline_style') &&
+        other.type !== operation.type &&
+        other.style === operation.style
+      );
+    default:
+      return false;
+  }
+}
+
+/**
+ * Copy a range operation, moving it to `range`.
+ */
+function setRange(
+  operation: DraftOperation,
+  range: DraftRange,
+): DraftOperation {
+  const blockKey = range.key;
+  const offset = range.start;
+  const length = range.end - range.start;
+  switch (operation.type) {
+    case 'remove_text':
+      return {...operation, blockKey, offset, length};
+    case 'apply_inline_style':
+    case 'remove_inline_style':
+      return {...operation, blockKey, offset, length};
+    case 'apply_entity':
+      return {...operation, blockKey, offset, length};
+    default:
+      return operation;
+  }
+}
+
+/**
+ * Transform `operation` so that it can be applied after `other`, both of
+ * them having been made on the same document. When both operations insert
+ * at the same position or conflict, the `isLeft` one wins.
+ */
+function transformOperation(
+  operation: DraftOperation,
+  other: DraftOperation,
+  isLeft: boolean,
+): Array<DraftOperation> {
+  switch (operation.type) {
+    case 'insert_text': {
+      const {key, offset} = transformDraftPoint(
+        {key: operation.blockKey, offset: operation.offset},
+        other,
+        !isLeft,
+        true,
+      );
+      return [{...operation, blockKey: key, offset}];
+    }
+
+    case 'split_block': {
+      const {key, offset} = transformDraftPoint(
+        {key: operation.blockKey, offset: operation.offset},
+        other,
+        false,
+        !isLeft,
+      );
+      return [{...operation, blockKey: key, offset}];
+    }
+
+    case 'merge_block': {
+      if (
+        other.type === 'merge_block' &&
+        other.blockKey === operation.blockKey
+      ) {
+        return [];
+      }
+      const {key, offset} = transformDraftPoint(
+        {key: operation.targetKey, offset: operation.offset},
+        other,
+        true,
+        true,
+      );
+      return [{...operation, targetKey: key, offset}];
+    }
+
+    case 'insert_block': {
+      let {afterKey} = operation;
+      if (other.type === 'insert_block' && other.afterKey === afterKey) {
+        afterKey = isLeft ? afterKey : other.blockKey;
+      } else if (other.blockKey === afterKey) {
+        if (other.type === 'split_block') {
+          afterKey = other.newBlockKey;
+        } else if (other.type === 'merge_block') {
+          afterKey = other.targetKey;
+        }
+      }
+      return [{...operation, afterKey}];
+    }
+
+    case 'set_block_type':
+    case 'set_block_data':
+      if (
+        (other.type === 'merge_block' &&
+          other.blockKey === operation.blockKey) ||
+        (!isLeft && isConflicting(operation, other))
+      ) {
+        return [];
+      }
+      return [operation];
+
+    case 'remove_text':
+    case 'apply_inline_style':
+    case 'remove_inline_style':
+    case 'apply_entity': {
+      let ranges = transformRange(
+        {
+          key: operation.blockKey,
+          start: operation.offset,
+          end: operation.offset + operation.length,
+        },
+        other,
+      );
+      if (
+        !isLeft &&
+        isConflicting(operation, other) &&
+        (other.type === 'apply_inline_style' ||
+          other.type === 'remove_inline_style' ||
+          other.type === 'apply_entity')
+      ) {
+        const conflictingOperation = other;
+        ranges = ranges.reduce(
+          (result, range) =>
+            result.concat(subtractRange(range, conflictingOperation)),
+          [],
+        );
+      }
+      // Removals of split ranges are applied last to first, so that each of
+      // them leaves the offsets of the next one untouched.
+      if (operation.type === 'remove_text') {
+        ranges.reverse();
+      }
+      return ranges
+        .filter(range => range.start < range.end)
+        .map(range => setRange(operation, range));
+    }
+
+    default:
+      return [operation];
+  }
+}
+
+/**
+ * Transform two lists of operations made concurrently on the same document,
+ * so that each can be applied after the other. Returns `[operations',
+ * otherOperations']`: applying `operations` then `otherOperations'` gives the
+ * same document as applying `otherOperations` then `operations'`.
+ *
+ * When both lists insert at the same position or set the same property,
+ * `operations` wins. Every participant has to transform operations in the
+ * same order, e.g. with the operations of the server always second.
+ */
+function transformDraftOperations(
+  operations: $ReadOnlyArray<DraftOperation>,
+  otherOperations: $ReadOnlyArray<DraftOperation>,
+): [Array<DraftOperation>, Array<DraftOperation>] {
+  if (operations.length === 0 || otherOperations.length === 0) {
+    return [[...operations], [...otherOperations]];
+  }
+
+  if (operations.length === 1 && otherOperations.length === 1) {
+    return [
+      transformOperation(operations[0], otherOperations[0], true),
+      transformOperation(otherOperations[0], operations[0], false),
+    ];
+  }
+
+  if (operations.length > 1) {
+    const [head, transformedOthers] = transformDraftOperations(
+      operations.slice(0, 1),
+      otherOperations,
+    );
+    const [tail, finalOthers] = transformDraftOperations(
+      operations.slice(1),
+      transformedOthers,
+    );
+    return [head.concat(tail), finalOthers];
+  }
+
+  const [transformedOperations, head] = transformDraftOperations(
+    operations,
+    otherOperations.slice(0, 1),
+  );
+  const [finalOperations, tail] = transformDraftOperations(
+    transformedOperations,
+    otherOperations.slice(1),
+  );
+  return [finalOperations, head.concat(tail)];
+}
+
+module.exports = transformDraftOperations;
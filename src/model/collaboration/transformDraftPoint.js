@@ -0,0 +1,65 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {DraftOperation} from 'DraftOperation';
+
+export type DraftPoint = {|
+  key: string,
+  offset: number,
+|};
+
+/**
+ * Find where a position in a block ends up once `operation` is applied.
+ *
+ * A position equal to the offset of inserted text or of a split is ambiguous:
+ * `moveOnInsert` and `moveOnSplit` decide whether it follows the inserted
+ * text or the new block, or stays where it is.
+ */
+function transformDraftPoint(
+  point: DraftPoint,
+  operation: DraftOperation,
+  moveOnInsert: boolean,
+  moveOnSplit: boolean,
+): DraftPoint {
+  const {key, offset} = point;
+  if (operation.blockKey !== key) {
+    return point;
+  }
+
+  switch (operation.type) {
+    case 'insert_text':
+      return offset > operation.offset ||
+        (offset === operation.offset && moveOnInsert)
+        ? {key, offset: offset + operation.text.length}
+        : point;
+    case 'remove_text':
+      return offset > operation.offset
+        ? {
+            key,
+            offset:
+              offset - Math.min(operation.length, offset - operation.offset),
+          }
+        : point;
+    case 'split_block':
+      return offset > operation.offset ||
+        (offset === operation.offset && moveOnSplit)
+        ? {key: operation.newBlockKey, offset: offset - operation.offset}
+        : point;
+    case 'merge_block':
+      return {key: operation.targetKey, offset: operation.offset + offset};
+    default:
+      return point;
+  }
+}
+
+module.exports = transformDraftPoint;
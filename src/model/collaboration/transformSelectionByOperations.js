@@ -0,0 +1,59 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {DraftOperation} from 'DraftOperation';
+import type SelectionState from 'SelectionState';
+
+const transformDraftPoint = require('transformDraftPoint');
+
+/**
+ * Move a selection to account for operations made by someone else. Text
+ * inserted at the edges of the selection is kept outside of it, so remote
+ * edits don't move a collapsed caret.
+ */
+function transformSelectionByOperations(
+  selection: SelectionState,
+  operations: $ReadOnlyArray<DraftOperation>,
+): SelectionState {
+  let anchor = {
+    key: selection.getAnchorKey(),
+    offset: selection.getAnchorOffset(),
+  };
+  let focus = {
+    key: selection.getFocusKey(),
+    offset: selection.getFocusOffset(),
+  };
+
+  operations.forEach(operation => {
+    anchor = transformDraftPoint(anchor, operation, false, false);
+    focus = transformDraftPoint(focus, operation, false, false);
+  });
+
+  if (
+    anchor.key === selection.getAnchorKey() &&
+    anchor.offset === selection.getAnchorOffset() &&
+    focus.key === selection.getFocusKey() &&
+    focus.offset === selection.getFocusOffset()
+  ) {
+    return selection;
+  }
+
+  return selection.merge({
+    anchorKey: anchor.key,
+    anchorOffset: anchor.offset,
+    focusKey: focus.key,
+    focusOffset: focus.offset,
+  });
+}
+
+module.exports = transformSelectionByOperations;
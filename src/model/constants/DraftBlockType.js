@@ -29,7 +29,10 @@ export type CoreDraftBlockType =
   | 'code-block'
   | 'atomic'
   | 'section'
-  | 'article';
+  | 'article'
+  | 'table'
+  | 'table-row'
+  | 'table-cell';
 
 /**
  * User defined types can be of any valid string.
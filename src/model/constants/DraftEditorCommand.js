@@ -59,6 +59,39 @@ export type DraftEditorCommand =
   | 'strikethrough'
   | 'code'
 
+  /**
+   * Toggle block types. A selection of blocks of several types is set to the
+   * type of the command.
+   */
+  | 'header-one'
+  | 'header-two'
+  | 'header-three'
+  | 'header-four'
+  | 'header-five'
+  | 'header-six'
+  | 'unordered-list-item'
+  | 'ordered-list-item'
+  | 'blockquote'
+  | 'code-block'
+
+  /**
+   * Change the depth of the selected list items.
+   */
+  | 'indent'
+  | 'outdent'
+
+  /**
+   * Remove the inline styles of the selection.
+   */
+  | 'clear-formatting'
+
+  /**
+   * Add a link to the selection, or remove the links from it. Adding a link
+   * requires its URL, which key commands don't provide.
+   */
+  | 'link'
+  | 'unlink'
+
   /**
    * Split a block in two.
    */
@@ -0,0 +1,23 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow strict
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+/**
+ * Options of the functions that create content. With `treeData`, blocks are
+ * created as `ContentBlockNode`s, which can be nested, as for lists within
+ * lists or blockquotes, and tables. An editor is in tree mode when its
+ * content is. Defaults to the `draft_tree_data_support` flag.
+ */
+export type DraftTreeDataOptions = {
+  treeData?: boolean,
+  ...
+};
@@ -20,6 +20,98 @@ const Immutable = require('immutable');
 const {List} = Immutable;
 
 const DELIMITER = '.';
+const STACK_DELIMITER = ',';
+
+// Time given to idle strategies when `requestIdleCallback` is not supported
+const IDLE_TIME_BUDGET = 10;
+
+type DecorationRange = [number, number];
+
+// Ranges found by asynchronous and idle strategies, by decorator and by block.
+// Blocks are immutable, so the strategies only run again for blocks that have
+// changed, even across composite decorators sharing the same decorators.
+const cachedRanges: WeakMap<
+  DraftDecorator,
+  WeakMap<BlockNodeRecord, Array<DecorationRange>>,
+> = new WeakMap();
+
+const getCachedRanges = (
+  decorator: DraftDecorator,
+  block: BlockNodeRecord,
+): ?Array<DecorationRange> => {
+  const rangesByBlock = cachedRanges.get(decorator);
+  return rangesByBlock ? rangesByBlock.get(block) : null;
+};
+
+const setCachedRanges = (
+  decorator: DraftDecorator,
+  block: BlockNodeRecord,
+  ranges: Array<DecorationRange>,
+): void => {
+  const rangesByBlock = cachedRanges.get(decorator) || new WeakMap();
+  rangesByBlock.set(block, ranges);
+  cachedRanges.set(decorator, rangesByBlock);
+};
+
+const isPromise = (value: mixed): boolean %checks =>
+  value != null && typeof value.then === 'function';
+
+/**
+ * Run the strategy of a decorator on a block, collecting the ranges it finds
+ * along with what it returns.
+ */
+const runStrategy = (
+  decorator: DraftDecorator,
+  block: BlockNodeRecord,
+  contentState: ContentState,
+): {ranges: Array<DecorationRange>, result: void | Promise<void>, ...} => {
+  const ranges = [];
+  const result = decorator.strategy(
+    block,
+    (start, end) => {
+      ranges.push([start, end]);
+    },
+    contentState,
+  );
+  return {ranges, result};
+};
+
+const idleTasks: Array<() => void> = [];
+
+const requestIdleTime = (
+  callback: (deadline: {timeRemaining: () => number, ...}) => void,
+): void => {
+  if (typeof global.requestIdleCallback === 'function') {
+    global.requestIdleCallback(callback);
+    return;
+  }
+  setTimeout(() => {
+    const start = Date.now();
+    callback({
+      timeRemaining: () => Math.max(0, IDLE_TIME_BUDGET - (Date.now() - start)),
+    });
+  }, 0);
+};
+
+const runIdleTasks = (deadline: {timeRemaining: () => number, ...}): void => {
+  try {
+    do {
+      const task = idleTasks.shift();
+      task && task();
+    } while (idleTasks.length > 0 && deadline.timeRemaining() > 0);
+  } finally {
+    if (idleTasks.length > 0) {
+      requestIdleTime(runIdleTasks);
+    }
+  }
+};
+
+const scheduleIdleTask = (task: () => void): void => {
+  idleTasks.push(task);
+  if (idleTasks.length === 1) {
+    requestIdleTime(runIdleTasks);
+  }
+};
 
 /**
  * A CompositeDraftDecorator traverses through a list of DraftDecorator
@@ -39,9 +131,28 @@ const DELIMITER = '.';
  *
  * Thus, when a collision like this is encountered, the earlier match is
  * preserved and the new match is discarded.
+ *
+ * Decorators that set `overlap` are exempt from this: their matches are kept
+ * wherever other decorators match, such as search results highlighted over
+ * hashtags and links, and other matches are kept wherever theirs are. The
+ * decorations of the same characters are stacked in the order of their
+ * decorators, the earlier ones being rendered around the later ones, and are
+ * given with the `getKeysForKey` method.
+ *
+ * Expensive strategies can be run asynchronously, by returning a promise that
+ * resolves once they are done calling back, or when the browser is idle, by
+ * setting `idle` on their decorator. Blocks are first decorated without them,
+ * and listeners registered with `subscribe` are called with the keys of the
+ * blocks once their decorations are ready. The ranges these strategies find
+ * are cached for each version of a block, so that they only run again for
+ * blocks that have changed.
  */
 class CompositeDraftDecorator {
   _decorators: $ReadOnlyArray<DraftDecorator>;
+  _listeners: Array<(blockKeys: Array<string>) => void> = [];
+  // The latest version of each block decorated later, by decorator and key
+  _pendingBlocks: Map<DraftDecorator, Map<string, BlockNodeRecord>> = new Map();
+  _readyBlockKeys: Set<string> = new Set();
 
   constructor(decorators: $ReadOnlyArray<DraftDecorator>) {
     // Copy the decorator array, since we use this array order to determine
@@ -75,26 +186,157 @@ class CompositeDraftDecorator {
     block: BlockNodeRecord,
     contentState: ContentState,
   ): List<?string> {
-    const decorations = Array(block.getText().length).fill(null);
+    const length = block.getText().length;
+    const decorations = Array(length).fill(null);
+    const occupiedSlices = Array(length).fill(null);
 
     this._decorators.forEach((decorator: DraftDecorator, ii: number) => {
       let counter = 0;
-      const strategy = decorator.strategy;
-      function getDecorationsChecker(start: number, end: number) {
+      // Overlapping matches are only discarded within the same decorator
+      const slices = decorator.overlap
+        ? Array(length).fill(null)
+        : occupiedSlices;
+      function getDecorationsChecker([start, end]: DecorationRange) {
         // Find out if any of our matching range is already occupied
         // by another decorator. If so, discard the match. Otherwise, store
         // the component key for rendering.
-        if (canOccupySlice(decorations, start, end)) {
-          occupySlice(decorations, start, end, ii + DELIMITER + counter);
+        if (canOccupySlice(slices, start, end)) {
+          const componentKey = ii + DELIMITER + counter;
+          occupySlice(slices, start, end, componentKey);
+          stackSlice(decorations, start, end, componentKey);
           counter++;
         }
       }
-      strategy(block, getDecorationsChecker, contentState);
+
+      const ranges = getCachedRanges(decorator, block);
+      if (ranges) {
+        ranges.forEach(getDecorationsChecker);
+      } else if (decorator.idle) {
+        this._decorateInIdleTime(decorator, block, contentState);
+      } else if (!this._isPending(decorator, block)) {
+        const {ranges: foundRanges, result} = runStrategy(
+          decorator,
+          block,
+          contentState,
+        );
+        if (isPromise(result)) {
+          this._waitForRanges(decorator, block, foundRanges, result);
+        } else {
+          foundRanges.forEach(getDecorationsChecker);
+        }
+      }
     });
 
     return List(decorations);
   }
 
+  /**
+   * Register a listener to call with the keys of the blocks whose decorations
+   * found by asynchronous or idle strategies are ready. The trees of these
+   * blocks can be regenerated with `EditorState.refreshDecorations`. Returns a
+   * function that unregisters the listener.
+   */
+  subscribe(listener: (blockKeys: Array<string>) => void): () => void {
+    this._listeners = this._listeners.concat(listener);
+    return () => {
+      this._listeners = this._listeners.filter(other => other !== listener);
+    };
+  }
+
+  _isPending(decorator: DraftDecorator, block: BlockNodeRecord): boolean {
+    const pendingBlocks = this._pendingBlocks.get(decorator);
+    return !!pendingBlocks && pendingBlocks.get(block.getKey()) === block;
+  }
+
+  _setPending(decorator: DraftDecorator, block: BlockNodeRecord): void {
+    const pendingBlocks = this._pendingBlocks.get(decorator) || new Map();
+    pendingBlocks.set(block.getKey(), block);
+    this._pendingBlocks.set(decorator, pendingBlocks);
+  }
+
+  _clearPending(decorator: DraftDecorator, block: BlockNodeRecord): void {
+    const pendingBlocks = this._pendingBlocks.get(decorator);
+    if (pendingBlocks && pendingBlocks.get(block.getKey()) === block) {
+      pendingBlocks.delete(block.getKey());
+    }
+  }
+
+  _decorateInIdleTime(
+    decorator: DraftDecorator,
+    block: BlockNodeRecord,
+    contentState: ContentState,
+  ): void {
+    if (this._isPending(decorator, block)) {
+      return;
+    }
+    this._setPending(decorator, block);
+    scheduleIdleTask(() => {
+      // Versions of the block that were replaced by newer ones before the
+      // browser was idle are skipped.
+      if (!this._isPending(decorator, block)) {
+        return;
+      }
+      const {ranges: foundRanges, result} = runStrategy(
+        decorator,
+        block,
+        contentState,
+      );
+      if (isPromise(result)) {
+        this._waitForRanges(decorator, block, foundRanges, result);
+      } else {
+        this._setRanges(decorator, block, foundRanges);
+      }
+    });
+  }
+
+  /**
+   * Wait for an asynchronous strategy to be done finding ranges in a block.
+   * Ranges found after its promise is settled are ignored, and a block whose
+   * strategy fails is left undecorated by it.
+   */
+  _waitForRanges(
+    decorator: DraftDecorator,
+    block: BlockNodeRecord,
+    foundRanges: Array<DecorationRange>,
+    promise: Promise<void>,
+  ): void {
+    this._setPending(decorator, block);
+    promise.then(
+      () => this._setRanges(decorator, block, foundRanges.slice()),
+      () => this._clearPending(decorator, block),
+    );
+  }
+
+  _setRanges(
+    decorator: DraftDecorator,
+    block: BlockNodeRecord,
+    ranges: Array<DecorationRange>,
+  ): void {
+    this._clearPending(decorator, block);
+    setCachedRanges(decorator, block, ranges);
+    if (ranges.length === 0) {
+      return;
+    }
+    // Blocks decorated at the same time are reported together
+    if (this._readyBlockKeys.size === 0) {
+      Promise.resolve().then(() => {
+        const blockKeys = Array.from(this._readyBlockKeys);
+        this._readyBlockKeys.clear();
+        this._listeners.forEach(listener => listener(blockKeys));
+      });
+    }
+    this._readyBlockKeys.add(block.getKey());
+  }
+
+  /**
+   * Returns the keys of the decorations stacked on the characters with the
+   * given key, from the outermost to the innermost. The component and props
+   * for a stacked key are those of its outermost decoration.
+   */
+  getKeysForKey(key: string): Array<string> {
+    return key.split(STACK_DELIMITER);
+  }
+
   getComponentForKey(key: string): Function {
     const componentKey = parseInt(key.split(DELIMITER)[0], 10);
     return this._decorators[componentKey].component;
@@ -138,4 +380,23 @@ function occupySlice(
   }
 }
 
+/**
+ * Stack the specified component onto the decorations of the desired range,
+ * within the components of the earlier decorators.
+ */
+function stackSlice(
+  targetArr: Array<?string>,
+  start: number,
+  end: number,
+  componentKey: string,
+): void {
+  for (let ii = start; ii < end; ii++) {
+    const stackedKey = targetArr[ii];
+    targetArr[ii] =
+      stackedKey == null
+        ? componentKey
+        : stackedKey + STACK_DELIMITER + componentKey;
+  }
+}
+
 module.exports = CompositeDraftDecorator;
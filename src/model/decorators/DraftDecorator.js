@@ -22,7 +22,7 @@ export type DraftDecoratorStrategy = (
   block: BlockNodeRecord,
   callback: (start: number, end: number) => void,
   contentState: ContentState,
-) => void;
+) => void | Promise<void>;
 
 /**
  * A DraftDecorator is a strategy-component pair intended for use when
@@ -38,11 +38,22 @@ export type DraftDecoratorStrategy = (
  *     "decorated" section of text.
  *
  *   - "props": Props to be passed into the React component that will be used.
+ *
+ *   - "idle": Whether the strategy should be run when the browser is idle,
+ *     rather than when the editor state changes. Strategies that return a
+ *     promise are asynchronous as well: the ranges they find are applied once
+ *     the promise resolves. See `CompositeDraftDecorator`.
+ *
+ *   - "overlap": Whether the matches of the strategy may overlap the matches
+ *     of other decorators, rather than being discarded. Overlapping matches
+ *     are rendered as nested components. See `CompositeDraftDecorator`.
  */
 export type DraftDecorator = {
   strategy: DraftDecoratorStrategy,
   component: Function,
   props?: Object,
+  idle?: boolean,
+  overlap?: boolean,
   ...
 };
 
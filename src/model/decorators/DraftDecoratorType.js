@@ -39,4 +39,17 @@ export type DraftDecoratorType = interface {
    * this decorated range.
    */
   getPropsForKey(key: string): ?Object,
+  /**
+   * Optionally, given a decorator key, return the keys of the decorations
+   * stacked on this decorated range, from the outermost to the innermost.
+   * Their components are rendered nested in this order.
+   */
+  +getKeysForKey?: (key: string) => Array<string>,
+  /**
+   * Optionally, register a listener to call with the keys of the blocks whose
+   * decorations have changed although the blocks haven't, for instance when
+   * decorations found asynchronously are ready. Returns a function that
+   * unregisters the listener.
+   */
+  +subscribe?: (listener: (blockKeys: Array<string>) => void) => () => void,
 };
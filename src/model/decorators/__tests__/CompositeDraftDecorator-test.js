@@ -14,8 +14,13 @@ const CompositeDraftDecorator = require('CompositeDraftDecorator');
 const ContentState = require('ContentState');
 
 class ContentBlock {
-  constructor(text) {
+  constructor(text, key = 'a') {
     this._text = text;
+    this._key = key;
+  }
+
+  getKey() {
+    return this._key;
   }
 
   getText() {
@@ -95,3 +100,121 @@ test('must throw out matches if earlier match is shorter', () => {
 test('must separate adjacent ranges that have the same decorator', () => {
   assertCompositeDraftDecorator('barbarbar', [BarDecorator]);
 });
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('must apply the matches of asynchronous strategies once they are done', async () => {
+  let finishStrategy = () => {};
+  const strategy = jest.fn(
+    (block, callback, contentState) =>
+      new Promise(resolve => {
+        finishStrategy = () => {
+          searchWith(/foo/gi)(block, callback, contentState);
+          resolve();
+        };
+      }),
+  );
+  const AsyncFooDecorator = {strategy};
+  const decorator = new CompositeDraftDecorator([
+    AsyncFooDecorator,
+    BarDecorator,
+  ]);
+  const listener = jest.fn();
+  decorator.subscribe(listener);
+  const block = new ContentBlock('foo bar');
+  const contentState = ContentState.createFromText('foo bar');
+
+  expect(decorator.getDecorations(block, contentState).toArray()).toEqual([
+    null,
+    null,
+    null,
+    null,
+    '1.0',
+    '1.0',
+    '1.0',
+  ]);
+  decorator.getDecorations(block, contentState);
+  expect(strategy).toHaveBeenCalledTimes(1);
+
+  finishStrategy();
+  await flushPromises();
+  expect(listener).toHaveBeenCalledWith(['a']);
+  expect(decorator.getDecorations(block, contentState).toArray()).toEqual([
+    '0.0',
+    '0.0',
+    '0.0',
+    null,
+    '1.0',
+    '1.0',
+    '1.0',
+  ]);
+
+  // Matches are kept for each version of a block, across decorators
+  new CompositeDraftDecorator([AsyncFooDecorator]).getDecorations(
+    block,
+    contentState,
+  );
+  expect(strategy).toHaveBeenCalledTimes(1);
+  decorator.getDecorations(new ContentBlock('bar foo'), contentState);
+  expect(strategy).toHaveBeenCalledTimes(2);
+});
+
+test('must run idle strategies on the latest version of blocks', async () => {
+  jest.useFakeTimers();
+  const strategy = jest.fn(searchWith(/foo/gi));
+  const decorator = new CompositeDraftDecorator([{strategy, idle: true}]);
+  const listener = jest.fn();
+  decorator.subscribe(listener);
+  const contentState = ContentState.createFromText('');
+  const first = new ContentBlock('foo', 'a');
+  const second = new ContentBlock('a foo', 'b');
+  const secondChanged = new ContentBlock('foo!', 'b');
+
+  expect(decorator.getDecorations(first, contentState).toArray()).toEqual([
+    null,
+    null,
+    null,
+  ]);
+  decorator.getDecorations(second, contentState);
+  decorator.getDecorations(secondChanged, contentState);
+  expect(strategy).not.toHaveBeenCalled();
+
+  jest.runAllTimers();
+  jest.useRealTimers();
+  await flushPromises();
+  expect(strategy.mock.calls.map(([block]) => block)).toEqual([
+    first,
+    secondChanged,
+  ]);
+  expect(listener).toHaveBeenCalledTimes(1);
+  expect(listener).toHaveBeenCalledWith(['a', 'b']);
+  expect(
+    decorator.getDecorations(secondChanged, contentState).toArray(),
+  ).toEqual(['0.0', '0.0', '0.0', null]);
+});
+
+test('must stack the matches of overlapping decorators in decorator order', () => {
+  const HighlightDecorator = {
+    strategy: searchWith(/ob|o/gi),
+    overlap: true,
+  };
+  const decorator = new CompositeDraftDecorator([
+    FooDecorator,
+    HighlightDecorator,
+    BarDecorator,
+  ]);
+  const decorations = decorator.getDecorations(
+    new ContentBlock('foobar'),
+    ContentState.createFromText('foobar'),
+  );
+  expect(decorations.toArray()).toEqual([
+    '0.0',
+    '0.0,1.0',
+    '0.0,1.1',
+    '1.1,2.0',
+    '2.0',
+    '2.0',
+  ]);
+  expect(decorator.getKeysForKey('1.1,2.0')).toEqual(['1.1', '2.0']);
+  expect(decorator.getKeysForKey('2.0')).toEqual(['2.0']);
+});
@@ -0,0 +1,53 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+
+export type DraftDiagnosticSeverity = 'error' | 'warning' | 'info';
+
+/**
+ * A problem found in the text of a block, such as a misspelled word, from
+ * `start` to `end`, with the replacements suggested to fix it, if any.
+ */
+export type DraftDiagnostic = {
+  start: number,
+  end: number,
+  message: string,
+  severity: DraftDiagnosticSeverity,
+  suggestions: Array<string>,
+  ...
+};
+
+/**
+ * A diagnostic along with the key of its block.
+ */
+export type DraftBlockDiagnostic = {
+  ...DraftDiagnostic,
+  blockKey: string,
+  ...
+};
+
+/**
+ * A provider finds diagnostics in a block, right away or asynchronously,
+ * depending only on the block it is given. Providers marked as `idle` are run
+ * when the browser is idle.
+ */
+export type DraftDiagnosticProvider = {
+  diagnose: (
+    block: BlockNodeRecord,
+    contentState: ContentState,
+  ) => Array<DraftDiagnostic> | Promise<Array<DraftDiagnostic>>,
+  idle?: boolean,
+  ...
+};
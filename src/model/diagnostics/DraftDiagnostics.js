@@ -0,0 +1,157 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type {DraftDecorator, DraftDecoratorStrategy} from 'DraftDecorator';
+import type {
+  DraftBlockDiagnostic,
+  DraftDiagnostic,
+  DraftDiagnosticProvider,
+} from 'DraftDiagnostic';
+import type EditorState from 'EditorState';
+
+const DraftEditorDiagnostic = require('DraftEditorDiagnostic.react');
+const DraftFindReplace = require('DraftFindReplace');
+
+// Diagnostics found by each provider, by version of block. Blocks are
+// immutable, so providers only run again for blocks that have changed.
+const cachedDiagnostics: WeakMap<
+  DraftDiagnosticProvider,
+  WeakMap<BlockNodeRecord, Array<DraftDiagnostic>>,
+> = new WeakMap();
+
+const getCachedDiagnostics = (
+  provider: DraftDiagnosticProvider,
+  block: BlockNodeRecord,
+): ?Array<DraftDiagnostic> => {
+  const diagnosticsByBlock = cachedDiagnostics.get(provider);
+  return diagnosticsByBlock ? diagnosticsByBlock.get(block) : null;
+};
+
+/**
+ * Cache the diagnostics found in a block, leaving out those whose range is
+ * empty or out of the text of the block.
+ */
+const setCachedDiagnostics = (
+  provider: DraftDiagnosticProvider,
+  block: BlockNodeRecord,
+  diagnostics: Array<DraftDiagnostic>,
+): Array<DraftDiagnostic> => {
+  const validDiagnostics = diagnostics.filter(
+    ({start, end}) => start >= 0 && start < end && end <= block.getLength(),
+  );
+  const diagnosticsByBlock = cachedDiagnostics.get(provider) || new WeakMap();
+  diagnosticsByBlock.set(block, validDiagnostics);
+  cachedDiagnostics.set(provider, diagnosticsByBlock);
+  return validDiagnostics;
+};
+
+const createStrategy = (
+  provider: DraftDiagnosticProvider,
+): DraftDecoratorStrategy => (block, callback, contentState) => {
+  const report = diagnostics =>
+    diagnostics.forEach(({start, end}) => callback(start, end));
+  const cached = getCachedDiagnostics(provider, block);
+  const result = cached || provider.diagnose(block, contentState);
+  if (!Array.isArray(result)) {
+    return result.then(diagnostics =>
+      report(setCachedDiagnostics(provider, block, diagnostics)),
+    );
+  }
+  return report(cached || setCachedDiagnostics(provider, block, result));
+};
+
+/**
+ * `DraftDiagnostics` renders the problems found in the text by diagnostic
+ * providers, such as spell checkers, grammar checkers or style guides, and
+ * applies the replacements they suggest.
+ *
+ * Each provider is given a block and returns the diagnostics it finds in it,
+ * or a promise of them. Diagnostics are cached for each version of a block,
+ * so that providers only run again for blocks that have changed.
+ */
+const DraftDiagnostics = {
+  /**
+   * Create the decorators rendering the diagnostics of the providers, one for
+   * each provider, to use along with the other decorators of the editor. The
+   * diagnostics overlap the decorations of the other decorators and of the
+   * other providers rather than hiding them. The diagnostics of a provider
+   * that overlap each other are left out, except for the first one.
+   *
+   * The component is given a `getDiagnostic` prop, returning the diagnostic
+   * of the range it renders from the block, `start` and `end` of the range,
+   * along with the props of other decorator components.
+   */
+  createDecorators(
+    providers: Array<DraftDiagnosticProvider>,
+    component?: Function,
+  ): Array<DraftDecorator> {
+    return providers.map(provider => ({
+      strategy: createStrategy(provider),
+      component: component || DraftEditorDiagnostic,
+      props: {
+        getDiagnostic: (
+          block: BlockNodeRecord,
+          start: number,
+          end: number,
+        ): ?DraftDiagnostic =>
+          (getCachedDiagnostics(provider, block) || []).find(
+            diagnostic => diagnostic.start <= start && end <= diagnostic.end,
+          ),
+      },
+      idle: !!provider.idle,
+      overlap: true,
+    }));
+  },
+
+  /**
+   * List the diagnostics found so far by the decorators of the providers, in
+   * document order. Diagnostics found asynchronously are only listed once
+   * they are ready.
+   */
+  getDiagnostics(
+    contentState: ContentState,
+    providers: Array<DraftDiagnosticProvider>,
+  ): Array<DraftBlockDiagnostic> {
+    const diagnostics = [];
+    contentState.getBlockMap().forEach(block => {
+      const blockKey = block.getKey();
+      const blockDiagnostics = [];
+      providers.forEach(provider => {
+        (getCachedDiagnostics(provider, block) || []).forEach(diagnostic =>
+          blockDiagnostics.push({...diagnostic, blockKey}),
+        );
+      });
+      diagnostics.push(
+        ...blockDiagnostics.sort((a, b) => a.start - b.start || a.end - b.end),
+      );
+    });
+    return diagnostics;
+  },
+
+  /**
+   * Replace the text of a diagnostic with one of its suggestions, as an undo
+   * step, selecting the text that replaced it. The inline style of the text
+   * is kept, as when typing over it.
+   */
+  applySuggestion(
+    editorState: EditorState,
+    diagnostic: DraftBlockDiagnostic,
+    suggestion: string,
+  ): EditorState {
+    return DraftFindReplace.replaceMatch(editorState, diagnostic, suggestion);
+  },
+};
+
+module.exports = DraftDiagnostics;
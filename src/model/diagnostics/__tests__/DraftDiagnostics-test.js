@@ -0,0 +1,177 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const CompositeDraftDecorator = require('CompositeDraftDecorator');
+const ContentState = require('ContentState');
+const DraftDiagnostics = require('DraftDiagnostics');
+const EditorState = require('EditorState');
+
+const findWord = (block, word) =>
+  Array.from(
+    block.getText().matchAll(new RegExp('\\b' + word + '\\b', 'g')),
+  ).map(match => [match.index, match.index + word.length]);
+
+const createSpellingProvider = () => ({
+  diagnose: jest.fn(block =>
+    findWord(block, 'teh').map(([start, end]) => ({
+      start,
+      end,
+      message: 'Misspelled word',
+      severity: 'error',
+      suggestions: ['the', 'ten'],
+    })),
+  ),
+});
+
+const createBannedWordProvider = () => ({
+  diagnose: jest.fn(block =>
+    findWord(block, 'very')
+      .map(([start, end]) => ({
+        start,
+        end,
+        message: 'Avoid "very"',
+        severity: 'info',
+        suggestions: [],
+      }))
+      // Ranges out of the block are left out
+      .concat({
+        start: 40,
+        end: 50,
+        message: 'Out of range',
+        severity: 'info',
+        suggestions: [],
+      }),
+  ),
+});
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('must decorate diagnostics over the decorations of other decorators', () => {
+  const spelling = createSpellingProvider();
+  const bannedWords = createBannedWordProvider();
+  const contentState = ContentState.createFromText('a very teh day');
+  const block = contentState.getFirstBlock();
+  const decorator = new CompositeDraftDecorator([
+    {
+      strategy: (_, callback) => callback(0, 11),
+      component: () => null,
+    },
+    ...DraftDiagnostics.createDecorators([spelling, bannedWords]),
+  ]);
+
+  expect(decorator.getDecorations(block, contentState).toArray()).toEqual([
+    '0.0',
+    '0.0',
+    '0.0,2.0',
+    '0.0,2.0',
+    '0.0,2.0',
+    '0.0,2.0',
+    '0.0',
+    '0.0,1.0',
+    '0.0,1.0',
+    '0.0,1.0',
+    '0.0',
+    null,
+    null,
+    null,
+  ]);
+  const {getDiagnostic} = decorator.getPropsForKey('1.0') || {};
+  expect(getDiagnostic(block, 7, 10)).toMatchObject({
+    message: 'Misspelled word',
+    suggestions: ['the', 'ten'],
+  });
+  expect(getDiagnostic(block, 2, 6)).toBe(undefined);
+
+  // Providers only run again for blocks that have changed
+  decorator.getDecorations(block, contentState);
+  expect(spelling.diagnose).toHaveBeenCalledTimes(1);
+  const changedBlock = block.set('text', 'a very teh dax');
+  decorator.getDecorations(changedBlock, contentState);
+  expect(spelling.diagnose).toHaveBeenCalledTimes(2);
+});
+
+test('must list the diagnostics found so far in document order', () => {
+  const spelling = createSpellingProvider();
+  const bannedWords = createBannedWordProvider();
+  const providers = [spelling, bannedWords];
+  const editorState = EditorState.createWithContent(
+    ContentState.createFromText('teh very\nvery teh'),
+    new CompositeDraftDecorator(DraftDiagnostics.createDecorators(providers)),
+  );
+  const contentState = editorState.getCurrentContent();
+  const [firstKey, lastKey] = contentState
+    .getBlockMap()
+    .keySeq()
+    .toArray();
+  expect(
+    DraftDiagnostics.getDiagnostics(
+      contentState,
+      providers,
+    ).map(({blockKey, start, end, message}) => [blockKey, start, end, message]),
+  ).toEqual([
+    [firstKey, 0, 3, 'Misspelled word'],
+    [firstKey, 4, 8, 'Avoid "very"'],
+    [lastKey, 0, 4, 'Avoid "very"'],
+    [lastKey, 5, 8, 'Misspelled word'],
+  ]);
+});
+
+test('must decorate the diagnostics of asynchronous providers once ready', async () => {
+  const provider = {
+    diagnose: jest.fn(block =>
+      Promise.resolve(createSpellingProvider().diagnose(block)),
+    ),
+  };
+  const contentState = ContentState.createFromText('teh end');
+  const block = contentState.getFirstBlock();
+  const decorator = new CompositeDraftDecorator(
+    DraftDiagnostics.createDecorators([provider]),
+  );
+  const listener = jest.fn();
+  decorator.subscribe(listener);
+
+  expect(decorator.getDecorations(block, contentState).first()).toBe(null);
+  await flushPromises();
+  expect(listener).toHaveBeenCalledWith([block.getKey()]);
+  expect(decorator.getDecorations(block, contentState).first()).toBe('0.0');
+  expect(provider.diagnose).toHaveBeenCalledTimes(1);
+});
+
+test('must apply a suggestion as an undoable edit', () => {
+  const spelling = createSpellingProvider();
+  const editorState = EditorState.createWithContent(
+    ContentState.createFromText('fix teh typo'),
+    new CompositeDraftDecorator(DraftDiagnostics.createDecorators([spelling])),
+  );
+  const [
+    diagnostic,
+  ] = DraftDiagnostics.getDiagnostics(editorState.getCurrentContent(), [
+    spelling,
+  ]);
+  const fixed = DraftDiagnostics.applySuggestion(
+    editorState,
+    diagnostic,
+    diagnostic.suggestions[0],
+  );
+  expect(fixed.getCurrentContent().getPlainText()).toBe('fix the typo');
+  expect(
+    DraftDiagnostics.getDiagnostics(fixed.getCurrentContent(), [spelling]),
+  ).toEqual([]);
+  expect(
+    EditorState.undo(fixed)
+      .getCurrentContent()
+      .getPlainText(),
+  ).toBe('fix teh typo');
+});
@@ -0,0 +1,25 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+/**
+ * A plain object representation of a range of text covered by an annotation.
+ *
+ * The `key` value corresponds to the key of the annotation in the
+ * `annotationMap` of the raw content state.
+ */
+export type AnnotationRange = {
+  key: string,
+  offset: number,
+  length: number,
+  ...
+};
@@ -0,0 +1,23 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+/**
+ * A plain object representation of a DraftAnnotation. Raw content states only
+ * store its data, its ranges being stored in the blocks as
+ * `annotationRanges`.
+ */
+export type RawDraftAnnotation = {
+  data: {[key: string]: any, ...},
+  ranges?: Array<{blockKey: string, start: number, end: number, ...}>,
+  ...
+};
@@ -11,6 +11,7 @@
 
 'use strict';
 
+import type {AnnotationRange} from 'AnnotationRange';
 import type {DraftBlockType} from 'DraftBlockType';
 import type {EntityRange} from 'EntityRange';
 import type {InlineStyleRange} from 'InlineStyleRange';
@@ -27,6 +28,7 @@ export type RawDraftContentBlock = {
   inlineStyleRanges: ?Array<InlineStyleRange>,
   entityRanges: ?Array<EntityRange>,
   data?: Object,
+  annotationRanges?: Array<AnnotationRange>,
   children?: Array<RawDraftContentBlock>,
   ...
 };
@@ -11,6 +11,7 @@
 
 'use strict';
 
+import type {RawDraftAnnotation} from 'RawDraftAnnotation';
 import type {RawDraftContentBlock} from 'RawDraftContentBlock';
 import type {RawDraftEntity} from 'RawDraftEntity';
 
@@ -26,4 +27,5 @@ import type {RawDraftEntity} from 'RawDraftEntity';
 export type RawDraftContentState = {
   blocks: Array<RawDraftContentBlock>,
   entityMap: {[key: string]: RawDraftEntity},
+  annotationMap?: {[key: string]: RawDraftAnnotation},
 };
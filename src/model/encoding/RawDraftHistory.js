@@ -0,0 +1,74 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow strict-local
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {DraftBlockType} from 'DraftBlockType';
+import type {EntityRange} from 'EntityRange';
+import type {InlineStyleRange} from 'InlineStyleRange';
+import type {RawDraftAnnotation} from 'RawDraftAnnotation';
+import type {RawDraftEntity} from 'RawDraftEntity';
+
+export type RawDraftSelection = {
+  anchorKey: string,
+  anchorOffset: number,
+  focusKey: string,
+  focusOffset: number,
+  isBackward: boolean,
+  hasFocus: boolean,
+};
+
+/**
+ * A block stored in a diff. Blocks of trees (see `ContentBlockNode`) also
+ * store the keys of their parent, children and siblings.
+ */
+export type RawDraftHistoryBlock = {
+  key: string,
+  type: DraftBlockType,
+  text: string,
+  depth: number,
+  inlineStyleRanges: Array<InlineStyleRange>,
+  entityRanges: Array<EntityRange>,
+  data: {[key: string]: mixed, ...},
+  parent?: ?string,
+  childKeys?: Array<string>,
+  prevSibling?: ?string,
+  nextSibling?: ?string,
+};
+
+/**
+ * The changes between two successive states of the undo or redo stack. Only
+ * the blocks that changed are stored, the list of block keys is only stored
+ * when blocks were added, removed or moved, and the annotations, with their
+ * ranges, only when they changed.
+ */
+export type RawDraftContentDiff = {
+  blocks: Array<RawDraftHistoryBlock>,
+  blockKeys?: Array<string>,
+  entityMap: {[key: string]: RawDraftEntity},
+  annotationMap?: {[key: string]: RawDraftAnnotation},
+  selectionBefore: RawDraftSelection,
+  selectionAfter: RawDraftSelection,
+};
+
+/**
+ * A plain object representation of the undo and redo stacks of an
+ * EditorState, e.g. to store them along with the raw document. Each stack
+ * is a list of diffs, starting from the current content: the first diff
+ * gives the top of the stack, and each following diff applies to the result
+ * of the previous one.
+ */
+export type RawDraftHistory = {
+  selectionBefore: RawDraftSelection,
+  selectionAfter: RawDraftSelection,
+  undoStack: Array<RawDraftContentDiff>,
+  redoStack: Array<RawDraftContentDiff>,
+};
@@ -0,0 +1,324 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const CharacterMetadata = require('CharacterMetadata');
+const ContentBlockNode = require('ContentBlockNode');
+const ContentState = require('ContentState');
+
+const convertFromDraftStateToHTML = require('convertFromDraftStateToHTML');
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromHTMLToContentBlocks = require('convertFromHTMLToContentBlocks');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const {List, Repeat} = require('immutable');
+
+const toRawBlock = (
+  text: string,
+  type: string = 'unstyled',
+  depth: number = 0,
+  extra: {...} = {},
+) => ({
+  key: text,
+  text,
+  type,
+  depth,
+  inlineStyleRanges: [],
+  entityRanges: [],
+  data: {},
+  ...extra,
+});
+
+const toContentState = (blocks: Array<{...}>, entityMap: {...} = {}) =>
+  convertFromRawToDraftState({blocks, entityMap});
+
+const importHTML = (html: string) => {
+  const blocksFromHTML = convertFromHTMLToContentBlocks(html);
+  return ContentState.createFromBlockArray(
+    blocksFromHTML?.contentBlocks || [],
+    blocksFromHTML?.entityMap,
+  );
+};
+
+const normalizeRaw = (contentState: ContentState) => {
+  const {blocks, entityMap} = convertFromDraftStateToRaw(contentState);
+  return {
+    blocks: blocks.map(({type, depth, text, inlineStyleRanges}) => ({
+      type,
+      depth,
+      text,
+      inlineStyleRanges: [...inlineStyleRanges].sort(
+        (a, b) => a.offset - b.offset || a.style.localeCompare(b.style),
+      ),
+    })),
+    entities: Object.keys(entityMap).map(key => entityMap[key].type),
+  };
+};
+
+const assertRoundTrip = (contentState: ContentState) => {
+  const html = convertFromDraftStateToHTML(contentState);
+  expect(normalizeRaw(importHTML(html))).toEqual(normalizeRaw(contentState));
+};
+
+test('must convert core block types to their block elements', () => {
+  const contentState = toContentState([
+    toRawBlock('Title', 'header-one'),
+    toRawBlock('Subtitle', 'header-two'),
+    toRawBlock('Paragraph'),
+    toRawBlock('Quote', 'blockquote'),
+  ]);
+  expect(convertFromDraftStateToHTML(contentState)).toBe(
+    '<h1>Title</h1><h2>Subtitle</h2><div>Paragraph</div>' +
+      '<blockquote>Quote</blockquote>',
+  );
+});
+
+test('must escape markup characters in text', () => {
+  const contentState = toContentState([toRawBlock('<b>"Tom" & Jerry</b>')]);
+  expect(convertFromDraftStateToHTML(contentState)).toBe(
+    '<div>&lt;b&gt;&quot;Tom&quot; &amp; Jerry&lt;/b&gt;</div>',
+  );
+});
+
+test('must convert soft newlines to line breaks outside of code blocks', () => {
+  const contentState = toContentState([
+    toRawBlock('one\ntwo'),
+    toRawBlock('three\nfour', 'code-block'),
+  ]);
+  expect(convertFromDraftStateToHTML(contentState)).toBe(
+    '<div>one<br>two</div><pre>three\nfour</pre>',
+  );
+});
+
+test('must render empty blocks with a line break', () => {
+  const contentState = toContentState([toRawBlock('')]);
+  expect(convertFromDraftStateToHTML(contentState)).toBe('<div><br></div>');
+});
+
+test('must wrap list items and nest them by depth', () => {
+  const contentState = toContentState([
+    toRawBlock('a', 'unordered-list-item', 0),
+    toRawBlock('b', 'unordered-list-item', 1),
+    toRawBlock('c', 'ordered-list-item', 1),
+    toRawBlock('d', 'unordered-list-item', 0),
+    toRawBlock('e'),
+    toRawBlock('f', 'ordered-list-item', 0),
+  ]);
+  expect(convertFromDraftStateToHTML(contentState)).toBe(
+    '<ul><li>a</li><ul><li>b</li></ul><ol><li>c</li></ol><li>d</li></ul>' +
+      '<div>e</div><ol><li>f</li></ol>',
+  );
+});
+
+test('must produce properly nested markup for overlapping styles', () => {
+  const contentState = toContentState([
+    toRawBlock('abcdef', 'unstyled', 0, {
+      inlineStyleRanges: [
+        {offset: 0, length: 4, style: 'BOLD'},
+        {offset: 2, length: 4, style: 'ITALIC'},
+      ],
+    }),
+  ]);
+  expect(convertFromDraftStateToHTML(contentState)).toBe(
+    '<div><strong>ab</strong><strong><em>cd</em></strong><em>ef</em></div>',
+  );
+});
+
+test('must use custom style tags and styles from customStyleMap', () => {
+  const contentState = toContentState([
+    toRawBlock('abc', 'unstyled', 0, {
+      inlineStyleRanges: [
+        {offset: 0, length: 1, style: 'BOLD'},
+        {offset: 1, length: 1, style: 'RED'},
+        {offset: 2, length: 1, style: 'UNKNOWN'},
+      ],
+    }),
+  ]);
+  expect(
+    convertFromDraftStateToHTML(contentState, {
+      styleTags: {BOLD: 'b'},
+      customStyleMap: {RED: {color: 'red', backgroundColor: 'white'}},
+    }),
+  ).toBe(
+    '<div><b>a</b><span style="color:red;background-color:white">b</span>' +
+      'c</div>',
+  );
+});
+
+test('must serialize a link spanning several style ranges once', () => {
+  const contentState = toContentState(
+    [
+      toRawBlock('go here', 'unstyled', 0, {
+        inlineStyleRanges: [{offset: 3, length: 4, style: 'BOLD'}],
+        entityRanges: [{offset: 0, length: 7, key: 0}],
+      }),
+    ],
+    {
+      '0': {
+        type: 'LINK',
+        mutability: 'MUTABLE',
+        data: {url: 'https://example.com/?a=1&b=2', target: '_blank'},
+      },
+    },
+  );
+  expect(convertFromDraftStateToHTML(contentState)).toBe(
+    '<div><a href="https://example.com/?a=1&amp;b=2" target="_blank">' +
+      'go <strong>here</strong></a></div>',
+  );
+});
+
+test('must serialize images and use custom entity serializers', () => {
+  const contentState = toContentState(
+    [
+      toRawBlock(' ', 'atomic', 0, {
+        entityRanges: [{offset: 0, length: 1, key: 0}],
+      }),
+      toRawBlock('@jane', 'unstyled', 0, {
+        entityRanges: [{offset: 0, length: 5, key: 1}],
+      }),
+    ],
+    {
+      '0': {
+        type: 'IMAGE',
+        mutability: 'IMMUTABLE',
+        data: {src: 'https://example.com/a.png', alt: 'A'},
+      },
+      '1': {type: 'MENTION', mutability: 'IMMUTABLE', data: {id: 7}},
+    },
+  );
+  expect(
+    convertFromDraftStateToHTML(contentState, {
+      entityToHTML: {
+        MENTION: (entity, innerHTML) =>
+          `<span data-user="${entity.getData().id}">${innerHTML}</span>`,
+      },
+    }),
+  ).toBe(
+    '<figure><img src="https://example.com/a.png" alt="A"></figure>' +
+      '<div><span data-user="7">@jane</span></div>',
+  );
+});
+
+test('must round trip core block types through convertFromHTML', () => {
+  assertRoundTrip(
+    toContentState([
+      toRawBlock('h1', 'header-one'),
+      toRawBlock('h2', 'header-two'),
+      toRawBlock('h3', 'header-three'),
+      toRawBlock('h4', 'header-four'),
+      toRawBlock('h5', 'header-five'),
+      toRawBlock('h6', 'header-six'),
+      toRawBlock('quote', 'blockquote'),
+      toRawBlock('code\n  indented', 'code-block'),
+      toRawBlock('more code', 'code-block'),
+      toRawBlock('paragraph with\nsoft newline'),
+    ]),
+  );
+});
+
+test('must round trip nested lists through convertFromHTML', () => {
+  assertRoundTrip(
+    toContentState([
+      toRawBlock('one', 'ordered-list-item', 0),
+      toRawBlock('one.one', 'ordered-list-item', 1),
+      toRawBlock('one.one.one', 'unordered-list-item', 2),
+      toRawBlock('one.two', 'ordered-list-item', 1),
+      toRawBlock('two', 'ordered-list-item', 0),
+      toRawBlock('bullet', 'unordered-list-item', 0),
+      toRawBlock('deep bullet', 'unordered-list-item', 2),
+    ]),
+  );
+});
+
+test('must round trip inline styles and links through convertFromHTML', () => {
+  assertRoundTrip(
+    toContentState(
+      [
+        toRawBlock('bold italic code struck under link', 'unstyled', 0, {
+          inlineStyleRanges: [
+            {offset: 0, length: 11, style: 'BOLD'},
+            {offset: 5, length: 11, style: 'ITALIC'},
+            {offset: 12, length: 4, style: 'CODE'},
+            {offset: 17, length: 6, style: 'STRIKETHROUGH'},
+            {offset: 24, length: 10, style: 'UNDERLINE'},
+          ],
+          entityRanges: [{offset: 30, length: 4, key: 0}],
+        }),
+      ],
+      {
+        '0': {
+          type: 'LINK',
+          mutability: 'MUTABLE',
+          data: {url: 'https://example.com/'},
+        },
+      },
+    ),
+  );
+});
+
+test('must serialize tables along with their rows and cells', () => {
+  const node = (key, type, text = '', config = {}) =>
+    new ContentBlockNode({
+      key,
+      type,
+      text,
+      characterList: List(Repeat(CharacterMetadata.create(), text.length)),
+      ...config,
+    });
+  const contentState = ContentState.createFromBlockArray([
+    node('t', 'table', '', {children: List(['r'])}),
+    node('r', 'table-row', '', {parent: 't', children: List(['c1', 'c2'])}),
+    node('c1', 'table-cell', 'a<b', {parent: 'r', nextSibling: 'c2'}),
+    node('c2', 'table-cell', '', {parent: 'r', prevSibling: 'c1'}),
+  ]);
+  expect(convertFromDraftStateToHTML(contentState)).toBe(
+    '<table><tbody><tr><td>a&lt;b</td><td><br></td></tr></tbody></table>',
+  );
+});
+
+test('must drop the href of links with unsafe protocols', () => {
+  const hrefs = [
+    // eslint-disable-next-line no-script-url
+    'javascript:alert(1)',
+    ' JavaScript:alert(1)',
+    'java\tscript:alert(1)',
+    'data:text/html,<script>alert(1)</script>',
+    '/relative?a=1',
+    'mailto:a@b.c',
+  ];
+  const contentState = toContentState(
+    hrefs.map((_, index) =>
+      toRawBlock('link' + index, 'unstyled', 0, {
+        entityRanges: [{offset: 0, length: 5, key: index}],
+      }),
+    ),
+    hrefs.reduce((entityMap, url, index) => {
+      entityMap[String(index)] = {
+        type: 'LINK',
+        mutability: 'MUTABLE',
+        data: {url},
+      };
+      return entityMap;
+    }, {}),
+  );
+  expect(convertFromDraftStateToHTML(contentState)).toBe(
+    [
+      '<div><a>link0</a></div>',
+      '<div><a>link1</a></div>',
+      '<div><a>link2</a></div>',
+      '<div><a>link3</a></div>',
+      '<div><a href="/relative?a=1">link4</a></div>',
+      '<div><a href="mailto:a@b.c">link5</a></div>',
+    ].join(''),
+  );
+});
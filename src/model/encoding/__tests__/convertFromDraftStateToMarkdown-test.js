@@ -0,0 +1,231 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const convertFromDraftStateToMarkdown = require('convertFromDraftStateToMarkdown');
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromMarkdownToDraftState = require('convertFromMarkdownToDraftState');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+
+const toRawBlock = (
+  text: string,
+  type: string = 'unstyled',
+  depth: number = 0,
+  extra: {...} = {},
+) => ({
+  key: text,
+  text,
+  type,
+  depth,
+  inlineStyleRanges: [],
+  entityRanges: [],
+  data: {},
+  ...extra,
+});
+
+const toMarkdown = (blocks: Array<{...}>, entityMap: {...} = {}) =>
+  convertFromDraftStateToMarkdown(
+    convertFromRawToDraftState({blocks, entityMap}),
+  );
+
+const normalizeRaw = (raw: {...}) => ({
+  blocks: raw.blocks.map(({type, depth, text, inlineStyleRanges, data}) => ({
+    type,
+    depth,
+    text,
+    data,
+    inlineStyleRanges: [...inlineStyleRanges].sort(
+      (a, b) => a.offset - b.offset || a.style.localeCompare(b.style),
+    ),
+  })),
+  entities: Object.keys(raw.entityMap).map(key => raw.entityMap[key]),
+});
+
+const assertRoundTrip = (blocks: Array<{...}>, entityMap: {...} = {}) => {
+  const contentState = convertFromRawToDraftState({blocks, entityMap});
+  const markdown = convertFromDraftStateToMarkdown(contentState);
+  expect(
+    normalizeRaw(
+      convertFromDraftStateToRaw(convertFromMarkdownToDraftState(markdown)),
+    ),
+  ).toEqual(normalizeRaw(convertFromDraftStateToRaw(contentState)));
+};
+
+test('must convert block types to Markdown blocks', () => {
+  expect(
+    toMarkdown([
+      toRawBlock('Title', 'header-one'),
+      toRawBlock('Section', 'header-three'),
+      toRawBlock('Paragraph'),
+      toRawBlock('Quote', 'blockquote'),
+      toRawBlock('let a = 1;', 'code-block', 0, {data: {language: 'js'}}),
+    ]),
+  ).toBe(
+    '# Title\n\n### Section\n\nParagraph\n\n> Quote\n\n```js\nlet a = 1;\n```',
+  );
+});
+
+test('must convert list items with depth', () => {
+  expect(
+    toMarkdown([
+      toRawBlock('a', 'ordered-list-item', 0),
+      toRawBlock('b', 'unordered-list-item', 1),
+      toRawBlock('c', 'ordered-list-item', 0),
+      toRawBlock('d', 'ordered-list-item', 1),
+      toRawBlock('after'),
+      toRawBlock('e', 'ordered-list-item', 0),
+    ]),
+  ).toBe('1. a\n    - b\n2. c\n    1. d\n\nafter\n\n1. e');
+});
+
+test('must escape Markdown syntax found in plain text', () => {
+  expect(
+    toMarkdown([
+      toRawBlock('# not a heading'),
+      toRawBlock('1. not a list'),
+      toRawBlock('- not a bullet'),
+      toRawBlock('> not a quote'),
+      toRawBlock('*stars* _under_ `tick` [x](y) ~~s~~ \\'),
+    ]),
+  ).toBe(
+    '\\# not a heading\n\n1\\. not a list\n\n\\- not a bullet\n\n' +
+      '\\> not a quote\n\n' +
+      '\\*stars\\* \\_under\\_ \\`tick\\` \\[x\\](y) \\~\\~s\\~\\~ \\\\',
+  );
+});
+
+test('must keep delimiters next to the styled text', () => {
+  expect(
+    toMarkdown([
+      toRawBlock('a bold  and both', 'unstyled', 0, {
+        inlineStyleRanges: [
+          {offset: 1, length: 7, style: 'BOLD'},
+          {offset: 12, length: 4, style: 'BOLD'},
+          {offset: 12, length: 4, style: 'ITALIC'},
+        ],
+      }),
+    ]),
+  ).toBe('a **bold**  and ***both***');
+});
+
+test('must nest overlapping styles', () => {
+  expect(
+    toMarkdown([
+      toRawBlock('abcdef', 'unstyled', 0, {
+        inlineStyleRanges: [
+          {offset: 0, length: 4, style: 'BOLD'},
+          {offset: 2, length: 4, style: 'ITALIC'},
+        ],
+      }),
+    ]),
+  ).toBe('**ab*cd****ef*');
+});
+
+test('must convert code spans containing backticks', () => {
+  expect(
+    toMarkdown([
+      toRawBlock('use a`b', 'unstyled', 0, {
+        inlineStyleRanges: [{offset: 4, length: 3, style: 'CODE'}],
+      }),
+    ]),
+  ).toBe('use ``a`b``');
+});
+
+test('must convert links and images', () => {
+  expect(
+    toMarkdown(
+      [
+        toRawBlock('a link', 'unstyled', 0, {
+          entityRanges: [{offset: 2, length: 4, key: 0}],
+        }),
+        toRawBlock(' ', 'atomic', 0, {
+          entityRanges: [{offset: 0, length: 1, key: 1}],
+        }),
+      ],
+      {
+        '0': {
+          type: 'LINK',
+          mutability: 'MUTABLE',
+          data: {url: 'https://example.com/a (b)'},
+        },
+        '1': {
+          type: 'IMAGE',
+          mutability: 'IMMUTABLE',
+          data: {src: 'https://example.com/cat.png', alt: 'A cat'},
+        },
+      },
+    ),
+  ).toBe(
+    'a [link](https://example.com/a%20%28b%29)\n\n' +
+      '![A cat](https://example.com/cat.png)',
+  );
+});
+
+test('must round trip core block types', () => {
+  assertRoundTrip([
+    toRawBlock('One', 'header-one'),
+    toRawBlock('Two', 'header-two'),
+    toRawBlock('Three', 'header-three'),
+    toRawBlock('Four', 'header-four'),
+    toRawBlock('Five', 'header-five'),
+    toRawBlock('Six', 'header-six'),
+    toRawBlock('quoted\nlines', 'blockquote'),
+    toRawBlock('code with ``` fence\n\n  and blank line', 'code-block'),
+    toRawBlock('soft\nnewline'),
+  ]);
+});
+
+test('must round trip nested lists', () => {
+  assertRoundTrip([
+    toRawBlock('one', 'ordered-list-item', 0),
+    toRawBlock('one.one', 'ordered-list-item', 1),
+    toRawBlock('bullet', 'unordered-list-item', 2),
+    toRawBlock('- escaped\nwrapped', 'unordered-list-item', 1),
+    toRawBlock('two', 'ordered-list-item', 0),
+    toRawBlock('paragraph'),
+    toRawBlock('other', 'unordered-list-item', 0),
+  ]);
+});
+
+test('must round trip inline styles, links and images', () => {
+  assertRoundTrip(
+    [
+      toRawBlock('bold *italic* code_span gone [link]', 'unstyled', 0, {
+        inlineStyleRanges: [
+          {offset: 0, length: 13, style: 'BOLD'},
+          {offset: 5, length: 8, style: 'ITALIC'},
+          {offset: 14, length: 9, style: 'CODE'},
+          {offset: 24, length: 4, style: 'STRIKETHROUGH'},
+          {offset: 29, length: 6, style: 'BOLD'},
+        ],
+        entityRanges: [{offset: 29, length: 6, key: 0}],
+      }),
+      toRawBlock(' ', 'atomic', 0, {
+        entityRanges: [{offset: 0, length: 1, key: 1}],
+      }),
+    ],
+    {
+      '0': {
+        type: 'LINK',
+        mutability: 'MUTABLE',
+        data: {url: 'https://example.com/'},
+      },
+      '1': {
+        type: 'IMAGE',
+        mutability: 'IMMUTABLE',
+        data: {src: 'https://example.com/cat.png', alt: '[cat]'},
+      },
+    },
+  );
+});
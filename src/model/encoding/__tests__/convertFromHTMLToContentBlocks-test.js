@@ -88,7 +88,12 @@ const convertFromHTML = (
     ...config,
   };
 
-  const {DOMBuilder, blockRenderMap, experimentalTreeDataSupport} = options;
+  const {
+    DOMBuilder,
+    blockRenderMap,
+    experimentalTreeDataSupport,
+    importOptions,
+  } = options;
 
   jest.resetModules();
   toggleExperimentalTreeDataSupport(experimentalTreeDataSupport);
@@ -96,6 +101,7 @@ const convertFromHTML = (
     html_string,
     DOMBuilder,
     blockRenderMap,
+    importOptions,
   );
 };
 
@@ -607,3 +613,197 @@ test('Should recognize preformatted blocks mixed other styles', () => {
     experimentalTreeDataSupport: false,
   });
 });
+
+const TABLE_HTML = `
+  <table>
+    <tbody>
+      <tr><th>Name</th><th>Value</th></tr>
+      <tr><td><p>One</p><p>Two</p></td><td>2</td></tr>
+    </tbody>
+  </table>
+`;
+
+test('Should import tables as trees of rows and cells when nesting enabled', () => {
+  const blocks = (
+    convertFromHTML(TABLE_HTML, {experimentalTreeDataSupport: true})
+      ?.contentBlocks || []
+  ).map(block => block.toJS());
+  expect(blocks.map(({type, text}) => [type, text])).toEqual([
+    ['table', ''],
+    ['table-row', ''],
+    ['table-cell', 'Name'],
+    ['table-cell', 'Value'],
+    ['table-row', ''],
+    ['table-cell', 'One\nTwo'],
+    ['table-cell', '2'],
+  ]);
+  expect(blocks[0].children).toEqual([blocks[1].key, blocks[4].key]);
+  expect(blocks[4].children).toEqual([blocks[5].key, blocks[6].key]);
+  expect(blocks[5].characterList.length).toBe(7);
+});
+
+test('Should import the cells of tables as blocks when nesting disabled', () => {
+  const blocks = (
+    convertFromHTML(TABLE_HTML, {experimentalTreeDataSupport: false})
+      ?.contentBlocks || []
+  ).map(block => block.toJS());
+  expect(blocks.map(({type, text}) => [type, text])).toEqual([
+    ['unstyled', 'Name'],
+    ['unstyled', 'Value'],
+    ['unstyled', 'One\nTwo'],
+    ['unstyled', '2'],
+  ]);
+});
+
+const IMPORT_OPTIONS = {
+  htmlToBlock: [
+    nodeName => (nodeName === 'hr' ? 'atomic' : null),
+    (nodeName, node) =>
+      nodeName === 'figure'
+        ? {type: 'atomic', data: {caption: node.getAttribute('title')}}
+        : null,
+  ],
+  htmlToStyle: [
+    (nodeName, node, style) =>
+      nodeName === 'mark' ? style.add('HIGHLIGHT') : null,
+    (nodeName, node, style) =>
+      nodeName === 'sup' || nodeName === 'sub'
+        ? style.add(nodeName.toUpperCase())
+        : null,
+  ],
+  htmlToEntity: [
+    (nodeName, node, createEntity) =>
+      node.hasAttribute('data-mention')
+        ? createEntity('MENTION', 'IMMUTABLE', {
+            id: node.getAttribute('data-mention'),
+          })
+        : null,
+    (nodeName, node, createEntity) =>
+      nodeName === 'hr' ? createEntity('DIVIDER', 'IMMUTABLE') : null,
+  ],
+};
+
+const convertWithImportOptions = (html_string: string) => {
+  const result = convertFromHTML(html_string, {
+    importOptions: IMPORT_OPTIONS,
+  });
+  const blocks = (result?.contentBlocks || []).map(block => block.toJS());
+  const entityMap = result?.entityMap;
+  const getEntity = (block, offset) => {
+    const entityKey = block.characterList[offset].entity;
+    return entityKey != null && entityMap != null
+      ? entityMap.__get(entityKey).toJS()
+      : null;
+  };
+  return {blocks, getEntity};
+};
+
+test('Should apply inline styles from import rules', () => {
+  const {blocks} = convertWithImportOptions(
+    '<p><mark>a</mark><sup>b</sup><b><sub>c</sub></b></p>',
+  );
+  expect(blocks[0].characterList.map(({style}) => style)).toEqual([
+    ['HIGHLIGHT'],
+    ['SUP'],
+    ['BOLD', 'SUB'],
+  ]);
+});
+
+test('Should apply entities from import rules', () => {
+  const {blocks, getEntity} = convertWithImportOptions(
+    '<p>Hi <span data-mention="42"><b>Jane</b></span>!</p>',
+  );
+  expect(blocks[0].text).toBe('Hi Jane!');
+  expect(getEntity(blocks[0], 2)).toBe(null);
+  expect(getEntity(blocks[0], 3)).toEqual({
+    type: 'MENTION',
+    mutability: 'IMMUTABLE',
+    data: {id: '42'},
+  });
+  expect(blocks[0].characterList[3].style).toEqual(['BOLD']);
+  expect(blocks[0].characterList[6].entity).toBe(
+    blocks[0].characterList[3].entity,
+  );
+  expect(getEntity(blocks[0], 7)).toBe(null);
+});
+
+test('Should convert elements to blocks with import rules', () => {
+  const {blocks, getEntity} = convertWithImportOptions(
+    '<p>Before</p><hr><figure title="Chart">Figure</figure><p>After</p>',
+  );
+  expect(blocks.map(({type, text}) => [type, text])).toEqual([
+    ['unstyled', 'Before'],
+    ['atomic', ' '],
+    ['atomic', 'Figure'],
+    ['unstyled', 'After'],
+  ]);
+  expect(getEntity(blocks[1], 0)).toEqual({
+    type: 'DIVIDER',
+    mutability: 'IMMUTABLE',
+    data: {},
+  });
+  expect(blocks[2].data).toEqual({caption: 'Chart'});
+});
+
+test('Should fall back to the default conversion without a matching rule', () => {
+  const html_string =
+    '<p><i>a</i><a href="http://a.com">b</a></p><ul><li>c</li></ul>';
+  expect(
+    convertWithImportOptions(html_string).blocks.map(normalizeBlock),
+  ).toEqual(
+    (convertFromHTML(html_string)?.contentBlocks || []).map(block =>
+      normalizeBlock(block.toJS()),
+    ),
+  );
+});
+
+test('Should use the first import rule that returns a value', () => {
+  const result = convertFromHTML('<p><kbd>a</kbd></p>', {
+    importOptions: {
+      htmlToStyle: [
+        () => null,
+        (nodeName, node, style) => style.add('KEYBOARD'),
+        (nodeName, node, style) => style.add('CODE'),
+      ],
+    },
+  });
+  expect(
+    result?.contentBlocks
+      ?.at?.(0)
+      ?.getInlineStyleAt(0)
+      .toArray(),
+  ).toEqual(['KEYBOARD']);
+});
+
+test('Should nest lists with the treeData option', () => {
+  const html_string =
+    '<ul><li>a<ul><li>b</li><li>c</li></ul></li><li>d</li></ul>';
+  const blocks = (
+    convertFromHTML(html_string, {importOptions: {treeData: true}})
+      ?.contentBlocks || []
+  ).map(block => block.toJS());
+  expect(
+    blocks.map(({type, text, depth, parent, children}) => [
+      type,
+      text,
+      depth,
+      parent,
+      children,
+    ]),
+  ).toEqual([
+    ['unordered-list-item', 'a', 0, null, []],
+    ['unordered-list-item', '', 0, null, [blocks[2].key, blocks[3].key]],
+    ['unordered-list-item', 'b', 1, blocks[1].key, []],
+    ['unordered-list-item', 'c', 1, blocks[1].key, []],
+    ['unordered-list-item', 'd', 0, null, []],
+  ]);
+
+  expect(
+    (
+      convertFromHTML(html_string, {
+        experimentalTreeDataSupport: true,
+        importOptions: {treeData: false},
+      })?.contentBlocks || []
+    ).some(block => 'children' in block.toJS()),
+  ).toBe(false);
+});
@@ -0,0 +1,219 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const DraftModifier = require('DraftModifier');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromHistoryToRaw = require('convertFromHistoryToRaw');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const convertFromRawToHistory = require('convertFromRawToHistory');
+
+const getEditorState = () =>
+  EditorState.createWithContent(
+    convertFromRawToDraftState({
+      blocks: [
+        {key: 'a', text: 'Alpha', type: 'unstyled'},
+        {key: 'b', text: 'Beta', type: 'unstyled'},
+        {key: 'c', text: 'Gamma', type: 'unstyled'},
+      ],
+      entityMap: {},
+    }),
+  );
+
+const select = (key, start, end = start) =>
+  new SelectionState({
+    anchorKey: key,
+    anchorOffset: start,
+    focusKey: key,
+    focusOffset: end,
+    isBackward: false,
+  });
+
+const edit = (editorState, selection, change, changeType) => {
+  const withSelection = EditorState.acceptSelection(editorState, selection);
+  return EditorState.push(
+    withSelection,
+    change(withSelection.getCurrentContent(), selection),
+    changeType,
+  );
+};
+
+const getEditedState = () => {
+  let editorState = getEditorState();
+  editorState = edit(
+    editorState,
+    select('b', 4),
+    (content, selection) => DraftModifier.insertText(content, selection, '!'),
+    'insert-characters',
+  );
+  editorState = edit(
+    editorState,
+    select('c', 0, 5),
+    (content, selection) => {
+      const withEntity = content.createEntity('LINK', 'MUTABLE', {url: 'x'});
+      return DraftModifier.applyEntity(
+        withEntity,
+        selection,
+        withEntity.getLastCreatedEntityKey(),
+      );
+    },
+    'apply-entity',
+  );
+  editorState = edit(
+    editorState,
+    select('a', 2),
+    (content, selection) => DraftModifier.splitBlock(content, selection),
+    'split-block',
+  );
+  return EditorState.undo(editorState);
+};
+
+const restore = editorState => {
+  const raw = JSON.parse(
+    JSON.stringify({
+      content: convertFromDraftStateToRaw(editorState.getCurrentContent()),
+      history: convertFromHistoryToRaw(editorState),
+    }),
+  );
+  return convertFromRawToHistory(
+    EditorState.createWithContent(convertFromRawToDraftState(raw.content)),
+    raw.history,
+  );
+};
+
+const assertSameContent = (editorState, otherEditorState) => {
+  expect(
+    convertFromDraftStateToRaw(otherEditorState.getCurrentContent()),
+  ).toEqual(convertFromDraftStateToRaw(editorState.getCurrentContent()));
+  expect(otherEditorState.getSelection().toJS()).toEqual(
+    editorState.getSelection().toJS(),
+  );
+};
+
+test('must only store the blocks that changed', () => {
+  const editorState = getEditedState();
+  const newKey = editorState
+    .getRedoStack()
+    .peek()
+    .getKeyAfter('a');
+  const rawHistory = convertFromHistoryToRaw(editorState);
+  expect(rawHistory.undoStack.map(diff => diff.blocks)).toEqual([
+    [
+      {
+        key: 'c',
+        text: 'Gamma',
+        type: 'unstyled',
+        depth: 0,
+        inlineStyleRanges: [],
+        entityRanges: [],
+        data: {},
+      },
+    ],
+    [
+      {
+        key: 'b',
+        text: 'Beta',
+        type: 'unstyled',
+        depth: 0,
+        inlineStyleRanges: [],
+        entityRanges: [],
+        data: {},
+      },
+    ],
+  ]);
+  expect(rawHistory.undoStack[0].blockKeys).toBeUndefined();
+  expect(rawHistory.redoStack[0].blockKeys).toEqual(['a', newKey, 'b', 'c']);
+  expect(rawHistory.redoStack[0].blocks.map(block => block.key)).toEqual([
+    'a',
+    newKey,
+  ]);
+});
+
+test('must store the entities of changed blocks', () => {
+  const editorState = EditorState.undo(getEditedState());
+  const rawHistory = convertFromHistoryToRaw(editorState);
+  expect(rawHistory.redoStack[0].entityMap).toEqual({
+    '0': {type: 'LINK', mutability: 'MUTABLE', data: {url: 'x'}},
+  });
+  expect(rawHistory.redoStack[0].blocks[0].entityRanges).toEqual([
+    {offset: 0, length: 5, key: 0},
+  ]);
+});
+
+test('must restore the undo and redo stacks', () => {
+  const editorState = getEditedState();
+  const restored = restore(editorState);
+  expect(restored.getUndoStack().size).toBe(2);
+  expect(restored.getRedoStack().size).toBe(1);
+
+  assertSameContent(EditorState.undo(editorState), EditorState.undo(restored));
+  assertSameContent(
+    EditorState.undo(editorState, 2),
+    EditorState.undo(restored, 2),
+  );
+  assertSameContent(EditorState.redo(editorState), EditorState.redo(restored));
+});
+
+test('must share unchanged blocks between restored states', () => {
+  const restored = restore(getEditedState());
+  const content = restored.getCurrentContent();
+  const undoContent = restored.getUndoStack().peek();
+  expect(undoContent.getBlockForKey('a')).toBe(content.getBlockForKey('a'));
+  expect(undoContent.getBlockForKey('c')).not.toBe(content.getBlockForKey('c'));
+});
+
+test('must restore an empty history', () => {
+  const editorState = getEditorState();
+  const restored = restore(editorState);
+  expect(restored.getUndoStack().size).toBe(0);
+  expect(restored.getRedoStack().size).toBe(0);
+});
+
+test('must restore annotations changed in the history', () => {
+  let editorState = edit(
+    getEditorState(),
+    select('a', 1, 4),
+    (content, selection) =>
+      DraftModifier.applyAnnotation(content, selection, 'comment', {id: 1}),
+    'apply-entity',
+  );
+  editorState = edit(
+    editorState,
+    select('b', 0),
+    (content, selection) => DraftModifier.insertText(content, selection, '-'),
+    'insert-characters',
+  );
+  editorState = EditorState.undo(EditorState.undo(editorState));
+  expect(
+    convertFromHistoryToRaw(editorState).redoStack[0].annotationMap,
+  ).toEqual({
+    comment: {data: {id: 1}, ranges: [{blockKey: 'a', start: 1, end: 4}]},
+  });
+
+  const restored = EditorState.redo(restore(editorState));
+  expect(
+    restored
+      .getCurrentContent()
+      .getAnnotationKeysAt('a', 2)
+      .toArray(),
+  ).toEqual(['comment']);
+  expect(
+    EditorState.undo(restored)
+      .getCurrentContent()
+      .getAnnotationMap().size,
+  ).toBe(0);
+});
@@ -0,0 +1,183 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromMarkdownToDraftState = require('convertFromMarkdownToDraftState');
+
+const toRaw = (markdown: string) => {
+  const {blocks, entityMap} = convertFromDraftStateToRaw(
+    convertFromMarkdownToDraftState(markdown),
+  );
+  return {
+    blocks: blocks.map(
+      ({type, depth, text, inlineStyleRanges, entityRanges}) => ({
+        type,
+        depth,
+        text,
+        inlineStyleRanges,
+        entityRanges,
+      }),
+    ),
+    entityMap,
+  };
+};
+
+const toBlockSummary = (markdown: string) =>
+  toRaw(markdown).blocks.map(({type, depth, text}) => [type, depth, text]);
+
+test('must convert headings to header blocks', () => {
+  expect(
+    toBlockSummary(
+      '# One\n## Two\n### Three\n#### Four\n##### Five\n###### Six',
+    ),
+  ).toEqual([
+    ['header-one', 0, 'One'],
+    ['header-two', 0, 'Two'],
+    ['header-three', 0, 'Three'],
+    ['header-four', 0, 'Four'],
+    ['header-five', 0, 'Five'],
+    ['header-six', 0, 'Six'],
+  ]);
+});
+
+test('must split paragraphs on blank lines and join wrapped lines', () => {
+  expect(
+    toBlockSummary('first line\nsame paragraph\n\nsecond  \nhard break'),
+  ).toEqual([
+    ['unstyled', 0, 'first line same paragraph'],
+    ['unstyled', 0, 'second\nhard break'],
+  ]);
+});
+
+test('must convert nested lists to list items with depth', () => {
+  expect(
+    toBlockSummary(
+      ['- a', '  - b', '    1. c', '  - d', '- e', '', '1) f', '2) g'].join(
+        '\n',
+      ),
+    ),
+  ).toEqual([
+    ['unordered-list-item', 0, 'a'],
+    ['unordered-list-item', 1, 'b'],
+    ['ordered-list-item', 2, 'c'],
+    ['unordered-list-item', 1, 'd'],
+    ['unordered-list-item', 0, 'e'],
+    ['ordered-list-item', 0, 'f'],
+    ['ordered-list-item', 0, 'g'],
+  ]);
+});
+
+test('must convert fenced code to a single code block', () => {
+  const raw = convertFromDraftStateToRaw(
+    convertFromMarkdownToDraftState(
+      '```js\nconst a = **1**;\n\n  indented\n```\nafter',
+    ),
+  );
+  expect(raw.blocks.map(({type, text, data}) => [type, text, data])).toEqual([
+    ['code-block', 'const a = **1**;\n\n  indented', {language: 'js'}],
+    ['unstyled', 'after', {}],
+  ]);
+});
+
+test('must convert quoted lines to blockquotes', () => {
+  expect(toBlockSummary('> quoted\n> text\n>\n> another')).toEqual([
+    ['blockquote', 0, 'quoted text'],
+    ['blockquote', 0, 'another'],
+  ]);
+});
+
+test('must convert emphasis to inline styles', () => {
+  expect(
+    toRaw('**bold** _italic_ `code` ~~gone~~ ***both***').blocks[0],
+  ).toMatchObject({
+    text: 'bold italic code gone both',
+    inlineStyleRanges: expect.arrayContaining([
+      {offset: 0, length: 4, style: 'BOLD'},
+      {offset: 5, length: 6, style: 'ITALIC'},
+      {offset: 12, length: 4, style: 'CODE'},
+      {offset: 17, length: 4, style: 'STRIKETHROUGH'},
+      {offset: 22, length: 4, style: 'BOLD'},
+      {offset: 22, length: 4, style: 'ITALIC'},
+    ]),
+  });
+});
+
+test('must keep unmatched and intraword delimiters as text', () => {
+  expect(toRaw('snake_case_name 2 * 3 and \\*literal\\*').blocks[0]).toEqual({
+    type: 'unstyled',
+    depth: 0,
+    text: 'snake_case_name 2 * 3 and *literal*',
+    inlineStyleRanges: [],
+    entityRanges: [],
+  });
+});
+
+test('must convert links to LINK entities', () => {
+  const {blocks, entityMap} = toRaw(
+    'see [the **docs**](https://example.com/docs "Docs") now',
+  );
+  expect(blocks[0]).toMatchObject({
+    text: 'see the docs now',
+    inlineStyleRanges: [{offset: 8, length: 4, style: 'BOLD'}],
+    entityRanges: [{offset: 4, length: 8, key: 0}],
+  });
+  expect(entityMap[0]).toEqual({
+    type: 'LINK',
+    mutability: 'MUTABLE',
+    data: {url: 'https://example.com/docs', title: 'Docs'},
+  });
+});
+
+test('must convert images to atomic IMAGE blocks', () => {
+  const {blocks, entityMap} = toRaw(
+    'before\n\n![A cat](https://example.com/cat.png)\n\ntext ![](b.png) more',
+  );
+  expect(blocks.map(({type, text}) => [type, text])).toEqual([
+    ['unstyled', 'before'],
+    ['atomic', ' '],
+    ['unstyled', 'text '],
+    ['atomic', ' '],
+    ['unstyled', ' more'],
+  ]);
+  expect(blocks[1].entityRanges).toEqual([{offset: 0, length: 1, key: 0}]);
+  expect(entityMap[0]).toEqual({
+    type: 'IMAGE',
+    mutability: 'IMMUTABLE',
+    data: {src: 'https://example.com/cat.png', alt: 'A cat'},
+  });
+  expect(entityMap[1].data).toEqual({src: 'b.png'});
+});
+
+test('must return a single empty block for empty input', () => {
+  expect(toBlockSummary('')).toEqual([['unstyled', 0, '']]);
+});
+
+test('must nest list items with the treeData option', () => {
+  const contentState = convertFromMarkdownToDraftState('- a\n  - b\n- c', {
+    treeData: true,
+  });
+  const blocks = contentState.getBlocksAsArray();
+  expect(blocks.map(block => block.getText())).toEqual(['a', '', 'b', 'c']);
+  // $FlowFixMe[prop-missing] The blocks are ContentBlockNodes.
+  expect(blocks[2].getParentKey()).toBe(blocks[1].getKey());
+  // $FlowFixMe[prop-missing] The blocks are ContentBlockNodes.
+  expect(blocks[3].getPrevSiblingKey()).toBe(blocks[1].getKey());
+});
+
+test('must keep balanced parentheses in link destinations', () => {
+  const {blocks, entityMap} = toRaw('[Draft](https://x.y/Draft_(editor)) ok');
+  expect(blocks[0].text).toBe('Draft ok');
+  expect(entityMap[0].data).toEqual({url: 'https://x.y/Draft_(editor)'});
+});
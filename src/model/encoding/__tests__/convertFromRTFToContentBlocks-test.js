@@ -0,0 +1,129 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const ContentState = require('ContentState');
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromRTFToContentBlocks = require('convertFromRTFToContentBlocks');
+
+const toRawBlocks = (rtf: string) =>
+  convertFromDraftStateToRaw(
+    ContentState.createFromBlockArray(convertFromRTFToContentBlocks(rtf)),
+  ).blocks.map(({type, depth, text, inlineStyleRanges}) => ({
+    type,
+    depth,
+    text,
+    inlineStyleRanges,
+  }));
+
+const toBlockSummary = (rtf: string) =>
+  toRawBlocks(rtf).map(({type, depth, text}) => [type, depth, text]);
+
+test('must convert paragraphs to blocks and skip empty paragraphs', () => {
+  expect(
+    toBlockSummary(
+      '{\\rtf1\\ansi\\deff0{\\fonttbl{\\f0 Times;}}' +
+        '{\\colortbl;\\red255\\green0\\blue0;}' +
+        '\\pard First paragraph\\par\n\\par\nSecond\\line broken\\par}',
+    ),
+  ).toEqual([
+    ['unstyled', 0, 'First paragraph'],
+    ['unstyled', 0, 'Second\nbroken'],
+  ]);
+});
+
+test('must convert character formatting to inline styles', () => {
+  expect(
+    toRawBlocks(
+      '{\\rtf1\\ansi plain {\\b bold} \\i italic\\i0  ' +
+        '\\ul under\\ulnone  \\strike struck\\strike0\\par}',
+    ),
+  ).toMatchSnapshot();
+});
+
+test('must convert escaped, hexadecimal and unicode characters', () => {
+  expect(
+    toBlockSummary(
+      "{\\rtf1\\ansi caf\\'e9 \\'93quoted\\'94 \\{braces\\} " +
+        "\\uc1\\u8364\\'80 \\u-3913? done\\par}",
+    ),
+  ).toEqual([['unstyled', 0, 'café “quoted” {braces} €  done']]);
+});
+
+test('must ignore header, footer and optional destinations', () => {
+  expect(
+    toBlockSummary(
+      '{\\rtf1\\ansi{\\info{\\title Title}{\\author Someone}}' +
+        '{\\header Page header\\par}{\\*\\generator Writer;}' +
+        '{\\*\\unknown hidden}Body\\par}',
+    ),
+  ).toEqual([['unstyled', 0, 'Body']]);
+});
+
+test('must convert Word list paragraphs to list items', () => {
+  expect(
+    toBlockSummary(
+      '{\\rtf1\\ansi' +
+        '{\\*\\listtable{\\list\\listid1{\\listlevel\\levelnfc23}}}' +
+        '\\pard Intro\\par' +
+        "\\pard\\ls1\\ilvl0{\\listtext\\pard\\plain \\'b7\\tab}Bullet one\\par" +
+        '\\pard\\ls1\\ilvl1{\\listtext\\pard\\plain o\\tab}Nested\\par' +
+        '\\pard\\ls2\\ilvl0{\\listtext\\pard\\plain 1.\\tab}Number one\\par' +
+        '\\pard Outro\\par}',
+    ),
+  ).toEqual([
+    ['unstyled', 0, 'Intro'],
+    ['unordered-list-item', 0, 'Bullet one'],
+    ['unordered-list-item', 1, 'Nested'],
+    ['ordered-list-item', 0, 'Number one'],
+    ['unstyled', 0, 'Outro'],
+  ]);
+});
+
+test('must convert TextEdit list paragraphs to list items', () => {
+  expect(
+    toBlockSummary(
+      '{\\rtf1\\ansi\\ansicpg1252\\cocoartf2639\n' +
+        '{\\fonttbl\\f0\\fswiss\\fcharset0 Helvetica;}\n' +
+        '\\pard\\tx220\\li720\\fi-720\\pardirnatural\\partightenfactor0\n' +
+        '\\ls1\\ilvl0\\cf0 {\\listtext\t\\uc0\\u8226 \t}Apples\\\n' +
+        '{\\listtext\t\\uc0\\u8226 \t}Pears\\\n' +
+        '\\pard\\pardirnatural\\partightenfactor0\n' +
+        '\\cf0 After the list}',
+    ),
+  ).toEqual([
+    ['unordered-list-item', 0, 'Apples'],
+    ['unordered-list-item', 0, 'Pears'],
+    ['unstyled', 0, 'After the list'],
+  ]);
+});
+
+test('must nest list items with the treeData option', () => {
+  const blocks = convertFromRTFToContentBlocks(
+    '{\\rtf1' +
+      "\\pard\\ls1\\ilvl0{\\listtext\\pard\\plain \\'b7\\tab}Bullet\\par" +
+      '\\pard\\ls1\\ilvl1{\\listtext\\pard\\plain o\\tab}Nested\\par}',
+    {treeData: true},
+  );
+  const nested = blocks[blocks.length - 1];
+  expect(blocks.map(block => block.getText())).toEqual([
+    'Bullet',
+    '',
+    'Nested',
+  ]);
+  // $FlowFixMe[prop-missing] The blocks are ContentBlockNodes.
+  expect(nested.getParentKey()).toBe(blocks[1].getKey());
+  expect(blocks[1].getType()).toBe('unordered-list-item');
+});
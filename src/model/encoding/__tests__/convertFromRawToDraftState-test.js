@@ -16,6 +16,7 @@ import type {InlineStyleRange} from 'InlineStyleRange';
 import type {RawDraftContentBlock} from 'RawDraftContentBlock';
 import type {RawDraftContentState} from 'RawDraftContentState';
 
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
 const convertFromRawToDraftState = require('convertFromRawToDraftState');
 const mockUUID = require('mockUUID');
 
@@ -421,3 +422,52 @@ test('ignore empty children array for tree conversion 2', () => {
   };
   assertDraftState(rawState);
 });
+
+test('must convert to tree state with the treeData option', () => {
+  toggleExperimentalTreeDataSupport(false);
+  const rawState = {
+    blocks: [
+      {
+        key: 'A',
+        type: 'ordered-list-item',
+        depth: 0,
+        text: 'A',
+        entityRanges: ([]: Array<EntityRange>),
+        inlineStyleRanges: ([]: Array<InlineStyleRange>),
+      },
+      {
+        key: 'B',
+        type: 'ordered-list-item',
+        depth: 1,
+        text: 'B',
+        entityRanges: ([]: Array<EntityRange>),
+        inlineStyleRanges: ([]: Array<InlineStyleRange>),
+      },
+    ],
+    entityMap: {},
+  };
+  const blockMap = convertFromRawToDraftState(rawState, {
+    treeData: true,
+  }).getBlockMap();
+  const parentKey = blockMap.get('A').getNextSiblingKey();
+  expect(blockMap.keySeq().toArray()).toEqual(['A', parentKey, 'B']);
+  expect(
+    blockMap
+      .get(parentKey)
+      .getChildKeys()
+      .toArray(),
+  ).toEqual(['B']);
+  expect(blockMap.get('B').getParentKey()).toBe(parentKey);
+
+  const treeRawState = convertFromDraftStateToRaw(
+    convertFromRawToDraftState(rawState, {treeData: true}),
+  );
+  expect(
+    convertFromRawToDraftState(treeRawState, {treeData: false})
+      .getBlocksAsArray()
+      .map(block => [block.getKey(), block.getDepth()]),
+  ).toEqual([
+    ['A', 0],
+    ['B', 1],
+  ]);
+});
@@ -0,0 +1,320 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type {DraftBlockRenderMap} from 'DraftBlockRenderMap';
+import type DraftEntityInstance from 'DraftEntityInstance';
+import type {DraftInlineStyle} from 'DraftInlineStyle';
+
+const ContentBlockNode = require('ContentBlockNode');
+const DefaultDraftBlockRenderMap = require('DefaultDraftBlockRenderMap');
+const DefaultDraftInlineStyle = require('DefaultDraftInlineStyle');
+
+const isSafeLinkURL = require('isSafeLinkURL');
+
+export type EntityToHTMLFn = (
+  entity: DraftEntityInstance,
+  innerHTML: string,
+) => string;
+
+type StyleObjectMap = {|[style: string]: {...}|};
+type EntityToHTMLMap = {|[entityType: string]: EntityToHTMLFn|};
+type StyleTagMap = {|[style: string]: string|};
+
+export type ConvertToHTMLOptions = {
+  blockRenderMap?: DraftBlockRenderMap,
+  customStyleMap?: StyleObjectMap,
+  entityToHTML?: EntityToHTMLMap,
+  styleTags?: StyleTagMap,
+  ...
+};
+
+const DEFAULT_STYLE_TAGS: StyleTagMap = {
+  BOLD: 'strong',
+  CODE: 'code',
+  ITALIC: 'em',
+  STRIKETHROUGH: 's',
+  UNDERLINE: 'u',
+};
+
+const LINK_ATTRIBUTES = ['rel', 'target', 'title'];
+
+const REGEX_AMPERSAND = /&/g;
+const REGEX_LT = /</g;
+const REGEX_GT = />/g;
+const REGEX_QUOTE = /"/g;
+const REGEX_LF = /\n/g;
+const REGEX_UPPERCASE = /[A-Z]/g;
+
+const escapeHTML = (text: string): string =>
+  text
+    .replace(REGEX_AMPERSAND, '&amp;')
+    .replace(REGEX_LT, '&lt;')
+    .replace(REGEX_GT, '&gt;')
+    .replace(REGEX_QUOTE, '&quot;');
+
+const stringifyAttributes = (attributes: {[string]: mixed, ...}): string =>
+  Object.keys(attributes)
+    .filter(name => attributes[name] != null && attributes[name] !== '')
+    .map(name => ` ${name}="${escapeHTML(String(attributes[name]))}"`)
+    .join('');
+
+/**
+ * Turn a style object as used by `customStyleMap` into the value of a
+ * `style` attribute, e.g. `{fontWeight: 'bold'}` into `font-weight:bold`.
+ */
+const stringifyStyleObject = (styleObject: {[string]: mixed, ...}): string =>
+  Object.keys(styleObject)
+    .map(
+      property =>
+        property.replace(REGEX_UPPERCASE, match => '-' + match.toLowerCase()) +
+        ':' +
+        String(styleObject[property]),
+    )
+    .join(';');
+
+const DEFAULT_ENTITY_TO_HTML: EntityToHTMLMap = {
+  LINK: (entity, innerHTML) => {
+    const data = entity.getData();
+    const href = data.url || data.href;
+    // Links are only exported with the protocols they may be imported with.
+    const attributes: {[string]: mixed, ...} = {
+      href: typeof href === 'string' && isSafeLinkURL(href) ? href : null,
+    };
+    LINK_ATTRIBUTES.forEach(attribute => {
+      attributes[attribute] = data[attribute];
+    });
+    return `<a${stringifyAttributes(attributes)}>${innerHTML}</a>`;
+  },
+  IMAGE: entity => {
+    const {src, alt, height, width} = entity.getData();
+    return `<img${stringifyAttributes({src, alt, height, width})}>`;
+  },
+};
+
+/**
+ * Return the tag name of the wrapper element configured for a block type,
+ * if any. Wrappers are React elements in a DraftBlockRenderMap.
+ */
+const getWrapperTag = (blockRenderMap: DraftBlockRenderMap, type: string) => {
+  const config = blockRenderMap.get(type);
+  const wrapper: any = config && config.wrapper;
+  return wrapper && typeof wrapper.type === 'string' ? wrapper.type : null;
+};
+
+const getElementTag = (
+  blockRenderMap: DraftBlockRenderMap,
+  type: string,
+): string => {
+  const config =
+    blockRenderMap.get(type) || blockRenderMap.get('unstyled') || {};
+  return config.element || 'div';
+};
+
+/**
+ * ContentStateHTMLSerializer walks the blocks of a ContentState and
+ * accumulates the corresponding markup. It keeps track of the wrapper
+ * elements (e.g. `<ul>`/`<ol>`) that are currently open so that list items
+ * are nested according to their depth.
+ */
+class ContentStateHTMLSerializer {
+  contentState: ContentState;
+  blockRenderMap: DraftBlockRenderMap;
+  customStyleMap: StyleObjectMap;
+  entityToHTML: EntityToHTMLMap;
+  styleTags: StyleTagMap;
+
+  // Stack of the wrapper tags that have been opened but not closed yet.
+  openWrappers: Array<string> = [];
+  html: string = '';
+
+  constructor(contentState: ContentState, options: ConvertToHTMLOptions) {
+    this.contentState = contentState;
+    this.blockRenderMap = options.blockRenderMap || DefaultDraftBlockRenderMap;
+    this.customStyleMap = options.customStyleMap || {};
+    this.entityToHTML = {...DEFAULT_ENTITY_TO_HTML, ...options.entityToHTML};
+    this.styleTags = {...DEFAULT_STYLE_TAGS, ...options.styleTags};
+  }
+
+  serialize(): string {
+    this.contentState.getBlockMap().forEach(block => {
+      // Rows and cells are serialized along with their table.
+      if (block.getType() !== 'table-row' && block.getType() !== 'table-cell') {
+        this._addBlock(block);
+      }
+    });
+    this._closeWrappers(0);
+    return this.html;
+  }
+
+  _addBlock(block: BlockNodeRecord): void {
+    const type = block.getType();
+    const tag = getElementTag(this.blockRenderMap, type);
+    const wrapperTag = getWrapperTag(this.blockRenderMap, type);
+
+    if (type === 'table' && block instanceof ContentBlockNode) {
+      this._closeWrappers(0);
+      this._addTable(block);
+      return;
+    }
+
+    // Nesting an element inside a wrapper with the same tag (the default
+    // `code-block` renders `<pre>` inside `<pre>`) is not meaningful markup
+    // and would be imported back as a single block, so such wrappers are
+    // left out.
+    if (wrapperTag == null || wrapperTag === tag) {
+      this._closeWrappers(0);
+    } else {
+      this._openWrappers(wrapperTag, block.getDepth() + 1);
+    }
+
+    const innerHTML = this._serializeBlockContent(block, tag === 'pre');
+    this.html += `<${tag}>${innerHTML || '<br>'}</${tag}>`;
+  }
+
+  _addTable(table: ContentBlockNode): void {
+    const getChildren = (block: ContentBlockNode) =>
+      block
+        .getChildKeys()
+        .map(key => this.contentState.getBlockForKey(key))
+        .filter(child => child instanceof ContentBlockNode);
+    const rowsHTML = getChildren(table)
+      .map(row => {
+        const cellsHTML = getChildren(row)
+          .map(cell => {
+            const innerHTML = this._serializeBlockContent(cell, false);
+            return `<td>${innerHTML || '<br>'}</td>`;
+          })
+          .join('');
+        return `<tr>${cellsHTML}</tr>`;
+      })
+      .join('');
+    this.html += `<table><tbody>${rowsHTML}</tbody></table>`;
+  }
+
+  /**
+   * Make sure exactly `count` wrappers are open and that the innermost one
+   * uses `wrapperTag`. Deeper levels reuse the same tag, which mirrors how
+   * the editor indents list items of a given type.
+   */
+  _openWrappers(wrapperTag: string, count: number): void {
+    this._closeWrappers(count);
+    const openWrappers = this.openWrappers;
+    if (
+      openWrappers.length === count &&
+      openWrappers[openWrappers.length - 1] !== wrapperTag
+    ) {
+      this._closeWrappers(count - 1);
+    }
+    while (openWrappers.length < count) {
+      openWrappers.push(wrapperTag);
+      this.html += `<${wrapperTag}>`;
+    }
+  }
+
+  _closeWrappers(count: number): void {
+    while (this.openWrappers.length > count) {
+      this.html += `</${this.openWrappers.pop()}>`;
+    }
+  }
+
+  /**
+   * Serialize the text of a block. Entity ranges are serialized first so
+   * that an entity spanning several style ranges produces a single element,
+   * and styles are then applied to each run of identically styled
+   * characters inside of it. This guarantees properly nested markup even
+   * when styles overlap.
+   */
+  _serializeBlockContent(block: BlockNodeRecord, preformatted: boolean) {
+    const styleRanges = [];
+    block.findStyleRanges(
+      () => true,
+      (start, end) => {
+        styleRanges.push([start, end]);
+      },
+    );
+
+    let html = '';
+    block.findEntityRanges(
+      () => true,
+      (start, end) => {
+        let innerHTML = '';
+        styleRanges.forEach(([styleStart, styleEnd]) => {
+          const from = Math.max(start, styleStart);
+          const to = Math.min(end, styleEnd);
+          if (from < to) {
+            innerHTML += this._serializeStyledText(
+              block.getText().slice(from, to),
+              block.getInlineStyleAt(from),
+              preformatted,
+            );
+          }
+        });
+        html += this._serializeEntity(block.getEntityAt(start), innerHTML);
+      },
+    );
+    return html;
+  }
+
+  _serializeStyledText(
+    text: string,
+    style: DraftInlineStyle,
+    preformatted: boolean,
+  ): string {
+    let html = escapeHTML(text);
+    if (!preformatted) {
+      html = html.replace(REGEX_LF, '<br>');
+    }
+    return style.reverse().reduce((innerHTML, styleName) => {
+      const tag = this.styleTags[styleName];
+      if (tag) {
+        return `<${tag}>${innerHTML}</${tag}>`;
+      }
+      const styleObject =
+        this.customStyleMap[styleName] || DefaultDraftInlineStyle[styleName];
+      if (styleObject) {
+        const css = stringifyStyleObject(styleObject);
+        return `<span${stringifyAttributes({style: css})}>${innerHTML}</span>`;
+      }
+      return innerHTML;
+    }, html);
+  }
+
+  _serializeEntity(entityKey: ?string, innerHTML: string): string {
+    if (entityKey == null) {
+      return innerHTML;
+    }
+    const entity = this.contentState.getEntity(entityKey);
+    const entityToHTML = this.entityToHTML[entity.getType()];
+    return entityToHTML ? entityToHTML(entity, innerHTML) : innerHTML;
+  }
+}
+
+/**
+ * Converts a ContentState to an HTML string. Block elements and list
+ * wrappers are taken from the block render map, inline styles are
+ * serialized as tags when `styleTags` has an entry for them or as styled
+ * spans based on `customStyleMap` otherwise, and entities are serialized
+ * through the `entityToHTML` functions registered for their type.
+ *
+ * The output can be read back with `convertFromHTMLToContentBlocks`.
+ */
+const convertFromDraftStateToHTML = (
+  contentState: ContentState,
+  options?: ConvertToHTMLOptions = {},
+): string => {
+  return new ContentStateHTMLSerializer(contentState, options).serialize();
+};
+
+module.exports = convertFromDraftStateToHTML;
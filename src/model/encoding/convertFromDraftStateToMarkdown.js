@@ -0,0 +1,310 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type {DraftInlineStyle} from 'DraftInlineStyle';
+
+const HEADER_PREFIXES: {[blockType: string]: string, ...} = {
+  'header-one': '# ',
+  'header-two': '## ',
+  'header-three': '### ',
+  'header-four': '#### ',
+  'header-five': '##### ',
+  'header-six': '###### ',
+};
+
+// Styles that are serialized as delimiters around the styled text, in the
+// order in which they are opened. CODE is handled separately since code
+// spans cannot contain any other Markdown.
+const STYLE_DELIMITERS = [
+  ['BOLD', '**'],
+  ['ITALIC', '*'],
+  ['STRIKETHROUGH', '~~'],
+];
+
+const LIST_INDENT = '    ';
+
+const REGEX_SPECIAL_CHARACTERS = /[\\`*_[\]~]/g;
+const REGEX_LINE_START_SYNTAX = /^(\s*)(#|>|[-+](?=\s)|\d+(?=[.)]\s))/;
+const REGEX_LEADING_WHITESPACE = /^\s+/;
+const REGEX_TRAILING_WHITESPACE = /\s+$/;
+const REGEX_BACKTICKS = /`+/g;
+
+/**
+ * Escape characters that would otherwise be read as Markdown syntax. Line
+ * starting syntax (headings, blockquotes and list markers) only needs to be
+ * escaped at the beginning of a line.
+ */
+const escapeMarkdown = (text: string, atLineStart: boolean): string => {
+  const escaped = text.replace(REGEX_SPECIAL_CHARACTERS, '\\$&');
+  if (!atLineStart) {
+    return escaped;
+  }
+  return escaped.replace(REGEX_LINE_START_SYNTAX, (_, whitespace, syntax) =>
+    /\d/.test(syntax) ? whitespace + syntax + '\\' : whitespace + '\\' + syntax,
+  );
+};
+
+const escapeURL = (url: string): string =>
+  url.replace(
+    /[\s()<>]/g,
+    character =>
+      '%' +
+      character
+        .charCodeAt(0)
+        .toString(16)
+        .toUpperCase()
+        .padStart(2, '0'),
+  );
+
+/**
+ * Serialize a code span, using a backtick string longer than any run of
+ * backticks found in the code.
+ */
+const serializeCode = (code: string): string => {
+  const longestRun = (code.match(REGEX_BACKTICKS) || []).reduce(
+    (longest, run) => Math.max(longest, run.length),
+    0,
+  );
+  const marker = '`'.repeat(longestRun + 1);
+  const padding = code[0] === '`' || code[code.length - 1] === '`' ? ' ' : '';
+  return marker + padding + code + padding + marker;
+};
+
+/**
+ * InlineMarkdownSerializer accumulates the Markdown for a range of styled
+ * text. Delimiters are opened and closed as the style changes and are kept
+ * properly nested: closing a style that was opened before another one
+ * closes and reopens the inner one.
+ */
+class InlineMarkdownSerializer {
+  markdown: string = '';
+  openStyles: Array<string> = [];
+
+  append(text: string, style: DraftInlineStyle): void {
+    const stillOpen = this.openStyles.findIndex(
+      styleName => !style.has(styleName),
+    );
+    if (stillOpen !== -1) {
+      this._closeStyles(stillOpen);
+    }
+
+    const toOpen = STYLE_DELIMITERS.filter(
+      ([styleName]) =>
+        style.has(styleName) && this.openStyles.indexOf(styleName) === -1,
+    );
+
+    // Delimiters have to be adjacent to the text they apply to.
+    if (toOpen.length > 0) {
+      const leadingWhitespace = (text.match(REGEX_LEADING_WHITESPACE) || [
+        '',
+      ])[0];
+      this.markdown += this._serializeText(leadingWhitespace, style);
+      text = text.slice(leadingWhitespace.length);
+      toOpen.forEach(([styleName, delimiter]) => {
+        this.openStyles.push(styleName);
+        this.markdown += delimiter;
+      });
+    }
+
+    this.markdown += this._serializeText(text, style);
+  }
+
+  finish(): string {
+    this._closeStyles(0);
+    return this.markdown;
+  }
+
+  _serializeText(text: string, style: DraftInlineStyle): string {
+    if (text === '') {
+      return '';
+    }
+    if (style.has('CODE')) {
+      return serializeCode(text);
+    }
+    return text
+      .split('\n')
+      .map((line, index) => escapeMarkdown(line, index > 0))
+      .join('\\\n');
+  }
+
+  _closeStyles(count: number): void {
+    const trailingWhitespace = (this.markdown.match(
+      REGEX_TRAILING_WHITESPACE,
+    ) || [''])[0];
+    if (this.openStyles.length > count) {
+      this.markdown = this.markdown.slice(
+        0,
+        this.markdown.length - trailingWhitespace.length,
+      );
+      while (this.openStyles.length > count) {
+        const styleName = this.openStyles.pop();
+        const [, delimiter] =
+          STYLE_DELIMITERS.find(([name]) => name === styleName) || [];
+        this.markdown += delimiter;
+      }
+      this.markdown += trailingWhitespace;
+    }
+  }
+}
+
+/**
+ * Serialize the text of a block, with its inline styles and entities.
+ */
+const serializeBlockText = (
+  contentState: ContentState,
+  block: BlockNodeRecord,
+): string => {
+  const text = block.getText();
+  let markdown = '';
+
+  block.findEntityRanges(
+    () => true,
+    (start, end) => {
+      const serializer = new InlineMarkdownSerializer();
+      block.findStyleRanges(
+        () => true,
+        (styleStart, styleEnd) => {
+          const from = Math.max(start, styleStart);
+          const to = Math.min(end, styleEnd);
+          if (from < to) {
+            serializer.append(
+              text.slice(from, to),
+              block.getInlineStyleAt(from),
+            );
+          }
+        },
+      );
+      const innerMarkdown = serializer.finish();
+
+      const entityKey = block.getEntityAt(start);
+      const entity =
+        entityKey != null ? contentState.getEntity(entityKey) : null;
+      if (entity && entity.getType() === 'LINK') {
+        const {url, href, title} = entity.getData();
+        const titleMarkdown = title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+        markdown += `[${innerMarkdown}](${escapeURL(
+          url || href || '',
+        )}${titleMarkdown})`;
+      } else if (entity && entity.getType() === 'IMAGE') {
+        markdown += serializeImage(entity.getData());
+      } else {
+        markdown += innerMarkdown;
+      }
+    },
+  );
+
+  // Escape line starting syntax at the start of the block.
+  return markdown.replace(REGEX_LINE_START_SYNTAX, (_, whitespace, syntax) =>
+    /\d/.test(syntax) ? whitespace + syntax + '\\' : whitespace + '\\' + syntax,
+  );
+};
+
+const serializeImage = (data: Object): string =>
+  `![${escapeMarkdown(data.alt || '', false)}](${escapeURL(data.src || '')})`;
+
+/**
+ * Find the IMAGE entity of an atomic block, if any.
+ */
+const getAtomicImageData = (
+  contentState: ContentState,
+  block: BlockNodeRecord,
+): ?Object => {
+  const entityKey = block.getEntityAt(0);
+  if (entityKey == null) {
+    return null;
+  }
+  const entity = contentState.getEntity(entityKey);
+  return entity.getType() === 'IMAGE' ? entity.getData() : null;
+};
+
+const serializeCodeBlock = (block: BlockNodeRecord): string => {
+  const text = block.getText();
+  const longestRun = (text.match(REGEX_BACKTICKS) || []).reduce(
+    (longest, run) => Math.max(longest, run.length),
+    0,
+  );
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  const language = block.getData().get('language') || '';
+  return `${fence}${language}\n${text}\n${fence}`;
+};
+
+/**
+ * Converts a ContentState to a Markdown string. This is the inverse of
+ * `convertFromMarkdownToDraftState`: core block types are serialized as
+ * Markdown blocks, the `BOLD`, `ITALIC`, `CODE` and `STRIKETHROUGH` styles
+ * as emphasis, code spans and strikethrough, and `LINK` and `IMAGE`
+ * entities as links and images. Markdown syntax found in the text is
+ * escaped.
+ */
+const convertFromDraftStateToMarkdown = (
+  contentState: ContentState,
+): string => {
+  const chunks = [];
+  const orderedListCounters = [];
+  let previousType = null;
+
+  contentState.getBlockMap().forEach(block => {
+    const type = block.getType();
+    const depth = block.getDepth();
+    const isListItem =
+      type === 'unordered-list-item' || type === 'ordered-list-item';
+    let markdown;
+
+    if (type === 'code-block') {
+      markdown = serializeCodeBlock(block);
+    } else if (type === 'atomic' && getAtomicImageData(contentState, block)) {
+      markdown = serializeImage(getAtomicImageData(contentState, block));
+    } else {
+      const text = serializeBlockText(contentState, block);
+      if (HEADER_PREFIXES[type]) {
+        markdown = HEADER_PREFIXES[type] + text.replace(/\\\n/g, ' ');
+      } else if (type === 'blockquote') {
+        markdown = '> ' + text.replace(/\n/g, '\n> ');
+      } else if (isListItem) {
+        const indent = LIST_INDENT.repeat(depth);
+        let marker = '- ';
+        if (type === 'ordered-list-item') {
+          orderedListCounters.length = depth + 1;
+          orderedListCounters[depth] = (orderedListCounters[depth] || 0) + 1;
+          marker = `${orderedListCounters[depth]}. `;
+        }
+        markdown =
+          indent + marker + text.replace(/\n/g, '\n' + indent + LIST_INDENT);
+      } else {
+        markdown = text;
+      }
+    }
+
+    if (!isListItem) {
+      orderedListCounters.length = 0;
+    } else if (type !== 'ordered-list-item') {
+      orderedListCounters.length = depth;
+    }
+
+    const isListContinuation =
+      isListItem &&
+      (previousType === 'unordered-list-item' ||
+        previousType === 'ordered-list-item');
+    if (chunks.length > 0) {
+      chunks.push(isListContinuation ? '\n' : '\n\n');
+    }
+    chunks.push(markdown);
+    previousType = type;
+  });
+
+  return chunks.join('');
+};
+
+module.exports = convertFromDraftStateToMarkdown;
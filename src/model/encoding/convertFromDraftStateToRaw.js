@@ -11,6 +11,7 @@
 
 'use strict';
 
+import type {AnnotationRange} from 'AnnotationRange';
 import type {BlockNodeRecord} from 'BlockNodeRecord';
 import type ContentState from 'ContentState';
 import type {DraftEntityMutability} from 'DraftEntityMutability';
@@ -27,11 +28,31 @@ const encodeEntityRanges = require('encodeEntityRanges');
 const encodeInlineStyleRanges = require('encodeInlineStyleRanges');
 const invariant = require('invariant');
 
+const encodeAnnotationRanges = (
+  contentState: ContentState,
+  block: BlockNodeRecord,
+): Array<AnnotationRange> => {
+  const annotationRanges = [];
+  contentState
+    .getAnnotationRangesForBlock(block.getKey())
+    .forEach((ranges, key) =>
+      ranges.forEach(range =>
+        annotationRanges.push({
+          key,
+          offset: range.getStart(),
+          length: range.getEnd() - range.getStart(),
+        }),
+      ),
+    );
+  return annotationRanges;
+};
+
 const createRawBlock = (
   block: BlockNodeRecord,
   entityStorageMap: {[key: string]: RawDraftEntity},
+  annotationRanges: Array<AnnotationRange>,
 ) => {
-  return {
+  const rawBlock = {
     key: block.getKey(),
     text: block.getText(),
     type: block.getType(),
@@ -40,16 +61,22 @@ const createRawBlock = (
     entityRanges: encodeEntityRanges(block, entityStorageMap),
     data: block.getData().toObject(),
   };
+  // Only store annotation ranges when there are some, to keep the raw blocks
+  // of documents without annotations unchanged.
+  return annotationRanges.length > 0
+    ? {...rawBlock, annotationRanges}
+    : rawBlock;
 };
 
 const insertRawBlock = (
   block: BlockNodeRecord,
   entityMap: {[key: string]: RawDraftEntity},
+  annotationRanges: Array<AnnotationRange>,
   rawBlocks: Array<RawDraftContentBlock>,
   blockCacheRef: {...},
 ) => {
   if (block instanceof ContentBlock) {
-    rawBlocks.push(createRawBlock(block, entityMap));
+    rawBlocks.push(createRawBlock(block, entityMap, annotationRanges));
     return;
   }
 
@@ -58,7 +85,7 @@ const insertRawBlock = (
   const parentKey = block.getParentKey();
   // $FlowFixMe[prop-missing]
   const rawBlock = (blockCacheRef[block.getKey()] = {
-    ...createRawBlock(block, entityMap),
+    ...createRawBlock(block, entityMap, annotationRanges),
     children: [],
   });
 
@@ -104,7 +131,13 @@ const encodeRawBlocks = (
       },
     );
 
-    insertRawBlock(block, entityMap, rawBlocks, blockCacheRef);
+    insertRawBlock(
+      block,
+      entityMap,
+      encodeAnnotationRanges(contentState, block),
+      rawBlocks,
+      blockCacheRef,
+    );
   });
 
   return {
@@ -162,6 +195,17 @@ const convertFromDraftStateToRaw = (
   // $FlowFixMe[prop-missing]
   rawDraftContentState = encodeRawEntityMap(contentState, rawDraftContentState);
 
+  // add annotations
+  const annotationMap = contentState.getAnnotationMap();
+  if (!annotationMap.isEmpty()) {
+    rawDraftContentState = {
+      ...rawDraftContentState,
+      annotationMap: annotationMap
+        .map(annotation => ({data: annotation.getData()}))
+        .toObject(),
+    };
+  }
+
   return rawDraftContentState;
 };
 
@@ -13,6 +13,9 @@
 
 import type {BlockNodeRecord} from 'BlockNodeRecord';
 import type {DraftBlockRenderMap} from 'DraftBlockRenderMap';
+import type {DraftBlockType} from 'DraftBlockType';
+import type {DraftEntityMutability} from 'DraftEntityMutability';
+import type {DraftEntityType} from 'DraftEntityType';
 import type {DraftInlineStyle} from 'DraftInlineStyle';
 import type {EntityMap} from 'EntityMap';
 
@@ -32,6 +35,8 @@ const isHTMLAnchorElement = require('isHTMLAnchorElement');
 const isHTMLBRElement = require('isHTMLBRElement');
 const isHTMLElement = require('isHTMLElement');
 const isHTMLImageElement = require('isHTMLImageElement');
+const isSafeLinkURL = require('isSafeLinkURL');
+const normalizePastedHTML = require('normalizePastedHTML');
 
 const experimentalTreeDataSupport = gkx('draft_tree_data_support');
 const allowPastingAltText = gkx('draftjs_paste_emojis');
@@ -163,13 +168,7 @@ const isValidAnchor = (node: Node) => {
   }
   const anchorNode: HTMLAnchorElement = (node: any);
 
-  if (
-    !anchorNode.href ||
-    (anchorNode.protocol !== 'http:' &&
-      anchorNode.protocol !== 'https:' &&
-      anchorNode.protocol !== 'mailto:' &&
-      anchorNode.protocol !== 'tel:')
-  ) {
+  if (!anchorNode.href || !isSafeLinkURL(anchorNode.href)) {
     return false;
   }
 
@@ -212,7 +211,8 @@ const styleFromNodeAttributes = (
   const htmlElement: HTMLElement = (node: any);
   const fontWeight = htmlElement.style.fontWeight;
   const fontStyle = htmlElement.style.fontStyle;
-  const textDecoration = htmlElement.style.textDecoration;
+  // text-decoration may hold several lines, as in `underline line-through`
+  const textDecoration = htmlElement.style.textDecoration.split(/\s+/);
 
   return style.withMutations(style => {
     if (boldValues.indexOf(fontWeight) >= 0) {
@@ -227,13 +227,13 @@ const styleFromNodeAttributes = (
       style.remove('ITALIC');
     }
 
-    if (textDecoration === 'underline') {
+    if (textDecoration.includes('underline')) {
       style.add('UNDERLINE');
     }
-    if (textDecoration === 'line-through') {
+    if (textDecoration.includes('line-through')) {
       style.add('STRIKETHROUGH');
     }
-    if (textDecoration === 'none') {
+    if (textDecoration.includes('none')) {
       style.remove('UNDERLINE');
       style.remove('STRIKETHROUGH');
     }
@@ -246,6 +246,73 @@ const styleFromNodeAttributes = (
 const isListNode = (nodeName: ?string): boolean =>
   nodeName === 'ul' || nodeName === 'ol';
 
+/**
+ * Import rules customize how HTML elements are converted. Each kind of rule
+ * is a list of handlers, called in order with the lower cased tag name of an
+ * element and the element itself. The first handler that returns something
+ * other than null or undefined decides how the element is converted, and
+ * elements that no handler returns anything for are converted as usual.
+ *
+ * - `htmlToBlock` handlers return the block type of an element, or its type
+ *   and data, to convert it to a block.
+ * - `htmlToStyle` handlers return the inline style of the text within an
+ *   element, given the style it would have outside of it.
+ * - `htmlToEntity` handlers create an entity with `createEntity` and return
+ *   its key, to apply it to the text within an element. An element without
+ *   children is converted to a single space with the entity.
+ */
+export type HTMLToBlockFn = (
+  nodeName: string,
+  node: HTMLElement,
+) => ?(DraftBlockType | {type: DraftBlockType, data?: {...}, ...});
+
+export type HTMLToStyleFn = (
+  nodeName: string,
+  node: HTMLElement,
+  style: DraftInlineStyle,
+) => ?DraftInlineStyle;
+
+export type HTMLToEntityFn = (
+  nodeName: string,
+  node: HTMLElement,
+  createEntity: (
+    type: DraftEntityType,
+    mutability: DraftEntityMutability,
+    data?: {...},
+  ) => string,
+) => ?string;
+
+export type DraftHTMLImportOptions = {
+  htmlToBlock?: $ReadOnlyArray<HTMLToBlockFn>,
+  htmlToStyle?: $ReadOnlyArray<HTMLToStyleFn>,
+  htmlToEntity?: $ReadOnlyArray<HTMLToEntityFn>,
+  // Whether to create nested blocks, as for `DraftTreeDataOptions`
+  treeData?: boolean,
+  ...
+};
+
+/**
+ * Return the result of the first handler that returns something for a node.
+ */
+const applyHandlers = <THandler: Function, TResult>(
+  handlers: ?$ReadOnlyArray<THandler>,
+  node: Node,
+  call: (handler: THandler, nodeName: string, node: HTMLElement) => ?TResult,
+): ?TResult => {
+  if (!handlers || !isHTMLElement(node)) {
+    return null;
+  }
+  const element: HTMLElement = (node: any);
+  const nodeName = element.nodeName.toLowerCase();
+  for (let i = 0; i < handlers.length; i++) {
+    const result = call(handlers[i], nodeName, element);
+    if (result != null) {
+      return result;
+    }
+  }
+  return null;
+};
+
 /**
  *  ContentBlockConfig is a mutable data structure that holds all
  *  the information required to build a ContentBlock and an array of
@@ -268,6 +335,9 @@ type ContentBlockConfig = {
   ...
 };
 
+const isListItemType = (type: string): boolean =>
+  type === 'unordered-list-item' || type === 'ordered-list-item';
+
 /**
  * ContentBlocksBuilder builds a list of ContentBlocks and an Entity Map
  * out of one (or several) HTMLElement(s).
@@ -312,13 +382,22 @@ class ContentBlocksBuilder {
   blockTypeMap: BlockTypeMap;
   disambiguate: (string, ?string) => ?string;
 
+  // Custom import rules, applied before the default ones
+  options: DraftHTMLImportOptions;
+
+  // Whether nested HTML elements make nested blocks
+  treeData: boolean;
+
   constructor(
     blockTypeMap: BlockTypeMap,
     disambiguate: (string, ?string) => ?string,
+    options?: DraftHTMLImportOptions = {},
   ): void {
     this.clear();
     this.blockTypeMap = blockTypeMap;
     this.disambiguate = disambiguate;
+    this.options = options;
+    this.treeData = options.treeData ?? experimentalTreeDataSupport;
   }
 
   /**
@@ -366,10 +445,11 @@ class ContentBlocksBuilder {
     ...
   } {
     if (this.contentBlocks.length === 0) {
-      if (experimentalTreeDataSupport) {
-        this._toContentBlocks(this.blockConfigs);
+      const blockConfigs = this._normalizeTableConfigs(this.blockConfigs);
+      if (this.treeData) {
+        this._toContentBlocks(this._normalizeListConfigs(blockConfigs));
       } else {
-        this._toFlatContentBlocks(this.blockConfigs);
+        this._toFlatContentBlocks(blockConfigs);
       }
     }
     return {
@@ -419,8 +499,10 @@ class ContentBlocksBuilder {
     for (let i = 0; i < nodes.length; i++) {
       const node = nodes[i];
       const nodeName = node.nodeName.toLowerCase();
+      const customBlock =
+        nodeName !== 'body' ? this._getCustomBlock(node) : null;
 
-      if (nodeName === 'body' || isListNode(nodeName)) {
+      if (nodeName === 'body' || (!customBlock && isListNode(nodeName))) {
         // body, ol and ul are 'block' type nodes so create a block config
         // with the text accumulated so far (if any)
         this._trimCurrentText();
@@ -446,7 +528,9 @@ class ContentBlocksBuilder {
         continue;
       }
 
-      let blockType = this.blockTypeMap.get(nodeName);
+      let blockType = customBlock
+        ? customBlock.type
+        : this.blockTypeMap.get(nodeName);
       if (blockType !== undefined) {
         // 'block' type node means we need to create a block config
         // with the text accumulated so far (if any)
@@ -467,7 +551,7 @@ class ContentBlocksBuilder {
         }
 
         if (
-          !experimentalTreeDataSupport &&
+          !this.treeData &&
           isHTMLElement(node) &&
           (blockType === 'unordered-list-item' ||
             blockType === 'ordered-list-item')
@@ -477,16 +561,20 @@ class ContentBlocksBuilder {
         }
 
         const key = generateRandomKey();
-        const childConfigs = this._toBlockConfigs(
-          Array.from(node.childNodes),
-          style,
-        );
+        const entityKey = this._getCustomEntity(node);
+        const childConfigs =
+          entityKey != null
+            ? this._addEntityNode(node, entityKey, style)
+            : this._toBlockConfigs(Array.from(node.childNodes), style);
         this._trimCurrentText();
         blockConfigs.push(
           this._makeBlockConfig({
             key,
             childConfigs,
             type: blockType,
+            ...(customBlock && customBlock.data
+              ? {data: Map(customBlock.data)}
+              : {}),
           }),
         );
 
@@ -505,6 +593,18 @@ class ContentBlocksBuilder {
         continue;
       }
 
+      const entityKey = this._getCustomEntity(node);
+      if (entityKey != null) {
+        blockConfigs.push(
+          ...this._addEntityNode(
+            node,
+            entityKey,
+            this._getCustomStyle(node, style) || style,
+          ),
+        );
+        continue;
+      }
+
       if (isValidImage(node)) {
         this._addImgNode(node, style);
         continue;
@@ -515,14 +615,17 @@ class ContentBlocksBuilder {
         continue;
       }
 
-      let newStyle = style;
-      if (HTMLTagToRawInlineStyleMap.has(nodeName)) {
-        newStyle = newStyle.add(HTMLTagToRawInlineStyleMap.get(nodeName));
-      }
-      newStyle = styleFromNodeAttributes(node, newStyle);
-      const inlineStyle = detectInlineStyle(node);
-      if (inlineStyle != null) {
-        newStyle = newStyle.add(inlineStyle);
+      let newStyle = this._getCustomStyle(node, style);
+      if (newStyle == null) {
+        newStyle = style;
+        if (HTMLTagToRawInlineStyleMap.has(nodeName)) {
+          newStyle = newStyle.add(HTMLTagToRawInlineStyleMap.get(nodeName));
+        }
+        newStyle = styleFromNodeAttributes(node, newStyle);
+        const inlineStyle = detectInlineStyle(node);
+        if (inlineStyle != null) {
+          newStyle = newStyle.add(inlineStyle);
+        }
       }
       blockConfigs.push(
         ...this._toBlockConfigs(Array.from(node.childNodes), newStyle),
@@ -532,6 +635,61 @@ class ContentBlocksBuilder {
     return blockConfigs;
   }
 
+  _getCustomBlock(node: Node): ?{type: DraftBlockType, data?: {...}, ...} {
+    const block = applyHandlers(
+      this.options.htmlToBlock,
+      node,
+      (htmlToBlock, nodeName, element) => htmlToBlock(nodeName, element),
+    );
+    return typeof block === 'string' ? {type: block} : block;
+  }
+
+  _getCustomStyle(node: Node, style: DraftInlineStyle): ?DraftInlineStyle {
+    return applyHandlers(
+      this.options.htmlToStyle,
+      node,
+      (htmlToStyle, nodeName, element) => htmlToStyle(nodeName, element, style),
+    );
+  }
+
+  _getCustomEntity(node: Node): ?string {
+    return applyHandlers(
+      this.options.htmlToEntity,
+      node,
+      (htmlToEntity, nodeName, element) =>
+        htmlToEntity(nodeName, element, (type, mutability, data) => {
+          this.contentState = this.contentState.createEntity(
+            type,
+            mutability,
+            data || {},
+          );
+          return this.contentState.getLastCreatedEntityKey();
+        }),
+    );
+  }
+
+  /**
+   * Convert the child nodes of a node with an entity from an import rule,
+   * applying the entity to their text.
+   */
+  _addEntityNode(
+    node: Node,
+    entityKey: string,
+    style: DraftInlineStyle,
+  ): Array<ContentBlockConfig> {
+    const wasEntity = this.currentEntity;
+    this.currentEntity = entityKey;
+    const blockConfigs = this._toBlockConfigs(
+      Array.from(node.childNodes),
+      style,
+    );
+    if (!node.hasChildNodes()) {
+      this._appendText(SPACE, style);
+    }
+    this.currentEntity = wasEntity;
+    return blockConfigs;
+  }
+
   /**
    * Append a string of text to the internal buffer.
    */
@@ -680,6 +838,125 @@ class ContentBlocksBuilder {
     this.currentEntity = null;
   }
 
+  /**
+   * Make sure that tables only contain rows and that rows only contain cells,
+   * dropping empty ones. The blocks within cells are replaced by their text,
+   * separated by newlines.
+   */
+  _normalizeTableConfigs(
+    blockConfigs: Array<ContentBlockConfig>,
+  ): Array<ContentBlockConfig> {
+    return blockConfigs.reduce((configs, config) => {
+      const childConfigs = this._normalizeTableConfigs(config.childConfigs);
+      if (config.type === 'table' || config.type === 'table-row') {
+        const childType = config.type === 'table' ? 'table-row' : 'table-cell';
+        const tableConfigs = childConfigs.filter(
+          child => child.type === childType,
+        );
+        if (tableConfigs.length > 0) {
+          configs.push({
+            ...config,
+            text: '',
+            characterList: List(),
+            childConfigs: tableConfigs,
+          });
+        }
+      } else if (config.type === 'table-cell') {
+        configs.push({
+          ...config,
+          ...this._joinLines(
+            this._getLeafBlockConfigs(childConfigs).concat(config),
+          ),
+          childConfigs: [],
+        });
+      } else {
+        configs.push({...config, childConfigs});
+      }
+      return configs;
+    }, []);
+  }
+
+  /**
+   * Give nested lists the structure that `NestedRichUtils.onTab` creates: the
+   * items of a nested list are the children of an empty block of their type.
+   * An item with text of its own and a nested list, as in
+   * `<li>a<ul>...</ul></li>`, is split into the item, with its text, and the
+   * empty block holding the nested list, right after it.
+   */
+  _normalizeListConfigs(
+    blockConfigs: Array<ContentBlockConfig>,
+  ): Array<ContentBlockConfig> {
+    return blockConfigs.reduce((configs, config) => {
+      const childConfigs = this._normalizeListConfigs(config.childConfigs);
+      const nestedItems = childConfigs.filter(child =>
+        isListItemType(child.type),
+      );
+      const itemText = this._joinLines(
+        [config].concat(
+          this._getLeafBlockConfigs(
+            childConfigs.filter(child => !isListItemType(child.type)),
+          ),
+        ),
+      );
+      if (
+        !isListItemType(config.type) ||
+        nestedItems.length === 0 ||
+        itemText.text === ''
+      ) {
+        configs.push({...config, childConfigs});
+        return configs;
+      }
+      configs.push({...config, ...itemText, childConfigs: []});
+      configs.push({
+        ...config,
+        key: generateRandomKey(),
+        type: nestedItems[0].type,
+        text: '',
+        characterList: List(),
+        data: Map(),
+        childConfigs: nestedItems,
+      });
+      return configs;
+    }, []);
+  }
+
+  /**
+   * Join the text of block configs as lines of a single block.
+   */
+  _joinLines(
+    lines: Array<ContentBlockConfig>,
+  ): {|
+    text: string,
+    characterList: List<CharacterMetadata>,
+  |} {
+    const nonEmptyLines = lines.filter(line => line.text !== '');
+    return {
+      text: nonEmptyLines.map(line => line.text).join('\n'),
+      characterList: nonEmptyLines.reduce(
+        (characterList, line, ii) =>
+          (ii > 0
+            ? characterList.push(CharacterMetadata.create())
+            : characterList
+          ).concat(line.characterList),
+        List(),
+      ),
+    };
+  }
+
+  _getLeafBlockConfigs(
+    blockConfigs: Array<ContentBlockConfig>,
+  ): Array<ContentBlockConfig> {
+    return blockConfigs.reduce(
+      (leaves, config) =>
+        leaves.concat(
+          config.childConfigs.length > 0
+            ? this._getLeafBlockConfigs(config.childConfigs)
+            : config,
+        ),
+      [],
+    );
+  }
+
   /**
    * Walk the BlockConfig tree, compute parent/children/siblings,
    * and generate the corresponding ContentBlockNode
@@ -709,6 +986,14 @@ class ContentBlocksBuilder {
     blockConfigs: Array<ContentBlockConfig>,
   ): List<ContentBlockConfig> {
     const hoisted = List(blockConfigs).flatMap(blockConfig => {
+      // Tables need tree data support, only the text of their cells is kept
+      if (blockConfig.type === 'table' || blockConfig.type === 'table-row') {
+        return this._hoistContainersInBlockConfigs(blockConfig.childConfigs);
+      }
+      if (blockConfig.type === 'table-cell') {
+        return [{...blockConfig, type: 'unstyled'}];
+      }
+
       // Don't mess with useful blocks
       if (blockConfig.type !== 'unstyled' || blockConfig.text !== '') {
         return [blockConfig];
@@ -780,6 +1065,7 @@ const convertFromHTMLToContentBlocks = (
   html: string,
   DOMBuilder: Function = getSafeBodyFromHTML,
   blockRenderMap?: DraftBlockRenderMap = DefaultDraftBlockRenderMap,
+  options?: DraftHTMLImportOptions,
 ): ?{
   contentBlocks: ?Array<BlockNodeRecord>,
   entityMap: EntityMap,
@@ -803,6 +1089,9 @@ const convertFromHTMLToContentBlocks = (
     return null;
   }
 
+  // Rewrite the markup of office suites, such as Word lists
+  normalizePastedHTML(safeBody);
+
   // Build a BlockTypeMap out of the BlockRenderMap
   const blockTypeMap = buildBlockTypeMap(blockRenderMap);
 
@@ -815,7 +1104,7 @@ const convertFromHTMLToContentBlocks = (
     return null;
   };
 
-  return new ContentBlocksBuilder(blockTypeMap, disambiguate)
+  return new ContentBlocksBuilder(blockTypeMap, disambiguate, options)
     .addDOMNode(safeBody)
     .getContentBlocks();
 };
@@ -0,0 +1,153 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type EditorState from 'EditorState';
+import type {RawDraftEntity} from 'RawDraftEntity';
+import type {
+  RawDraftContentDiff,
+  RawDraftHistory,
+  RawDraftHistoryBlock,
+  RawDraftSelection,
+} from 'RawDraftHistory';
+import type SelectionState from 'SelectionState';
+import type {Stack} from 'immutable';
+
+const ContentBlockNode = require('ContentBlockNode');
+const DraftStringKey = require('DraftStringKey');
+
+const encodeEntityRanges = require('encodeEntityRanges');
+const encodeInlineStyleRanges = require('encodeInlineStyleRanges');
+const Immutable = require('immutable');
+
+const encodeSelection = (selection: SelectionState): RawDraftSelection => ({
+  anchorKey: selection.getAnchorKey(),
+  anchorOffset: selection.getAnchorOffset(),
+  focusKey: selection.getFocusKey(),
+  focusOffset: selection.getFocusOffset(),
+  isBackward: selection.getIsBackward(),
+  hasFocus: selection.getHasFocus(),
+});
+
+const encodeBlock = (
+  block: BlockNodeRecord,
+  entityStorageMap: {[key: string]: string},
+): RawDraftHistoryBlock => {
+  const rawBlock = {
+    key: block.getKey(),
+    text: block.getText(),
+    type: block.getType(),
+    depth: block.getDepth(),
+    inlineStyleRanges: encodeInlineStyleRanges(block),
+    entityRanges: encodeEntityRanges(block, entityStorageMap),
+    data: block.getData().toObject(),
+  };
+  if (!(block instanceof ContentBlockNode)) {
+    return rawBlock;
+  }
+  return {
+    ...rawBlock,
+    parent: block.getParentKey(),
+    childKeys: block.getChildKeys().toArray(),
+    prevSibling: block.getPrevSiblingKey(),
+    nextSibling: block.getNextSiblingKey(),
+  };
+};
+
+/**
+ * Encode the blocks of `newContentState` that are not shared with
+ * `contentState`, along with the entities they refer to.
+ */
+const encodeContentDiff = (
+  contentState: ContentState,
+  newContentState: ContentState,
+): RawDraftContentDiff => {
+  const blockMap = contentState.getBlockMap();
+  const newBlockMap = newContentState.getBlockMap();
+  const entityStorageMap: {[key: string]: string} = {};
+  const entityMap: {[key: string]: RawDraftEntity} = {};
+  let entityStorageKey = 0;
+
+  const blocks = [];
+  newBlockMap.forEach((block, key) => {
+    if (block === blockMap.get(key)) {
+      return;
+    }
+    block.findEntityRanges(
+      character => character.getEntity() !== null,
+      start => {
+        const entityKey = block.getEntityAt(start);
+        const stringifiedEntityKey = DraftStringKey.stringify(entityKey);
+        if (entityStorageMap[stringifiedEntityKey] != null) {
+          return;
+        }
+        const entity = newContentState.getEntity(entityKey);
+        entityStorageMap[stringifiedEntityKey] = `${entityStorageKey}`;
+        entityMap[`${entityStorageKey}`] = {
+          type: entity.getType(),
+          mutability: entity.getMutability(),
+          data: entity.getData(),
+        };
+        entityStorageKey++;
+      },
+    );
+    blocks.push(encodeBlock(block, entityStorageMap));
+  });
+
+  const diff: RawDraftContentDiff = {
+    blocks,
+    entityMap,
+    selectionBefore: encodeSelection(newContentState.getSelectionBefore()),
+    selectionAfter: encodeSelection(newContentState.getSelectionAfter()),
+  };
+  const blockKeys = newBlockMap.keySeq();
+  if (!blockKeys.equals(blockMap.keySeq())) {
+    diff.blockKeys = blockKeys.toArray();
+  }
+  const annotationMap = newContentState.getAnnotationMap();
+  if (!Immutable.is(annotationMap, contentState.getAnnotationMap())) {
+    diff.annotationMap = annotationMap.toJS();
+  }
+  return diff;
+};
+
+const encodeStack = (
+  contentState: ContentState,
+  stack: Stack<ContentState>,
+): Array<RawDraftContentDiff> => {
+  const diffs = [];
+  let previousContent = contentState;
+  stack.forEach(content => {
+    diffs.push(encodeContentDiff(previousContent, content));
+    previousContent = content;
+  });
+  return diffs;
+};
+
+/**
+ * Convert the undo and redo stacks of an EditorState into plain objects,
+ * storing only the blocks that change from one state to the next. Use
+ * `convertFromRawToHistory` to restore them on the same content.
+ */
+const convertFromHistoryToRaw = (editorState: EditorState): RawDraftHistory => {
+  const currentContent = editorState.getCurrentContent();
+  return {
+    selectionBefore: encodeSelection(currentContent.getSelectionBefore()),
+    selectionAfter: encodeSelection(currentContent.getSelectionAfter()),
+    undoStack: encodeStack(currentContent, editorState.getUndoStack()),
+    redoStack: encodeStack(currentContent, editorState.getRedoStack()),
+  };
+};
+
+module.exports = convertFromHistoryToRaw;
@@ -0,0 +1,627 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type {DraftBlockType} from 'DraftBlockType';
+import type {DraftInlineStyle} from 'DraftInlineStyle';
+import type {DraftTreeDataOptions} from 'DraftTreeDataOptions';
+
+const CharacterMetadata = require('CharacterMetadata');
+const ContentBlock = require('ContentBlock');
+const ContentState = require('ContentState');
+
+const convertToTreeBasedContentState = require('convertToTreeBasedContentState');
+const generateRandomKey = require('generateRandomKey');
+const gkx = require('gkx');
+const isSafeLinkURL = require('isSafeLinkURL');
+const {List, Map, OrderedSet, Repeat} = require('immutable');
+
+const experimentalTreeDataSupport = gkx('draft_tree_data_support');
+
+const HEADER_TYPES: Array<DraftBlockType> = [
+  'header-one',
+  'header-two',
+  'header-three',
+  'header-four',
+  'header-five',
+  'header-six',
+];
+
+// Character used as the text of atomic image blocks, as AtomicBlockUtils does
+const ATOMIC_CHARACTER = ' ';
+
+const REGEX_LINE_BREAK = /\r\n?/g;
+const REGEX_FENCE = /^( {0,3})(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+const REGEX_HEADER = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const REGEX_HORIZONTAL_RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const REGEX_LIST_ITEM = /^([ \t]*)([-*+]|\d{1,9}[.)])[ \t]+(.*)$/;
+const REGEX_BLOCKQUOTE = /^ {0,3}>[ \t]?(.*)$/;
+const REGEX_BLANK = /^\s*$/;
+const REGEX_HARD_BREAK = /(?: {2,}|\\)$/;
+const REGEX_ESCAPABLE = /[!-/:-@[-`{-~]/;
+const REGEX_WORD_CHARACTER = /[A-Za-z0-9]/;
+// Link destinations may contain balanced parentheses, one level deep
+const REGEX_LINK_DESTINATION = /^\(\s*(<[^>]*>|(?:[^\s()]|\([^\s()]*\))*)(?:\s+("[^"]*"|'[^']*'))?\s*\)/;
+
+// Emphasis delimiters, longest first for each character
+const DELIMITERS: Array<[string, string]> = [
+  ['**', 'BOLD'],
+  ['*', 'ITALIC'],
+  ['__', 'BOLD'],
+  ['_', 'ITALIC'],
+  ['~~', 'STRIKETHROUGH'],
+];
+const DELIMITER_CHARACTERS = ['*', '_', '~'];
+
+/**
+ * Intermediate description of a block produced by the block level pass. For
+ * all blocks but code blocks, `lines` still contains inline Markdown.
+ */
+type MarkdownBlockConfig = {
+  type: DraftBlockType,
+  depth: number,
+  lines: Array<string>,
+  data?: Map<string, string>,
+  ...
+};
+
+type InlineSegment =
+  | {
+      text: string,
+      characterList: List<CharacterMetadata>,
+      ...
+    }
+  | {image: string, ...};
+
+/**
+ * Join the lines of a paragraph. Lines ending with a hard break (two spaces
+ * or a backslash) become soft newlines, other line endings are collapsed to
+ * a single space.
+ */
+const joinLines = (lines: Array<string>): string =>
+  lines
+    .reduce((text, line, index) => {
+      if (index === 0) {
+        return line.trimLeft();
+      }
+      if (isHardBreak(text)) {
+        return text.replace(REGEX_HARD_BREAK, '') + '\n' + line.trimLeft();
+      }
+      return text.trimRight() + ' ' + line.trimLeft();
+    }, '')
+    .trimRight();
+
+/**
+ * A trailing backslash is only a hard break if it is not escaped itself.
+ */
+const isHardBreak = (text: string): boolean => {
+  if (!REGEX_HARD_BREAK.test(text)) {
+    return false;
+  }
+  if (text[text.length - 1] !== '\\') {
+    return true;
+  }
+  const backslashes = text.length - text.replace(/\\+$/, '').length;
+  return backslashes % 2 === 1;
+};
+
+/**
+ * Split Markdown source into block configs, one per Draft block.
+ */
+const parseBlocks = (markdown: string): Array<MarkdownBlockConfig> => {
+  const lines = markdown.replace(REGEX_LINE_BREAK, '\n').split('\n');
+  const blocks = [];
+
+  let current: ?MarkdownBlockConfig = null;
+  let fence: ?{marker: string, indent: number, ...} = null;
+  let listIndents: Array<number> = [];
+  let previousLineWasBlank = false;
+
+  const flush = () => {
+    if (current) {
+      blocks.push(current);
+      current = null;
+    }
+  };
+
+  lines.forEach(line => {
+    if (fence && current) {
+      const closing = line.match(REGEX_FENCE);
+      if (
+        closing &&
+        closing[2][0] === fence.marker[0] &&
+        closing[2].length >= fence.marker.length &&
+        closing[3] === ''
+      ) {
+        flush();
+        fence = null;
+      } else {
+        const indent = line.length - line.trimLeft().length;
+        current.lines.push(line.slice(Math.min(indent, fence.indent)));
+      }
+      return;
+    }
+
+    if (REGEX_BLANK.test(line)) {
+      flush();
+      previousLineWasBlank = true;
+      return;
+    }
+
+    const wasBlank = previousLineWasBlank;
+    previousLineWasBlank = false;
+
+    const fenceMatch = line.match(REGEX_FENCE);
+    if (fenceMatch) {
+      flush();
+      fence = {marker: fenceMatch[2], indent: fenceMatch[1].length};
+      current = {
+        type: 'code-block',
+        depth: 0,
+        lines: [],
+        data: fenceMatch[3] ? Map({language: fenceMatch[3]}) : Map(),
+      };
+      return;
+    }
+
+    const headerMatch = line.match(REGEX_HEADER);
+    if (headerMatch) {
+      flush();
+      blocks.push({
+        type: HEADER_TYPES[headerMatch[1].length - 1],
+        depth: 0,
+        lines: [headerMatch[2] || ''],
+      });
+      return;
+    }
+
+    if (REGEX_HORIZONTAL_RULE.test(line)) {
+      flush();
+      return;
+    }
+
+    const listMatch = line.match(REGEX_LIST_ITEM);
+    if (listMatch) {
+      flush();
+      const indent = listMatch[1].replace(/\t/g, '    ').length;
+      // Items indented deeper than the closest previous item are nested
+      // inside of it, items at the same indentation are its siblings.
+      listIndents = listIndents.filter(listIndent => listIndent <= indent);
+      if (
+        listIndents.length === 0 ||
+        listIndents[listIndents.length - 1] < indent
+      ) {
+        listIndents.push(indent);
+      }
+      current = {
+        type: /\d/.test(listMatch[2])
+          ? 'ordered-list-item'
+          : 'unordered-list-item',
+        depth: listIndents.length - 1,
+        lines: [listMatch[3]],
+      };
+      return;
+    }
+
+    const quoteMatch = line.match(REGEX_BLOCKQUOTE);
+    if (quoteMatch) {
+      if (!current || current.type !== 'blockquote') {
+        flush();
+        current = {type: 'blockquote', depth: 0, lines: []};
+      }
+      if (REGEX_BLANK.test(quoteMatch[1])) {
+        // An empty quoted line separates two blockquote blocks.
+        flush();
+      } else {
+        current.lines.push(quoteMatch[1]);
+      }
+      return;
+    }
+
+    if (current && !wasBlank) {
+      current.lines.push(line);
+      return;
+    }
+
+    flush();
+    if (!/^\s/.test(line)) {
+      listIndents = [];
+    }
+    current = {type: 'unstyled', depth: 0, lines: [line]};
+  });
+
+  flush();
+  return blocks;
+};
+
+/**
+ * MarkdownInlineParser converts inline Markdown (emphasis, code spans, links
+ * and images) into text and character metadata. Images are returned as
+ * separate segments since they become atomic blocks.
+ */
+class MarkdownInlineParser {
+  contentState: ContentState;
+  segments: Array<InlineSegment> = [];
+  text: string = '';
+  characterList: List<CharacterMetadata> = List();
+
+  constructor(contentState: ContentState) {
+    this.contentState = contentState;
+  }
+
+  parse(source: string): Array<InlineSegment> {
+    this.segments = [];
+    this._parseRange(source, OrderedSet(), null);
+    this._flushText();
+    return this.segments;
+  }
+
+  _flushText(): void {
+    if (this.text !== '' || this.segments.length === 0) {
+      this.segments.push({
+        text: this.text,
+        characterList: this.characterList,
+      });
+    }
+    this.text = '';
+    this.characterList = List();
+  }
+
+  _appendText(text: string, style: DraftInlineStyle, entity: ?string): void {
+    this.text += text;
+    this.characterList = this.characterList.concat(
+      Repeat(CharacterMetadata.create({style, entity}), text.length),
+    );
+  }
+
+  _parseRange(
+    source: string,
+    initialStyle: DraftInlineStyle,
+    entity: ?string,
+  ): void {
+    let style = initialStyle;
+    // Delimiter runs that opened a style which has not been closed yet, the
+    // innermost last.
+    const openDelimiters: Array<{marker: string, styleName: string, ...}> = [];
+    let i = 0;
+
+    while (i < source.length) {
+      const character = source[i];
+
+      if (
+        character === '\\' &&
+        i + 1 < source.length &&
+        REGEX_ESCAPABLE.test(source[i + 1])
+      ) {
+        this._appendText(source[i + 1], style, entity);
+        i += 2;
+        continue;
+      }
+
+      if (character === '`') {
+        const end = this._parseCodeSpan(source, i, style, entity);
+        if (end !== i) {
+          i = end;
+          continue;
+        }
+      }
+
+      if (character === '!' && source[i + 1] === '[') {
+        const end = this._parseLinkOrImage(source, i + 1, style, entity, true);
+        if (end !== i + 1) {
+          i = end;
+          continue;
+        }
+      }
+
+      if (character === '[') {
+        const end = this._parseLinkOrImage(source, i, style, entity, false);
+        if (end !== i) {
+          i = end;
+          continue;
+        }
+      }
+
+      if (DELIMITER_CHARACTERS.indexOf(character) !== -1) {
+        let end = i;
+        while (source[end] === character) {
+          end++;
+        }
+        if (isIntraword(source, i, end)) {
+          this._appendText(source.slice(i, end), style, entity);
+          i = end;
+          continue;
+        }
+
+        // A run of delimiters first closes the innermost open styles, then
+        // opens new ones if a closing run can be found further on.
+        let remaining = end - i;
+        while (remaining > 0 && openDelimiters.length > 0) {
+          const innermost = openDelimiters[openDelimiters.length - 1];
+          if (
+            innermost.marker[0] !== character ||
+            innermost.marker.length > remaining
+          ) {
+            break;
+          }
+          openDelimiters.pop();
+          style = style.remove(innermost.styleName);
+          remaining -= innermost.marker.length;
+        }
+
+        let literal = '';
+        while (remaining > 0) {
+          const delimiter = DELIMITERS.find(
+            ([marker, styleName]) =>
+              marker[0] === character &&
+              marker.length <= remaining &&
+              !style.has(styleName) &&
+              hasClosingDelimiter(source, end, marker),
+          );
+          if (!delimiter) {
+            literal = character.repeat(remaining);
+            break;
+          }
+          const [marker, styleName] = delimiter;
+          openDelimiters.push({marker, styleName});
+          style = style.add(styleName);
+          remaining -= marker.length;
+        }
+        this._appendText(literal, style, entity);
+        i = end;
+        continue;
+      }
+
+      this._appendText(character, style, entity);
+      i++;
+    }
+  }
+
+  /**
+   * Parse a code span starting at `start`. Returns the offset following the
+   * code span, or `start` if there is no matching backtick string.
+   */
+  _parseCodeSpan(
+    source: string,
+    start: number,
+    style: DraftInlineStyle,
+    entity: ?string,
+  ): number {
+    let end = start;
+    while (source[end] === '`') {
+      end++;
+    }
+    const marker = source.slice(start, end);
+    let closing = source.indexOf(marker, end);
+    while (closing !== -1 && source[closing + marker.length] === '`') {
+      closing = source.indexOf(marker, closing + marker.length + 1);
+    }
+    if (closing === -1) {
+      this._appendText(marker, style, entity);
+      return end;
+    }
+    let code = source.slice(end, closing);
+    if (
+      code.length > 1 &&
+      code[0] === ' ' &&
+      code[code.length - 1] === ' ' &&
+      code.trim() !== ''
+    ) {
+      code = code.slice(1, -1);
+    }
+    this._appendText(code, style.add('CODE'), entity);
+    return closing + marker.length;
+  }
+
+  /**
+   * Parse a link or an image whose opening bracket is at `start`. Returns
+   * the offset following it, or `start` if the source is not a valid link.
+   * Markdown may come from untrusted files, so a link whose URL uses an
+   * unsafe protocol is kept as its text, and such an image is skipped.
+   */
+  _parseLinkOrImage(
+    source: string,
+    start: number,
+    style: DraftInlineStyle,
+    entity: ?string,
+    isImage: boolean,
+  ): number {
+    const labelEnd = findClosingBracket(source, start);
+    if (labelEnd === -1) {
+      return start;
+    }
+    const destination = source
+      .slice(labelEnd + 1)
+      .match(REGEX_LINK_DESTINATION);
+    if (!destination) {
+      return start;
+    }
+
+    const label = source.slice(start + 1, labelEnd);
+    const url = destination[1].replace(/^<|>$/g, '');
+    const title = destination[2] ? destination[2].slice(1, -1) : null;
+    const end = labelEnd + 1 + destination[0].length;
+
+    if (!isSafeLinkURL(url)) {
+      if (!isImage) {
+        this._parseRange(label, style, entity);
+      }
+      return end;
+    }
+
+    if (isImage) {
+      const data: {[string]: string} = {src: url};
+      const alt = unescapeMarkdown(label);
+      if (alt) {
+        data.alt = alt;
+      }
+      if (title) {
+        data.title = title;
+      }
+      this.contentState = this.contentState.createEntity(
+        'IMAGE',
+        'IMMUTABLE',
+        data,
+      );
+      this._flushText();
+      this.segments.push({image: this.contentState.getLastCreatedEntityKey()});
+      return end;
+    }
+
+    const data: {[string]: string} = {url};
+    if (title) {
+      data.title = title;
+    }
+    this.contentState = this.contentState.createEntity('LINK', 'MUTABLE', data);
+    this._parseRange(label, style, this.contentState.getLastCreatedEntityKey());
+    return end;
+  }
+}
+
+const unescapeMarkdown = (text: string): string =>
+  text.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+
+/**
+ * `_` does not open or close emphasis inside of a word, which keeps
+ * identifiers such as `snake_case_name` intact.
+ */
+const isIntraword = (source: string, start: number, end: number) =>
+  source[start] === '_' &&
+  REGEX_WORD_CHARACTER.test(source[start - 1] || '') &&
+  REGEX_WORD_CHARACTER.test(source[end] || '');
+
+/**
+ * Whether a run of delimiters long enough to close `marker` follows `from`.
+ */
+const hasClosingDelimiter = (
+  source: string,
+  from: number,
+  marker: string,
+): boolean => {
+  let i = from;
+  while (i < source.length) {
+    if (source[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    if (source[i] !== marker[0]) {
+      i++;
+      continue;
+    }
+    let end = i;
+    while (source[end] === marker[0]) {
+      end++;
+    }
+    if (end - i >= marker.length && !isIntraword(source, i, end)) {
+      return true;
+    }
+    i = end;
+  }
+  return false;
+};
+
+const findClosingBracket = (source: string, start: number): number => {
+  let depth = 0;
+  for (let i = start; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+    } else if (source[i] === '[') {
+      depth++;
+    } else if (source[i] === ']') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+};
+
+const createBlock = (
+  type: DraftBlockType,
+  depth: number,
+  text: string,
+  characterList: List<CharacterMetadata>,
+  data?: Map<string, string>,
+): BlockNodeRecord =>
+  new ContentBlock({
+    key: generateRandomKey(),
+    type,
+    depth,
+    text,
+    characterList,
+    data: data || Map(),
+  });
+
+/**
+ * Converts a Markdown string to a ContentState.
+ *
+ * Headings, bullet and numbered lists (nested by indentation), blockquotes
+ * and fenced code blocks become the corresponding core block types. Strong
+ * emphasis, emphasis, code spans and strikethrough become the `BOLD`,
+ * `ITALIC`, `CODE` and `STRIKETHROUGH` inline styles. Links become `LINK`
+ * entities and images become atomic blocks with an `IMAGE` entity.
+ *
+ * With the `treeData` option, the blocks are `ContentBlockNode`s, and nested
+ * list items are children of the items they are nested in.
+ */
+const convertFromMarkdownToDraftState = (
+  markdown: string,
+  options?: DraftTreeDataOptions = {},
+): ContentState => {
+  const parser = new MarkdownInlineParser(
+    ContentState.createFromText('', undefined, {treeData: false}),
+  );
+  const contentBlocks = [];
+
+  parseBlocks(markdown).forEach(({type, depth, lines, data}) => {
+    if (type === 'code-block') {
+      const text = lines.join('\n');
+      const characterList = List(Repeat(CharacterMetadata.EMPTY, text.length));
+      contentBlocks.push(createBlock(type, depth, text, characterList, data));
+      return;
+    }
+
+    const segments = parser.parse(joinLines(lines));
+    segments.forEach(segment => {
+      if (typeof segment.image === 'string') {
+        const character = CharacterMetadata.create({entity: segment.image});
+        contentBlocks.push(
+          createBlock(
+            'atomic',
+            0,
+            ATOMIC_CHARACTER,
+            List(Repeat(character, ATOMIC_CHARACTER.length)),
+          ),
+        );
+        return;
+      }
+      const {text, characterList} = (segment: any);
+      // Text around an image is kept as blocks of the original type, unless
+      // there is nothing left but whitespace.
+      if (segments.length === 1 || text.trim() !== '') {
+        contentBlocks.push(createBlock(type, depth, text, characterList));
+      }
+    });
+  });
+
+  const contentState =
+    contentBlocks.length > 0
+      ? ContentState.createFromBlockArray(contentBlocks)
+      : ContentState.createFromText('', undefined, {treeData: false});
+  return options.treeData ?? experimentalTreeDataSupport
+    ? convertToTreeBasedContentState(contentState)
+    : contentState;
+};
+
+module.exports = convertFromMarkdownToDraftState;
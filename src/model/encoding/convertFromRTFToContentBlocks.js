@@ -0,0 +1,374 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type {DraftBlockType} from 'DraftBlockType';
+import type {DraftInlineStyle} from 'DraftInlineStyle';
+import type {DraftTreeDataOptions} from 'DraftTreeDataOptions';
+
+const CharacterMetadata = require('CharacterMetadata');
+const ContentBlock = require('ContentBlock');
+const ContentState = require('ContentState');
+
+const convertToTreeBasedContentState = require('convertToTreeBasedContentState');
+const generateRandomKey = require('generateRandomKey');
+const gkx = require('gkx');
+const {List, OrderedSet} = require('immutable');
+
+const experimentalTreeDataSupport = gkx('draft_tree_data_support');
+
+const REGEX_CONTROL_WORD = /^([a-z]{1,32})(-?\d{1,10})? ?/;
+const REGEX_HEX = /^[0-9a-f]{2}$/i;
+
+// Markers of numbered list items, such as `1.`, `a)` or `(iv)`
+const REGEX_ORDERED_MARKER = /^\(?[0-9a-z]{1,5}[.)]/i;
+
+// Groups whose content is not part of the text of the document
+const IGNORED_DESTINATIONS = [
+  'author',
+  'colortbl',
+  'comment',
+  'company',
+  'datastore',
+  'doccomm',
+  'fonttbl',
+  'footer',
+  'footerf',
+  'footerl',
+  'footerr',
+  'footnote',
+  'generator',
+  'header',
+  'headerf',
+  'headerl',
+  'headerr',
+  'info',
+  'keywords',
+  'latentstyles',
+  'listoverridetable',
+  'listtable',
+  'object',
+  'operator',
+  'pict',
+  'revtbl',
+  'rsidtbl',
+  'stylesheet',
+  'subject',
+  'themedata',
+  'title',
+  'xmlnstbl',
+];
+
+// Groups holding the bullet or number of a list item
+const LIST_MARKER_DESTINATIONS = ['listtext', 'pntext'];
+
+// Inline styles toggled by control words, turned off with a `0` parameter
+const STYLE_CONTROL_WORDS = {
+  b: 'BOLD',
+  i: 'ITALIC',
+  strike: 'STRIKETHROUGH',
+  ul: 'UNDERLINE',
+  uld: 'UNDERLINE',
+  uldb: 'UNDERLINE',
+  ulth: 'UNDERLINE',
+  ulw: 'UNDERLINE',
+  ulwave: 'UNDERLINE',
+};
+
+// Characters of the Windows-1252 code page that differ from ISO-8859-1
+const CP1252_CHARACTERS = {
+  '128': '€',
+  '130': '‚',
+  '132': '„',
+  '133': '…',
+  '134': '†',
+  '135': '‡',
+  '139': '‹',
+  '145': '‘',
+  '146': '’',
+  '147': '“',
+  '148': '”',
+  '149': '•',
+  '150': '–',
+  '151': '—',
+  '153': '™',
+  '155': '›',
+};
+
+type GroupState = {
+  // Whether the text of the group is dropped, or read as a list marker
+  destination: 'text' | 'ignored' | 'marker',
+  style: DraftInlineStyle,
+  // Number of characters following a `\u` control word to skip
+  unicodeSkip: number,
+  ...
+};
+
+/**
+ * RTFParser reads RTF groups and control words, and collects the text of the
+ * paragraphs of the document into blocks.
+ */
+class RTFParser {
+  rtf: string;
+  position: number = 0;
+  state: GroupState = {
+    destination: 'text',
+    style: OrderedSet(),
+    unicodeSkip: 1,
+  };
+  stack: Array<GroupState> = [];
+  blocks: Array<BlockNodeRecord> = [];
+
+  // The paragraph being read
+  text: string = '';
+  characterList: List<CharacterMetadata> = List();
+  isListItem: boolean = false;
+  depth: number = 0;
+  listMarker: string = '';
+
+  constructor(rtf: string) {
+    this.rtf = rtf;
+  }
+
+  parse(): Array<BlockNodeRecord> {
+    const rtf = this.rtf;
+    while (this.position < rtf.length) {
+      const character = rtf[this.position];
+      this.position++;
+      if (character === '{') {
+        this.stack.push(this.state);
+        this.state = {...this.state};
+      } else if (character === '}') {
+        this.state = this.stack.pop() || this.state;
+      } else if (character === '\\') {
+        this._readControl();
+      } else if (character !== '\r' && character !== '\n') {
+        this._appendText(character);
+      }
+    }
+    this._endParagraph();
+    return this.blocks;
+  }
+
+  _readControl() {
+    const rtf = this.rtf;
+    const symbol = rtf[this.position];
+    if (symbol == null) {
+      return;
+    }
+
+    const match = REGEX_CONTROL_WORD.exec(
+      rtf.slice(this.position, this.position + 44),
+    );
+    if (!match) {
+      this.position++;
+      this._readControlSymbol(symbol);
+      return;
+    }
+    this.position += match[0].length;
+    this._readControlWord(
+      match[1],
+      match[2] != null ? parseInt(match[2], 10) : null,
+    );
+  }
+
+  _readControlSymbol(symbol: string) {
+    switch (symbol) {
+      case "'": {
+        const hex = this.rtf.slice(this.position, this.position + 2);
+        if (REGEX_HEX.test(hex)) {
+          this.position += 2;
+          const code = parseInt(hex, 16);
+          this._appendText(
+            CP1252_CHARACTERS[String(code)] || String.fromCharCode(code),
+          );
+        }
+        break;
+      }
+      case '*':
+        // The group is an optional destination, which we don't support
+        this.state.destination = 'ignored';
+        break;
+      case '~':
+        this._appendText(' ');
+        break;
+      case '_':
+        this._appendText('-');
+        break;
+      case '\r':
+      case '\n':
+        this._endParagraph();
+        break;
+      case '\\':
+      case '{':
+      case '}':
+        this._appendText(symbol);
+        break;
+    }
+  }
+
+  _readControlWord(word: string, parameter: ?number) {
+    if (IGNORED_DESTINATIONS.includes(word)) {
+      this.state.destination = 'ignored';
+      return;
+    }
+    if (LIST_MARKER_DESTINATIONS.includes(word)) {
+      this.state.destination = 'marker';
+      this.isListItem = true;
+      return;
+    }
+    if (STYLE_CONTROL_WORDS.hasOwnProperty(word)) {
+      this.state.style =
+        parameter === 0
+          ? this.state.style.remove(STYLE_CONTROL_WORDS[word])
+          : this.state.style.add(STYLE_CONTROL_WORDS[word]);
+      return;
+    }
+
+    switch (word) {
+      case 'par':
+        this._endParagraph();
+        break;
+      case 'pard':
+        // Paragraph properties are reset, but a list marker read in the
+        // same paragraph is kept. Word resets them within list markers too.
+        if (this.state.destination !== 'marker') {
+          this.isListItem = this.listMarker !== '';
+          this.depth = 0;
+        }
+        break;
+      case 'plain':
+        this.state.style = OrderedSet();
+        break;
+      case 'ulnone':
+        this.state.style = this.state.style.remove('UNDERLINE');
+        break;
+      case 'line':
+        this._appendText('\n');
+        break;
+      case 'tab':
+        this._appendText('\t');
+        break;
+      case 'ls':
+        this.isListItem = true;
+        break;
+      case 'ilvl':
+        this.depth = parameter || 0;
+        break;
+      case 'uc':
+        this.state.unicodeSkip = parameter || 0;
+        break;
+      case 'u':
+        if (parameter != null) {
+          this._appendText(
+            String.fromCharCode(parameter < 0 ? parameter + 65536 : parameter),
+          );
+          this._skipFallbackCharacters();
+        }
+        break;
+      case 'bin':
+        this.position += parameter || 0;
+        break;
+    }
+  }
+
+  /**
+   * Skip the characters following a `\u` control word, which stand for the
+   * Unicode character in readers that don't support it.
+   */
+  _skipFallbackCharacters() {
+    const rtf = this.rtf;
+    for (let ii = 0; ii < this.state.unicodeSkip; ii++) {
+      const character = rtf[this.position];
+      if (character == null || character === '{' || character === '}') {
+        return;
+      }
+      if (character === '\\' && rtf[this.position + 1] === "'") {
+        this.position += 4;
+      } else if (character === '\\') {
+        const match = REGEX_CONTROL_WORD.exec(
+          rtf.slice(this.position + 1, this.position + 45),
+        );
+        this.position += match ? match[0].length + 1 : 2;
+      } else {
+        this.position++;
+      }
+    }
+  }
+
+  _appendText(text: string) {
+    if (this.state.destination === 'ignored') {
+      return;
+    }
+    if (this.state.destination === 'marker') {
+      this.listMarker += text;
+      return;
+    }
+    this.text += text;
+    this.characterList = this.characterList.push(
+      ...Array(text.length).fill(
+        CharacterMetadata.create({style: this.state.style}),
+      ),
+    );
+  }
+
+  _endParagraph() {
+    if (this.text.trim() !== '') {
+      let type: DraftBlockType = 'unstyled';
+      if (this.isListItem) {
+        type = REGEX_ORDERED_MARKER.test(this.listMarker.trim())
+          ? 'ordered-list-item'
+          : 'unordered-list-item';
+      }
+      this.blocks.push(
+        new ContentBlock({
+          key: generateRandomKey(),
+          type,
+          depth: this.isListItem ? this.depth : 0,
+          text: this.text,
+          characterList: this.characterList,
+        }),
+      );
+    }
+    this.text = '';
+    this.characterList = List();
+    this.listMarker = '';
+  }
+}
+
+/**
+ * Converts an RTF document, as written by word processors and the clipboard,
+ * to an array of ContentBlocks.
+ *
+ * Paragraphs become blocks, and list paragraphs become list items, ordered if
+ * their marker is a number or a letter. Bold, italic, underline and
+ * strikethrough become the corresponding inline styles. Other formatting,
+ * along with headers, footers, pictures and tables of fonts and styles, is
+ * dropped.
+ *
+ * With the `treeData` option, the blocks are `ContentBlockNode`s, and nested
+ * list items are children of the items they are nested in.
+ */
+const convertFromRTFToContentBlocks = (
+  rtf: string,
+  options?: DraftTreeDataOptions = {},
+): Array<BlockNodeRecord> => {
+  const blocks = new RTFParser(rtf).parse();
+  return blocks.length > 0 && (options.treeData ?? experimentalTreeDataSupport)
+    ? convertToTreeBasedContentState(
+        ContentState.createFromBlockArray(blocks),
+      ).getBlocksAsArray()
+    : blocks;
+};
+
+module.exports = convertFromRTFToContentBlocks;
@@ -14,6 +14,7 @@ import type {BlockMap} from 'BlockMap';
 import type {BlockNodeConfig} from 'BlockNode';
 import type CharacterMetadata from 'CharacterMetadata';
 import type {DraftBlockType} from 'DraftBlockType';
+import type {DraftTreeDataOptions} from 'DraftTreeDataOptions';
 import type {EntityRange} from 'EntityRange';
 import type {InlineStyleRange} from 'InlineStyleRange';
 import type {RawDraftContentBlock} from 'RawDraftContentBlock';
@@ -22,6 +23,8 @@ import type {RawDraftContentState} from 'RawDraftContentState';
 const ContentBlock = require('ContentBlock');
 const ContentBlockNode = require('ContentBlockNode');
 const ContentState = require('ContentState');
+const DraftAnnotation = require('DraftAnnotation');
+const DraftAnnotationRange = require('DraftAnnotationRange');
 const DraftTreeAdapter = require('DraftTreeAdapter');
 const DraftTreeInvariants = require('DraftTreeInvariants');
 const SelectionState = require('SelectionState');
@@ -243,16 +246,17 @@ const decodeContentBlocks = (
 const decodeRawBlocks = (
   rawState: RawDraftContentState,
   entityKeyMap: EntityKeyMap,
+  treeData: boolean,
 ): BlockMap => {
   const isTreeRawBlock = rawState.blocks.find(
     block => Array.isArray(block.children) && block.children.length > 0,
   );
   const rawBlocks =
-    experimentalTreeDataSupport && !isTreeRawBlock
+    treeData && !isTreeRawBlock
       ? DraftTreeAdapter.fromRawStateToRawTreeState(rawState).blocks
       : rawState.blocks;
 
-  if (!experimentalTreeDataSupport) {
+  if (!treeData) {
     return decodeContentBlocks(
       isTreeRawBlock
         ? DraftTreeAdapter.fromRawTreeStateToRawState(rawState).blocks
@@ -291,8 +295,60 @@ const decodeRawEntityMap = (
   return {entityKeyMap, contentState};
 };
 
+/**
+ * Collect the `annotationRanges` of the raw blocks, including children, into
+ * the annotations of the raw annotation map. Ranges are only kept for blocks
+ * with a key, since the annotations refer to blocks by key.
+ */
+const decodeRawAnnotationMap = (
+  rawState: RawDraftContentState,
+  blockMap: BlockMap,
+): OrderedMap<string, DraftAnnotation> => {
+  const {annotationMap: rawAnnotationMap} = rawState;
+  if (!rawAnnotationMap) {
+    return OrderedMap();
+  }
+
+  const rangesByKey: {[key: string]: Array<DraftAnnotationRange>} = {};
+  const collectRanges = (blocks: Array<RawDraftContentBlock>) =>
+    blocks.forEach(block => {
+      const blockKey = block.key;
+      if (blockKey != null && blockMap.has(blockKey)) {
+        (block.annotationRanges || []).forEach(({key, offset, length}) => {
+          rangesByKey[key] = rangesByKey[key] || [];
+          rangesByKey[key].push(
+            new DraftAnnotationRange({
+              blockKey,
+              start: offset,
+              end: offset + length,
+            }),
+          );
+        });
+      }
+      collectRanges(block.children || []);
+    });
+  collectRanges(rawState.blocks);
+
+  return OrderedMap(
+    Object.keys(rawAnnotationMap).map(key => [
+      key,
+      new DraftAnnotation({
+        data: rawAnnotationMap[key].data || {},
+        ranges: List(rangesByKey[key] || []),
+      }).normalize(),
+    ]),
+  );
+};
+
+/**
+ * Create a ContentState from its raw form. With the `treeData` option, the
+ * blocks are `ContentBlockNode`s: nested raw blocks keep their structure, and
+ * the depth of list items in flat raw blocks is converted to nesting. Without
+ * it, nested raw blocks are flattened.
+ */
 const convertFromRawToDraftState = (
   rawState: RawDraftContentState,
+  options?: DraftTreeDataOptions = {},
 ): ContentState => {
   invariant(Array.isArray(rawState.blocks), 'invalid RawDraftContentState');
 
@@ -303,7 +359,11 @@ const convertFromRawToDraftState = (
   );
 
   // decode blockMap
-  const blockMap = decodeRawBlocks(rawState, entityKeyMap);
+  const blockMap = decodeRawBlocks(
+    rawState,
+    entityKeyMap,
+    options.treeData ?? experimentalTreeDataSupport,
+  );
 
   // create initial selection
   const selectionState = blockMap.isEmpty()
@@ -315,6 +375,7 @@ const convertFromRawToDraftState = (
     entityMap: contentState.getEntityMap(),
     selectionBefore: selectionState,
     selectionAfter: selectionState,
+    annotationMap: decodeRawAnnotationMap(rawState, blockMap),
   });
 };
 
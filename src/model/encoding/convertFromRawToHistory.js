@@ -0,0 +1,144 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type {
+  RawDraftContentDiff,
+  RawDraftHistory,
+  RawDraftHistoryBlock,
+} from 'RawDraftHistory';
+
+const ContentBlock = require('ContentBlock');
+const ContentBlockNode = require('ContentBlockNode');
+const DraftAnnotation = require('DraftAnnotation');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const createCharacterList = require('createCharacterList');
+const decodeEntityRanges = require('decodeEntityRanges');
+const decodeInlineStyleRanges = require('decodeInlineStyleRanges');
+const Immutable = require('immutable');
+
+const {List, Map, OrderedMap, Stack} = Immutable;
+
+const decodeBlock = (
+  rawBlock: RawDraftHistoryBlock,
+  entityKeyMap: {[key: string]: string},
+): BlockNodeRecord => {
+  const {key, text} = rawBlock;
+  // Translate the storage keys of entity ranges to the created entities.
+  const entities = decodeEntityRanges(
+    text,
+    rawBlock.entityRanges,
+  ).map(storageKey =>
+    storageKey != null && entityKeyMap.hasOwnProperty(storageKey)
+      ? entityKeyMap[storageKey]
+      : null,
+  );
+  const config = {
+    key,
+    text,
+    type: rawBlock.type,
+    depth: rawBlock.depth,
+    data: Map(rawBlock.data),
+    characterList: createCharacterList(
+      decodeInlineStyleRanges(text, rawBlock.inlineStyleRanges),
+      entities,
+    ),
+  };
+  if (!rawBlock.childKeys) {
+    return new ContentBlock(config);
+  }
+  return new ContentBlockNode({
+    ...config,
+    parent: rawBlock.parent,
+    children: List(rawBlock.childKeys),
+    prevSibling: rawBlock.prevSibling,
+    nextSibling: rawBlock.nextSibling,
+  });
+};
+
+/**
+ * Rebuild the content state described by `diff`, sharing the blocks that did
+ * not change with `contentState`.
+ */
+const decodeContentDiff = (
+  contentState: ContentState,
+  diff: RawDraftContentDiff,
+): ContentState => {
+  let content = contentState;
+  const entityKeyMap = {};
+  Object.keys(diff.entityMap).forEach(storageKey => {
+    const {type, mutability, data} = diff.entityMap[storageKey];
+    content = content.createEntity(type, mutability, data || {});
+    entityKeyMap[storageKey] = content.getLastCreatedEntityKey();
+  });
+
+  const changedBlocks = {};
+  diff.blocks.forEach(rawBlock => {
+    const block = decodeBlock(rawBlock, entityKeyMap);
+    changedBlocks[block.getKey()] = block;
+  });
+
+  const blockMap = content.getBlockMap();
+  const blockKeys = diff.blockKeys || blockMap.keySeq().toArray();
+  const {annotationMap} = diff;
+  return content.merge({
+    blockMap: OrderedMap(
+      blockKeys.map(key => [key, changedBlocks[key] || blockMap.get(key)]),
+    ),
+    annotationMap: annotationMap
+      ? // $FlowFixMe[method-unbinding]
+        OrderedMap(annotationMap).map(DraftAnnotation.fromJS)
+      : content.getAnnotationMap(),
+    selectionBefore: new SelectionState(diff.selectionBefore),
+    selectionAfter: new SelectionState(diff.selectionAfter),
+  });
+};
+
+const decodeStack = (
+  contentState: ContentState,
+  diffs: Array<RawDraftContentDiff>,
+): Stack<ContentState> => {
+  const contents = [];
+  let previousContent = contentState;
+  diffs.forEach(diff => {
+    previousContent = decodeContentDiff(previousContent, diff);
+    contents.push(previousContent);
+  });
+  return Stack(contents);
+};
+
+/**
+ * Restore undo and redo stacks saved with `convertFromHistoryToRaw`. The
+ * current content of `editorState` must be the content they were saved
+ * with, e.g. as restored with `convertFromRawToDraftState`.
+ */
+const convertFromRawToHistory = (
+  editorState: EditorState,
+  rawHistory: RawDraftHistory,
+): EditorState => {
+  const currentContent = editorState.getCurrentContent().merge({
+    selectionBefore: new SelectionState(rawHistory.selectionBefore),
+    selectionAfter: new SelectionState(rawHistory.selectionAfter),
+  });
+  return EditorState.set(editorState, {
+    currentContent,
+    undoStack: decodeStack(currentContent, rawHistory.undoStack),
+    redoStack: decodeStack(currentContent, rawHistory.redoStack),
+    lastChangeType: null,
+  });
+};
+
+module.exports = convertFromRawToHistory;
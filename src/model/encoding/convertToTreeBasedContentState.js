@@ -0,0 +1,34 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type ContentState from 'ContentState';
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const isTreeBasedContentState = require('isTreeBasedContentState');
+
+/**
+ * Convert content with flat blocks to tree-structured blocks, nesting list
+ * items by their depth, as `convertFromRaw` does with the `treeData` option.
+ */
+function convertToTreeBasedContentState(
+  contentState: ContentState,
+): ContentState {
+  return isTreeBasedContentState(contentState)
+    ? contentState
+    : convertFromRawToDraftState(convertFromDraftStateToRaw(contentState), {
+        treeData: true,
+      });
+}
+
+module.exports = convertToTreeBasedContentState;
@@ -0,0 +1,31 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow strict
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+
+// Browsers ignore control characters and spaces in the scheme of a URL, as in
+// `java\tscript:`.
+const REGEX_IGNORED_CHARACTERS = /[\u0000- ]/g;
+const REGEX_PROTOCOL = /^[a-z][a-z0-9+.-]*:/i;
+
+/**
+ * Return true if `url` can be used as the target of a link, i.e. if it is
+ * relative or uses one of the protocols that links may have. This rules out
+ * `javascript:` and `data:` URLs.
+ */
+function isSafeLinkURL(url: string): boolean {
+  const match = REGEX_PROTOCOL.exec(url.replace(REGEX_IGNORED_CHARACTERS, ''));
+  return !match || SAFE_PROTOCOLS.includes(match[0].toLowerCase());
+}
+
+module.exports = isSafeLinkURL;
@@ -67,6 +67,11 @@ const DecoratorRange = (Record(defaultDecoratorRange): any);
 const BlockTree = {
   /**
    * Generate a block tree for a given ContentBlock/decorator pair.
+   *
+   * Characters with the same decorations are grouped in decorator ranges.
+   * Decorations stacked on the same characters share a single decorator key,
+   * so that the tree stays flat and the offset keys of leaves only depend on
+   * the position of their range. See `groupDecoratedLeafSets`.
    */
   generate(
     contentState: ContentState,
@@ -15,18 +15,24 @@ import type {BlockMap} from 'BlockMap';
 import type {BlockNodeRawConfig} from 'BlockNode';
 import type {BlockNodeRecord} from 'BlockNodeRecord';
 import type {ContentStateRawType} from 'ContentStateRawType';
+import type DraftAnnotationRange from 'DraftAnnotationRange';
+import type {DraftContentPatch} from 'DraftContentPatch';
 import type DraftEntityInstance from 'DraftEntityInstance';
 import type {DraftEntityMutability} from 'DraftEntityMutability';
 import type {DraftEntityType} from 'DraftEntityType';
+import type {DraftTreeDataOptions} from 'DraftTreeDataOptions';
 import type {EntityMap} from 'EntityMap';
 
 const BlockMapBuilder = require('BlockMapBuilder');
 const CharacterMetadata = require('CharacterMetadata');
 const ContentBlock = require('ContentBlock');
 const ContentBlockNode = require('ContentBlockNode');
+const DraftAnnotation = require('DraftAnnotation');
 const DraftEntity = require('DraftEntity');
 const SelectionState = require('SelectionState');
 
+const applyContentStatePatch = require('applyContentStatePatch');
+const diffContentStates = require('diffContentStates');
 const generateRandomKey = require('generateRandomKey');
 const getOwnObjectValues = require('getOwnObjectValues');
 const gkx = require('gkx');
@@ -40,6 +46,7 @@ type ContentStateRecordType = {
   blockMap: ?BlockMap,
   selectionBefore: ?SelectionState,
   selectionAfter: ?SelectionState,
+  annotationMap: OrderedMap<string, DraftAnnotation>,
   ...
 };
 
@@ -48,6 +55,7 @@ const defaultRecord: ContentStateRecordType = {
   blockMap: null,
   selectionBefore: null,
   selectionAfter: null,
+  annotationMap: OrderedMap(),
 };
 
 // Immutable 3 typedefs are not good, so ContentState ends up
@@ -65,12 +73,7 @@ const ContentStateRecord: typeof ContentStateRecordHelper = (Record(
   defaultRecord,
 ): any);
 
-/* $FlowFixMe[signature-verification-failure] Supressing a `signature-
- * verification-failure` error here. TODO: T65949050 Clean up the branch for
- * this GK */
-const ContentBlockNodeRecord = gkx('draft_tree_data_support')
-  ? ContentBlockNode
-  : ContentBlock;
+const experimentalTreeDataSupport = gkx('draft_tree_data_support');
 
 class ContentState extends ContentStateRecord {
   getEntityMap(): EntityMap {
@@ -93,6 +96,50 @@ class ContentState extends ContentStateRecord {
     return this.get('selectionAfter');
   }
 
+  getAnnotationMap(): OrderedMap<string, DraftAnnotation> {
+    // $FlowFixMe[prop-missing] found when removing casts of this to any
+    return this.get('annotationMap');
+  }
+
+  getAnnotation(key: string): ?DraftAnnotation {
+    return this.getAnnotationMap().get(key);
+  }
+
+  /**
+   * Get the keys of the annotations covering the character at `offset` in
+   * the block, in the order of the annotation map.
+   */
+  getAnnotationKeysAt(blockKey: string, offset: number): List<string> {
+    return this.getAnnotationMap()
+      .filter(annotation =>
+        annotation
+          .getRanges()
+          .some(
+            range =>
+              range.getBlockKey() === blockKey &&
+              range.getStart() <= offset &&
+              offset < range.getEnd(),
+          ),
+      )
+      .keySeq()
+      .toList();
+  }
+
+  /**
+   * Get the annotation ranges within the block, by annotation key.
+   */
+  getAnnotationRangesForBlock(
+    blockKey: string,
+  ): OrderedMap<string, List<DraftAnnotationRange>> {
+    return this.getAnnotationMap()
+      .map(annotation =>
+        annotation
+          .getRanges()
+          .filter(range => range.getBlockKey() === blockKey),
+      )
+      .filter(ranges => !ranges.isEmpty());
+  }
+
   getBlockForKey(key: string): BlockNodeRecord {
     const block: BlockNodeRecord = this.getBlockMap().get(key);
     return block;
@@ -244,6 +291,13 @@ class ContentState extends ContentStateRecord {
     return this.set('blockMap', blockMap);
   }
 
+  setAnnotationMap(
+    annotationMap: OrderedMap<string, DraftAnnotation>,
+  ): ContentState {
+    // $FlowFixMe[prop-missing] found when removing casts of this to any
+    return this.set('annotationMap', annotationMap);
+  }
+
   static createFromBlockArray(
     // TODO: update flow type when we completely deprecate the old entity API
     blocks:
@@ -265,23 +319,62 @@ class ContentState extends ContentStateRecord {
     });
   }
 
+  /**
+   * Create a block for each line of `text`. With the `treeData` option, the
+   * blocks are `ContentBlockNode`s, siblings at the root of the tree.
+   */
   static createFromText(
     text: string,
     delimiter?: string | RegExp = /\r\n?|\n/g,
+    options?: DraftTreeDataOptions = {},
   ): ContentState {
+    const treeData = options.treeData ?? experimentalTreeDataSupport;
     const strings = text.split(delimiter);
-    const blocks = strings.map(block => {
+    const keys = strings.map(() => generateRandomKey());
+    const blocks = strings.map((block, ii) => {
       block = sanitizeDraftText(block);
-      return new ContentBlockNodeRecord({
-        key: generateRandomKey(),
+      const config = {
+        key: keys[ii],
         text: block,
         type: 'unstyled',
         characterList: List(Repeat(CharacterMetadata.EMPTY, block.length)),
-      });
+      };
+      return treeData
+        ? new ContentBlockNode({
+            ...config,
+            prevSibling: ii > 0 ? keys[ii - 1] : null,
+            nextSibling: ii < keys.length - 1 ? keys[ii + 1] : null,
+          })
+        : new ContentBlock(config);
     });
     return ContentState.createFromBlockArray(blocks);
   }
 
+  /**
+   * Compute the blocks added, removed, moved and modified between two
+   * ContentStates, along with the changes made to the text, styles and
+   * entities of modified blocks. Blocks shared by both states are skipped.
+   * The result is a plain object that can be serialized.
+   */
+  static diff(
+    contentState: ContentState,
+    newContentState: ContentState,
+  ): DraftContentPatch {
+    return diffContentStates(contentState, newContentState);
+  }
+
+  /**
+   * Apply the result of `ContentState.diff(contentState, newContentState)`
+   * to `contentState`, giving back the blocks and selections of
+   * `newContentState`.
+   */
+  static applyPatch(
+    contentState: ContentState,
+    patch: DraftContentPatch,
+  ): ContentState {
+    return applyContentStatePatch(contentState, patch);
+  }
+
   static fromJS(state: ContentStateRawType): ContentState {
     return new ContentState({
       ...state,
@@ -291,15 +384,25 @@ class ContentState extends ContentStateRecord {
       ),
       selectionBefore: new SelectionState(state.selectionBefore),
       selectionAfter: new SelectionState(state.selectionAfter),
+      annotationMap: OrderedMap(state.annotationMap).map(
+        // $FlowFixMe[method-unbinding]
+        DraftAnnotation.fromJS,
+      ),
     });
   }
 
-  static createContentBlockFromJS(
-    block: BlockNodeRawConfig,
-  ): ContentBlockNodeRecord {
+  /**
+   * Create a block from its JS form. Blocks of tree-based content have the
+   * fields of `ContentBlockNode`, such as `children`.
+   */
+  static createContentBlockFromJS(block: BlockNodeRawConfig): BlockNodeRecord {
     const characterList = block.characterList;
+    const ContentBlockRecord =
+      'children' in block || experimentalTreeDataSupport
+        ? ContentBlockNode
+        : ContentBlock;
 
-    return new ContentBlockNodeRecord({
+    return new ContentBlockRecord({
       ...block,
       data: ImmutableMap(block.data),
       characterList:
@@ -18,5 +18,6 @@ export type ContentStateRawType = {
   blockMap: ?Map<string, BlockNodeRawConfig>,
   selectionBefore: ?{...},
   selectionAfter: ?{...},
+  annotationMap?: ?{...},
   ...
 };
@@ -26,6 +26,7 @@ type DefaultCoreDraftBlockRenderMap = Map<
 const UL_WRAP = <ul className={cx('public/DraftStyleDefault/ul')} />;
 const OL_WRAP = <ol className={cx('public/DraftStyleDefault/ol')} />;
 const PRE_WRAP = <pre className={cx('public/DraftStyleDefault/pre')} />;
+const TBODY_WRAP = <tbody className={cx('public/DraftStyleDefault/tbody')} />;
 
 const DefaultDraftBlockRenderMap: DefaultCoreDraftBlockRenderMap = Map({
   'header-one': {
@@ -70,6 +71,17 @@ const DefaultDraftBlockRenderMap: DefaultCoreDraftBlockRenderMap = Map({
     element: 'pre',
     wrapper: PRE_WRAP,
   },
+  table: {
+    element: 'table',
+  },
+  'table-row': {
+    element: 'tr',
+    wrapper: TBODY_WRAP,
+  },
+  'table-cell': {
+    element: 'td',
+    aliasedElements: ['th'],
+  },
   unstyled: {
     element: 'div',
     aliasedElements: ['p'],
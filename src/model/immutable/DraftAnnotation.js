@@ -0,0 +1,94 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+const DraftAnnotationRange = require('DraftAnnotationRange');
+
+const Immutable = require('immutable');
+
+const {List, Record} = Immutable;
+
+const DraftAnnotationRecord = (Record({
+  data: Object,
+  ranges: List(),
+}): any);
+
+/**
+ * An annotation, such as a review comment, attached to ranges of text. Unlike
+ * entities, annotations are not stored in the characters they cover, so any
+ * number of them can overlap, and they can cover text with an entity.
+ *
+ * Annotations are kept in the annotation map of a ContentState, by key. Their
+ * ranges follow the text as it is edited, and may be spread over several
+ * blocks. An annotation whose text has been removed entirely is kept, with
+ * no ranges, until it is removed with `DraftModifier.removeAnnotation`.
+ */
+class DraftAnnotation extends DraftAnnotationRecord {
+  getData(): Object {
+    return this.get('data');
+  }
+
+  getRanges(): List<DraftAnnotationRange> {
+    return this.get('ranges');
+  }
+
+  /**
+   * Sort the ranges within each block and merge the ones that overlap or
+   * touch, dropping empty ones. Blocks keep the order in which they first
+   * appear in the ranges.
+   */
+  normalize(): DraftAnnotation {
+    const ranges = [];
+    this.getRanges()
+      .filter(range => range.getStart() < range.getEnd())
+      .groupBy(range => range.getBlockKey())
+      .toList()
+      .flatMap(blockRanges => blockRanges.sortBy(range => range.getStart()))
+      .forEach(range => {
+        const previousIndex = ranges.findIndex(
+          other =>
+            other.getBlockKey() === range.getBlockKey() &&
+            other.getEnd() >= range.getStart(),
+        );
+        if (previousIndex === -1) {
+          ranges.push(range);
+        } else if (ranges[previousIndex].getEnd() < range.getEnd()) {
+          ranges[previousIndex] = ranges[previousIndex].set(
+            'end',
+            range.getEnd(),
+          );
+        }
+      });
+    const normalized = List(ranges);
+    return Immutable.is(normalized, this.getRanges())
+      ? this
+      : this.set('ranges', normalized);
+  }
+
+  static fromJS({
+    data,
+    ranges,
+  }: {
+    data?: ?Object,
+    ranges?: ?Array<{blockKey: string, start: number, end: number, ...}>,
+    ...
+  }): DraftAnnotation {
+    return new DraftAnnotation({
+      data: data || {},
+      ranges: List(
+        (ranges || []).map(range => new DraftAnnotationRange(range)),
+      ),
+    });
+  }
+}
+
+module.exports = DraftAnnotation;
@@ -0,0 +1,42 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+const Immutable = require('immutable');
+
+const {Record} = Immutable;
+
+const DraftAnnotationRangeRecord = (Record({
+  blockKey: '',
+  start: 0,
+  end: 0,
+}): any);
+
+/**
+ * A range of text covered by an annotation, within a single block. Offsets
+ * are in UTF-16 code units, like selection offsets.
+ */
+class DraftAnnotationRange extends DraftAnnotationRangeRecord {
+  getBlockKey(): string {
+    return this.get('blockKey');
+  }
+
+  getStart(): number {
+    return this.get('start');
+  }
+
+  getEnd(): number {
+    return this.get('end');
+  }
+}
+
+module.exports = DraftAnnotationRange;
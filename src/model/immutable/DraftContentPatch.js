@@ -0,0 +1,61 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow strict-local
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {DraftBlockType} from 'DraftBlockType';
+import type {InlineStyleRange} from 'InlineStyleRange';
+import type {RawDraftAnnotation} from 'RawDraftAnnotation';
+import type {RawDraftEntity} from 'RawDraftEntity';
+import type {RawDraftSelection} from 'RawDraftHistory';
+
+/**
+ * The changes made to a block. Only the properties that changed are present.
+ * Offsets are in UTF-16 code units, like selection offsets. Style and entity
+ * ranges refer to the text once `textSplice` is applied, and entity ranges
+ * refer to the entity map of the patch, a null key removing the entity.
+ *
+ * Added blocks are described by their changes from an empty unstyled block.
+ */
+export type DraftBlockPatch = {
+  type?: DraftBlockType,
+  depth?: number,
+  data?: {[key: string]: mixed, ...},
+  textSplice?: {offset: number, length: number, text: string},
+  addedStyleRanges?: Array<InlineStyleRange>,
+  removedStyleRanges?: Array<InlineStyleRange>,
+  entityRanges?: Array<{offset: number, length: number, key: ?number}>,
+  parent?: ?string,
+  children?: Array<string>,
+  prevSibling?: ?string,
+  nextSibling?: ?string,
+};
+
+/**
+ * The differences between two ContentStates, as returned by
+ * `ContentState.diff`. Blocks are listed by key: `added`, `moved` and
+ * `modified` in the order of the new content, `removed` in the order of the
+ * previous one. The new order of the blocks is only stored as `blockKeys`
+ * when blocks were added, removed or moved, and the annotations are only
+ * stored, with their ranges, when they changed.
+ */
+export type DraftContentPatch = {
+  added: Array<string>,
+  removed: Array<string>,
+  moved: Array<string>,
+  modified: Array<string>,
+  blockKeys?: Array<string>,
+  blocks: {[key: string]: DraftBlockPatch},
+  entityMap: {[key: string]: RawDraftEntity},
+  selectionBefore?: RawDraftSelection,
+  selectionAfter?: RawDraftSelection,
+  annotationMap?: {[key: string]: RawDraftAnnotation},
+};
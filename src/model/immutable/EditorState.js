@@ -16,6 +16,8 @@ import type {DecoratorRangeRawType} from 'BlockTree';
 import type {ContentStateRawType} from 'ContentStateRawType';
 import type {DraftDecoratorType} from 'DraftDecoratorType';
 import type {DraftInlineStyle} from 'DraftInlineStyle';
+import type {DraftOperation} from 'DraftOperation';
+import type {DraftTreeDataOptions} from 'DraftTreeDataOptions';
 import type {EditorChangeType} from 'EditorChangeType';
 import type {EntityMap} from 'EntityMap';
 
@@ -24,10 +26,22 @@ const ContentState = require('ContentState');
 const EditorBidiService = require('EditorBidiService');
 const SelectionState = require('SelectionState');
 
+const applyOperationsToContentState = require('applyOperationsToContentState');
+const getDraftOperations = require('getDraftOperations');
 const Immutable = require('immutable');
+const transformDraftOperations = require('transformDraftOperations');
+const transformSelectionByOperations = require('transformSelectionByOperations');
 
 const {OrderedSet, Record, Stack, OrderedMap, List} = Immutable;
 
+// Decide whether pushing `contentState` starts a new undo step. Returning
+// null falls back to the default policy.
+type DraftUndoBoundaryFn = (
+  editorState: EditorState,
+  contentState: ContentState,
+  changeType: EditorChangeType,
+) => ?boolean;
+
 // When configuring an editor, the user can chose to provide or not provide
 // basically all keys. `currentContent` varies, so this type doesn't include it.
 // (See the types defined below.)
@@ -38,11 +52,17 @@ type BaseEditorStateConfig = {
   forceSelection?: boolean,
   inCompositionMode?: boolean,
   inlineStyleOverride?: ?DraftInlineStyle,
+  lastChangeTime?: ?number,
   lastChangeType?: ?EditorChangeType,
+  maxUndoDepth?: ?number,
   nativelyRenderedContent?: ?ContentState,
+  pendingOperations?: List<DraftOperation>,
   redoStack?: Stack<ContentState>,
   selection?: ?SelectionState,
+  shouldCreateUndoBoundary?: ?DraftUndoBoundaryFn,
+  trackOperations?: boolean,
   treeMap?: ?OrderedMap<string, List<any>>,
+  undoCoalescingWindow?: ?number,
   undoStack?: Stack<ContentState>,
 };
 
@@ -53,11 +73,17 @@ type BaseEditorStateRawConfig = {
   forceSelection?: boolean,
   inCompositionMode?: boolean,
   inlineStyleOverride?: ?Array<String>,
+  lastChangeTime?: ?number,
   lastChangeType?: ?EditorChangeType,
+  maxUndoDepth?: ?number,
   nativelyRenderedContent?: ?ContentStateRawType,
+  pendingOperations?: Array<DraftOperation>,
   redoStack?: Array<ContentStateRawType>,
   selection?: ?{...},
+  shouldCreateUndoBoundary?: ?DraftUndoBoundaryFn,
+  trackOperations?: boolean,
   treeMap?: ?Map<string, Array<DecoratorRangeRawType>>,
+  undoCoalescingWindow?: ?number,
   undoStack?: Array<ContentStateRawType>,
 };
 
@@ -86,11 +112,17 @@ type EditorStateRecordType = {
   forceSelection: boolean,
   inCompositionMode: boolean,
   inlineStyleOverride: ?DraftInlineStyle,
+  lastChangeTime: ?number,
   lastChangeType: ?EditorChangeType,
+  maxUndoDepth: ?number,
   nativelyRenderedContent: ?ContentState,
+  pendingOperations: List<DraftOperation>,
   redoStack: Stack<ContentState>,
   selection: ?SelectionState,
+  shouldCreateUndoBoundary: ?DraftUndoBoundaryFn,
+  trackOperations: boolean,
   treeMap: ?OrderedMap<string, List<any>>,
+  undoCoalescingWindow: ?number,
   undoStack: Stack<ContentState>,
   ...
 };
@@ -103,11 +135,17 @@ const defaultRecord: EditorStateRecordType = {
   forceSelection: false,
   inCompositionMode: false,
   inlineStyleOverride: null,
+  lastChangeTime: null,
   lastChangeType: null,
+  maxUndoDepth: null,
   nativelyRenderedContent: null,
+  pendingOperations: List(),
   redoStack: Stack(),
   selection: null,
+  shouldCreateUndoBoundary: null,
+  trackOperations: false,
   treeMap: null,
+  undoCoalescingWindow: null,
   undoStack: Stack(),
 };
 
@@ -117,16 +155,20 @@ class EditorState {
   // $FlowFixMe[value-as-type]
   _immutable: EditorStateRecord;
 
-  static createEmpty(decorator?: ?DraftDecoratorType): EditorState {
-    return this.createWithText('', decorator);
+  static createEmpty(
+    decorator?: ?DraftDecoratorType,
+    options?: DraftTreeDataOptions,
+  ): EditorState {
+    return this.createWithText('', decorator, options);
   }
 
   static createWithText(
     text: string,
     decorator?: ?DraftDecoratorType,
+    options?: DraftTreeDataOptions,
   ): EditorState {
     return EditorState.createWithContent(
-      ContentState.createFromText(text),
+      ContentState.createFromText(text, undefined, options),
       decorator,
     );
   }
@@ -174,6 +216,10 @@ class EditorState {
           config.nativelyRenderedContent != null
             ? ContentState.fromJS(config.nativelyRenderedContent)
             : config.nativelyRenderedContent,
+        pendingOperations:
+          config.pendingOperations != null
+            ? List(config.pendingOperations)
+            : config.pendingOperations,
         redoStack:
           config.redoStack != null
             ? Stack(config.redoStack.map(v => ContentState.fromJS(v)))
@@ -246,6 +292,15 @@ class EditorState {
             decorator,
           ),
         );
+
+        if (editorState.getTrackOperations() && !put.pendingOperations) {
+          state.set(
+            'pendingOperations',
+            editorState
+              .getPendingOperations()
+              .concat(getDraftOperations(existingContent, newContent)),
+          );
+        }
       }
 
       state.merge(put);
@@ -262,6 +317,26 @@ class EditorState {
     return this.getImmutable().get('allowUndo');
   }
 
+  /**
+   * The maximum number of undo steps kept, or null for no limit.
+   */
+  getMaxUndoDepth(): ?number {
+    return this.getImmutable().get('maxUndoDepth');
+  }
+
+  /**
+   * When set, consecutive changes of the same type made less than this
+   * number of milliseconds apart are undone together, and a pause starts a
+   * new undo step.
+   */
+  getUndoCoalescingWindow(): ?number {
+    return this.getImmutable().get('undoCoalescingWindow');
+  }
+
+  getShouldCreateUndoBoundary(): ?DraftUndoBoundaryFn {
+    return this.getImmutable().get('shouldCreateUndoBoundary');
+  }
+
   getCurrentContent(): ContentState {
     return this.getImmutable().get('currentContent');
   }
@@ -298,6 +373,80 @@ class EditorState {
     return this.getImmutable().get('lastChangeType');
   }
 
+  getLastChangeTime(): ?number {
+    return this.getImmutable().get('lastChangeTime');
+  }
+
+  getTrackOperations(): boolean {
+    return this.getImmutable().get('trackOperations');
+  }
+
+  /**
+   * When `trackOperations` is enabled, every change to the current content
+   * is recorded as serializable operations, to be sent to other editors of
+   * the same document. The operations are kept until they are cleared with
+   * `EditorState.clearPendingOperations`.
+   */
+  getPendingOperations(): List<DraftOperation> {
+    return this.getImmutable().get('pendingOperations');
+  }
+
+  static clearPendingOperations(editorState: EditorState): EditorState {
+    return EditorState.set(editorState, {pendingOperations: List()});
+  }
+
+  /**
+   * Apply operations made concurrently by someone else, i.e. on the document
+   * without the pending operations of this editor state. The pending
+   * operations, the selection and the undo and redo stacks are transformed
+   * so that they apply to the new content.
+   */
+  static applyOperations(
+    editorState: EditorState,
+    operations: $ReadOnlyArray<DraftOperation>,
+  ): EditorState {
+    if (operations.length === 0) {
+      return editorState;
+    }
+
+    const [pendingOperations, remoteOperations] = transformDraftOperations(
+      editorState.getPendingOperations().toArray(),
+      operations,
+    );
+    const currentContent = editorState.getCurrentContent();
+    const newContent = applyOperationsToContentState(
+      currentContent,
+      remoteOperations,
+    );
+
+    // Undo and redo states are rebased by transforming the remote
+    // operations against the changes leading back to them.
+    const rebase = (content: ContentState): ContentState => {
+      const [, rebasedOperations] = transformDraftOperations(
+        getDraftOperations(currentContent, content),
+        remoteOperations,
+      );
+      return applyOperationsToContentState(content, rebasedOperations);
+    };
+
+    return EditorState.set(editorState, {
+      currentContent: newContent,
+      directionMap: EditorBidiService.getDirectionMap(
+        newContent,
+        editorState.getDirectionMap(),
+      ),
+      forceSelection: true,
+      nativelyRenderedContent: null,
+      pendingOperations: List(pendingOperations),
+      redoStack: editorState.getRedoStack().map(rebase),
+      selection: transformSelectionByOperations(
+        editorState.getSelection(),
+        remoteOperations,
+      ),
+      undoStack: editorState.getUndoStack().map(rebase),
+    });
+  }
+
   /**
    * While editing, the user may apply inline style commands with a collapsed
    * cursor, intending to type text that adopts the specified style. In this
@@ -342,6 +491,37 @@ class EditorState {
     return this.getImmutable().getIn(['treeMap', blockKey]);
   }
 
+  /**
+   * Regenerate the decorations of the blocks with the given keys, or of all
+   * blocks, with the current decorator. This is needed when the decorations
+   * of a block change while the block doesn't, for instance once decorations
+   * found asynchronously are ready. No undo step is created.
+   */
+  static refreshDecorations(
+    editorState: EditorState,
+    blockKeys?: $ReadOnlyArray<string>,
+  ): EditorState {
+    const content = editorState.getCurrentContent();
+    const blockMap = content.getBlockMap();
+    const decorator = editorState.getDecorator();
+    const keys = blockKeys || blockMap.keySeq().toArray();
+    const treeMap = editorState
+      .getImmutable()
+      .get('treeMap')
+      .withMutations(map => {
+        keys.forEach(key => {
+          const block = blockMap.get(key);
+          if (block) {
+            map.set(key, BlockTree.generate(content, block, decorator));
+          }
+        });
+      });
+    return EditorState.set(editorState, {
+      treeMap,
+      nativelyRenderedContent: null,
+    });
+  }
+
   isSelectionAtStartOfContent(): boolean {
     const firstKey = this.getCurrentContent().getBlockMap().first().getKey();
     return this.getSelection().hasEdgeWithin(firstKey, 0, 0);
@@ -466,17 +646,20 @@ class EditorState {
     let undoStack = editorState.getUndoStack();
     let newContent = contentState;
 
-    if (
-      selection !== currentContent.getSelectionAfter() ||
-      mustBecomeBoundary(editorState, changeType)
-    ) {
-      undoStack = undoStack.push(currentContent);
+    const shouldCreateUndoBoundary = editorState.getShouldCreateUndoBoundary();
+    let isBoundary = shouldCreateUndoBoundary
+      ? shouldCreateUndoBoundary(editorState, contentState, changeType)
+      : null;
+    if (isBoundary == null) {
+      isBoundary =
+        selection !== currentContent.getSelectionAfter() ||
+        mustBecomeBoundary(editorState, changeType);
+    }
+
+    if (isBoundary) {
+      undoStack = limitUndoStack(editorState, undoStack.push(currentContent));
       newContent = newContent.setSelectionBefore(selection);
-    } else if (
-      changeType === 'insert-characters' ||
-      changeType === 'backspace-character' ||
-      changeType === 'delete-character'
-    ) {
+    } else {
       // Preserve the previous selection.
       newContent = newContent.setSelectionBefore(
         currentContent.getSelectionBefore(),
@@ -501,6 +684,7 @@ class EditorState {
       directionMap,
       undoStack,
       redoStack: Stack<ContentState>(),
+      lastChangeTime: Date.now(),
       lastChangeType: changeType,
       selection: contentState.getSelectionAfter(),
       forceSelection,
@@ -512,69 +696,83 @@ class EditorState {
 
   /**
    * Make the top ContentState in the undo stack the new current content and
-   * push the current content onto the redo stack.
+   * push the current content onto the redo stack. Several steps can be
+   * undone at once with `steps`.
    */
-  static undo(editorState: EditorState): EditorState {
+  static undo(editorState: EditorState, steps: number = 1): EditorState {
     if (!editorState.getAllowUndo()) {
       return editorState;
     }
 
-    const undoStack = editorState.getUndoStack();
-    const newCurrentContent = undoStack.peek();
-    if (!newCurrentContent) {
+    let undoStack = editorState.getUndoStack();
+    let redoStack = editorState.getRedoStack();
+    let currentContent = editorState.getCurrentContent();
+    let selection = editorState.getSelection();
+    for (let ii = 0; ii < steps && undoStack.peek(); ii++) {
+      redoStack = redoStack.push(currentContent);
+      selection = currentContent.getSelectionBefore();
+      currentContent = undoStack.peek();
+      undoStack = undoStack.shift();
+    }
+    if (undoStack === editorState.getUndoStack()) {
       return editorState;
     }
 
-    const currentContent = editorState.getCurrentContent();
     const directionMap = EditorBidiService.getDirectionMap(
-      newCurrentContent,
+      currentContent,
       editorState.getDirectionMap(),
     );
 
     return EditorState.set(editorState, {
-      currentContent: newCurrentContent,
+      currentContent,
       directionMap,
-      undoStack: undoStack.shift(),
-      redoStack: editorState.getRedoStack().push(currentContent),
+      undoStack,
+      redoStack,
       forceSelection: true,
       inlineStyleOverride: null,
       lastChangeType: 'undo',
       nativelyRenderedContent: null,
-      selection: currentContent.getSelectionBefore(),
+      selection,
     });
   }
 
   /**
    * Make the top ContentState in the redo stack the new current content and
-   * push the current content onto the undo stack.
+   * push the current content onto the undo stack. Several steps can be
+   * redone at once with `steps`.
    */
-  static redo(editorState: EditorState): EditorState {
+  static redo(editorState: EditorState, steps: number = 1): EditorState {
     if (!editorState.getAllowUndo()) {
       return editorState;
     }
 
-    const redoStack = editorState.getRedoStack();
-    const newCurrentContent = redoStack.peek();
-    if (!newCurrentContent) {
+    let undoStack = editorState.getUndoStack();
+    let redoStack = editorState.getRedoStack();
+    let currentContent = editorState.getCurrentContent();
+    for (let ii = 0; ii < steps && redoStack.peek(); ii++) {
+      undoStack = undoStack.push(currentContent);
+      currentContent = redoStack.peek();
+      redoStack = redoStack.shift();
+    }
+    if (redoStack === editorState.getRedoStack()) {
       return editorState;
     }
 
-    const currentContent = editorState.getCurrentContent();
     const directionMap = EditorBidiService.getDirectionMap(
-      newCurrentContent,
+      currentContent,
       editorState.getDirectionMap(),
     );
 
     return EditorState.set(editorState, {
-      currentContent: newCurrentContent,
+      currentContent,
       directionMap,
-      undoStack: editorState.getUndoStack().push(currentContent),
-      redoStack: redoStack.shift(),
+      undoStack: limitUndoStack(editorState, undoStack),
+      redoStack,
       forceSelection: true,
       inlineStyleOverride: null,
       lastChangeType: 'redo',
       nativelyRenderedContent: null,
-      selection: newCurrentContent.getSelectionAfter(),
+      selection: currentContent.getSelectionAfter(),
     });
   }
 
@@ -681,21 +879,46 @@ function regenerateTreeForNewDecorator(
 /**
  * Return whether a change should be considered a boundary state, given
  * the previous change type. Allows us to discard potential boundary states
- * during standard typing or deletion behavior.
+ * during standard typing or deletion behavior, or for changes made within
+ * the undo coalescing window.
  */
 function mustBecomeBoundary(
   editorState: EditorState,
   changeType: EditorChangeType,
 ): boolean {
   const lastChangeType = editorState.getLastChangeType();
+  if (changeType !== lastChangeType) {
+    return true;
+  }
+
+  const coalescingWindow = editorState.getUndoCoalescingWindow();
+  if (coalescingWindow != null) {
+    const lastChangeTime = editorState.getLastChangeTime();
+    return (
+      lastChangeTime == null || Date.now() - lastChangeTime > coalescingWindow
+    );
+  }
+
   return (
-    changeType !== lastChangeType ||
-    (changeType !== 'insert-characters' &&
-      changeType !== 'backspace-character' &&
-      changeType !== 'delete-character')
+    changeType !== 'insert-characters' &&
+    changeType !== 'backspace-character' &&
+    changeType !== 'delete-character'
   );
 }
 
+/**
+ * Drop the oldest undo steps beyond the maximum undo depth.
+ */
+function limitUndoStack(
+  editorState: EditorState,
+  undoStack: Stack<ContentState>,
+): Stack<ContentState> {
+  const maxUndoDepth = editorState.getMaxUndoDepth();
+  return maxUndoDepth != null && undoStack.size > maxUndoDepth
+    ? undoStack.take(maxUndoDepth)
+    : undoStack;
+}
+
 function getInlineStyleForCollapsedSelection(
   content: ContentState,
   selection: SelectionState,
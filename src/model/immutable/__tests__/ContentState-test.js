@@ -17,6 +17,7 @@ import type {List, Map} from 'immutable';
 
 const BlockMapBuilder = require('BlockMapBuilder');
 const ContentBlock = require('ContentBlock');
+const ContentBlockNode = require('ContentBlockNode');
 const ContentState = require('ContentState');
 const SelectionState = require('SelectionState');
 
@@ -152,3 +153,14 @@ test('must replace entities data', () => {
 
   expect(entityWithReplacedData.getData()).toMatchSnapshot();
 });
+
+test('must keep the kind of blocks when created from JS', () => {
+  const flat = ContentState.createFromText('a\nb');
+  const tree = ContentState.createFromText('a\nb', undefined, {treeData: true});
+  expect(
+    ContentState.fromJS(flat.toJS()).getFirstBlock() instanceof ContentBlock,
+  ).toBe(true);
+  const fromJS = ContentState.fromJS(tree.toJS());
+  expect(fromJS.getFirstBlock() instanceof ContentBlockNode).toBe(true);
+  expect(fromJS.getBlockMap().toJS()).toEqual(tree.getBlockMap().toJS());
+});
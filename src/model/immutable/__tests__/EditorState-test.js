@@ -11,6 +11,7 @@
 'use strict';
 
 const CharacterMetadata = require('CharacterMetadata');
+const CompositeDraftDecorator = require('CompositeDraftDecorator');
 const ContentBlock = require('ContentBlock');
 const ContentState = require('ContentState');
 const DraftModifier = require('DraftModifier');
@@ -283,3 +284,165 @@ test('must correctly remove a decorator', () => {
   expect(decorator.getDecorations.mock.calls.length).toMatchSnapshot();
   expect(withNewDecorator.getDecorator()).toMatchSnapshot();
 });
+
+const typeText = (editorState, text, changeType = 'insert-characters') =>
+  EditorState.push(
+    editorState,
+    DraftModifier.insertText(
+      editorState.getCurrentContent(),
+      editorState.getSelection(),
+      text,
+    ),
+    changeType,
+  );
+
+const getText = editorState => editorState.getCurrentContent().getPlainText();
+
+test('must coalesce consecutive typing into one undo step', () => {
+  let editor = typeText(typeText(EditorState.createEmpty(), 'a'), 'b');
+  expect(editor.getUndoStack().size).toBe(1);
+  editor = EditorState.undo(editor);
+  expect(getText(editor)).toBe('');
+});
+
+test('must drop the oldest undo steps beyond the maximum undo depth', () => {
+  let editor = EditorState.set(EditorState.createEmpty(), {maxUndoDepth: 2});
+  ['a', 'b', 'c', 'd'].forEach(text => {
+    editor = typeText(editor, text, 'insert-fragment');
+  });
+  expect(editor.getUndoStack().size).toBe(2);
+  editor = EditorState.undo(editor, 5);
+  expect(getText(editor)).toBe('ab');
+  editor = EditorState.redo(editor, 5);
+  expect(getText(editor)).toBe('abcd');
+  expect(editor.getUndoStack().size).toBe(2);
+});
+
+test('must start a new undo step after a pause in the coalescing window', () => {
+  const now = jest.spyOn(Date, 'now');
+  now.mockReturnValue(1000);
+  let editor = EditorState.set(EditorState.createEmpty(), {
+    undoCoalescingWindow: 500,
+  });
+  editor = typeText(editor, 'a');
+  now.mockReturnValue(1400);
+  editor = typeText(editor, 'b');
+  now.mockReturnValue(2000);
+  editor = typeText(editor, 'c');
+  // Other change types are coalesced within the window as well.
+  now.mockReturnValue(3000);
+  editor = typeText(editor, 'd', 'insert-fragment');
+  now.mockReturnValue(3100);
+  editor = typeText(editor, 'e', 'insert-fragment');
+  now.mockRestore();
+
+  expect(getText(editor)).toBe('abcde');
+  editor = EditorState.undo(editor);
+  expect(getText(editor)).toBe('abc');
+  editor = EditorState.undo(editor);
+  expect(getText(editor)).toBe('ab');
+  editor = EditorState.undo(editor);
+  expect(getText(editor)).toBe('');
+});
+
+test('must let a hook decide where undo steps start', () => {
+  // Start a new undo step at each typed space, and use the default policy
+  // otherwise.
+  const shouldCreateUndoBoundary = jest.fn((editorState, content, type) =>
+    type === 'insert-characters' && content.getPlainText().endsWith(' ')
+      ? true
+      : null,
+  );
+  let editor = EditorState.set(EditorState.createEmpty(), {
+    shouldCreateUndoBoundary,
+  });
+  ['a', ' ', 'b', 'c', ' '].forEach(text => {
+    editor = typeText(editor, text);
+  });
+  editor = typeText(editor, 'd', 'insert-fragment');
+  editor = typeText(editor, 'e', 'insert-fragment');
+
+  expect(shouldCreateUndoBoundary).toHaveBeenLastCalledWith(
+    expect.any(EditorState),
+    expect.any(ContentState),
+    'insert-fragment',
+  );
+  expect(
+    EditorState.undo(editor, 2)
+      .getCurrentContent()
+      .getPlainText(),
+  ).toBe('a bc ');
+  expect(
+    EditorState.undo(editor, 3)
+      .getCurrentContent()
+      .getPlainText(),
+  ).toBe('a bc');
+  expect(
+    EditorState.undo(editor, 4)
+      .getCurrentContent()
+      .getPlainText(),
+  ).toBe('a');
+});
+
+test('must undo and redo several steps at once', () => {
+  let editor = EditorState.createEmpty();
+  ['a', 'b', 'c'].forEach(text => {
+    editor = typeText(editor, text, 'insert-fragment');
+  });
+
+  const undone = EditorState.undo(editor, 2);
+  expect(getText(undone)).toBe('a');
+  expect(undone.getSelection().getAnchorOffset()).toBe(1);
+  expect(undone.getRedoStack().size).toBe(2);
+  expect(EditorState.undo(EditorState.undo(editor))).toEqual(undone);
+
+  const redone = EditorState.redo(undone, 2);
+  expect(getText(redone)).toBe('abc');
+  expect(redone.getSelection().getAnchorOffset()).toBe(3);
+  expect(EditorState.redo(undone, 0)).toBe(undone);
+});
+
+test('must refresh the decorations of blocks decorated asynchronously', async () => {
+  const decorator = new CompositeDraftDecorator([
+    {
+      strategy: (block, callback) =>
+        Promise.resolve().then(() => callback(0, 3)),
+      component: () => null,
+    },
+  ]);
+  const editor = EditorState.createWithContent(
+    ContentState.createFromText('foo'),
+    decorator,
+  );
+  const blockKey = editor
+    .getCurrentContent()
+    .getFirstBlock()
+    .getKey();
+  const getDecoratorKeys = editorState =>
+    editorState
+      .getBlockTree(blockKey)
+      .map(leafSet => leafSet.get('decoratorKey'))
+      .toArray();
+  expect(getDecoratorKeys(editor)).toEqual([null]);
+
+  const blockKeys = await new Promise(resolve => decorator.subscribe(resolve));
+  expect(blockKeys).toEqual([blockKey]);
+  const refreshed = EditorState.refreshDecorations(editor, blockKeys);
+  expect(getDecoratorKeys(refreshed)).toEqual(['0.0']);
+  expect(refreshed.getCurrentContent()).toBe(editor.getCurrentContent());
+  expect(refreshed.getUndoStack()).toBe(editor.getUndoStack());
+});
+
+test('must create tree-based content with the treeData option', () => {
+  const content = EditorState.createWithText('a\nb', null, {
+    treeData: true,
+  }).getCurrentContent();
+  const [first, second] = content.getBlocksAsArray();
+  expect(first.getNextSiblingKey()).toBe(second.getKey());
+  expect(second.getPrevSiblingKey()).toBe(first.getKey());
+  expect(
+    EditorState.createEmpty(null, {treeData: false})
+      .getCurrentContent()
+      .getFirstBlock(),
+  ).toBeInstanceOf(ContentBlock);
+});
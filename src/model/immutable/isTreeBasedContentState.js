@@ -0,0 +1,27 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type ContentState from 'ContentState';
+
+const ContentBlockNode = require('ContentBlockNode');
+
+/**
+ * Whether the blocks of a ContentState are `ContentBlockNode`s, which can be
+ * nested, rather than flat `ContentBlock`s. Blocks added to a ContentState
+ * have to be of the same kind as its blocks.
+ */
+function isTreeBasedContentState(contentState: ContentState): boolean {
+  return contentState.getBlockMap().first() instanceof ContentBlockNode;
+}
+
+module.exports = isTreeBasedContentState;
@@ -23,15 +23,10 @@ const DraftModifier = require('DraftModifier');
 const EditorState = require('EditorState');
 
 const generateRandomKey = require('generateRandomKey');
-const gkx = require('gkx');
 const Immutable = require('immutable');
+const isTreeBasedContentState = require('isTreeBasedContentState');
 const moveBlockInContentState = require('moveBlockInContentState');
 
-const experimentalTreeDataSupport = gkx('draft_tree_data_support');
-const ContentBlockRecord = experimentalTreeDataSupport
-  ? ContentBlockNode
-  : ContentBlock;
-
 const {List, Repeat} = Immutable;
 
 const AtomicBlockUtils = {
@@ -73,7 +68,8 @@ const AtomicBlockUtils = {
       type: 'unstyled',
     };
 
-    if (experimentalTreeDataSupport) {
+    const isTreeBased = isTreeBasedContentState(contentState);
+    if (isTreeBased) {
       atomicBlockConfig = {
         ...atomicBlockConfig,
         nextSibling: atomicDividerBlockConfig.key,
@@ -84,10 +80,15 @@ const AtomicBlockUtils = {
       };
     }
 
-    const fragmentArray = [
-      new ContentBlockRecord(atomicBlockConfig),
-      new ContentBlockRecord(atomicDividerBlockConfig),
-    ];
+    const fragmentArray = isTreeBased
+      ? [
+          new ContentBlockNode(atomicBlockConfig),
+          new ContentBlockNode(atomicDividerBlockConfig),
+        ]
+      : [
+          new ContentBlock(atomicBlockConfig),
+          new ContentBlock(atomicDividerBlockConfig),
+        ];
 
     const fragment = BlockMapBuilder.createFromArray(fragmentArray);
 
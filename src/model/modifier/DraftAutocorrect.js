@@ -0,0 +1,170 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+const DraftModifier = require('DraftModifier');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const getEntityKeyForSelection = require('getEntityKeyForSelection');
+
+/**
+ * An autocorrect rule matches `pattern` against the text of the current block
+ * that precedes the caret, right after characters are typed. The match has to
+ * end at the caret, and is replaced with `replacement`, which may refer to the
+ * groups of the match as `$1`, `$2`, and so on.
+ *
+ * Only the part of the match that the replacement changes is replaced, so
+ * that context matched before the corrected characters, such as the space
+ * before an opening quote, keeps its style and entity.
+ */
+export type DraftAutocorrectRule = {
+  pattern: RegExp,
+  replacement: string,
+  ...
+};
+
+const escapeRegExp = (text: string): string =>
+  text.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+
+// Characters after which a quote opens rather than closes
+const OPENING_CONTEXT = '(^|[\\s([{–—])';
+
+/**
+ * Smart quotes, dashes, ellipsis and the usual symbols.
+ */
+const TYPOGRAPHY_RULES: Array<DraftAutocorrectRule> = [
+  {pattern: new RegExp(OPENING_CONTEXT + '"$'), replacement: '$1“'},
+  {pattern: /"$/, replacement: '”'},
+  {pattern: new RegExp(OPENING_CONTEXT + "'$"), replacement: '$1‘'},
+  {pattern: /'$/, replacement: '’'},
+  {pattern: /--$/, replacement: '—'},
+  {pattern: /\.\.\.$/, replacement: '…'},
+  {pattern: /\(c\)$/i, replacement: '©'},
+  {pattern: /\(r\)$/i, replacement: '®'},
+  {pattern: /\(tm\)$/i, replacement: '™'},
+];
+
+/**
+ * Build a rule replacing `abbreviation` with `text` when it is typed at the
+ * start of a word, as in `;sig` for a signature. Line breaks in `text` are
+ * inserted as soft newlines.
+ */
+const snippetRule = (
+  abbreviation: string,
+  text: string,
+): DraftAutocorrectRule => ({
+  pattern: new RegExp('(^|\\s)' + escapeRegExp(abbreviation) + '$'),
+  replacement: '$1' + text.replace(/\$/g, '$$$$'),
+});
+
+/**
+ * Emoticons typed at the start of a word, replaced with emoji.
+ */
+const EMOJI_RULES: Array<DraftAutocorrectRule> = [
+  snippetRule(':)', '🙂'),
+  snippetRule(':(', '🙁'),
+  snippetRule(';)', '😉'),
+  snippetRule(':D', '😄'),
+  snippetRule(':P', '😛'),
+  snippetRule('<3', '❤️'),
+];
+
+const getCommonPrefixLength = (a: string, b: string): number => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) {
+    length++;
+  }
+  return length;
+};
+
+const DraftAutocorrect = {
+  EMOJI_RULES,
+
+  TYPOGRAPHY_RULES,
+
+  snippetRule,
+
+  /**
+   * Apply the first of `rules` that matches the text before the caret, and
+   * that changes it. Returns null if the selection is not collapsed, if no
+   * rule applies, or if the caret is in a `code-block` block or in text with
+   * the `CODE` style.
+   *
+   * The correction is pushed as its own change, with the `insert-fragment`
+   * change type, so that undoing it right away restores the typed text.
+   */
+  applyAutocorrect(
+    editorState: EditorState,
+    rules: $ReadOnlyArray<DraftAutocorrectRule>,
+  ): ?EditorState {
+    const selection = editorState.getSelection();
+    if (!selection.isCollapsed()) {
+      return null;
+    }
+
+    const contentState = editorState.getCurrentContent();
+    const blockKey = selection.getAnchorKey();
+    const block = contentState.getBlockForKey(blockKey);
+    if (block.getType() === 'code-block') {
+      return null;
+    }
+    const textBeforeCaret = block
+      .getText()
+      .slice(0, selection.getAnchorOffset());
+
+    for (let ii = 0; ii < rules.length; ii++) {
+      const rule = rules[ii];
+      const match = rule.pattern.exec(textBeforeCaret);
+      if (!match || match.index + match[0].length !== textBeforeCaret.length) {
+        continue;
+      }
+      const replacement = match[0].replace(rule.pattern, rule.replacement);
+      if (replacement === match[0]) {
+        continue;
+      }
+      const prefixLength = getCommonPrefixLength(match[0], replacement);
+      const start = match.index + prefixLength;
+      const end = textBeforeCaret.length;
+      for (let offset = start; offset < end; offset++) {
+        if (block.getInlineStyleAt(offset).has('CODE')) {
+          return null;
+        }
+      }
+
+      const rangeToReplace = SelectionState.createEmpty(blockKey).merge({
+        anchorOffset: start,
+        focusOffset: end,
+      });
+      const newContentState = DraftModifier.replaceText(
+        contentState,
+        rangeToReplace,
+        replacement.slice(prefixLength),
+        block.getInlineStyleAt(start),
+        getEntityKeyForSelection(contentState, rangeToReplace),
+      );
+      return EditorState.push(
+        editorState,
+        newContentState.merge({
+          selectionBefore: selection,
+          selectionAfter: newContentState
+            .getSelectionAfter()
+            .set('hasFocus', selection.getHasFocus()),
+        }),
+        'insert-fragment',
+      );
+    }
+    return null;
+  },
+};
+
+module.exports = DraftAutocorrect;
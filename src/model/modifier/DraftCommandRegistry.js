@@ -0,0 +1,361 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type {DraftBlockType} from 'DraftBlockType';
+
+const EditorState = require('EditorState');
+const NestedRichTextEditorUtil = require('NestedRichTextEditorUtil');
+const RichTextEditorUtil = require('RichTextEditorUtil');
+
+const adjustListDepth = require('adjustListDepth');
+const getSelectedBlockRanges = require('getSelectedBlockRanges');
+const isTreeBasedContentState = require('isTreeBasedContentState');
+
+/**
+ * Whether a command is in effect for the selection, as for a pressed toolbar
+ * button. `'mixed'` means that it is in effect for only part of the selection,
+ * such as bold text followed by plain text, or a heading followed by a
+ * paragraph.
+ */
+export type DraftCommandActiveState = boolean | 'mixed';
+
+/**
+ * A command of the registry. `execute` returns the new editor state, or null
+ * if the command doesn't apply, and defaults to `RichUtils.handleKeyCommand`,
+ * or to `NestedRichUtils.handleKeyCommand` for tree-based content. `isActive`
+ * defaults to false, and `canExecute` to true.
+ */
+export type DraftCommand = {
+  execute?: (editorState: EditorState, ...args: Array<any>) => ?EditorState,
+  isActive?: (editorState: EditorState) => DraftCommandActiveState,
+  canExecute?: (editorState: EditorState) => boolean,
+  ...
+};
+
+/**
+ * Commands by name. A null command removes the command of the same name from
+ * the layers below.
+ */
+export type DraftCommands = {[command: string]: ?DraftCommand, ...};
+
+export type DraftCommandRegistryOptions = {
+  // Whether the commands are layered over the built-in commands. Defaults to
+  // true.
+  useDefaults?: boolean,
+  // The depth up to which `indent` nests list items. Defaults to 4.
+  maxDepth?: number,
+  ...
+};
+
+export type DraftCommandState = {
+  isActive: DraftCommandActiveState,
+  canExecute: boolean,
+  ...
+};
+
+/**
+ * Test each selected character, as long as the selection isn't collapsed
+ * and contains some text. Otherwise, returns null.
+ */
+const getCharacterState = (
+  editorState: EditorState,
+  test: (block: BlockNodeRecord, offset: number) => boolean,
+): ?DraftCommandActiveState => {
+  const selection = editorState.getSelection();
+  if (selection.isCollapsed()) {
+    return null;
+  }
+  let count = 0;
+  let matches = 0;
+  getSelectedBlockRanges(editorState.getCurrentContent(), selection).forEach(
+    ({block, start, end}) => {
+      for (let offset = start; offset < end; offset++) {
+        count++;
+        if (test(block, offset)) {
+          matches++;
+        }
+      }
+    },
+  );
+  if (!count) {
+    return null;
+  }
+  return matches === count || (matches > 0 && 'mixed');
+};
+
+const getInlineStyleState = (
+  editorState: EditorState,
+  style: string,
+): DraftCommandActiveState =>
+  getCharacterState(editorState, (block, offset) =>
+    block.getInlineStyleAt(offset).has(style),
+  ) ?? editorState.getCurrentInlineStyle().has(style);
+
+/**
+ * Get the blocks that a block type command applies to. As with
+ * `RichUtils.toggleBlockType`, a block in which only offset 0 is selected,
+ * as after a triple click, is left out.
+ */
+const getTargetBlocks = (editorState: EditorState): Array<BlockNodeRecord> => {
+  const ranges = getSelectedBlockRanges(
+    editorState.getCurrentContent(),
+    editorState.getSelection(),
+  );
+  if (ranges.length > 1 && ranges[ranges.length - 1].end === 0) {
+    ranges.pop();
+  }
+  return ranges.map(({block}) => block);
+};
+
+const getBlockTypeState = (
+  editorState: EditorState,
+  blockType: DraftBlockType,
+): DraftCommandActiveState => {
+  const blocks = getTargetBlocks(editorState);
+  const matches = blocks.filter(block => block.getType() === blockType).length;
+  return matches === blocks.length || (matches > 0 && 'mixed');
+};
+
+const hasNoAtomicBlock = (editorState: EditorState): boolean =>
+  getTargetBlocks(editorState).every(block => block.getType() !== 'atomic');
+
+const isListItem = (block: BlockNodeRecord): boolean =>
+  block.getType() === 'unordered-list-item' ||
+  block.getType() === 'ordered-list-item';
+
+/**
+ * `RichUtils.toggleCode` changes the block type unless the selection is
+ * within a single block.
+ */
+const isCodeBlockCommand = (editorState: EditorState): boolean => {
+  const selection = editorState.getSelection();
+  return (
+    selection.isCollapsed() ||
+    selection.getAnchorKey() !== selection.getFocusKey()
+  );
+};
+
+const getLinkState = (editorState: EditorState): DraftCommandActiveState => {
+  const content = editorState.getCurrentContent();
+  const isLinkAt = (block: BlockNodeRecord, offset: number): boolean => {
+    const entityKey =
+      offset >= 0 && offset < block.getLength()
+        ? block.getEntityAt(offset)
+        : null;
+    return (
+      entityKey != null && content.getEntity(entityKey).getType() === 'LINK'
+    );
+  };
+  const characterState = getCharacterState(editorState, isLinkAt);
+  if (characterState != null) {
+    return characterState;
+  }
+  // A collapsed selection is in a link if it is next to one.
+  const selection = editorState.getSelection();
+  const block = content.getBlockForKey(selection.getStartKey());
+  const offset = selection.getStartOffset();
+  return isLinkAt(block, offset - 1) || isLinkAt(block, offset);
+};
+
+const inlineStyleCommand = (style: string): DraftCommand => ({
+  isActive: editorState => getInlineStyleState(editorState, style),
+});
+
+const blockTypeCommand = (blockType: DraftBlockType): DraftCommand => ({
+  isActive: editorState => getBlockTypeState(editorState, blockType),
+  canExecute: hasNoAtomicBlock,
+});
+
+const getDefaultCommands = (maxDepth: number): DraftCommands => ({
+  undo: {
+    execute: editorState => EditorState.undo(editorState),
+    canExecute: editorState => !editorState.getUndoStack().isEmpty(),
+  },
+  redo: {
+    execute: editorState => EditorState.redo(editorState),
+    canExecute: editorState => !editorState.getRedoStack().isEmpty(),
+  },
+  bold: inlineStyleCommand('BOLD'),
+  italic: inlineStyleCommand('ITALIC'),
+  underline: inlineStyleCommand('UNDERLINE'),
+  strikethrough: inlineStyleCommand('STRIKETHROUGH'),
+  code: {
+    isActive: editorState =>
+      isCodeBlockCommand(editorState)
+        ? getBlockTypeState(editorState, 'code-block')
+        : getInlineStyleState(editorState, 'CODE'),
+    canExecute: editorState =>
+      !isCodeBlockCommand(editorState) || hasNoAtomicBlock(editorState),
+  },
+  'header-one': blockTypeCommand('header-one'),
+  'header-two': blockTypeCommand('header-two'),
+  'header-three': blockTypeCommand('header-three'),
+  'header-four': blockTypeCommand('header-four'),
+  'header-five': blockTypeCommand('header-five'),
+  'header-six': blockTypeCommand('header-six'),
+  'unordered-list-item': blockTypeCommand('unordered-list-item'),
+  'ordered-list-item': blockTypeCommand('ordered-list-item'),
+  blockquote: blockTypeCommand('blockquote'),
+  'code-block': blockTypeCommand('code-block'),
+  indent: {
+    execute: editorState =>
+      isTreeBasedContentState(editorState.getCurrentContent())
+        ? NestedRichTextEditorUtil.handleKeyCommand(editorState, 'indent')
+        : adjustListDepth(editorState, 1, maxDepth),
+    canExecute: editorState =>
+      isTreeBasedContentState(editorState.getCurrentContent())
+        ? getTargetBlocks(editorState).every(isListItem)
+        : adjustListDepth(editorState, 1, maxDepth) != null,
+  },
+  outdent: {
+    canExecute: editorState => {
+      const blocks = getTargetBlocks(editorState);
+      return (
+        blocks.every(isListItem) && blocks.some(block => block.getDepth() > 0)
+      );
+    },
+  },
+  'clear-formatting': {
+    canExecute: editorState => {
+      const hasStyle = getCharacterState(
+        editorState,
+        (block, offset) => !block.getInlineStyleAt(offset).isEmpty(),
+      );
+      return hasStyle != null
+        ? hasStyle !== false
+        : !editorState.getCurrentInlineStyle().isEmpty();
+    },
+  },
+  link: {
+    execute: (editorState, data: {url: string, ...}) => {
+      const selection = editorState.getSelection();
+      if (selection.isCollapsed()) {
+        return null;
+      }
+      const content = editorState
+        .getCurrentContent()
+        .createEntity('LINK', 'MUTABLE', data);
+      return RichTextEditorUtil.toggleLink(
+        EditorState.set(editorState, {currentContent: content}),
+        selection,
+        content.getLastCreatedEntityKey(),
+      );
+    },
+    isActive: getLinkState,
+    canExecute: editorState => !editorState.getSelection().isCollapsed(),
+  },
+  unlink: {
+    isActive: getLinkState,
+    canExecute: editorState => getLinkState(editorState) !== false,
+  },
+});
+
+/**
+ * `DraftCommandRegistry` runs editor commands by name, and tells whether each
+ * command is active and can be executed for the current selection, so that
+ * toolbar buttons and key commands share one implementation.
+ *
+ * The built-in commands cover inline styles, block types, list depth,
+ * clearing the formatting, links, and undo and redo. Apps can add their own
+ * commands, or override the built-in ones, by layering commands over them.
+ */
+class DraftCommandRegistry {
+  _layers: $ReadOnlyArray<DraftCommands>;
+  _options: DraftCommandRegistryOptions;
+  _commands: Map<string, DraftCommand> = new Map();
+
+  constructor(
+    commands: DraftCommands | $ReadOnlyArray<DraftCommands> = {},
+    options: DraftCommandRegistryOptions = {},
+  ) {
+    this._layers = Array.isArray(commands) ? commands : [commands];
+    this._options = options;
+    const layers =
+      options.useDefaults !== false
+        ? [getDefaultCommands(options.maxDepth ?? 4), ...this._layers]
+        : this._layers;
+    layers.forEach(layer =>
+      Object.keys(layer).forEach(name => {
+        const command = layer[name];
+        if (command == null) {
+          this._commands.delete(name);
+        } else {
+          this._commands.set(name, command);
+        }
+      }),
+    );
+  }
+
+  /**
+   * Create a registry with `commands` layered over the commands of this one.
+   */
+  extend(commands: DraftCommands): DraftCommandRegistry {
+    return new DraftCommandRegistry([...this._layers, commands], this._options);
+  }
+
+  has(name: string): boolean {
+    return this._commands.has(name);
+  }
+
+  getCommandNames(): Array<string> {
+    return Array.from(this._commands.keys());
+  }
+
+  /**
+   * Run a command, with the arguments it takes, such as the data of the
+   * entity for `link`. Returns null if the command is unknown, if it can't be
+   * executed, or if it doesn't apply.
+   */
+  execute(
+    editorState: EditorState,
+    name: string,
+    ...args: Array<any>
+  ): ?EditorState {
+    const command = this._commands.get(name);
+    if (!command || !this.canExecute(editorState, name)) {
+      return null;
+    }
+    if (command.execute) {
+      return command.execute(editorState, ...args);
+    }
+    return isTreeBasedContentState(editorState.getCurrentContent())
+      ? NestedRichTextEditorUtil.handleKeyCommand(editorState, name)
+      : RichTextEditorUtil.handleKeyCommand(editorState, name);
+  }
+
+  isActive(editorState: EditorState, name: string): DraftCommandActiveState {
+    const command = this._commands.get(name);
+    return command && command.isActive ? command.isActive(editorState) : false;
+  }
+
+  canExecute(editorState: EditorState, name: string): boolean {
+    const command = this._commands.get(name);
+    if (!command) {
+      return false;
+    }
+    return command.canExecute ? command.canExecute(editorState) : true;
+  }
+
+  /**
+   * Get the state of a command, for instance to render its toolbar button.
+   */
+  getState(editorState: EditorState, name: string): DraftCommandState {
+    return {
+      isActive: this.isActive(editorState, name),
+      canExecute: this.canExecute(editorState, name),
+    };
+  }
+}
+
+module.exports = DraftCommandRegistry;
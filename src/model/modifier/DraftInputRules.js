@@ -0,0 +1,287 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {DraftBlockType} from 'DraftBlockType';
+
+const DraftModifier = require('DraftModifier');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const Immutable = require('immutable');
+
+const {Map} = Immutable;
+
+/**
+ * Input rules are checked when characters are typed (`input`) or when the
+ * Return key splits a block (`newline`).
+ */
+export type DraftInputRuleTrigger = 'input' | 'newline';
+
+/**
+ * An input rule matches `pattern` against the text of the current block that
+ * precedes the caret. The match has to end at the caret. `transform` receives
+ * the editor state, the match and a selection covering the matched text, and
+ * returns the converted editor state, or null to leave the input unchanged.
+ *
+ * For `input` rules, the editor state already contains the typed characters,
+ * so the state returned by `transform` should be pushed as its own change:
+ * undoing it then restores the literal characters.
+ */
+export type DraftInputRule = {
+  pattern: RegExp,
+  transform: (
+    editorState: EditorState,
+    match: Array<string>,
+    matchSelection: SelectionState,
+  ) => ?EditorState,
+  trigger?: DraftInputRuleTrigger,
+  ...
+};
+
+const escapeRegExp = (text: string): string =>
+  text.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+
+/**
+ * Remove the matched text and convert the block to `blockType`. Only
+ * unstyled blocks are converted, so that typing the same characters inside a
+ * list item or a code block keeps them as text.
+ */
+const convertBlock = (
+  editorState: EditorState,
+  matchSelection: SelectionState,
+  blockType: DraftBlockType,
+  blockData: ?Map<string, mixed>,
+): ?EditorState => {
+  const contentState = editorState.getCurrentContent();
+  const block = contentState.getBlockForKey(matchSelection.getStartKey());
+  if (block.getType() !== 'unstyled') {
+    return null;
+  }
+
+  let newContentState = DraftModifier.removeRange(
+    contentState,
+    matchSelection,
+    'backward',
+  );
+  const selectionAfter = newContentState.getSelectionAfter();
+  newContentState = DraftModifier.setBlockType(
+    newContentState,
+    selectionAfter,
+    blockType,
+  );
+  if (blockData) {
+    newContentState = DraftModifier.setBlockData(
+      newContentState,
+      selectionAfter,
+      blockData,
+    );
+  }
+
+  return EditorState.push(
+    editorState,
+    newContentState.merge({
+      selectionBefore: editorState.getSelection(),
+      selectionAfter,
+    }),
+    'change-block-type',
+  );
+};
+
+/**
+ * Build a rule converting an unstyled block to `blockType` when its text
+ * before the caret matches `pattern`. The matched text is removed.
+ */
+const blockTypeRule = (
+  pattern: RegExp,
+  blockType: DraftBlockType | ((match: Array<string>) => DraftBlockType),
+  trigger?: DraftInputRuleTrigger = 'input',
+): DraftInputRule => ({
+  pattern,
+  trigger,
+  transform: (editorState, match, matchSelection) =>
+    convertBlock(
+      editorState,
+      matchSelection,
+      typeof blockType === 'function' ? blockType(match) : blockType,
+    ),
+});
+
+/**
+ * Build a rule applying `style` to text typed between two `marker` strings,
+ * as in `**bold**`. The markers are removed, and text typed afterwards does
+ * not continue the style.
+ */
+const inlineStyleRule = (marker: string, style: string): DraftInputRule => {
+  const markerPattern = escapeRegExp(marker);
+  const first = escapeRegExp(marker[0]);
+  // Underscores within words are not emphasis.
+  const before = marker[0] === '_' ? `\\w${first}` : first;
+  return {
+    pattern: new RegExp(
+      `(^|[^${before}])${markerPattern}` +
+        `([^${first}\\s](?:[^${first}]*[^${first}\\s])?)${markerPattern}$`,
+    ),
+    trigger: 'input',
+    transform: (editorState, match, matchSelection) => {
+      const contentState = editorState.getCurrentContent();
+      const blockKey = matchSelection.getStartKey();
+      const block = contentState.getBlockForKey(blockKey);
+      const start = matchSelection.getStartOffset() + match[1].length;
+      const end = matchSelection.getEndOffset();
+      if (block.getType() === 'code-block') {
+        return null;
+      }
+      for (let offset = start; offset < end; offset++) {
+        if (block.getInlineStyleAt(offset).has('CODE')) {
+          return null;
+        }
+      }
+
+      const rangeAt = (anchorOffset, focusOffset) =>
+        SelectionState.createEmpty(blockKey).merge({
+          anchorOffset,
+          focusOffset,
+        });
+      const textEnd = end - marker.length * 2;
+      let newContentState = DraftModifier.removeRange(
+        contentState,
+        rangeAt(end - marker.length, end),
+        'backward',
+      );
+      newContentState = DraftModifier.removeRange(
+        newContentState,
+        rangeAt(start, start + marker.length),
+        'backward',
+      );
+      newContentState = DraftModifier.applyInlineStyle(
+        newContentState,
+        rangeAt(start, textEnd),
+        style,
+      );
+
+      const newEditorState = EditorState.push(
+        editorState,
+        newContentState.merge({
+          selectionBefore: editorState.getSelection(),
+          selectionAfter: rangeAt(textEnd, textEnd),
+        }),
+        'change-inline-style',
+      );
+      return EditorState.setInlineStyleOverride(
+        newEditorState,
+        editorState.getCurrentInlineStyle().remove(style),
+      );
+    },
+  };
+};
+
+/**
+ * Build a rule converting an unstyled block to a code block when it starts
+ * with a code fence, storing the optional language as `language` in the
+ * block data.
+ */
+const codeFenceRule = (
+  pattern: RegExp,
+  trigger: DraftInputRuleTrigger,
+): DraftInputRule => ({
+  pattern,
+  trigger,
+  transform: (editorState, match, matchSelection) =>
+    convertBlock(
+      editorState,
+      matchSelection,
+      'code-block',
+      match[1] ? Map({language: match[1]}) : null,
+    ),
+});
+
+const HEADER_TYPES = [
+  'header-one',
+  'header-two',
+  'header-three',
+  'header-four',
+  'header-five',
+  'header-six',
+];
+
+/**
+ * Shortcuts following the Markdown syntax for block types and emphasis.
+ * Longer markers come first so that `**` is not read as two `*`.
+ */
+const MARKDOWN_RULES: Array<DraftInputRule> = [
+  codeFenceRule(/^```([\w+#-]*) $/, 'input'),
+  codeFenceRule(/^```([\w+#-]*)$/, 'newline'),
+  blockTypeRule(/^(#{1,6}) $/, match => HEADER_TYPES[match[1].length - 1]),
+  blockTypeRule(/^[-*+] $/, 'unordered-list-item'),
+  blockTypeRule(/^\d+[.)] $/, 'ordered-list-item'),
+  blockTypeRule(/^> $/, 'blockquote'),
+  inlineStyleRule('**', 'BOLD'),
+  inlineStyleRule('__', 'BOLD'),
+  inlineStyleRule('~~', 'STRIKETHROUGH'),
+  inlineStyleRule('*', 'ITALIC'),
+  inlineStyleRule('_', 'ITALIC'),
+  inlineStyleRule('`', 'CODE'),
+];
+
+const DraftInputRules = {
+  MARKDOWN_RULES,
+
+  blockTypeRule,
+
+  inlineStyleRule,
+
+  /**
+   * Apply the first of `rules` registered for `trigger` that matches the text
+   * before the caret. Returns null if the selection is not collapsed or if no
+   * rule applies.
+   */
+  applyInputRules(
+    editorState: EditorState,
+    rules: $ReadOnlyArray<DraftInputRule>,
+    trigger: DraftInputRuleTrigger,
+  ): ?EditorState {
+    const selection = editorState.getSelection();
+    if (!selection.isCollapsed()) {
+      return null;
+    }
+
+    const blockKey = selection.getAnchorKey();
+    const textBeforeCaret = editorState
+      .getCurrentContent()
+      .getBlockForKey(blockKey)
+      .getText()
+      .slice(0, selection.getAnchorOffset());
+
+    for (let ii = 0; ii < rules.length; ii++) {
+      const rule = rules[ii];
+      if ((rule.trigger || 'input') !== trigger) {
+        continue;
+      }
+      const match = rule.pattern.exec(textBeforeCaret);
+      if (!match || match.index + match[0].length !== textBeforeCaret.length) {
+        continue;
+      }
+      const matchSelection = SelectionState.createEmpty(blockKey).merge({
+        anchorOffset: match.index,
+        focusOffset: textBeforeCaret.length,
+      });
+      const newEditorState = rule.transform(editorState, match, matchSelection);
+      if (newEditorState) {
+        return newEditorState;
+      }
+    }
+    return null;
+  },
+};
+
+module.exports = DraftInputRules;
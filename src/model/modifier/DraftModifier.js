@@ -13,8 +13,10 @@
 
 import type {BlockMap} from 'BlockMap';
 import type ContentState from 'ContentState';
+import type {DraftTableInsertionPosition} from 'ContentStateTable';
 import type {DraftBlockType} from 'DraftBlockType';
 import type {DraftInlineStyle} from 'DraftInlineStyle';
+import type {DraftOperation} from 'DraftOperation';
 import type {DraftRemovalDirection} from 'DraftRemovalDirection';
 import type SelectionState from 'SelectionState';
 import type {Map} from 'immutable';
@@ -22,10 +24,14 @@ import type {BlockDataMergeBehavior} from 'insertFragmentIntoContentState';
 
 const CharacterMetadata = require('CharacterMetadata');
 const ContentStateInlineStyle = require('ContentStateInlineStyle');
+const ContentStateTable = require('ContentStateTable');
 
+const applyAnnotationToContentState = require('applyAnnotationToContentState');
 const applyEntityToContentState = require('applyEntityToContentState');
+const applyOperationsToContentState = require('applyOperationsToContentState');
 const getCharacterRemovalRange = require('getCharacterRemovalRange');
 const getContentStateFragment = require('getContentStateFragment');
+const getDraftOperations = require('getDraftOperations');
 const Immutable = require('immutable');
 const insertFragmentIntoContentState = require('insertFragmentIntoContentState');
 const insertTextIntoContentState = require('insertTextIntoContentState');
@@ -260,6 +266,127 @@ const DraftModifier = {
       entityKey,
     );
   },
+
+  /**
+   * Add the selected text to the ranges of the annotation with the given
+   * key, creating it if needed. `data` is merged into the data of the
+   * annotation.
+   */
+  applyAnnotation(
+    contentState: ContentState,
+    selectionState: SelectionState,
+    annotationKey: string,
+    data?: {[key: string]: any, ...},
+  ): ContentState {
+    return applyAnnotationToContentState(
+      contentState,
+      selectionState,
+      annotationKey,
+      data,
+    );
+  },
+
+  removeAnnotation(
+    contentState: ContentState,
+    annotationKey: string,
+  ): ContentState {
+    return contentState.setAnnotationMap(
+      contentState.getAnnotationMap().delete(annotationKey),
+    );
+  },
+
+  mergeAnnotationData(
+    contentState: ContentState,
+    annotationKey: string,
+    data: {[key: string]: any, ...},
+  ): ContentState {
+    const annotationMap = contentState.getAnnotationMap();
+    const annotation = annotationMap.get(annotationKey);
+    invariant(annotation, 'Unknown annotation key: %s.', annotationKey);
+    return contentState.setAnnotationMap(
+      annotationMap.set(
+        annotationKey,
+        annotation.set('data', {...annotation.getData(), ...data}),
+      ),
+    );
+  },
+
+  /**
+   * Insert a table of empty cells after the top-level block containing the
+   * selection. Tables require blocks with tree data support.
+   */
+  insertTable(
+    contentState: ContentState,
+    selectionState: SelectionState,
+    rowCount: number,
+    columnCount: number,
+  ): ContentState {
+    return ContentStateTable.insertTable(
+      contentState,
+      selectionState,
+      rowCount,
+      columnCount,
+    );
+  },
+
+  removeTable(
+    contentState: ContentState,
+    selectionState: SelectionState,
+  ): ContentState {
+    return ContentStateTable.removeTable(contentState, selectionState);
+  },
+
+  insertTableRow(
+    contentState: ContentState,
+    selectionState: SelectionState,
+    position: DraftTableInsertionPosition,
+  ): ContentState {
+    return ContentStateTable.insertRow(contentState, selectionState, position);
+  },
+
+  removeTableRow(
+    contentState: ContentState,
+    selectionState: SelectionState,
+  ): ContentState {
+    return ContentStateTable.removeRow(contentState, selectionState);
+  },
+
+  insertTableColumn(
+    contentState: ContentState,
+    selectionState: SelectionState,
+    position: DraftTableInsertionPosition,
+  ): ContentState {
+    return ContentStateTable.insertColumn(
+      contentState,
+      selectionState,
+      position,
+    );
+  },
+
+  removeTableColumn(
+    contentState: ContentState,
+    selectionState: SelectionState,
+  ): ContentState {
+    return ContentStateTable.removeColumn(contentState, selectionState);
+  },
+
+  /**
+   * Serialize the changes between two content states as operations, e.g. to
+   * send them to other editors of the same document.
+   */
+  getOperations(
+    contentState: ContentState,
+    newContentState: ContentState,
+  ): Array<DraftOperation> {
+    return getDraftOperations(contentState, newContentState);
+  },
+
+  applyOperations(
+    contentState: ContentState,
+    operations: $ReadOnlyArray<DraftOperation>,
+  ): ContentState {
+    return applyOperationsToContentState(contentState, operations);
+  },
 };
 
 module.exports = DraftModifier;
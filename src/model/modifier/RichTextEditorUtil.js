@@ -22,8 +22,129 @@ const DraftModifier = require('DraftModifier');
 const EditorState = require('EditorState');
 
 const adjustBlockDepthForContentState = require('adjustBlockDepthForContentState');
+const adjustListDepth = require('adjustListDepth');
+const getRangesForDraftEntity = require('getRangesForDraftEntity');
+const getSelectedBlockRanges = require('getSelectedBlockRanges');
+const Immutable = require('immutable');
+const keyCommandMoveToTableCell = require('keyCommandMoveToTableCell');
 const nullthrows = require('nullthrows');
 
+const {OrderedSet} = Immutable;
+
+const BLOCK_TYPE_COMMANDS = [
+  'header-one',
+  'header-two',
+  'header-three',
+  'header-four',
+  'header-five',
+  'header-six',
+  'unordered-list-item',
+  'ordered-list-item',
+  'blockquote',
+  'code-block',
+];
+
+/**
+ * Remove the inline styles of the selected text, or the styles that the next
+ * typed characters would get if the selection is collapsed.
+ */
+const clearFormatting = (editorState: EditorState): ?EditorState => {
+  const selection = editorState.getSelection();
+  if (selection.isCollapsed()) {
+    return editorState.getCurrentInlineStyle().isEmpty()
+      ? null
+      : EditorState.setInlineStyleOverride(editorState, OrderedSet());
+  }
+
+  const content = editorState.getCurrentContent();
+  let styles = OrderedSet();
+  getSelectedBlockRanges(content, selection).forEach(({block, start, end}) => {
+    for (let offset = start; offset < end; offset++) {
+      styles = styles.union(block.getInlineStyleAt(offset));
+    }
+  });
+  if (styles.isEmpty()) {
+    return null;
+  }
+  const withoutStyles = styles.reduce(
+    (newContent, style) =>
+      DraftModifier.removeInlineStyle(newContent, selection, style),
+    content,
+  );
+  return EditorState.push(editorState, withoutStyles, 'change-inline-style');
+};
+
+/**
+ * Remove the links from the selected text. With a collapsed selection, the
+ * whole link at the cursor is removed.
+ */
+const removeLink = (editorState: EditorState): ?EditorState => {
+  const selection = editorState.getSelection();
+  const content = editorState.getCurrentContent();
+  const isLink = (entityKey: ?string): boolean %checks =>
+    entityKey != null && content.getEntity(entityKey).getType() === 'LINK';
+
+  let targets = [];
+  if (selection.isCollapsed()) {
+    const block = content.getBlockForKey(selection.getStartKey());
+    const offset = selection.getStartOffset();
+    const entityKey = [offset - 1, offset]
+      .map(ii => (ii >= 0 ? block.getEntityAt(ii) : null))
+      .find(isLink);
+    if (entityKey != null) {
+      targets = getRangesForDraftEntity(block, entityKey).map(
+        ({start, end}) => ({
+          blockKey: block.getKey(),
+          start,
+          end,
+        }),
+      );
+    }
+  } else {
+    getSelectedBlockRanges(content, selection).forEach(({block, start, end}) =>
+      block.findEntityRanges(
+        character => isLink(character.getEntity()),
+        (linkStart, linkEnd) => {
+          if (linkStart < end && linkEnd > start) {
+            targets.push({
+              blockKey: block.getKey(),
+              start: Math.max(start, linkStart),
+              end: Math.min(end, linkEnd),
+            });
+          }
+        },
+      ),
+    );
+  }
+  if (!targets.length) {
+    return null;
+  }
+
+  const withoutLinks = targets.reduce(
+    (newContent, {blockKey, start, end}) =>
+      DraftModifier.applyEntity(
+        newContent,
+        selection.merge({
+          anchorKey: blockKey,
+          anchorOffset: start,
+          focusKey: blockKey,
+          focusOffset: end,
+          isBackward: false,
+        }),
+        null,
+      ),
+    content,
+  );
+  return EditorState.push(
+    editorState,
+    withoutLinks.merge({
+      selectionBefore: selection,
+      selectionAfter: selection,
+    }),
+    'apply-entity',
+  );
+};
+
 const RichTextEditorUtil: RichTextUtils = {
   currentBlockContainsLink(editorState: EditorState): boolean {
     const selection = editorState.getSelection();
@@ -55,6 +176,9 @@ const RichTextEditorUtil: RichTextUtils = {
     command: DraftEditorCommand | string,
     eventTimeStamp: ?number,
   ): ?EditorState {
+    if (BLOCK_TYPE_COMMANDS.includes(command)) {
+      return RichTextEditorUtil.toggleBlockType(editorState, command);
+    }
     switch (command) {
       case 'bold':
         return RichTextEditorUtil.toggleInlineStyle(editorState, 'BOLD');
@@ -77,6 +201,14 @@ const RichTextEditorUtil: RichTextUtils = {
       case 'delete-word':
       case 'delete-to-end-of-block':
         return RichTextEditorUtil.onDelete(editorState);
+      case 'indent':
+        return adjustListDepth(editorState, 1);
+      case 'outdent':
+        return adjustListDepth(editorState, -1);
+      case 'clear-formatting':
+        return clearFormatting(editorState);
+      case 'unlink':
+        return removeLink(editorState);
       default:
         // they may have custom editor commands; ignore those
         return null;
@@ -197,6 +329,15 @@ const RichTextEditorUtil: RichTextUtils = {
     event: SyntheticKeyboardEvent<>,
     editorState: EditorState,
   ): EditorState {
+    const withCellSelection = keyCommandMoveToTableCell(
+      editorState,
+      event.shiftKey,
+    );
+    if (withCellSelection !== editorState) {
+      event.preventDefault();
+      return withCellSelection;
+    }
+
     const selection = editorState.getSelection();
     const key = selection.getAnchorKey();
 
@@ -0,0 +1,111 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const DraftAutocorrect = require('DraftAutocorrect');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+
+const RULES = [
+  ...DraftAutocorrect.TYPOGRAPHY_RULES,
+  ...DraftAutocorrect.EMOJI_RULES,
+  DraftAutocorrect.snippetRule(';sig', 'Best,\nAda'),
+];
+
+const getEditorState = (block: Object) => {
+  const editorState = EditorState.createWithContent(
+    convertFromRawToDraftState({
+      blocks: [{key: 'a', type: 'unstyled', ...block}],
+      entityMap: {},
+    }),
+  );
+  const offset = block.text.length;
+  return EditorState.forceSelection(
+    editorState,
+    SelectionState.createEmpty('a').merge({
+      anchorOffset: offset,
+      focusOffset: offset,
+    }),
+  );
+};
+
+const correct = (block: Object) => {
+  const corrected = DraftAutocorrect.applyAutocorrect(
+    getEditorState(block),
+    RULES,
+  );
+  return corrected && corrected.getCurrentContent().getPlainText();
+};
+
+test('must correct the text typed before the caret', () => {
+  expect(correct({text: 'She said "'})).toBe('She said “');
+  expect(correct({text: 'She said “hi"'})).toBe('She said “hi”');
+  expect(correct({text: "it'"})).toBe('it’');
+  expect(correct({text: "('"})).toBe('(‘');
+  expect(correct({text: 'Wait--'})).toBe('Wait—');
+  expect(correct({text: 'Well...'})).toBe('Well…');
+  expect(correct({text: '(C)'})).toBe('©');
+  expect(correct({text: 'Hi :)'})).toBe('Hi 🙂');
+  expect(correct({text: 'Thanks ;sig'})).toBe('Thanks Best,\nAda');
+});
+
+test('must leave other text unchanged', () => {
+  expect(correct({text: 'Wait -'})).toBe(null);
+  expect(correct({text: 'f(x:)'})).toBe(null);
+  expect(correct({text: 'a;sig'})).toBe(null);
+});
+
+test('must only replace the corrected characters', () => {
+  const corrected = DraftAutocorrect.applyAutocorrect(
+    getEditorState({
+      text: 'a "',
+      inlineStyleRanges: [{style: 'BOLD', offset: 0, length: 2}],
+    }),
+    RULES,
+  );
+  if (!corrected) {
+    throw new Error('expected a correction');
+  }
+  const rawBlock = convertFromDraftStateToRaw(corrected.getCurrentContent())
+    .blocks[0];
+  expect(rawBlock.text).toBe('a “');
+  expect(rawBlock.inlineStyleRanges).toEqual([
+    {style: 'BOLD', offset: 0, length: 2},
+  ]);
+  expect(corrected.getSelection().getAnchorOffset()).toBe(3);
+  expect(
+    EditorState.undo(corrected)
+      .getCurrentContent()
+      .getPlainText(),
+  ).toBe('a "');
+});
+
+test('must not correct code', () => {
+  expect(correct({text: 'a--', type: 'code-block'})).toBe(null);
+  expect(
+    correct({
+      text: 'a--',
+      inlineStyleRanges: [{style: 'CODE', offset: 1, length: 2}],
+    }),
+  ).toBe(null);
+  expect(
+    correct({
+      text: '`a`--',
+      inlineStyleRanges: [{style: 'CODE', offset: 0, length: 3}],
+    }),
+  ).toBe('`a`—');
+});
@@ -0,0 +1,182 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const DraftCommandRegistry = require('DraftCommandRegistry');
+const EditorState = require('EditorState');
+const RichTextEditorUtil = require('RichTextEditorUtil');
+const SelectionState = require('SelectionState');
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const nullthrows = require('nullthrows');
+
+const registry = new DraftCommandRegistry();
+
+// "Bold plain" in a heading, then "Item" in a list item with a link on "It"
+const getEditorState = (
+  anchorKey: string,
+  anchorOffset: number,
+  focusKey: string = anchorKey,
+  focusOffset: number = anchorOffset,
+) =>
+  EditorState.forceSelection(
+    EditorState.createWithContent(
+      convertFromRawToDraftState({
+        blocks: [
+          {
+            key: 'a',
+            type: 'header-one',
+            text: 'Bold plain',
+            inlineStyleRanges: [{style: 'BOLD', offset: 0, length: 4}],
+          },
+          {
+            key: 'b',
+            type: 'unordered-list-item',
+            text: 'Item',
+            entityRanges: [{key: 0, offset: 0, length: 2}],
+          },
+        ],
+        entityMap: {
+          '0': {type: 'LINK', mutability: 'MUTABLE', data: {url: 'a.com'}},
+        },
+      }),
+    ),
+    SelectionState.createEmpty(anchorKey).merge({
+      anchorOffset,
+      focusKey,
+      focusOffset,
+    }),
+  );
+
+test('must report mixed states across the selection', () => {
+  const all = getEditorState('a', 0, 'b', 4);
+  expect(registry.getState(all, 'bold')).toEqual({
+    isActive: 'mixed',
+    canExecute: true,
+  });
+  expect(registry.isActive(all, 'header-one')).toBe('mixed');
+  expect(registry.isActive(all, 'link')).toBe('mixed');
+  expect(registry.canExecute(all, 'indent')).toBe(false);
+
+  const boldWord = getEditorState('a', 0, 'a', 4);
+  expect(registry.isActive(boldWord, 'bold')).toBe(true);
+  expect(registry.isActive(boldWord, 'italic')).toBe(false);
+  expect(registry.isActive(boldWord, 'code')).toBe(false);
+
+  // Only offset 0 of the list item is selected, as after a triple click.
+  const heading = getEditorState('a', 0, 'b', 0);
+  expect(registry.isActive(heading, 'header-one')).toBe(true);
+
+  const inLink = getEditorState('b', 1);
+  expect(registry.isActive(inLink, 'link')).toBe(true);
+  expect(registry.canExecute(inLink, 'link')).toBe(false);
+  // The list item follows the heading, so it can't be indented.
+  expect(registry.canExecute(inLink, 'indent')).toBe(false);
+  expect(registry.canExecute(inLink, 'outdent')).toBe(false);
+  expect(registry.canExecute(inLink, 'undo')).toBe(false);
+});
+
+test('must execute the built-in commands', () => {
+  const all = getEditorState('a', 0, 'b', 4);
+  const asList = nullthrows(
+    registry.execute(all, 'unordered-list-item'),
+  ).getCurrentContent();
+  expect(
+    asList
+      .getBlockMap()
+      .map(block => block.getType())
+      .toArray(),
+  ).toEqual(['unordered-list-item', 'unordered-list-item']);
+
+  const cleared = nullthrows(registry.execute(all, 'clear-formatting'));
+  expect(registry.canExecute(cleared, 'clear-formatting')).toBe(false);
+  expect(registry.canExecute(cleared, 'undo')).toBe(true);
+  expect(registry.isActive(cleared, 'link')).toBe('mixed');
+
+  const unlinked = nullthrows(
+    registry.execute(getEditorState('b', 1), 'unlink'),
+  );
+  expect(registry.isActive(unlinked, 'link')).toBe(false);
+  expect(
+    convertFromDraftStateToRaw(unlinked.getCurrentContent()).entityMap,
+  ).toEqual({});
+
+  const linked = nullthrows(
+    registry.execute(getEditorState('a', 5, 'a', 10), 'link', {
+      url: 'b.com',
+    }),
+  );
+  expect(registry.isActive(linked, 'link')).toBe(true);
+  expect(registry.execute(getEditorState('a', 5), 'link', {url: 'b.com'})).toBe(
+    null,
+  );
+});
+
+test('must layer custom commands over the built-in ones', () => {
+  const custom = registry.extend({
+    bold: null,
+    'insert-date': {
+      execute: editorState => RichTextEditorUtil.insertSoftNewline(editorState),
+      canExecute: editorState => editorState.getSelection().isCollapsed(),
+    },
+  });
+  const caret = getEditorState('a', 4);
+  expect(custom.has('bold')).toBe(false);
+  expect(custom.canExecute(caret, 'bold')).toBe(false);
+  expect(custom.execute(caret, 'bold')).toBe(null);
+  expect(custom.isActive(caret, 'insert-date')).toBe(false);
+  expect(
+    nullthrows(custom.execute(caret, 'insert-date'))
+      .getCurrentContent()
+      .getFirstBlock()
+      .getText(),
+  ).toBe('Bold\n plain');
+  expect(custom.execute(getEditorState('a', 0, 'a', 4), 'insert-date')).toBe(
+    null,
+  );
+  expect(
+    new DraftCommandRegistry({}, {useDefaults: false}).getCommandNames(),
+  ).toEqual([]);
+});
+
+test('must indent list items up to the maximum depth', () => {
+  const editorState = EditorState.forceSelection(
+    EditorState.createWithContent(
+      convertFromRawToDraftState({
+        blocks: [
+          {key: 'a', type: 'unordered-list-item', text: 'One', depth: 0},
+          {key: 'b', type: 'unordered-list-item', text: 'Two', depth: 1},
+          {key: 'c', type: 'unordered-list-item', text: 'Three', depth: 1},
+        ],
+        entityMap: {},
+      }),
+    ),
+    SelectionState.createEmpty('c'),
+  );
+  const shallow = new DraftCommandRegistry({}, {maxDepth: 1});
+  expect(shallow.canExecute(editorState, 'indent')).toBe(false);
+  expect(shallow.execute(editorState, 'indent')).toBe(null);
+
+  expect(registry.canExecute(editorState, 'indent')).toBe(true);
+  const indented = nullthrows(registry.execute(editorState, 'indent'));
+  expect(
+    indented
+      .getCurrentContent()
+      .getBlockForKey('c')
+      .getDepth(),
+  ).toBe(2);
+  // An item can't be indented deeper than the item before it.
+  expect(registry.canExecute(indented, 'indent')).toBe(false);
+});
@@ -0,0 +1,219 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {DraftInputRule} from 'DraftInputRules';
+
+jest.mock('generateRandomKey');
+
+const ContentBlock = require('ContentBlock');
+const ContentState = require('ContentState');
+const DraftInputRules = require('DraftInputRules');
+const DraftModifier = require('DraftModifier');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const Immutable = require('immutable');
+
+const {MARKDOWN_RULES} = DraftInputRules;
+
+const getEditorState = (text: string = '', type: string = 'unstyled') => {
+  const editorState = EditorState.createWithContent(
+    ContentState.createFromBlockArray([
+      new ContentBlock({key: 'a', text, type}),
+    ]),
+  );
+  return EditorState.acceptSelection(
+    editorState,
+    SelectionState.createEmpty('a').merge({
+      anchorOffset: text.length,
+      focusOffset: text.length,
+    }),
+  );
+};
+
+// Type characters one at a time, as the editor does on `beforeInput`.
+const type = (
+  editorState: EditorState,
+  text: string,
+  rules: Array<DraftInputRule> = MARKDOWN_RULES,
+): EditorState =>
+  text.split('').reduce((state, chars) => {
+    const insertedState = EditorState.push(
+      state,
+      DraftModifier.insertText(
+        state.getCurrentContent(),
+        state.getSelection(),
+        chars,
+        state.getCurrentInlineStyle(),
+      ),
+      'insert-characters',
+    );
+    return (
+      DraftInputRules.applyInputRules(insertedState, rules, 'input') ||
+      insertedState
+    );
+  }, editorState);
+
+const getBlock = (editorState: EditorState) =>
+  editorState.getCurrentContent().getFirstBlock();
+
+const getStyles = (editorState: EditorState) =>
+  getBlock(editorState)
+    .getCharacterList()
+    .map(character =>
+      character
+        .getStyle()
+        .toArray()
+        .join(','),
+    )
+    .toArray();
+
+test('must convert block shortcuts typed at the start of a block', () => {
+  [
+    ['# ', 'header-one'],
+    ['### ', 'header-three'],
+    ['###### ', 'header-six'],
+    ['- ', 'unordered-list-item'],
+    ['* ', 'unordered-list-item'],
+    ['1. ', 'ordered-list-item'],
+    ['> ', 'blockquote'],
+    ['``` ', 'code-block'],
+  ].forEach(([shortcut, blockType]) => {
+    const editorState = type(getEditorState(), shortcut + 'x');
+    expect(getBlock(editorState).getType()).toBe(blockType);
+    expect(getBlock(editorState).getText()).toBe('x');
+  });
+});
+
+test('must not convert block shortcuts typed after other text', () => {
+  const editorState = type(getEditorState('Hello'), ' # ');
+  expect(getBlock(editorState).getType()).toBe('unstyled');
+  expect(getBlock(editorState).getText()).toBe('Hello # ');
+});
+
+test('must not convert block shortcuts in styled blocks', () => {
+  const editorState = type(getEditorState('', 'code-block'), '# ');
+  expect(getBlock(editorState).getType()).toBe('code-block');
+  expect(getBlock(editorState).getText()).toBe('# ');
+});
+
+test('must restore the typed characters when undoing a conversion', () => {
+  const editorState = type(getEditorState(), '# ');
+  expect(getBlock(editorState).getType()).toBe('header-one');
+
+  const undone = EditorState.undo(editorState);
+  expect(getBlock(undone).getType()).toBe('unstyled');
+  expect(getBlock(undone).getText()).toBe('# ');
+  expect(undone.getSelection().getAnchorOffset()).toBe(2);
+
+  expect(getBlock(EditorState.undo(undone)).getText()).toBe('');
+});
+
+test('must convert emphasis markers to inline styles', () => {
+  [
+    ['**bold**', 'BOLD'],
+    ['__bold__', 'BOLD'],
+    ['*italic*', 'ITALIC'],
+    ['_italic_', 'ITALIC'],
+    ['`code`', 'CODE'],
+    ['~~gone~~', 'STRIKETHROUGH'],
+  ].forEach(([markdown, style]) => {
+    const editorState = type(getEditorState('a '), markdown + ' b');
+    const text = markdown.replace(/[*_`~]/g, '');
+    expect(getBlock(editorState).getText()).toBe(`a ${text} b`);
+    expect(getStyles(editorState)).toEqual([
+      '',
+      '',
+      ...text.split('').map(() => style),
+      '',
+      '',
+    ]);
+  });
+});
+
+test('must not convert unmatched or intraword markers', () => {
+  ['2 * 3 * 4', 'snake_case_name', '** not bold **', '`` ``'].forEach(text => {
+    expect(getBlock(type(getEditorState(), text)).getText()).toBe(text);
+  });
+});
+
+test('must not convert markers inside code', () => {
+  expect(
+    getBlock(type(getEditorState('', 'code-block'), '**a**')).getText(),
+  ).toBe('**a**');
+  const codeState = EditorState.setInlineStyleOverride(
+    getEditorState(),
+    Immutable.OrderedSet(['CODE']),
+  );
+  expect(getBlock(type(codeState, '**a**')).getText()).toBe('**a**');
+});
+
+test('must restore the markers when undoing an inline conversion', () => {
+  const editorState = type(getEditorState(), '**bold**');
+  expect(getBlock(editorState).getText()).toBe('bold');
+
+  const undone = EditorState.undo(editorState);
+  expect(getBlock(undone).getText()).toBe('**bold**');
+  expect(getStyles(undone).every(style => style === '')).toBe(true);
+  expect(undone.getSelection().getAnchorOffset()).toBe(8);
+});
+
+test('must convert code fences when a newline is inserted', () => {
+  const editorState = getEditorState('```js');
+  const converted = DraftInputRules.applyInputRules(
+    editorState,
+    MARKDOWN_RULES,
+    'newline',
+  );
+  expect(converted).not.toBe(null);
+  const block = getBlock(converted || editorState);
+  expect(block.getType()).toBe('code-block');
+  expect(block.getText()).toBe('');
+  expect(block.getData()).toEqual(Immutable.Map({language: 'js'}));
+
+  expect(
+    DraftInputRules.applyInputRules(editorState, MARKDOWN_RULES, 'input'),
+  ).toBe(null);
+});
+
+test('must apply custom rules', () => {
+  const rules = [
+    DraftInputRules.blockTypeRule(/^\[\] $/, 'checkable-list-item'),
+    {
+      pattern: /->$/,
+      transform: (editorState, match, matchSelection) =>
+        EditorState.push(
+          editorState,
+          DraftModifier.replaceText(
+            editorState.getCurrentContent(),
+            matchSelection,
+            '→',
+          ),
+          'insert-characters',
+        ),
+    },
+  ];
+  const editorState = type(getEditorState(), '[] a -> b', rules);
+  expect(getBlock(editorState).getType()).toBe('checkable-list-item');
+  expect(getBlock(editorState).getText()).toBe('a → b');
+});
+
+test('must ignore non-collapsed selections', () => {
+  const editorState = EditorState.acceptSelection(
+    getEditorState('# '),
+    SelectionState.createEmpty('a').merge({focusOffset: 2}),
+  );
+  expect(
+    DraftInputRules.applyInputRules(editorState, MARKDOWN_RULES, 'input'),
+  ).toBe(null);
+});
@@ -211,3 +211,54 @@ describe('onTab on list block', () => {
     expect(depthAfterSecondTab).toBe(2);
   });
 });
+
+describe('handleKeyCommand', () => {
+  const {handleKeyCommand} = RichTextEditorUtil;
+
+  test('toggles block types and adjusts the depth of list items', () => {
+    const asList = handleKeyCommand(editorState, 'ordered-list-item');
+    expect(
+      asList
+        .getCurrentContent()
+        .getFirstBlock()
+        .getType(),
+    ).toBe('ordered-list-item');
+    expect(handleKeyCommand(editorState, 'indent')).toBe(null);
+    expect(handleKeyCommand(asList, 'outdent')).toBe(null);
+    // The first item of a list can't be indented.
+    expect(handleKeyCommand(asList, 'indent')).toBe(null);
+
+    const indented = handleKeyCommand(
+      EditorState.forceSelection(
+        asList,
+        selectionState.merge({anchorKey: 'b', focusKey: 'b'}),
+      ),
+      'indent',
+    );
+    expect(
+      indented
+        .getCurrentContent()
+        .getBlockForKey('b')
+        .getDepth(),
+    ).toBe(1);
+    // Nor can an item be indented deeper than the item before it.
+    expect(handleKeyCommand(indented, 'indent')).toBe(null);
+    expect(handleKeyCommand(editorState, 'link')).toBe(null);
+  });
+
+  test('clears the formatting of the selection', () => {
+    const selection = selectionState.merge({focusOffset: 5});
+    const bold = RichTextEditorUtil.toggleInlineStyle(
+      EditorState.forceSelection(editorState, selection),
+      'BOLD',
+    );
+    const cleared = handleKeyCommand(bold, 'clear-formatting');
+    expect(
+      cleared
+        .getCurrentContent()
+        .getFirstBlock()
+        .getInlineStyleAt(0).size,
+    ).toBe(0);
+    expect(handleKeyCommand(cleared, 'clear-formatting')).toBe(null);
+  });
+});
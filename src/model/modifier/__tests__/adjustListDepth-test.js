@@ -0,0 +1,65 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const adjustListDepth = require('adjustListDepth');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const nullthrows = require('nullthrows');
+
+test('must indent list items up to maxDepth', () => {
+  const content = convertFromRawToDraftState({
+    blocks: [
+      {key: 'a', type: 'ordered-list-item', text: 'One', depth: 0},
+      {key: 'b', type: 'ordered-list-item', text: 'Two', depth: 1},
+      {key: 'c', type: 'ordered-list-item', text: 'Three', depth: 1},
+    ],
+    entityMap: {},
+  });
+  const selected = EditorState.forceSelection(
+    EditorState.createWithContent(content),
+    SelectionState.createEmpty('c'),
+  );
+  expect(adjustListDepth(selected, 1, 1)).toBe(null);
+  const indented = nullthrows(adjustListDepth(selected, 1));
+  expect(
+    indented
+      .getCurrentContent()
+      .getBlockForKey('c')
+      .getDepth(),
+  ).toBe(2);
+  expect(adjustListDepth(indented, 1, 2)).toBe(null);
+  expect(
+    nullthrows(adjustListDepth(indented, -1))
+      .getCurrentContent()
+      .getBlockForKey('c')
+      .getDepth(),
+  ).toBe(1);
+});
+
+test('must not indent the first item of a list', () => {
+  const content = convertFromRawToDraftState({
+    blocks: [
+      {key: 'a', type: 'unstyled', text: 'Title'},
+      {key: 'b', type: 'unordered-list-item', text: 'One'},
+    ],
+    entityMap: {},
+  });
+  const selected = EditorState.forceSelection(
+    EditorState.createWithContent(content),
+    SelectionState.createEmpty('b'),
+  );
+  expect(adjustListDepth(selected, 1)).toBe(null);
+  expect(adjustListDepth(selected, -1)).toBe(null);
+});
@@ -0,0 +1,70 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+
+const EditorState = require('EditorState');
+
+const adjustBlockDepthForContentState = require('adjustBlockDepthForContentState');
+const getSelectedBlockRanges = require('getSelectedBlockRanges');
+
+const isListItem = (block: BlockNodeRecord): boolean =>
+  block.getType() === 'unordered-list-item' ||
+  block.getType() === 'ordered-list-item';
+
+/**
+ * Indent or outdent the selected blocks, as long as they are all list items.
+ * The first selected item can only be indented one level deeper than the list
+ * item before it, and no item deeper than `maxDepth`. Returns null if the
+ * depth can't be adjusted.
+ */
+function adjustListDepth(
+  editorState: EditorState,
+  adjustment: number,
+  maxDepth: number = 4,
+): ?EditorState {
+  const content = editorState.getCurrentContent();
+  const selection = editorState.getSelection();
+  const blocks = getSelectedBlockRanges(content, selection).map(
+    ({block}) => block,
+  );
+  if (!blocks.every(isListItem)) {
+    return null;
+  }
+  if (adjustment < 0) {
+    if (!blocks.some(block => block.getDepth() > 0)) {
+      return null;
+    }
+  } else {
+    const blockBefore = content.getBlockBefore(blocks[0].getKey());
+    const depthCap =
+      blockBefore && isListItem(blockBefore)
+        ? Math.min(blockBefore.getDepth() + 1, maxDepth)
+        : 0;
+    if (blocks[0].getDepth() >= depthCap) {
+      return null;
+    }
+  }
+  return EditorState.push(
+    editorState,
+    adjustBlockDepthForContentState(
+      content,
+      selection,
+      adjustment,
+      adjustment > 0 ? maxDepth : undefined,
+    ),
+    'adjust-depth',
+  );
+}
+
+module.exports = adjustListDepth;
@@ -4,9 +4,6 @@
  * This source code is licensed under the MIT license found in the
  * LICENSE file in the root directory of this source tree.
  *
- * This is unstable and not part of the public API and should not be used by
- * production systems. This file may be update/removed without notice.
- *
  * @flow
  * @format
  * @oncall draft_js
@@ -28,6 +25,7 @@ const RichTextEditorUtil = require('RichTextEditorUtil');
 const adjustBlockDepthForContentState = require('adjustBlockDepthForContentState');
 const generateRandomKey = require('generateRandomKey');
 const invariant = require('invariant');
+const keyCommandMoveToTableCell = require('keyCommandMoveToTableCell');
 
 // Eventually we could allow to control this list by either allowing user configuration
 // and/or a schema in conjunction to DraftBlockRenderMap
@@ -51,8 +49,29 @@ const NestedRichTextEditorUtil: RichTextUtils = {
           editorState,
           'UNDERLINE',
         );
+      case 'strikethrough':
+        return NestedRichTextEditorUtil.toggleInlineStyle(
+          editorState,
+          'STRIKETHROUGH',
+        );
       case 'code':
         return NestedRichTextEditorUtil.toggleCode(editorState);
+      case 'header-one':
+      case 'header-two':
+      case 'header-three':
+      case 'header-four':
+      case 'header-five':
+      case 'header-six':
+      case 'unordered-list-item':
+      case 'ordered-list-item':
+      case 'blockquote':
+      case 'code-block':
+        return NestedRichTextEditorUtil.toggleBlockType(editorState, command);
+      case 'indent':
+      case 'outdent': {
+        const withNesting = adjustNesting(editorState, command === 'outdent');
+        return withNesting !== editorState ? withNesting : null;
+      }
       case 'backspace':
       case 'backspace-word':
       case 'backspace-to-start-of-line':
@@ -62,8 +81,9 @@ const NestedRichTextEditorUtil: RichTextUtils = {
       case 'delete-to-end-of-block':
         return NestedRichTextEditorUtil.onDelete(editorState);
       default:
-        // they may have custom editor commands; ignore those
-        return null;
+        // Commands that don't depend on the structure of the blocks, such as
+        // `clear-formatting`, work as for flat content.
+        return RichTextEditorUtil.handleKeyCommand(editorState, command);
     }
   },
 
@@ -286,78 +306,19 @@ const NestedRichTextEditorUtil: RichTextUtils = {
     event: SyntheticKeyboardEvent<>,
     editorState: EditorState,
   ): EditorState => {
-    const selection = editorState.getSelection();
-    const key = selection.getAnchorKey();
-    if (key !== selection.getFocusKey()) {
-      return editorState;
+    const withCellSelection = keyCommandMoveToTableCell(
+      editorState,
+      event.shiftKey,
+    );
+    if (withCellSelection !== editorState) {
+      event.preventDefault();
+      return withCellSelection;
     }
 
-    let content = editorState.getCurrentContent();
-    const block = content.getBlockForKey(key);
-    const type = block.getType();
-    if (type !== 'unordered-list-item' && type !== 'ordered-list-item') {
-      return editorState;
+    if (isNestableSelection(editorState)) {
+      event.preventDefault();
     }
-
-    event.preventDefault();
-
-    // implement nested tree behaviour for onTab
-    let blockMap = editorState.getCurrentContent().getBlockMap();
-    const prevSiblingKey = block.getPrevSiblingKey();
-    const nextSiblingKey = block.getNextSiblingKey();
-    if (!event.shiftKey) {
-      // if there is no previous sibling, we do nothing
-      if (prevSiblingKey == null) {
-        return editorState;
-      }
-      // if previous sibling is a non-leaf move node as child of previous sibling
-      const prevSibling = blockMap.get(prevSiblingKey);
-      const nextSibling =
-        nextSiblingKey != null ? blockMap.get(nextSiblingKey) : null;
-      const prevSiblingNonLeaf =
-        prevSibling != null && prevSibling.getChildKeys().count() > 0;
-      const nextSiblingNonLeaf =
-        nextSibling != null && nextSibling.getChildKeys().count() > 0;
-      if (prevSiblingNonLeaf) {
-        blockMap = DraftTreeOperations.updateAsSiblingsChild(
-          blockMap,
-          key,
-          'previous',
-        );
-        // if next sibling is also non-leaf, merge the previous & next siblings
-        if (nextSiblingNonLeaf) {
-          blockMap = DraftTreeOperations.mergeBlocks(blockMap, prevSiblingKey);
-        }
-        // else, if only next sibling is non-leaf move node as child of next sibling
-      } else if (nextSiblingNonLeaf) {
-        blockMap = DraftTreeOperations.updateAsSiblingsChild(
-          blockMap,
-          key,
-          'next',
-        );
-        // if none of the siblings are non-leaf, we need to create a new parent
-      } else {
-        blockMap = DraftTreeOperations.createNewParent(blockMap, key);
-      }
-      // on un-tab
-    } else {
-      // if the block isn't nested, do nothing
-      if (block.getParentKey() == null) {
-        return editorState;
-      }
-      blockMap = onUntab(blockMap, block);
-    }
-    content = editorState.getCurrentContent().merge({
-      blockMap,
-    });
-
-    const withAdjustment = adjustBlockDepthForContentState(
-      content,
-      selection,
-      event.shiftKey ? -1 : 1,
-    );
-
-    return EditorState.push(editorState, withAdjustment, 'adjust-depth');
+    return adjustNesting(editorState, event.shiftKey);
   },
 
   toggleCode: (editorState: EditorState): EditorState => {
@@ -582,4 +543,94 @@ const onUntab = (blockMap: BlockMap, block: ContentBlockNode): BlockMap => {
   return blockMap;
 };
 
+/**
+ * Whether the selection is within a single list item, which Tab nests.
+ */
+const isNestableSelection = (editorState: EditorState): boolean => {
+  const selection = editorState.getSelection();
+  const key = selection.getAnchorKey();
+  if (key !== selection.getFocusKey()) {
+    return false;
+  }
+  const type = editorState
+    .getCurrentContent()
+    .getBlockForKey(key)
+    .getType();
+  return type === 'unordered-list-item' || type === 'ordered-list-item';
+};
+
+/**
+ * Nest the selected list item in the item before it, or move it out of its
+ * parent with `isOutdent`.
+ */
+const adjustNesting = (
+  editorState: EditorState,
+  isOutdent: boolean,
+): EditorState => {
+  if (!isNestableSelection(editorState)) {
+    return editorState;
+  }
+  const selection = editorState.getSelection();
+  const key = selection.getAnchorKey();
+  const block = editorState.getCurrentContent().getBlockForKey(key);
+
+  // implement nested tree behaviour for onTab
+  let blockMap = editorState.getCurrentContent().getBlockMap();
+  const prevSiblingKey = block.getPrevSiblingKey();
+  const nextSiblingKey = block.getNextSiblingKey();
+  if (!isOutdent) {
+    // if there is no previous sibling, we do nothing
+    if (prevSiblingKey == null) {
+      return editorState;
+    }
+    // if previous sibling is a non-leaf move node as child of previous sibling
+    const prevSibling = blockMap.get(prevSiblingKey);
+    const nextSibling =
+      nextSiblingKey != null ? blockMap.get(nextSiblingKey) : null;
+    const prevSiblingNonLeaf =
+      prevSibling != null && prevSibling.getChildKeys().count() > 0;
+    const nextSiblingNonLeaf =
+      nextSibling != null && nextSibling.getChildKeys().count() > 0;
+    if (prevSiblingNonLeaf) {
+      blockMap = DraftTreeOperations.updateAsSiblingsChild(
+        blockMap,
+        key,
+        'previous',
+      );
+      // if next sibling is also non-leaf, merge the previous & next siblings
+      if (nextSiblingNonLeaf) {
+        blockMap = DraftTreeOperations.mergeBlocks(blockMap, prevSiblingKey);
+      }
+      // else, if only next sibling is non-leaf move node as child of next sibling
+    } else if (nextSiblingNonLeaf) {
+      blockMap = DraftTreeOperations.updateAsSiblingsChild(
+        blockMap,
+        key,
+        'next',
+      );
+      // if none of the siblings are non-leaf, we need to create a new parent
+    } else {
+      blockMap = DraftTreeOperations.createNewParent(blockMap, key);
+    }
+    // on un-tab
+  } else {
+    // if the block isn't nested, do nothing
+    if (block.getParentKey() == null) {
+      return editorState;
+    }
+    blockMap = onUntab(blockMap, block);
+  }
+  const content = editorState.getCurrentContent().merge({
+    blockMap,
+  });
+
+  const withAdjustment = adjustBlockDepthForContentState(
+    content,
+    selection,
+    isOutdent ? -1 : 1,
+  );
+
+  return EditorState.push(editorState, withAdjustment, 'adjust-depth');
+};
+
 module.exports = NestedRichTextEditorUtil;
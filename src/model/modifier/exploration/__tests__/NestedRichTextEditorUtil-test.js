@@ -1071,3 +1071,106 @@ test('onDelete removes a following atomic block', () => {
     blockMapAfterDelete.size === blockSizeBeforeRemove + 1,
   ).toMatchSnapshot();
 });
+
+const tableBlockNodes = [
+  new ContentBlockNode({
+    key: 'T',
+    type: 'table',
+    children: List(['R']),
+  }),
+  new ContentBlockNode({
+    key: 'R',
+    parent: 'T',
+    type: 'table-row',
+    children: List(['X', 'Y']),
+  }),
+  new ContentBlockNode({
+    key: 'X',
+    parent: 'R',
+    nextSibling: 'Y',
+    text: 'Xray',
+    type: 'table-cell',
+  }),
+  new ContentBlockNode({
+    key: 'Y',
+    parent: 'R',
+    prevSibling: 'X',
+    text: 'Yak',
+    type: 'table-cell',
+  }),
+];
+
+const pressTabInTable = (key: string, shiftKey: boolean = false) => {
+  const tableEditorState = EditorState.forceSelection(
+    EditorState.createWithContent(
+      contentState.set(
+        'blockMap',
+        BlockMapBuilder.createFromArray(tableBlockNodes),
+      ),
+    ),
+    SelectionState.createEmpty(key),
+  );
+  return onTab({preventDefault: () => {}, shiftKey}, tableEditorState);
+};
+
+test('onTab in a table cell moves to the end of the next cell', () => {
+  const selection = pressTabInTable('X').getSelection();
+  expect(selection.getAnchorKey()).toBe('Y');
+  expect(selection.getAnchorOffset()).toBe(3);
+  expect(selection.isCollapsed()).toBe(true);
+});
+
+test('onTab with shift in a table cell moves to the previous cell', () => {
+  const selection = pressTabInTable('Y', true).getSelection();
+  expect(selection.getAnchorKey()).toBe('X');
+  expect(selection.getAnchorOffset()).toBe(4);
+  expect(
+    pressTabInTable('X', true)
+      .getSelection()
+      .getAnchorKey(),
+  ).toBe('X');
+});
+
+test('onTab in the last cell of a table adds a row', () => {
+  const newEditorState = pressTabInTable('Y');
+  const content = newEditorState.getCurrentContent();
+  const rowKeys = content.getBlockForKey('T').getChildKeys();
+  expect(rowKeys.size).toBe(2);
+  const newRow = content.getBlockForKey(rowKeys.last());
+  expect(newRow.getChildKeys().size).toBe(2);
+  expect(newEditorState.getSelection().getAnchorKey()).toBe(
+    newRow.getChildKeys().first(),
+  );
+  expect(EditorState.undo(newEditorState).getCurrentContent()).toBe(
+    newEditorState.getUndoStack().peek(),
+  );
+});
+
+test('handleKeyCommand nests list items for indent and outdent', () => {
+  const {handleKeyCommand} = NestedRichTextEditorUtil;
+  const getEditorState = key =>
+    EditorState.forceSelection(
+      EditorState.createWithContent(
+        contentState.set(
+          'blockMap',
+          BlockMapBuilder.createFromArray(contentBlockNodes2),
+        ),
+      ),
+      SelectionState.createEmpty(key),
+    );
+  const getBlock = (editorState, key) =>
+    editorState.getCurrentContent().getBlockForKey(key);
+
+  const indented = handleKeyCommand(getEditorState('B'), 'indent');
+  expect(getBlock(indented, 'B').getParentKey()).toBe('C');
+  expect(getBlock(indented, 'B').getDepth()).toBe(1);
+  const outdented = handleKeyCommand(indented, 'outdent');
+  expect(getBlock(outdented, 'B').getParentKey()).toBe(null);
+  expect(getBlock(outdented, 'B').getDepth()).toBe(0);
+  expect(handleKeyCommand(getEditorState('A'), 'indent')).toBe(null);
+  expect(
+    handleKeyCommand(getEditorState('H'), 'strikethrough')
+      ?.getCurrentInlineStyle()
+      .toArray(),
+  ).toEqual(['STRIKETHROUGH']);
+});
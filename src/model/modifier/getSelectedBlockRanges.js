@@ -0,0 +1,50 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type SelectionState from 'SelectionState';
+
+export type DraftSelectedBlockRange = {
+  block: BlockNodeRecord,
+  start: number,
+  end: number,
+  ...
+};
+
+/**
+ * Get the blocks that a selection spans, in document order, each with the
+ * offsets of the selected text within it. The ranges of blocks in the middle
+ * of the selection cover the whole block.
+ */
+function getSelectedBlockRanges(
+  contentState: ContentState,
+  selection: SelectionState,
+): Array<DraftSelectedBlockRange> {
+  const startKey = selection.getStartKey();
+  const endKey = selection.getEndKey();
+  const blockMap = contentState.getBlockMap();
+  return blockMap
+    .toSeq()
+    .skipUntil((_, k) => k === startKey)
+    .takeUntil((_, k) => k === endKey)
+    .concat([[endKey, blockMap.get(endKey)]])
+    .map((block, blockKey) => ({
+      block,
+      start: blockKey === startKey ? selection.getStartOffset() : 0,
+      end: blockKey === endKey ? selection.getEndOffset() : block.getLength(),
+    }))
+    .toArray();
+}
+
+module.exports = getSelectedBlockRanges;
@@ -0,0 +1,156 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockMap} from 'BlockMap';
+import type {DraftTreeDataOptions} from 'DraftTreeDataOptions';
+import type {ConvertToHTMLOptions} from 'convertFromDraftStateToHTML';
+
+const ContentBlockNode = require('ContentBlockNode');
+const ContentState = require('ContentState');
+
+const convertFromDraftStateToHTML = require('convertFromDraftStateToHTML');
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const isSafeLinkURL = require('isSafeLinkURL');
+
+const FRAGMENT_TYPE = 'application/x-draft-fragment';
+
+// The attributes of entities that hold a URL, by type of entity.
+const URL_ATTRIBUTES = {
+  IMAGE: ['src'],
+  LINK: ['url', 'href'],
+};
+
+/**
+ * Any page can write a fragment to the clipboard, so the URLs of its links
+ * and images are checked, as they are in HTML import: entities with an unsafe
+ * URL are dropped, and their text is pasted without them.
+ */
+const withoutUnsafeEntities = (entityMap: {[key: string]: any, ...}) =>
+  Object.keys(entityMap).reduce((safeEntityMap, key) => {
+    const entity = entityMap[key];
+    const data = entity?.data ?? {};
+    const isSafe = (URL_ATTRIBUTES[String(entity?.type).toUpperCase()] ?? [])
+      .filter(attribute => data[attribute] != null)
+      .every(
+        attribute =>
+          typeof data[attribute] === 'string' && isSafeLinkURL(data[attribute]),
+      );
+    return isSafe ? {...safeEntityMap, [key]: entity} : safeEntityMap;
+  }, ({}: {[key: string]: any, ...}));
+
+/**
+ * Unlink the blocks of a fragment from the blocks it was cut from, so that
+ * the part of a tree of blocks in the fragment is a tree itself.
+ */
+const detachFragment = (fragment: BlockMap): BlockMap =>
+  fragment.map(block => {
+    if (!(block instanceof ContentBlockNode)) {
+      return block;
+    }
+    const keyInFragment = (key: ?string) =>
+      key != null && fragment.has(key) ? key : null;
+    return block.merge({
+      parent: keyInFragment(block.getParentKey()),
+      prevSibling: keyInFragment(block.getPrevSiblingKey()),
+      nextSibling: keyInFragment(block.getNextSiblingKey()),
+      children: block.getChildKeys().filter(key => fragment.has(key)),
+    });
+  });
+
+const isContainerBlock = block =>
+  block instanceof ContentBlockNode && !block.getChildKeys().isEmpty();
+
+/**
+ * `DraftClipboard` serializes fragments to the system clipboard and back.
+ * Along with `text/html` and `text/plain`, which are generated from the
+ * fragment, the fragment is stored as raw blocks and entities, so that it can
+ * be pasted without any loss in any Draft editor.
+ */
+const DraftClipboard = {
+  FRAGMENT_TYPE,
+
+  /**
+   * Get the data to write to the clipboard for a fragment, by type. The HTML
+   * is generated with `convertToHTML` and `options`.
+   */
+  getClipboardData(
+    fragment: BlockMap,
+    options?: ConvertToHTMLOptions,
+  ): {[type: string]: string, ...} {
+    const contentState = ContentState.createFromBlockArray(
+      detachFragment(fragment).toArray(),
+    );
+    return {
+      [FRAGMENT_TYPE]: JSON.stringify(convertFromDraftStateToRaw(contentState)),
+      'text/html': convertFromDraftStateToHTML(contentState, options),
+      'text/plain': fragment
+        .toList()
+        .filter(block => !isContainerBlock(block))
+        .map(block => block.getText())
+        .join('\n'),
+    };
+  },
+
+  /**
+   * Write a fragment to the clipboard of a `copy` or `cut` event. Returns
+   * false if the clipboard can't be written to, in which case the native
+   * behavior of the event should be kept.
+   */
+  setClipboardData(
+    clipboardData: ?DataTransfer,
+    fragment: BlockMap,
+    options?: ConvertToHTMLOptions,
+  ): boolean {
+    if (!clipboardData || typeof clipboardData.setData !== 'function') {
+      return false;
+    }
+    const data = DraftClipboard.getClipboardData(fragment, options);
+    Object.keys(data).forEach(type => {
+      clipboardData.setData(type, data[type]);
+    });
+    return true;
+  },
+
+  /**
+   * Read a fragment from the `application/x-draft-fragment` data of the
+   * clipboard, as the kind of blocks given by the `treeData` option. Its
+   * entities are created as it is read, except for links and images with an
+   * unsafe URL. Returns null if the data is not a valid fragment.
+   */
+  getFragment(data: string, options?: DraftTreeDataOptions = {}): ?BlockMap {
+    // Any page can write this type of data, so the conversion of a malformed
+    // fragment may throw as well.
+    try {
+      const rawState = JSON.parse(data);
+      if (
+        !rawState ||
+        !Array.isArray(rawState.blocks) ||
+        rawState.blocks.length === 0 ||
+        rawState.blocks.some(block => typeof block?.text !== 'string') ||
+        rawState.entityMap == null ||
+        typeof rawState.entityMap !== 'object'
+      ) {
+        return null;
+      }
+      return convertFromRawToDraftState(
+        {...rawState, entityMap: withoutUnsafeEntities(rawState.entityMap)},
+        options,
+      ).getBlockMap();
+    } catch {
+      return null;
+    }
+  },
+};
+
+module.exports = DraftClipboard;
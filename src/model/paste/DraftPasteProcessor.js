@@ -15,6 +15,8 @@ import type {BlockNodeRecord} from 'BlockNodeRecord';
 import type CharacterMetadata from 'CharacterMetadata';
 import type {DraftBlockRenderMap} from 'DraftBlockRenderMap';
 import type {DraftBlockType} from 'DraftBlockType';
+import type {DraftTreeDataOptions} from 'DraftTreeDataOptions';
+import type {DraftHTMLImportOptions} from 'convertFromHTMLToContentBlocks';
 import type {EntityMap} from 'EntityMap';
 
 const ContentBlock = require('ContentBlock');
@@ -30,14 +32,12 @@ const sanitizeDraftText = require('sanitizeDraftText');
 const {List, Repeat} = Immutable;
 
 const experimentalTreeDataSupport = gkx('draft_tree_data_support');
-const ContentBlockRecord = experimentalTreeDataSupport
-  ? ContentBlockNode
-  : ContentBlock;
 
 const DraftPasteProcessor = {
   processHTML(
     html: string,
     blockRenderMap?: DraftBlockRenderMap,
+    options?: DraftHTMLImportOptions,
   ): ?{
     contentBlocks: ?Array<BlockNodeRecord>,
     entityMap: EntityMap,
@@ -47,6 +47,7 @@ const DraftPasteProcessor = {
       html,
       getSafeBodyFromHTML,
       blockRenderMap,
+      options,
     );
   },
 
@@ -54,7 +55,9 @@ const DraftPasteProcessor = {
     textBlocks: Array<string>,
     character: CharacterMetadata,
     type: DraftBlockType,
+    options?: DraftTreeDataOptions = {},
   ): Array<BlockNodeRecord> {
+    const treeData = options.treeData ?? experimentalTreeDataSupport;
     return textBlocks.reduce((acc, textLine, index) => {
       textLine = sanitizeDraftText(textLine);
       const key = generateRandomKey();
@@ -67,7 +70,7 @@ const DraftPasteProcessor = {
       };
 
       // next block updates previous block
-      if (experimentalTreeDataSupport && index !== 0) {
+      if (treeData && index !== 0) {
         const prevSiblingIndex = index - 1;
         // update previous block
         const previousBlock = (acc[prevSiblingIndex] = acc[
@@ -81,7 +84,11 @@ const DraftPasteProcessor = {
         };
       }
 
-      acc.push(new ContentBlockRecord(blockNodeConfig));
+      acc.push(
+        treeData
+          ? new ContentBlockNode(blockNodeConfig)
+          : new ContentBlock(blockNodeConfig),
+      );
 
       return acc;
     }, []);
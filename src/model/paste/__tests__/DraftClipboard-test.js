@@ -0,0 +1,229 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const ContentBlockNode = require('ContentBlockNode');
+const DraftClipboard = require('DraftClipboard');
+const SelectionState = require('SelectionState');
+
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const getContentStateFragment = require('getContentStateFragment');
+const Immutable = require('immutable');
+
+const {List, OrderedMap} = Immutable;
+
+const contentState = convertFromRawToDraftState({
+  blocks: [
+    {
+      key: 'a',
+      text: 'Hello world',
+      type: 'header-one',
+      inlineStyleRanges: [{offset: 0, length: 5, style: 'BOLD'}],
+      data: {id: 1},
+    },
+    {
+      key: 'b',
+      text: 'Go to the docs',
+      type: 'unstyled',
+      entityRanges: [{offset: 10, length: 4, key: 0}],
+    },
+  ],
+  entityMap: {
+    '0': {type: 'LINK', mutability: 'MUTABLE', data: {url: 'https://x.y'}},
+  },
+});
+
+const getFragment = () =>
+  getContentStateFragment(
+    contentState,
+    new SelectionState({
+      anchorKey: 'a',
+      anchorOffset: 0,
+      focusKey: 'b',
+      focusOffset: 14,
+    }),
+  );
+
+test('must generate the clipboard data of a fragment', () => {
+  const data = DraftClipboard.getClipboardData(getFragment());
+  expect(Object.keys(data)).toEqual([
+    'application/x-draft-fragment',
+    'text/html',
+    'text/plain',
+  ]);
+  expect(data['text/plain']).toBe('Hello world\nGo to the docs');
+  expect(data['text/html']).toBe(
+    '<h1><strong>Hello</strong> world</h1>' +
+      '<div>Go to the <a href="https://x.y">docs</a></div>',
+  );
+});
+
+test('must read back a fragment with its entities and block data', () => {
+  const data = DraftClipboard.getClipboardData(getFragment());
+  const fragment = DraftClipboard.getFragment(
+    data['application/x-draft-fragment'],
+  );
+  expect(fragment).not.toBe(null);
+  const blocks = fragment ? fragment.toArray() : [];
+  expect(blocks.map(block => block.getType())).toEqual([
+    'header-one',
+    'unstyled',
+  ]);
+  expect(blocks[0].getData().toJS()).toEqual({id: 1});
+  expect(blocks[0].getInlineStyleAt(0).toArray()).toEqual(['BOLD']);
+
+  const entityKey = blocks[1].getEntityAt(10);
+  expect(entityKey).not.toBe(null);
+  const entity = contentState.getEntity(entityKey);
+  expect(entity.getType()).toBe('LINK');
+  expect(entity.getData()).toEqual({url: 'https://x.y'});
+});
+
+test('must write the clipboard data to the clipboard of an event', () => {
+  const written = {};
+  const clipboardData: any = {
+    setData: (type, value) => {
+      written[type] = value;
+    },
+  };
+  expect(DraftClipboard.setClipboardData(clipboardData, getFragment())).toBe(
+    true,
+  );
+  expect(Object.keys(written).length).toBe(3);
+  expect(DraftClipboard.setClipboardData(null, getFragment())).toBe(false);
+});
+
+test('must ignore invalid fragment data', () => {
+  expect(DraftClipboard.getFragment('not json')).toBe(null);
+  expect(DraftClipboard.getFragment('{"blocks": []}')).toBe(null);
+  expect(DraftClipboard.getFragment('{"blocks": [], "entityMap": {}}')).toBe(
+    null,
+  );
+  expect(DraftClipboard.getFragment('null')).toBe(null);
+});
+
+test('must detach fragments of trees of blocks from their parents', () => {
+  const fragment = OrderedMap([
+    [
+      'c',
+      new ContentBlockNode({
+        key: 'c',
+        parent: 'p',
+        nextSibling: 'd',
+        text: 'Child',
+      }),
+    ],
+    [
+      'q',
+      new ContentBlockNode({
+        key: 'q',
+        prevSibling: 'p',
+        children: List(['r', 's']),
+      }),
+    ],
+    ['r', new ContentBlockNode({key: 'r', parent: 'q', text: 'Nested'})],
+  ]);
+  const data = DraftClipboard.getClipboardData(fragment);
+  expect(data['text/plain']).toBe('Child\nNested');
+  const {blocks} = JSON.parse(data['application/x-draft-fragment']);
+  expect(blocks.map(block => [block.key, block.children.length])).toEqual([
+    ['c', 0],
+    ['q', 1],
+  ]);
+});
+
+test('must ignore malformed fragments', () => {
+  [
+    '{"blocks": [{}], "entityMap": {}}',
+    '{"blocks": [null], "entityMap": {}}',
+    '{"blocks": [{"text": 1}], "entityMap": {}}',
+    '{"blocks": [{"text": "a", "entityRanges": [null]}], "entityMap": {}}',
+  ].forEach(data => expect(DraftClipboard.getFragment(data)).toBe(null));
+});
+
+test('must drop links and images with an unsafe URL from pasted fragments', () => {
+  const fragment = DraftClipboard.getFragment(
+    JSON.stringify({
+      blocks: [
+        {
+          key: 'a',
+          text: 'Click me, see',
+          entityRanges: [
+            {offset: 0, length: 5, key: 0},
+            {offset: 6, length: 2, key: 1},
+            {offset: 10, length: 3, key: 2},
+          ],
+        },
+      ],
+      entityMap: {
+        '0': {
+          type: 'LINK',
+          mutability: 'MUTABLE',
+          // eslint-disable-next-line no-script-url
+          data: {url: 'javascript:alert(1)'},
+        },
+        '1': {
+          type: 'LINK',
+          mutability: 'MUTABLE',
+          data: {url: 'https://x.y', href: ' java\tscript:alert(1)'},
+        },
+        '2': {
+          type: 'IMAGE',
+          mutability: 'IMMUTABLE',
+          data: {src: 'https://x.y/a.png'},
+        },
+      },
+    }),
+  );
+  const block = fragment ? fragment.first() : null;
+  expect(block?.getText()).toBe('Click me, see');
+  expect(block?.getEntityAt(0)).toBe(null);
+  expect(block?.getEntityAt(6)).toBe(null);
+  const imageKey = block?.getEntityAt(10);
+  expect(imageKey).not.toBe(null);
+  expect(contentState.getEntity(imageKey ?? '').getData()).toEqual({
+    src: 'https://x.y/a.png',
+  });
+
+  const unsafeImage = DraftClipboard.getFragment(
+    JSON.stringify({
+      blocks: [
+        {key: 'a', text: ' ', entityRanges: [{offset: 0, length: 1, key: 0}]},
+      ],
+      entityMap: {
+        '0': {
+          type: 'IMAGE',
+          mutability: 'IMMUTABLE',
+          // eslint-disable-next-line no-script-url
+          data: {src: 'javascript:alert(1)'},
+        },
+      },
+    }),
+  );
+  expect(unsafeImage?.first().getEntityAt(0)).toBe(null);
+});
+
+test('must read fragments as the kind of blocks of the target editor', () => {
+  const data = DraftClipboard.getClipboardData(getFragment())[
+    DraftClipboard.FRAGMENT_TYPE
+  ];
+  const treeFragment = DraftClipboard.getFragment(data, {treeData: true});
+  expect(treeFragment?.every(block => block instanceof ContentBlockNode)).toBe(
+    true,
+  );
+  const flatFragment = DraftClipboard.getFragment(data, {treeData: false});
+  expect(flatFragment?.some(block => block instanceof ContentBlockNode)).toBe(
+    false,
+  );
+});
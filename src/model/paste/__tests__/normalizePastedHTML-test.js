@@ -0,0 +1,133 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const convertFromHTMLToContentBlocks = require('convertFromHTMLToContentBlocks');
+const fs = require('fs');
+const getSafeBodyFromHTML = require('getSafeBodyFromHTML');
+const normalizePastedHTML = require('normalizePastedHTML');
+const path = require('path');
+
+// Clipboard HTML copied from Word 365 for Windows and Google Docs in Chrome
+const readFixture = (name: string) =>
+  fs.readFileSync(path.join(__dirname, '__fixtures__', name), 'utf8');
+
+const convert = (html: string) =>
+  (convertFromHTMLToContentBlocks(html)?.contentBlocks || []).filter(
+    block => block.getText() !== '',
+  );
+
+const getStyleRuns = block => {
+  const runs = [];
+  block.findStyleRanges(
+    () => true,
+    (start, end) => {
+      const style = block
+        .getInlineStyleAt(start)
+        .sort()
+        .toArray();
+      if (style.length > 0) {
+        runs.push([block.getText().slice(start, end), style]);
+      }
+    },
+  );
+  return runs;
+};
+
+const getLinkedText = block => {
+  let text = '';
+  block.getCharacterList().forEach((character, ii) => {
+    if (character.getEntity() != null) {
+      text += block.getText()[ii];
+    }
+  });
+  return text;
+};
+
+const EXPECTED_BLOCKS = [
+  ['header-one', 0, 'Quarterly report'],
+  [
+    'unstyled',
+    0,
+    'Revenue was up, costs were down, margins improved and the old plan is ' +
+      'on the wiki.',
+  ],
+  ['header-two', 0, 'Next steps'],
+  ['unordered-list-item', 0, 'Hire two engineers'],
+  ['unordered-list-item', 1, 'One senior'],
+  ['unordered-list-item', 0, 'Ship the beta'],
+  ['ordered-list-item', 0, 'Plan'],
+  ['ordered-list-item', 1, 'Budget'],
+  ['ordered-list-item', 0, 'Execute'],
+];
+
+const summarize = blocks =>
+  blocks.map(block => [block.getType(), block.getDepth(), block.getText()]);
+
+test('must recover lists and headings from Word', () => {
+  expect(summarize(convert(readFixture('word.html')))).toEqual(EXPECTED_BLOCKS);
+});
+
+test('must recover inline styles and links from Word', () => {
+  const blocks = convert(readFixture('word.html'));
+  expect(getStyleRuns(blocks[1])).toEqual([
+    ['up', ['BOLD']],
+    ['down', ['ITALIC']],
+    ['improved', ['UNDERLINE']],
+    ['old', ['STRIKETHROUGH']],
+  ]);
+  expect(getLinkedText(blocks[1])).toBe('the wiki');
+  expect(getStyleRuns(blocks[4])).toEqual([['senior', ['BOLD']]]);
+});
+
+test('must recover lists and headings from Google Docs', () => {
+  expect(summarize(convert(readFixture('google-docs.html')))).toEqual(
+    EXPECTED_BLOCKS,
+  );
+});
+
+test('must recover inline styles and links from Google Docs', () => {
+  const blocks = convert(readFixture('google-docs.html'));
+  expect(getStyleRuns(blocks[0])).toEqual([]);
+  expect(getStyleRuns(blocks[1])).toEqual([
+    ['up', ['BOLD']],
+    ['down', ['ITALIC']],
+    ['improved', ['UNDERLINE']],
+    ['old', ['BOLD', 'STRIKETHROUGH', 'UNDERLINE']],
+  ]);
+  expect(getLinkedText(blocks[1])).toBe('the wiki');
+  expect(getStyleRuns(blocks[4])).toEqual([['senior', ['BOLD']]]);
+});
+
+test('must drop the wrapper and layout elements of Google Docs', () => {
+  const body = getSafeBodyFromHTML(readFixture('google-docs.html'));
+  if (!body) {
+    throw new Error('Missing body');
+  }
+  normalizePastedHTML(body);
+  expect(body.querySelector('[id^="docs-internal-guid-"]')).toBe(null);
+  expect(body.querySelector('li > p')).toBe(null);
+  expect(body.querySelector('.Apple-interchange-newline')).toBe(null);
+});
+
+test('must leave HTML from other sources untouched', () => {
+  const html =
+    '<b>Bold</b><ul><li><p>Item</p></li></ul>' +
+    '<p style="margin-left: 10px">1. Text</p>';
+  const body = getSafeBodyFromHTML(html);
+  if (!body) {
+    throw new Error('Missing body');
+  }
+  expect(normalizePastedHTML(body).innerHTML).toBe(html);
+});
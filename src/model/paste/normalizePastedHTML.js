@@ -0,0 +1,217 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+export type PastedHTMLSource = 'word' | 'google-docs';
+
+// Word sets `mso-list: l<list> level<level> lfo<override>` on list paragraphs
+const REGEX_MSO_LIST = /mso-list:\s*l\d+\s+level(\d+)/i;
+const REGEX_MSO_LIST_IGNORE = /mso-list:\s*ignore/i;
+
+// Markers of numbered list items, such as `1.`, `a)` or `(iv)`
+const REGEX_ORDERED_MARKER = /^\(?[0-9a-z]{1,5}[.)]$/i;
+
+const WORD_HEADING_CLASSES = {
+  MsoTitle: 'h1',
+  MsoSubtitle: 'h2',
+};
+
+/**
+ * Replace a node by its children.
+ */
+const unwrap = (node: Node) => {
+  const parent = node.parentNode;
+  if (!parent) {
+    return;
+  }
+  while (node.firstChild) {
+    parent.insertBefore(node.firstChild, node);
+  }
+  parent.removeChild(node);
+};
+
+/**
+ * Replace an element by a new element with a different tag and the same
+ * children.
+ */
+const renameElement = (element: Element, tagName: string): Element => {
+  const renamed = element.ownerDocument.createElement(tagName);
+  while (element.firstChild) {
+    renamed.appendChild(element.firstChild);
+  }
+  if (element.parentNode) {
+    element.parentNode.replaceChild(renamed, element);
+  }
+  return renamed;
+};
+
+const getElements = (root: Element, selector: string): Array<Element> =>
+  Array.from(root.querySelectorAll(selector));
+
+/**
+ * Return the level of a Word list paragraph, starting at 1, or null if the
+ * element is not a list paragraph.
+ */
+const getWordListLevel = (element: ?Element): ?number => {
+  if (!element || element.nodeName.toLowerCase() !== 'p') {
+    return null;
+  }
+  const match = REGEX_MSO_LIST.exec(element.getAttribute('style') || '');
+  return match ? parseInt(match[1], 10) : null;
+};
+
+const getWordListMarkers = (element: Element): Array<Element> =>
+  getElements(element, '[style]').filter(child =>
+    REGEX_MSO_LIST_IGNORE.test(child.getAttribute('style') || ''),
+  );
+
+/**
+ * Word doesn't use list elements: list items are paragraphs with a
+ * `mso-list` style, starting with their bullet or number as text. Convert
+ * each run of consecutive list paragraphs to nested `ul` and `ol` elements,
+ * the type of a list being guessed from the marker of its items.
+ */
+const normalizeWordLists = (body: Element) => {
+  const doc = body.ownerDocument;
+  getElements(body, 'p').forEach(paragraph => {
+    // Paragraphs that are not in the document anymore have already been
+    // moved to a list, along with the first paragraph of their run.
+    if (getWordListLevel(paragraph) == null || !paragraph.parentNode) {
+      return;
+    }
+
+    const lists = [];
+    let item = paragraph;
+    while (item != null) {
+      const level = getWordListLevel(item);
+      if (level == null) {
+        break;
+      }
+      const next = item.nextElementSibling;
+      const marker = getWordListMarkers(item)
+        .map(markerElement => markerElement.textContent.trim())
+        .join('');
+      const listTag = REGEX_ORDERED_MARKER.test(marker) ? 'ol' : 'ul';
+
+      lists.length = Math.min(lists.length, level);
+      if (
+        lists.length === level &&
+        lists[level - 1].nodeName.toLowerCase() !== listTag
+      ) {
+        lists.length = level - 1;
+      }
+      while (lists.length < level) {
+        const list = doc.createElement(listTag);
+        if (lists.length > 0) {
+          lists[lists.length - 1].appendChild(list);
+        } else {
+          item.parentNode && item.parentNode.insertBefore(list, item);
+        }
+        lists.push(list);
+      }
+
+      getWordListMarkers(item).forEach(
+        markerElement =>
+          markerElement.parentNode &&
+          markerElement.parentNode.removeChild(markerElement),
+      );
+      lists[level - 1].appendChild(renameElement(item, 'li'));
+      item = next;
+    }
+  });
+};
+
+/**
+ * Word marks up lists with styled paragraphs, wraps text in `o:p` elements
+ * and writes list markers as text.
+ */
+const normalizeWordHTML = (body: Element) => {
+  normalizeWordLists(body);
+
+  // List markers left outside of lists, for instance in numbered headings
+  getElements(body, '[style]').forEach(element => {
+    if (REGEX_MSO_LIST_IGNORE.test(element.getAttribute('style') || '')) {
+      element.parentNode && element.parentNode.removeChild(element);
+    }
+  });
+
+  getElements(body, '*').forEach(element => {
+    if (element.nodeName.toLowerCase() === 'o:p') {
+      unwrap(element);
+    }
+  });
+
+  Object.keys(WORD_HEADING_CLASSES).forEach(className => {
+    getElements(body, `p.${className}`).forEach(element =>
+      renameElement(element, WORD_HEADING_CLASSES[className]),
+    );
+  });
+};
+
+/**
+ * Google Docs wraps the whole fragment in a `b` element whose bold is
+ * cancelled by its style, puts paragraphs within list items and underlines
+ * the text of links explicitly.
+ */
+const normalizeGoogleDocsHTML = (body: Element) => {
+  getElements(body, 'b[id^="docs-internal-guid-"]').forEach(unwrap);
+  getElements(body, 'br.Apple-interchange-newline').forEach(
+    element => element.parentNode && element.parentNode.removeChild(element),
+  );
+  getElements(body, 'li > p').forEach(unwrap);
+  getElements(body, 'a [style]').forEach(element => {
+    const {style} = (element: any);
+    const textDecoration = style.textDecoration
+      .split(/\s+/)
+      .filter(value => value !== 'underline')
+      .join(' ');
+    style.textDecoration = textDecoration || 'none';
+  });
+};
+
+/**
+ * Guess which application produced some pasted HTML, if it is one whose
+ * markup needs to be normalized.
+ */
+const getPastedHTMLSource = (body: Element): ?PastedHTMLSource => {
+  // DOM builders other than getSafeBodyFromHTML may not support selectors
+  if (typeof body.querySelector !== 'function') {
+    return null;
+  }
+  if (body.querySelector('[id^="docs-internal-guid-"]')) {
+    return 'google-docs';
+  }
+  if (body.querySelector('[class^="Mso"], [style*="mso-"]')) {
+    return 'word';
+  }
+  return null;
+};
+
+/**
+ * Rewrite the HTML produced by Microsoft Word and Google Docs, in place, to
+ * the semantic markup that `convertFromHTML` understands: lists are made of
+ * `ul`, `ol` and `li` elements and the elements that only hold layout
+ * information are removed. HTML from other sources is left as is.
+ */
+function normalizePastedHTML(body: Element): Element {
+  switch (getPastedHTMLSource(body)) {
+    case 'word':
+      normalizeWordHTML(body);
+      break;
+    case 'google-docs':
+      normalizeGoogleDocsHTML(body);
+      break;
+  }
+  return body;
+}
+
+module.exports = normalizePastedHTML;
@@ -0,0 +1,277 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type ContentState from 'ContentState';
+import type {DraftDecorator} from 'DraftDecorator';
+import type {DraftSearchMatch, DraftSearchOptions} from 'DraftSearchMatch';
+
+const DraftEditorSearchMatch = require('DraftEditorSearchMatch.react');
+const DraftModifier = require('DraftModifier');
+const EditorState = require('EditorState');
+const SelectionState = require('SelectionState');
+
+const findMatchesInBlock = require('findMatchesInBlock');
+const getEntityKeyForSelection = require('getEntityKeyForSelection');
+
+const getMatchSelection = (
+  match: DraftSearchMatch,
+  hasFocus: boolean,
+): SelectionState =>
+  SelectionState.createEmpty(match.blockKey).merge({
+    anchorOffset: match.start,
+    focusOffset: match.end,
+    hasFocus,
+  });
+
+/**
+ * Replace the text of a match, keeping its inline style, and its entity if
+ * it is `MUTABLE`, as when typing over it.
+ */
+const replaceMatchInContent = (
+  contentState: ContentState,
+  match: DraftSearchMatch,
+  replacement: string,
+): ContentState => {
+  const selection = getMatchSelection(match, false);
+  return DraftModifier.replaceText(
+    contentState,
+    selection,
+    replacement,
+    contentState.getBlockForKey(match.blockKey).getInlineStyleAt(match.start),
+    getEntityKeyForSelection(contentState, selection),
+  );
+};
+
+/**
+ * Compare a match to the position at `offset` in the block at `blockIndex`:
+ * negative if the match starts before it, positive if it starts after it.
+ */
+const compareToPosition = (
+  contentState: ContentState,
+  match: DraftSearchMatch,
+  blockIndex: number,
+  offset: number,
+): number => {
+  const matchBlockIndex = contentState
+    .getBlockMap()
+    .keySeq()
+    .indexOf(match.blockKey);
+  return matchBlockIndex !== blockIndex
+    ? matchBlockIndex - blockIndex
+    : match.start - offset;
+};
+
+/**
+ * `DraftFindReplace` finds the text matching a search query, highlights the
+ * matches with a decorator, moves the selection from match to match, and
+ * replaces them.
+ *
+ * Matches are given in document order, as ranges of the blocks they are in,
+ * including the text of entities. The functions taking matches expect them to
+ * have been found in the current content of the editor state.
+ */
+const DraftFindReplace = {
+  findMatches(
+    contentState: ContentState,
+    query: string,
+    options: DraftSearchOptions = {},
+  ): Array<DraftSearchMatch> {
+    const matches = [];
+    contentState.getBlockMap().forEach(block => {
+      matches.push(...findMatchesInBlock(block, query, options));
+    });
+    return matches;
+  },
+
+  /**
+   * Create a decorator highlighting the matches of a query, and the active
+   * one differently, to use along with the other decorators of the editor.
+   * Its matches overlap the decorations of the other decorators rather than
+   * hiding them.
+   *
+   * The component is given the `activeMatch` as a prop, along with the usual
+   * props of decorator components.
+   */
+  createDecorator(
+    query: string,
+    options: DraftSearchOptions = {},
+    activeMatch?: ?DraftSearchMatch,
+    component?: Function,
+  ): DraftDecorator {
+    return {
+      strategy: (block, callback) => {
+        findMatchesInBlock(block, query, options).forEach(({start, end}) =>
+          callback(start, end),
+        );
+      },
+      component: component || DraftEditorSearchMatch,
+      props: {activeMatch: activeMatch || null},
+      overlap: true,
+    };
+  },
+
+  /**
+   * Get the match that is selected, if any.
+   */
+  getSelectedMatch(
+    editorState: EditorState,
+    matches: Array<DraftSearchMatch>,
+  ): ?DraftSearchMatch {
+    const selection = editorState.getSelection();
+    return matches.find(
+      match =>
+        match.blockKey === selection.getStartKey() &&
+        match.blockKey === selection.getEndKey() &&
+        match.start === selection.getStartOffset() &&
+        match.end === selection.getEndOffset(),
+    );
+  },
+
+  /**
+   * Select a match, and have the editor scroll to it. The focus of the editor
+   * is left as is, so that matches can be selected from a search field.
+   */
+  selectMatch(editorState: EditorState, match: DraftSearchMatch): EditorState {
+    return EditorState.forceSelection(
+      editorState,
+      getMatchSelection(match, editorState.getSelection().getHasFocus()),
+    );
+  },
+
+  /**
+   * Select the first match after the selection, or the first match of the
+   * content after the last one.
+   */
+  selectNextMatch(
+    editorState: EditorState,
+    matches: Array<DraftSearchMatch>,
+  ): EditorState {
+    if (matches.length === 0) {
+      return editorState;
+    }
+    const contentState = editorState.getCurrentContent();
+    const selection = editorState.getSelection();
+    const blockIndex = contentState
+      .getBlockMap()
+      .keySeq()
+      .indexOf(selection.getEndKey());
+    const nextMatch = matches.find(
+      match =>
+        compareToPosition(
+          contentState,
+          match,
+          blockIndex,
+          selection.getEndOffset(),
+        ) >= 0,
+    );
+    return DraftFindReplace.selectMatch(editorState, nextMatch || matches[0]);
+  },
+
+  /**
+   * Select the last match before the selection, or the last match of the
+   * content before the first one.
+   */
+  selectPreviousMatch(
+    editorState: EditorState,
+    matches: Array<DraftSearchMatch>,
+  ): EditorState {
+    if (matches.length === 0) {
+      return editorState;
+    }
+    const contentState = editorState.getCurrentContent();
+    const selection = editorState.getSelection();
+    const blockIndex = contentState
+      .getBlockMap()
+      .keySeq()
+      .indexOf(selection.getStartKey());
+    const previousMatches = matches.filter(
+      match =>
+        compareToPosition(
+          contentState,
+          match,
+          blockIndex,
+          selection.getStartOffset(),
+        ) < 0,
+    );
+    return DraftFindReplace.selectMatch(
+      editorState,
+      previousMatches.length > 0
+        ? previousMatches[previousMatches.length - 1]
+        : matches[matches.length - 1],
+    );
+  },
+
+  /**
+   * Replace the text of a match, selecting the text that replaced it.
+   */
+  replaceMatch(
+    editorState: EditorState,
+    match: DraftSearchMatch,
+    replacement: string,
+  ): EditorState {
+    const selection = editorState.getSelection();
+    const contentState = replaceMatchInContent(
+      editorState.getCurrentContent(),
+      match,
+      replacement,
+    ).merge({
+      selectionBefore: selection,
+      selectionAfter: getMatchSelection(
+        {...match, end: match.start + replacement.length},
+        selection.getHasFocus(),
+      ),
+    });
+    return EditorState.push(editorState, contentState, 'insert-fragment');
+  },
+
+  /**
+   * Replace the text of all the matches, as a single undo step. The selection
+   * is moved after the text that replaced the last match.
+   */
+  replaceAll(
+    editorState: EditorState,
+    matches: Array<DraftSearchMatch>,
+    replacement: string,
+  ): EditorState {
+    if (matches.length === 0) {
+      return editorState;
+    }
+    // Matches are replaced from the end, for the offsets of the matches
+    // before them to stay the same.
+    const withReplacements = matches.reduceRight(
+      (contentState, match) =>
+        replaceMatchInContent(contentState, match, replacement),
+      editorState.getCurrentContent(),
+    );
+    const lastMatch = matches[matches.length - 1];
+    const lastOffset = matches
+      .filter(match => match.blockKey === lastMatch.blockKey)
+      .reduce(
+        (offset, match) =>
+          offset + replacement.length - (match.end - match.start),
+        lastMatch.end,
+      );
+    const selection = editorState.getSelection();
+    const contentState = withReplacements.merge({
+      selectionBefore: selection,
+      selectionAfter: SelectionState.createEmpty(lastMatch.blockKey).merge({
+        anchorOffset: lastOffset,
+        focusOffset: lastOffset,
+        hasFocus: selection.getHasFocus(),
+      }),
+    });
+    return EditorState.push(editorState, contentState, 'insert-fragment');
+  },
+};
+
+module.exports = DraftFindReplace;
@@ -0,0 +1,35 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow strict
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+/**
+ * How the query of a search is matched against the text. The query is looked
+ * for as is, ignoring case, unless told otherwise.
+ */
+export type DraftSearchOptions = {
+  // Whether the query is a regular expression
+  regex?: boolean,
+  caseSensitive?: boolean,
+  // Whether the query only matches whole words
+  wholeWord?: boolean,
+  ...
+};
+
+/**
+ * A range of text matching the query of a search, within a single block.
+ */
+export type DraftSearchMatch = {
+  blockKey: string,
+  start: number,
+  end: number,
+  ...
+};
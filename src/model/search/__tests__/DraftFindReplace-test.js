@@ -0,0 +1,203 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const CompositeDraftDecorator = require('CompositeDraftDecorator');
+const DraftFindReplace = require('DraftFindReplace');
+const EditorState = require('EditorState');
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+
+const getEditorState = () =>
+  EditorState.createWithContent(
+    convertFromRawToDraftState({
+      blocks: [
+        {
+          key: 'a',
+          text: 'The cat sat on the mat',
+          type: 'unstyled',
+          inlineStyleRanges: [{style: 'BOLD', offset: 4, length: 3}],
+        },
+        {
+          key: 'b',
+          text: 'Cats and a cat link',
+          type: 'unstyled',
+          entityRanges: [{key: 0, offset: 11, length: 8}],
+        },
+      ],
+      entityMap: {
+        '0': {type: 'LINK', mutability: 'MUTABLE', data: {url: 'cat.com'}},
+      },
+    }),
+  );
+
+const toRanges = matches =>
+  matches.map(({blockKey, start, end}) => [blockKey, start, end]);
+
+const findMatches = (query, options) =>
+  toRanges(
+    DraftFindReplace.findMatches(
+      getEditorState().getCurrentContent(),
+      query,
+      options,
+    ),
+  );
+
+const getRawBlocks = editorState =>
+  convertFromDraftStateToRaw(editorState.getCurrentContent()).blocks.map(
+    ({text, inlineStyleRanges, entityRanges}) => ({
+      text,
+      inlineStyleRanges,
+      entityRanges,
+    }),
+  );
+
+test('must find matches in document order, within entities', () => {
+  expect(findMatches('cat')).toEqual([
+    ['a', 4, 7],
+    ['b', 0, 3],
+    ['b', 11, 14],
+  ]);
+  expect(findMatches('Cat', {caseSensitive: true})).toEqual([['b', 0, 3]]);
+  expect(findMatches('cat', {wholeWord: true})).toEqual([
+    ['a', 4, 7],
+    ['b', 11, 14],
+  ]);
+  expect(findMatches('[cm]at\\b', {regex: true})).toEqual([
+    ['a', 4, 7],
+    ['a', 19, 22],
+    ['b', 11, 14],
+  ]);
+});
+
+test('must find nothing for empty queries and invalid regular expressions', () => {
+  expect(findMatches('')).toEqual([]);
+  expect(findMatches('(cat', {regex: true})).toEqual([]);
+  expect(findMatches('x*', {regex: true})).toEqual([]);
+  expect(findMatches('(cat')).toEqual([]);
+});
+
+test('must select the next and previous matches, wrapping around', () => {
+  let editorState = getEditorState();
+  const matches = DraftFindReplace.findMatches(
+    editorState.getCurrentContent(),
+    'cat',
+  );
+
+  const getSelectedMatch = () => {
+    const match = DraftFindReplace.getSelectedMatch(editorState, matches);
+    return match ? [match.blockKey, match.start, match.end] : null;
+  };
+
+  expect(getSelectedMatch()).toBe(null);
+  editorState = DraftFindReplace.selectNextMatch(editorState, matches);
+  expect(getSelectedMatch()).toEqual(['a', 4, 7]);
+  expect(editorState.mustForceSelection()).toBe(true);
+  editorState = DraftFindReplace.selectNextMatch(editorState, matches);
+  editorState = DraftFindReplace.selectNextMatch(editorState, matches);
+  expect(getSelectedMatch()).toEqual(['b', 11, 14]);
+  editorState = DraftFindReplace.selectNextMatch(editorState, matches);
+  expect(getSelectedMatch()).toEqual(['a', 4, 7]);
+  editorState = DraftFindReplace.selectPreviousMatch(editorState, matches);
+  expect(getSelectedMatch()).toEqual(['b', 11, 14]);
+  editorState = DraftFindReplace.selectPreviousMatch(editorState, matches);
+  expect(getSelectedMatch()).toEqual(['b', 0, 3]);
+});
+
+test('must replace a match keeping its style and mutable entity', () => {
+  let editorState = getEditorState();
+  const matches = DraftFindReplace.findMatches(
+    editorState.getCurrentContent(),
+    'cat',
+  );
+  editorState = DraftFindReplace.replaceMatch(editorState, matches[0], 'dog');
+  editorState = DraftFindReplace.replaceMatch(
+    editorState,
+    matches[2],
+    'kitten',
+  );
+  expect(getRawBlocks(editorState)).toEqual([
+    {
+      text: 'The dog sat on the mat',
+      inlineStyleRanges: [{style: 'BOLD', offset: 4, length: 3}],
+      entityRanges: [],
+    },
+    {
+      text: 'Cats and a kitten link',
+      inlineStyleRanges: [],
+      entityRanges: [{key: 0, offset: 11, length: 11}],
+    },
+  ]);
+  expect(editorState.getSelection().getStartOffset()).toBe(11);
+  expect(editorState.getSelection().getEndOffset()).toBe(17);
+  expect(editorState.getUndoStack().size).toBe(2);
+});
+
+test('must replace all the matches as a single undo step', () => {
+  const editorState = getEditorState();
+  const matches = DraftFindReplace.findMatches(
+    editorState.getCurrentContent(),
+    'cat',
+  );
+  const replaced = DraftFindReplace.replaceAll(editorState, matches, 'kitten');
+  expect(getRawBlocks(replaced).map(({text}) => text)).toEqual([
+    'The kitten sat on the mat',
+    'kittens and a kitten link',
+  ]);
+  const selection = replaced.getSelection();
+  expect([selection.getFocusKey(), selection.getFocusOffset()]).toEqual([
+    'b',
+    20,
+  ]);
+  expect(replaced.getUndoStack().size).toBe(1);
+  expect(
+    EditorState.undo(replaced)
+      .getCurrentContent()
+      .getPlainText(),
+  ).toBe(editorState.getCurrentContent().getPlainText());
+  expect(DraftFindReplace.replaceAll(editorState, [], 'kitten')).toBe(
+    editorState,
+  );
+});
+
+test('must decorate matches over the decorations of other decorators', () => {
+  const editorState = getEditorState();
+  const contentState = editorState.getCurrentContent();
+  const activeMatch = {blockKey: 'b', start: 11, end: 14};
+  const searchDecorator = DraftFindReplace.createDecorator(
+    'at',
+    {},
+    activeMatch,
+  );
+  const decorator = new CompositeDraftDecorator([
+    {
+      strategy: (block, callback) => {
+        block.findEntityRanges(
+          character => character.getEntity() !== null,
+          callback,
+        );
+      },
+      component: () => null,
+    },
+    searchDecorator,
+  ]);
+  expect(
+    decorator
+      .getDecorations(contentState.getBlockForKey('b'), contentState)
+      .toArray()
+      .slice(10, 15),
+  ).toEqual([null, '0.0', '0.0,1.1', '0.0,1.1', '0.0']);
+  expect(decorator.getPropsForKey('1.1')).toEqual({activeMatch});
+});
@@ -0,0 +1,77 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type {DraftSearchMatch, DraftSearchOptions} from 'DraftSearchMatch';
+
+const TokenizeUtil = require('TokenizeUtil');
+
+// The underscore is part of words, as in `DraftRemovableWord`
+const NON_WORD_REGEX = new RegExp(
+  '^(?:\\s|(?![_])' + TokenizeUtil.getPunctuation() + ')$',
+);
+
+const isWordCharacter = (character: ?string): boolean =>
+  character != null && !NON_WORD_REGEX.test(character);
+
+const createSearchRegex = (
+  query: string,
+  options: DraftSearchOptions,
+): ?RegExp => {
+  const source = options.regex
+    ? query
+    : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  try {
+    return new RegExp(source, options.caseSensitive ? 'g' : 'gi');
+  } catch (error) {
+    // Regular expressions are often invalid while they are being typed
+    return null;
+  }
+};
+
+/**
+ * Find the ranges of the text of a block matching a search query, in order.
+ * Matches don't overlap, and empty matches are skipped. An invalid regular
+ * expression matches nothing.
+ */
+function findMatchesInBlock(
+  block: BlockNodeRecord,
+  query: string,
+  options: DraftSearchOptions,
+): Array<DraftSearchMatch> {
+  const regex = query ? createSearchRegex(query, options) : null;
+  if (!regex) {
+    return [];
+  }
+
+  const blockKey = block.getKey();
+  const text = block.getText();
+  const matches = [];
+  let match = regex.exec(text);
+  while (match) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (start === end) {
+      regex.lastIndex++;
+    } else if (
+      !options.wholeWord ||
+      (!isWordCharacter(text[start - 1]) && !isWordCharacter(text[end]))
+    ) {
+      matches.push({blockKey, start, end});
+    }
+    match = regex.exec(text);
+  }
+  return matches;
+}
+
+module.exports = findMatchesInBlock;
@@ -0,0 +1,45 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow strict
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+/**
+ * Suggested insertions are kept in the document until they are accepted,
+ * like suggested deletions, which are only removed once accepted.
+ */
+export type DraftSuggestionType = 'insertion' | 'deletion';
+
+/**
+ * The author of the changes made in suggestion mode, and when they were made.
+ */
+export type DraftSuggestionContext = {
+  author: string,
+  timestamp: number,
+};
+
+/**
+ * A suggestion is stored as an inline style of the characters it covers, and
+ * identified by the name of this style, its `key`.
+ */
+export type DraftSuggestion = {
+  key: string,
+  type: DraftSuggestionType,
+  author: string,
+  timestamp: number,
+};
+
+/**
+ * The ranges of text covered by a suggestion, in document order.
+ */
+export type DraftSuggestionWithRanges = {
+  ...DraftSuggestion,
+  ranges: Array<{blockKey: string, start: number, end: number}>,
+};
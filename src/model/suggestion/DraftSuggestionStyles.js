@@ -0,0 +1,89 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {DraftInlineStyle} from 'DraftInlineStyle';
+import type {
+  DraftSuggestion,
+  DraftSuggestionContext,
+  DraftSuggestionType,
+} from 'DraftSuggestion';
+
+const CharacterMetadata = require('CharacterMetadata');
+
+const STYLE_PREFIX = 'suggestion-';
+
+/**
+ * Suggestions are stored as inline styles named
+ * `suggestion-<type>:<timestamp>:<author>`, so that they are kept along with
+ * the other styles of the text by every modifier, by copy and paste and by
+ * the raw conversion.
+ */
+const DraftSuggestionStyles = {
+  getStyle(type: DraftSuggestionType, context: DraftSuggestionContext): string {
+    return `${STYLE_PREFIX}${type}:${context.timestamp}:${context.author}`;
+  },
+
+  parse(style: string): ?DraftSuggestion {
+    if (!style.startsWith(STYLE_PREFIX)) {
+      return null;
+    }
+    const typeEnd = style.indexOf(':');
+    const timestampEnd = style.indexOf(':', typeEnd + 1);
+    const type = style.slice(STYLE_PREFIX.length, typeEnd);
+    if (timestampEnd === -1 || (type !== 'insertion' && type !== 'deletion')) {
+      return null;
+    }
+    return {
+      key: style,
+      type,
+      author: style.slice(timestampEnd + 1),
+      timestamp: Number(style.slice(typeEnd + 1, timestampEnd)),
+    };
+  },
+
+  /**
+   * Find the suggestion of the given type and author among `styles`.
+   */
+  find(
+    styles: DraftInlineStyle,
+    type: DraftSuggestionType,
+    author?: string,
+  ): ?DraftSuggestion {
+    let found = null;
+    styles.some(style => {
+      const suggestion = DraftSuggestionStyles.parse(style);
+      if (
+        suggestion &&
+        suggestion.type === type &&
+        (author === undefined || suggestion.author === author)
+      ) {
+        found = suggestion;
+      }
+      return found != null;
+    });
+    return found;
+  },
+
+  removeFromCharacter(character: CharacterMetadata): CharacterMetadata {
+    return character
+      .getStyle()
+      .filter(style => DraftSuggestionStyles.parse(style) != null)
+      .reduce(
+        (newCharacter, style) =>
+          CharacterMetadata.removeStyle(newCharacter, style),
+        character,
+      );
+  },
+};
+
+module.exports = DraftSuggestionStyles;
@@ -0,0 +1,318 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockMap} from 'BlockMap';
+import type ContentState from 'ContentState';
+import type {DraftInlineStyle} from 'DraftInlineStyle';
+import type {DraftRemovalDirection} from 'DraftRemovalDirection';
+import type {
+  DraftSuggestion,
+  DraftSuggestionContext,
+  DraftSuggestionWithRanges,
+} from 'DraftSuggestion';
+import type SelectionState from 'SelectionState';
+
+const CharacterMetadata = require('CharacterMetadata');
+const DraftModifier = require('DraftModifier');
+const DraftSuggestionStyles = require('DraftSuggestionStyles');
+const UnicodeUtils = require('UnicodeUtils');
+
+const Immutable = require('immutable');
+const markRangeAsDeleted = require('markRangeAsDeleted');
+const resolveSuggestions = require('resolveSuggestions');
+
+const {OrderedSet} = Immutable;
+
+/**
+ * Suggest the removal of the selected text, if any, and return the content
+ * along with the collapsed selection at which to insert the new text.
+ */
+const removeForInsertion = (
+  contentState: ContentState,
+  targetRange: SelectionState,
+  context: DraftSuggestionContext,
+): [ContentState, SelectionState] => {
+  if (targetRange.isCollapsed()) {
+    return [contentState, targetRange];
+  }
+  const withDeletion = markRangeAsDeleted(
+    contentState,
+    targetRange,
+    'forward',
+    context,
+  );
+  return [withDeletion, withDeletion.getSelectionAfter()];
+};
+
+/**
+ * Get the style of the insertion made at `target`: text typed next to an
+ * insertion suggested by the same author extends it.
+ */
+const getInsertionStyle = (
+  contentState: ContentState,
+  target: SelectionState,
+  context: DraftSuggestionContext,
+): string => {
+  const block = contentState.getBlockForKey(target.getStartKey());
+  const offset = target.getStartOffset();
+  const adjacent = [offset - 1, offset]
+    .filter(ii => ii >= 0 && ii < block.getLength())
+    .map(ii =>
+      DraftSuggestionStyles.find(
+        block.getInlineStyleAt(ii),
+        'insertion',
+        context.author,
+      ),
+    )
+    .find(suggestion => suggestion != null);
+  return adjacent
+    ? adjacent.key
+    : DraftSuggestionStyles.getStyle('insertion', context);
+};
+
+/**
+ * `DraftSuggestions` provides the modifiers used by the editor in suggestion
+ * mode, which track changes instead of applying them: inserted text is
+ * marked as suggested for insertion, and removed text is kept in the
+ * document, marked as suggested for deletion. Suggestions can then be
+ * accepted or rejected, one at a time or all at once.
+ */
+const DraftSuggestions = {
+  replaceText(
+    contentState: ContentState,
+    rangeToReplace: SelectionState,
+    text: string,
+    context: DraftSuggestionContext,
+    inlineStyle?: DraftInlineStyle,
+    entityKey?: ?string,
+  ): ContentState {
+    const [withDeletion, target] = removeForInsertion(
+      contentState,
+      rangeToReplace,
+      context,
+    );
+    const style = (inlineStyle || OrderedSet())
+      .filter(name => DraftSuggestionStyles.parse(name) == null)
+      .add(getInsertionStyle(withDeletion, target, context));
+    return DraftModifier.insertText(
+      withDeletion,
+      target,
+      text,
+      style,
+      entityKey,
+    ).setSelectionBefore(rangeToReplace);
+  },
+
+  removeRange(
+    contentState: ContentState,
+    rangeToRemove: SelectionState,
+    removalDirection: DraftRemovalDirection,
+    context: DraftSuggestionContext,
+  ): ContentState {
+    return markRangeAsDeleted(
+      contentState,
+      rangeToRemove,
+      removalDirection,
+      context,
+    );
+  },
+
+  replaceWithFragment(
+    contentState: ContentState,
+    targetRange: SelectionState,
+    fragment: BlockMap,
+    context: DraftSuggestionContext,
+  ): ContentState {
+    const [withDeletion, target] = removeForInsertion(
+      contentState,
+      targetRange,
+      context,
+    );
+    const style = getInsertionStyle(withDeletion, target, context);
+    const suggestedFragment = fragment.map(block =>
+      block.set(
+        'characterList',
+        block
+          .getCharacterList()
+          .map(character =>
+            CharacterMetadata.applyStyle(
+              DraftSuggestionStyles.removeFromCharacter(character),
+              style,
+            ),
+          ),
+      ),
+    );
+    return DraftModifier.replaceWithFragment(
+      withDeletion,
+      target,
+      suggestedFragment,
+    ).setSelectionBefore(targetRange);
+  },
+
+  /**
+   * Replace the text of a range within a single block, suggesting only the
+   * part of it that `text` changes. The browser changes text natively, as
+   * with spellcheck or IME composition, by replacing a whole leaf, most of
+   * which is usually left as it was.
+   */
+  replaceChangedText(
+    contentState: ContentState,
+    rangeToReplace: SelectionState,
+    text: string,
+    context: DraftSuggestionContext,
+    inlineStyle?: DraftInlineStyle,
+    entityKey?: ?string,
+  ): ContentState {
+    const blockKey = rangeToReplace.getStartKey();
+    const start = rangeToReplace.getStartOffset();
+    const end = rangeToReplace.getEndOffset();
+    const previousText = contentState
+      .getBlockForKey(blockKey)
+      .getText()
+      .slice(start, end);
+
+    const maxLength = Math.min(previousText.length, text.length);
+    let prefixLength = 0;
+    while (
+      prefixLength < maxLength &&
+      previousText[prefixLength] === text[prefixLength]
+    ) {
+      prefixLength++;
+    }
+    let suffixLength = 0;
+    while (
+      suffixLength < maxLength - prefixLength &&
+      previousText[previousText.length - suffixLength - 1] ===
+        text[text.length - suffixLength - 1]
+    ) {
+      suffixLength++;
+    }
+    // Never split a surrogate pair between the kept and the changed text.
+    if (
+      prefixLength > 0 &&
+      UnicodeUtils.isSurrogatePair(text, prefixLength - 1)
+    ) {
+      prefixLength--;
+    }
+    if (
+      suffixLength > 0 &&
+      UnicodeUtils.isSurrogatePair(text, text.length - suffixLength - 1)
+    ) {
+      suffixLength--;
+    }
+
+    const changedRange = rangeToReplace.merge({
+      anchorKey: blockKey,
+      anchorOffset: start + prefixLength,
+      focusKey: blockKey,
+      focusOffset: end - suffixLength,
+      isBackward: false,
+    });
+    const changedText = text.slice(prefixLength, text.length - suffixLength);
+    if (changedText) {
+      return DraftSuggestions.replaceText(
+        contentState,
+        changedRange,
+        changedText,
+        context,
+        inlineStyle,
+        entityKey,
+      );
+    }
+    return changedRange.isCollapsed()
+      ? contentState
+      : DraftSuggestions.removeRange(
+          contentState,
+          changedRange,
+          'forward',
+          context,
+        );
+  },
+
+  /**
+   * List the suggestions of the content, in the order in which they first
+   * appear, with the ranges of text they cover.
+   */
+  getSuggestions(contentState: ContentState): Array<DraftSuggestionWithRanges> {
+    const suggestions: {[key: string]: DraftSuggestionWithRanges} = {};
+    const order = [];
+    contentState.getBlockMap().forEach((block, blockKey) => {
+      block.getCharacterList().forEach((character, offset) => {
+        character.getStyle().forEach(style => {
+          const suggestion = DraftSuggestionStyles.parse(style);
+          if (!suggestion) {
+            return;
+          }
+          if (!suggestions[style]) {
+            suggestions[style] = {...suggestion, ranges: []};
+            order.push(style);
+          }
+          const {ranges} = suggestions[style];
+          const lastRange = ranges[ranges.length - 1];
+          if (
+            lastRange &&
+            lastRange.blockKey === blockKey &&
+            lastRange.end === offset
+          ) {
+            lastRange.end++;
+          } else {
+            ranges.push({blockKey, start: offset, end: offset + 1});
+          }
+        });
+      });
+    });
+    return order.map(key => suggestions[key]);
+  },
+
+  /**
+   * Get the suggestion stored as the given inline style, if any, e.g. to
+   * render suggestions from a `customStyleFn`.
+   */
+  getSuggestionForStyle(style: string): ?DraftSuggestion {
+    return DraftSuggestionStyles.parse(style);
+  },
+
+  acceptSuggestion(contentState: ContentState, key: string): ContentState {
+    return resolveSuggestions(
+      contentState,
+      suggestion => suggestion.key === key,
+      true,
+    );
+  },
+
+  rejectSuggestion(contentState: ContentState, key: string): ContentState {
+    return resolveSuggestions(
+      contentState,
+      suggestion => suggestion.key === key,
+      false,
+    );
+  },
+
+  /**
+   * Accept every suggestion, giving back the content as it would be without
+   * suggestion mode.
+   */
+  acceptAllSuggestions(contentState: ContentState): ContentState {
+    return resolveSuggestions(contentState, () => true, true);
+  },
+
+  /**
+   * Reject every suggestion, giving back the content as it was before the
+   * suggestions were made.
+   */
+  rejectAllSuggestions(contentState: ContentState): ContentState {
+    return resolveSuggestions(contentState, () => true, false);
+  },
+};
+
+module.exports = DraftSuggestions;
@@ -0,0 +1,341 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+import type ContentState from 'ContentState';
+
+const DraftSuggestions = require('DraftSuggestions');
+const SelectionState = require('SelectionState');
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromHTMLToContentBlocks = require('convertFromHTMLToContentBlocks');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const {OrderedMap, OrderedSet} = require('immutable');
+
+const ALICE = {author: 'alice', timestamp: 1};
+const BOB = {author: 'bob', timestamp: 2};
+
+const getContentState = (): ContentState =>
+  convertFromRawToDraftState({
+    blocks: [
+      {
+        key: 'a',
+        text: 'Hello world',
+        type: 'unstyled',
+        inlineStyleRanges: [{style: 'BOLD', offset: 6, length: 5}],
+      },
+      {key: 'b', text: 'Second', type: 'unstyled'},
+    ],
+    entityMap: {},
+  });
+
+const select = (
+  anchorKey: string,
+  anchorOffset: number,
+  focusKey: string = anchorKey,
+  focusOffset: number = anchorOffset,
+) =>
+  new SelectionState({
+    anchorKey,
+    anchorOffset,
+    focusKey,
+    focusOffset,
+    isBackward: false,
+  });
+
+const getText = (content: ContentState, key: string = 'a') =>
+  content.getBlockForKey(key).getText();
+
+const getSuggestions = (content: ContentState) =>
+  DraftSuggestions.getSuggestions(content).map(({type, author, ranges}) => ({
+    type,
+    author,
+    ranges,
+  }));
+
+test('must mark typed text as a suggested insertion', () => {
+  let content = getContentState();
+  content = DraftSuggestions.replaceText(content, select('a', 5), ',', ALICE);
+  content = DraftSuggestions.replaceText(content, select('a', 6), ' dear', {
+    ...ALICE,
+    timestamp: 3,
+  });
+  expect(getText(content)).toBe('Hello, dear world');
+  expect(getSuggestions(content)).toEqual([
+    {
+      type: 'insertion',
+      author: 'alice',
+      ranges: [{blockKey: 'a', start: 5, end: 11}],
+    },
+  ]);
+  expect(content.getSelectionAfter().getAnchorOffset()).toBe(11);
+});
+
+test('must keep removed text, marked as a suggested deletion', () => {
+  const content = DraftSuggestions.removeRange(
+    getContentState(),
+    select('a', 4, 'a', 7),
+    'backward',
+    ALICE,
+  );
+  expect(getText(content)).toBe('Hello world');
+  expect(getSuggestions(content)).toEqual([
+    {
+      type: 'deletion',
+      author: 'alice',
+      ranges: [{blockKey: 'a', start: 4, end: 7}],
+    },
+  ]);
+  expect(content.getSelectionAfter().getAnchorOffset()).toBe(4);
+  expect(
+    content
+      .getBlockForKey('a')
+      .getInlineStyleAt(6)
+      .has('BOLD'),
+  ).toBe(true);
+});
+
+test('must extend a deletion when removing the text next to it', () => {
+  let content = getContentState();
+  content = DraftSuggestions.removeRange(
+    content,
+    select('a', 4, 'a', 5),
+    'backward',
+    ALICE,
+  );
+  content = DraftSuggestions.removeRange(
+    content,
+    select('a', 3, 'a', 4),
+    'backward',
+    {...ALICE, timestamp: 3},
+  );
+  expect(getSuggestions(content)).toEqual([
+    {
+      type: 'deletion',
+      author: 'alice',
+      ranges: [{blockKey: 'a', start: 3, end: 5}],
+    },
+  ]);
+});
+
+test('must remove the text its author suggested for insertion', () => {
+  let content = getContentState();
+  content = DraftSuggestions.replaceText(content, select('a', 5), '!!', ALICE);
+  content = DraftSuggestions.replaceText(content, select('a', 7), '?', BOB);
+  content = DraftSuggestions.removeRange(
+    content,
+    select('a', 5, 'a', 8),
+    'forward',
+    ALICE,
+  );
+  expect(getText(content)).toBe('Hello? world');
+  expect(content.getSelectionAfter().getAnchorOffset()).toBe(6);
+  expect(
+    getSuggestions(content).map(({type, author}) => [type, author]),
+  ).toEqual([
+    ['insertion', 'bob'],
+    ['deletion', 'alice'],
+  ]);
+});
+
+test('must insert replacement text after the suggested deletion', () => {
+  const content = DraftSuggestions.replaceText(
+    getContentState(),
+    select('a', 6, 'a', 11),
+    'there',
+    ALICE,
+    OrderedSet.of('ITALIC'),
+  );
+  expect(getText(content)).toBe('Hello worldthere');
+  expect(getSuggestions(content)).toEqual([
+    {
+      type: 'deletion',
+      author: 'alice',
+      ranges: [{blockKey: 'a', start: 6, end: 11}],
+    },
+    {
+      type: 'insertion',
+      author: 'alice',
+      ranges: [{blockKey: 'a', start: 11, end: 16}],
+    },
+  ]);
+  expect(
+    content
+      .getBlockForKey('a')
+      .getInlineStyleAt(12)
+      .has('ITALIC'),
+  ).toBe(true);
+});
+
+test('must join blocks when only a block break is removed', () => {
+  const content = DraftSuggestions.removeRange(
+    getContentState(),
+    select('a', 11, 'b', 0),
+    'backward',
+    ALICE,
+  );
+  expect(getText(content)).toBe('Hello worldSecond');
+  expect(DraftSuggestions.getSuggestions(content)).toEqual([]);
+});
+
+test('must mark pasted fragments as suggested insertions', () => {
+  const {contentBlocks} =
+    convertFromHTMLToContentBlocks('<p>one</p><p>two</p>') || {};
+  const fragment = OrderedMap(
+    (contentBlocks || []).map(block => [block.getKey(), block]),
+  );
+  const content = DraftSuggestions.replaceWithFragment(
+    getContentState(),
+    select('a', 5),
+    fragment,
+    ALICE,
+  );
+  expect(content.getPlainText()).toBe('Helloone\ntwo world\nSecond');
+  const [insertion] = DraftSuggestions.getSuggestions(content);
+  expect(insertion.type).toBe('insertion');
+  expect(insertion.ranges.map(({start, end}) => [start, end])).toEqual([
+    [5, 8],
+    [0, 3],
+  ]);
+});
+
+test('must accept or reject a single suggestion', () => {
+  let content = getContentState();
+  content = DraftSuggestions.replaceText(content, select('a', 5), ',', ALICE);
+  content = DraftSuggestions.removeRange(
+    content,
+    select('b', 0, 'b', 3),
+    'forward',
+    BOB,
+  );
+  const [insertion, deletion] = DraftSuggestions.getSuggestions(content);
+
+  const accepted = DraftSuggestions.acceptSuggestion(content, deletion.key);
+  expect(getText(accepted, 'b')).toBe('ond');
+  expect(DraftSuggestions.getSuggestions(accepted)).toEqual([insertion]);
+
+  const rejected = DraftSuggestions.rejectSuggestion(content, deletion.key);
+  expect(getText(rejected, 'b')).toBe('Second');
+  expect(DraftSuggestions.getSuggestions(rejected)).toEqual([insertion]);
+  expect(rejected.getBlockForKey('a')).toBe(content.getBlockForKey('a'));
+});
+
+test('must export the content with all suggestions accepted or rejected', () => {
+  const content = getContentState();
+  let suggested = DraftSuggestions.replaceText(
+    content,
+    select('a', 6, 'a', 11),
+    'there',
+    ALICE,
+  );
+  suggested = DraftSuggestions.replaceText(suggested, select('b', 6), '!', BOB);
+
+  const accepted = DraftSuggestions.acceptAllSuggestions(suggested);
+  expect(accepted.getPlainText()).toBe('Hello there\nSecond!');
+  expect(DraftSuggestions.getSuggestions(accepted)).toEqual([]);
+
+  const rejected = DraftSuggestions.rejectAllSuggestions(suggested);
+  expect(convertFromDraftStateToRaw(rejected)).toEqual(
+    convertFromDraftStateToRaw(content),
+  );
+  expect(rejected.getSelectionAfter().getAnchorOffset()).toBe(6);
+});
+
+test('must parse suggestion styles', () => {
+  const [insertion] = DraftSuggestions.getSuggestions(
+    DraftSuggestions.replaceText(getContentState(), select('a', 0), 'x', {
+      author: 'a:b',
+      timestamp: 42,
+    }),
+  );
+  expect(DraftSuggestions.getSuggestionForStyle(insertion.key)).toEqual({
+    key: insertion.key,
+    type: 'insertion',
+    author: 'a:b',
+    timestamp: 42,
+  });
+  expect(DraftSuggestions.getSuggestionForStyle('BOLD')).toBe(null);
+});
+
+test('must only suggest the part of the text that changed', () => {
+  let content = DraftSuggestions.replaceChangedText(
+    getContentState(),
+    select('a', 0, 'a', 6),
+    'Hallo ',
+    ALICE,
+  );
+  expect(getText(content)).toBe('Heallo world');
+  expect(getSuggestions(content)).toEqual([
+    {
+      type: 'deletion',
+      author: 'alice',
+      ranges: [{blockKey: 'a', start: 1, end: 2}],
+    },
+    {
+      type: 'insertion',
+      author: 'alice',
+      ranges: [{blockKey: 'a', start: 2, end: 3}],
+    },
+  ]);
+
+  content = DraftSuggestions.replaceChangedText(
+    getContentState(),
+    select('a', 6, 'a', 11),
+    'word',
+    ALICE,
+  );
+  expect(getText(content)).toBe('Hello world');
+  expect(getSuggestions(content)).toEqual([
+    {
+      type: 'deletion',
+      author: 'alice',
+      ranges: [{blockKey: 'a', start: 9, end: 10}],
+    },
+  ]);
+
+  const unchanged = getContentState();
+  expect(
+    DraftSuggestions.replaceChangedText(
+      unchanged,
+      select('a', 0, 'a', 6),
+      'Hello ',
+      ALICE,
+    ),
+  ).toBe(unchanged);
+});
+
+test('must not split surrogate pairs when suggesting changed text', () => {
+  const content = DraftSuggestions.replaceChangedText(
+    convertFromRawToDraftState({
+      blocks: [{key: 'a', text: 'a\uD83D\uDE00', type: 'unstyled'}],
+      entityMap: {},
+    }),
+    select('a', 0, 'a', 3),
+    'a\uD83D\uDE01',
+    ALICE,
+  );
+  expect(getText(content)).toBe('a\uD83D\uDE00\uD83D\uDE01');
+  expect(getSuggestions(content)).toEqual([
+    {
+      type: 'deletion',
+      author: 'alice',
+      ranges: [{blockKey: 'a', start: 1, end: 3}],
+    },
+    {
+      type: 'insertion',
+      author: 'alice',
+      ranges: [{blockKey: 'a', start: 3, end: 5}],
+    },
+  ]);
+});
@@ -0,0 +1,174 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type {DraftRemovalDirection} from 'DraftRemovalDirection';
+import type {DraftSuggestionContext} from 'DraftSuggestion';
+import type SelectionState from 'SelectionState';
+
+const CharacterMetadata = require('CharacterMetadata');
+const DraftModifier = require('DraftModifier');
+const DraftSuggestionStyles = require('DraftSuggestionStyles');
+
+const getCharacterRemovalRange = require('getCharacterRemovalRange');
+const Immutable = require('immutable');
+
+const {Map} = Immutable;
+
+/**
+ * Find the suggested deletion by `author` that the character at `offset`
+ * belongs to, if any, so that consecutive deletions make up one suggestion.
+ */
+const getAdjacentDeletion = (
+  block: BlockNodeRecord,
+  offset: number,
+  author: string,
+): ?string => {
+  if (offset < 0 || offset >= block.getLength()) {
+    return null;
+  }
+  const deletion = DraftSuggestionStyles.find(
+    block.getInlineStyleAt(offset),
+    'deletion',
+    author,
+  );
+  return deletion ? deletion.key : null;
+};
+
+/**
+ * Suggest the removal of a range: its text is kept and marked as deleted,
+ * except for the text suggested for insertion by the same author, which is
+ * removed right away. Removing a range that only contains a block break
+ * joins the blocks, since block breaks are not tracked.
+ */
+function markRangeAsDeleted(
+  contentState: ContentState,
+  rangeToRemove: SelectionState,
+  removalDirection: DraftRemovalDirection,
+  context: DraftSuggestionContext,
+): ContentState {
+  const blockMap = contentState.getBlockMap();
+  const startKey = rangeToRemove.getStartKey();
+  const endKey = rangeToRemove.getEndKey();
+  const startBlock = blockMap.get(startKey);
+  const endBlock = blockMap.get(endKey);
+  let startOffset = rangeToRemove.getStartOffset();
+  let endOffset = rangeToRemove.getEndOffset();
+
+  // As with actual removals, removing part of an immutable or segmented
+  // entity affects the whole entity or segment.
+  if (startKey === endKey) {
+    const entityKey = startBlock.getEntityAt(startOffset);
+    if (entityKey && entityKey === endBlock.getEntityAt(endOffset - 1)) {
+      const adjustedRange = getCharacterRemovalRange(
+        contentState.getEntityMap(),
+        startBlock,
+        endBlock,
+        rangeToRemove,
+        removalDirection,
+      );
+      startOffset = adjustedRange.getStartOffset();
+      endOffset = adjustedRange.getEndOffset();
+    }
+  }
+
+  const blocksInRange = blockMap
+    .skipUntil((_, k) => k === startKey)
+    .takeUntil((_, k) => k === endKey)
+    .concat(Map([[endKey, endBlock]]));
+  const isEmptyRange =
+    startKey === endKey
+      ? startOffset === endOffset
+      : startOffset === startBlock.getLength() &&
+        endOffset === 0 &&
+        blocksInRange.every(
+          block =>
+            block.getKey() === startKey ||
+            block.getKey() === endKey ||
+            block.getLength() === 0,
+        );
+  if (isEmptyRange) {
+    return startKey === endKey
+      ? contentState
+      : DraftModifier.removeRange(
+          contentState,
+          rangeToRemove,
+          removalDirection,
+        );
+  }
+
+  const {author} = context;
+  const deletionStyle =
+    getAdjacentDeletion(startBlock, startOffset - 1, author) ||
+    getAdjacentDeletion(endBlock, endOffset, author) ||
+    DraftSuggestionStyles.getStyle('deletion', context);
+  let removedFromEndBlock = 0;
+
+  const newBlocks = blocksInRange.map((block, blockKey) => {
+    const sliceStart = blockKey === startKey ? startOffset : 0;
+    const sliceEnd = blockKey === endKey ? endOffset : block.getLength();
+    const text = block.getText();
+    const characterList = block.getCharacterList();
+    const keptCharacters = [];
+    let keptText = '';
+    for (let ii = sliceStart; ii < sliceEnd; ii++) {
+      const character = characterList.get(ii);
+      const style = character.getStyle();
+      if (DraftSuggestionStyles.find(style, 'insertion', author)) {
+        continue;
+      }
+      keptCharacters.push(
+        DraftSuggestionStyles.find(style, 'deletion')
+          ? character
+          : CharacterMetadata.applyStyle(character, deletionStyle),
+      );
+      keptText += text[ii];
+    }
+    if (blockKey === endKey) {
+      removedFromEndBlock = sliceEnd - sliceStart - keptCharacters.length;
+    }
+    return block.merge({
+      text: text.slice(0, sliceStart) + keptText + text.slice(sliceEnd),
+      characterList: characterList
+        .slice(0, sliceStart)
+        .concat(keptCharacters, characterList.slice(sliceEnd))
+        .toList(),
+    });
+  });
+
+  const selectionAfter =
+    removalDirection === 'forward'
+      ? rangeToRemove.merge({
+          anchorKey: endKey,
+          anchorOffset: endOffset - removedFromEndBlock,
+          focusKey: endKey,
+          focusOffset: endOffset - removedFromEndBlock,
+          isBackward: false,
+        })
+      : rangeToRemove.merge({
+          anchorKey: startKey,
+          anchorOffset: startOffset,
+          focusKey: startKey,
+          focusOffset: startOffset,
+          isBackward: false,
+        });
+
+  return contentState.merge({
+    blockMap: blockMap.merge(newBlocks),
+    selectionBefore: rangeToRemove,
+    selectionAfter,
+  });
+}
+
+module.exports = markRangeAsDeleted;
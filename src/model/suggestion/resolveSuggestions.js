@@ -0,0 +1,103 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type ContentState from 'ContentState';
+import type {DraftSuggestion} from 'DraftSuggestion';
+
+const CharacterMetadata = require('CharacterMetadata');
+const DraftSuggestionStyles = require('DraftSuggestionStyles');
+
+/**
+ * Accept or reject the suggestions matching `filter`. Accepting a deletion
+ * or rejecting an insertion removes the text it covers; otherwise the text
+ * is kept and only the suggestion is removed from it. Selections are moved
+ * along with the text they point to.
+ */
+function resolveSuggestions(
+  contentState: ContentState,
+  filter: (suggestion: DraftSuggestion) => boolean,
+  accept: boolean,
+): ContentState {
+  const removedOffsets: {[blockKey: string]: Array<number>} = {};
+
+  const newBlockMap = contentState.getBlockMap().map((block, blockKey) => {
+    const text = block.getText();
+    let newText = '';
+    const newCharacters = [];
+    let hasChanged = false;
+    block.getCharacterList().forEach((character, offset) => {
+      const suggestions = character
+        .getStyle()
+        .toSeq()
+        .map(style => DraftSuggestionStyles.parse(style))
+        .filter(suggestion => suggestion != null && filter(suggestion))
+        .toArray();
+      if (suggestions.length === 0) {
+        newText += text[offset];
+        newCharacters.push(character);
+        return;
+      }
+      hasChanged = true;
+      const removeText = suggestions.some(suggestion =>
+        accept
+          ? suggestion.type === 'deletion'
+          : suggestion.type === 'insertion',
+      );
+      if (removeText) {
+        removedOffsets[blockKey] = removedOffsets[blockKey] || [];
+        removedOffsets[blockKey].push(offset);
+        return;
+      }
+      newText += text[offset];
+      newCharacters.push(
+        suggestions.reduce(
+          (newCharacter, suggestion) =>
+            CharacterMetadata.removeStyle(newCharacter, suggestion.key),
+          character,
+        ),
+      );
+    });
+    return hasChanged
+      ? block.merge({
+          text: newText,
+          characterList: block
+            .getCharacterList()
+            .clear()
+            .concat(newCharacters),
+        })
+      : block;
+  });
+
+  const moveOffset = (blockKey: string, offset: number): number =>
+    offset -
+    (removedOffsets[blockKey] || []).filter(removed => removed < offset).length;
+  const moveSelection = selection =>
+    selection.merge({
+      anchorOffset: moveOffset(
+        selection.getAnchorKey(),
+        selection.getAnchorOffset(),
+      ),
+      focusOffset: moveOffset(
+        selection.getFocusKey(),
+        selection.getFocusOffset(),
+      ),
+    });
+
+  return contentState.merge({
+    blockMap: newBlockMap,
+    selectionBefore: moveSelection(contentState.getSelectionBefore()),
+    selectionAfter: moveSelection(contentState.getSelectionAfter()),
+  });
+}
+
+module.exports = resolveSuggestions;
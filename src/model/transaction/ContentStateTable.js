@@ -0,0 +1,684 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockMap} from 'BlockMap';
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+
+const ContentBlockNode = require('ContentBlockNode');
+const SelectionState = require('SelectionState');
+
+const generateRandomKey = require('generateRandomKey');
+const Immutable = require('immutable');
+const invariant = require('invariant');
+const moveAnnotationRanges = require('moveAnnotationRanges');
+const nullthrows = require('nullthrows');
+
+const {List, OrderedMap} = Immutable;
+
+export type DraftTableInsertionPosition = 'before' | 'after';
+
+/**
+ * A table is stored as a tree of blocks: a `table` block whose children are
+ * `table-row` blocks, whose children are `table-cell` blocks. Only cells have
+ * text.
+ */
+type TableRow = {
+  row: BlockNodeRecord,
+  cells: Array<BlockNodeRecord>,
+};
+
+type CellPosition = {
+  table: BlockNodeRecord,
+  rows: Array<TableRow>,
+  rowIndex: number,
+  columnIndex: number,
+};
+
+const TABLE_TYPES = {
+  table: true,
+  'table-row': true,
+  'table-cell': true,
+};
+
+const isTableBlock = (block: ?BlockNodeRecord): boolean =>
+  !!block && TABLE_TYPES.hasOwnProperty(block.getType());
+
+const getRows = (
+  contentState: ContentState,
+  table: BlockNodeRecord,
+): Array<TableRow> =>
+  table
+    .getChildKeys()
+    .map(rowKey => {
+      const row = contentState.getBlockForKey(rowKey);
+      return {
+        row,
+        cells: row
+          .getChildKeys()
+          .map(cellKey => contentState.getBlockForKey(cellKey))
+          .toArray(),
+      };
+    })
+    .toArray();
+
+/**
+ * Find the table, row and column of the cell with the given key.
+ */
+const getCellPosition = (
+  contentState: ContentState,
+  key: string,
+): ?CellPosition => {
+  const cell = contentState.getBlockForKey(key);
+  if (!(cell instanceof ContentBlockNode) || cell.getType() !== 'table-cell') {
+    return null;
+  }
+  const rowKey = cell.getParentKey();
+  if (!rowKey) {
+    return null;
+  }
+  const row = contentState.getBlockForKey(rowKey);
+  const tableKey = row.getParentKey();
+  const table = tableKey ? contentState.getBlockForKey(tableKey) : null;
+  if (!table || table.getType() !== 'table') {
+    return null;
+  }
+  return {
+    table,
+    rows: getRows(contentState, table),
+    rowIndex: table.getChildKeys().indexOf(row.getKey()),
+    columnIndex: row.getChildKeys().indexOf(key),
+  };
+};
+
+const createBlock = (type: string): BlockNodeRecord =>
+  new ContentBlockNode({key: generateRandomKey(), type});
+
+const createRow = (columns: number): TableRow => ({
+  row: createBlock('table-row'),
+  cells: Array.from({length: columns}, () => createBlock('table-cell')),
+});
+
+const getColumnCount = (rows: Array<TableRow>): number =>
+  rows.reduce((count, {cells}) => Math.max(count, cells.length), 0);
+
+const linkSiblings = (
+  blocks: Array<BlockNodeRecord>,
+  parentKey: ?string,
+): Array<BlockNodeRecord> =>
+  blocks.map((block, ii) =>
+    block.merge({
+      parent: parentKey,
+      prevSibling: ii > 0 ? blocks[ii - 1].getKey() : null,
+      nextSibling: ii < blocks.length - 1 ? blocks[ii + 1].getKey() : null,
+    }),
+  );
+
+/**
+ * Get the blocks of a table in document order, linking its rows and cells.
+ */
+const getTableBlocks = (
+  table: BlockNodeRecord,
+  rows: Array<TableRow>,
+): Array<BlockNodeRecord> => {
+  const tableKey = table.getKey();
+  const blocks = [
+    table.set('children', List(rows.map(({row}) => row.getKey()))),
+  ];
+  linkSiblings(
+    rows.map(({row}) => row),
+    tableKey,
+  ).forEach((row, ii) => {
+    const {cells} = rows[ii];
+    blocks.push(
+      row.set('children', List(cells.map(cell => cell.getKey()))),
+      ...linkSiblings(cells, row.getKey()),
+    );
+  });
+  return blocks;
+};
+
+const getDescendantKeys = (blockMap: BlockMap, key: string): Array<string> => {
+  const keys = [key];
+  blockMap
+    .get(key)
+    .getChildKeys()
+    .forEach(childKey => {
+      keys.push(...getDescendantKeys(blockMap, childKey));
+    });
+  return keys;
+};
+
+/**
+ * Replace the blocks from `key` to the end of its subtree by `blocks`.
+ */
+const replaceSubtree = (
+  blockMap: BlockMap,
+  key: string,
+  blocks: Array<BlockNodeRecord>,
+): BlockMap => {
+  const subtreeKeys = getDescendantKeys(blockMap, key);
+  const lastKey = subtreeKeys[subtreeKeys.length - 1];
+  return blockMap
+    .toSeq()
+    .takeUntil((_, k) => k === key)
+    .concat(
+      blocks.map(block => [block.getKey(), block]),
+      blockMap
+        .toSeq()
+        .skipUntil((_, k) => k === lastKey)
+        .rest(),
+    )
+    .toOrderedMap();
+};
+
+const collapsedAt = (key: string, offset: number): SelectionState =>
+  SelectionState.createEmpty(key).merge({
+    anchorOffset: offset,
+    focusOffset: offset,
+  });
+
+const updateContent = (
+  contentState: ContentState,
+  blockMap: BlockMap,
+  selectionAfter: SelectionState,
+): ContentState =>
+  contentState.merge({
+    blockMap,
+    annotationMap: moveAnnotationRanges.forRemovedBlocks(
+      contentState.getAnnotationMap(),
+      blockMap,
+    ),
+    selectionBefore: contentState.getSelectionAfter(),
+    selectionAfter: selectionAfter.set('hasFocus', true),
+  });
+
+/**
+ * Rebuild the rows and cells of a table, placing the selection in the cell at
+ * `rowIndex` and `columnIndex`, or the closest one.
+ */
+const setRows = (
+  contentState: ContentState,
+  table: BlockNodeRecord,
+  rows: Array<TableRow>,
+  rowIndex: number,
+  columnIndex: number,
+): ContentState => {
+  const nonEmptyRows = rows.filter(({cells}) => cells.length > 0);
+  if (nonEmptyRows.length === 0) {
+    return removeTableBlock(contentState, table);
+  }
+  const {cells} = nonEmptyRows[
+    Math.min(Math.max(rowIndex, 0), nonEmptyRows.length - 1)
+  ];
+  const cell = cells[Math.min(Math.max(columnIndex, 0), cells.length - 1)];
+  return updateContent(
+    contentState,
+    replaceSubtree(
+      contentState.getBlockMap(),
+      table.getKey(),
+      getTableBlocks(table, nonEmptyRows),
+    ),
+    collapsedAt(cell.getKey(), 0),
+  );
+};
+
+const updateBlock = (
+  blockMap: BlockMap,
+  key: ?string,
+  changes: {[key: string]: mixed, ...},
+): BlockMap =>
+  key && blockMap.has(key)
+    ? blockMap.set(key, blockMap.get(key).merge(changes))
+    : blockMap;
+
+const isLeaf = (block: BlockNodeRecord): boolean =>
+  block.getChildKeys().isEmpty();
+
+/**
+ * Remove a table and its rows and cells, linking the blocks around it.
+ */
+const removeTableFromBlockMap = (
+  blockMap: BlockMap,
+  table: BlockNodeRecord,
+): BlockMap => {
+  const tableKey = table.getKey();
+  const prevKey = table.getPrevSiblingKey();
+  const nextKey = table.getNextSiblingKey();
+  const parentKey = table.getParentKey();
+  let newBlockMap = replaceSubtree(blockMap, tableKey, []);
+  newBlockMap = updateBlock(newBlockMap, prevKey, {nextSibling: nextKey});
+  newBlockMap = updateBlock(newBlockMap, nextKey, {prevSibling: prevKey});
+  if (parentKey) {
+    newBlockMap = updateBlock(newBlockMap, parentKey, {
+      children: newBlockMap
+        .get(parentKey)
+        .getChildKeys()
+        .filter(key => key !== tableKey),
+    });
+  }
+  if (newBlockMap.isEmpty()) {
+    const block = createBlock('unstyled');
+    newBlockMap = OrderedMap([[block.getKey(), block]]);
+  }
+  return newBlockMap;
+};
+
+const removeTableBlock = (
+  contentState: ContentState,
+  table: BlockNodeRecord,
+): ContentState => {
+  const tableKey = table.getKey();
+  const blockMap = removeTableFromBlockMap(contentState.getBlockMap(), table);
+
+  // Move the selection to the closest leaf after the table, or before it.
+  const index = contentState
+    .getBlockMap()
+    .keySeq()
+    .indexOf(tableKey);
+  const after = blockMap
+    .toSeq()
+    .skip(index)
+    .find(isLeaf);
+  const before = nullthrows(
+    after ||
+      blockMap
+        .toSeq()
+        .take(index)
+        .reverse()
+        .find(isLeaf),
+  );
+  const selection = after
+    ? collapsedAt(after.getKey(), 0)
+    : collapsedAt(before.getKey(), before.getLength());
+  return updateContent(contentState, blockMap, selection);
+};
+
+/**
+ * Get the table that contains a block of a table.
+ */
+const getTable = (blockMap: BlockMap, key: string): ?BlockNodeRecord => {
+  let block = blockMap.get(key);
+  while (block && block.getType() !== 'table') {
+    const parentKey = block.getParentKey();
+    block = parentKey ? blockMap.get(parentKey) : null;
+  }
+  return block;
+};
+
+/**
+ * Get the tables that a range covers entirely, from the start of their first
+ * cell to the end of their last cell.
+ */
+const getSelectedTables = (
+  contentState: ContentState,
+  selectionState: SelectionState,
+): Array<BlockNodeRecord> => {
+  const blockMap = contentState.getBlockMap();
+  const keys = blockMap.keySeq().toList();
+  const startIndex = keys.indexOf(selectionState.getStartKey());
+  const endIndex = keys.indexOf(selectionState.getEndKey());
+  const tables = new Map();
+  keys.slice(startIndex, endIndex + 1).forEach(key => {
+    if (isTableBlock(blockMap.get(key))) {
+      const table = getTable(blockMap, key);
+      if (table) {
+        tables.set(table.getKey(), table);
+      }
+    }
+  });
+  return Array.from(tables.values()).filter(table => {
+    const leafKeys = getDescendantKeys(blockMap, table.getKey()).filter(key =>
+      isLeaf(blockMap.get(key)),
+    );
+    const firstIndex = keys.indexOf(leafKeys[0]);
+    const lastKey = leafKeys[leafKeys.length - 1];
+    const lastIndex = keys.indexOf(lastKey);
+    return (
+      (firstIndex > startIndex ||
+        (firstIndex === startIndex && selectionState.getStartOffset() === 0)) &&
+      (lastIndex < endIndex ||
+        (lastIndex === endIndex &&
+          selectionState.getEndOffset() === blockMap.get(lastKey).getLength()))
+    );
+  });
+};
+
+const withCellPosition = (
+  contentState: ContentState,
+  selectionState: SelectionState,
+  fn: (position: CellPosition) => ContentState,
+): ContentState => {
+  const position = getCellPosition(contentState, selectionState.getStartKey());
+  return position ? fn(position) : contentState;
+};
+
+const ContentStateTable = {
+  isTableBlock,
+
+  /**
+   * Insert a table after the top-level block containing the selection, with
+   * the selection in its first cell. An empty block is added after the table
+   * when it is the last block, so that text can still be added after it.
+   */
+  insertTable(
+    contentState: ContentState,
+    selectionState: SelectionState,
+    rowCount: number,
+    columnCount: number,
+  ): ContentState {
+    invariant(
+      rowCount > 0 && columnCount > 0,
+      'A table must have at least one row and one column.',
+    );
+    let blockMap = contentState.getBlockMap();
+    let target = blockMap.get(selectionState.getEndKey());
+    invariant(
+      target instanceof ContentBlockNode,
+      'Tables can only be inserted in blocks with tree data support.',
+    );
+    while (target.getParentKey()) {
+      target = blockMap.get(target.getParentKey());
+    }
+
+    const targetKey = target.getKey();
+    const nextKey = target.getNextSiblingKey();
+    const rows = Array.from({length: rowCount}, () => createRow(columnCount));
+    const table = createBlock('table').merge({
+      prevSibling: targetKey,
+      nextSibling: nextKey,
+    });
+    const tableKey = table.getKey();
+    const tableBlocks = getTableBlocks(table, rows);
+    if (!nextKey) {
+      const blockAfter = createBlock('unstyled').set('prevSibling', tableKey);
+      tableBlocks[0] = tableBlocks[0].set('nextSibling', blockAfter.getKey());
+      tableBlocks.push(blockAfter);
+    }
+
+    blockMap = replaceSubtree(blockMap, targetKey, [
+      ...getDescendantKeys(blockMap, targetKey).map(key => blockMap.get(key)),
+      ...tableBlocks,
+    ]);
+    blockMap = updateBlock(blockMap, targetKey, {nextSibling: tableKey});
+    blockMap = updateBlock(blockMap, nextKey, {prevSibling: tableKey});
+
+    return updateContent(
+      contentState,
+      blockMap,
+      collapsedAt(rows[0].cells[0].getKey(), 0),
+    );
+  },
+
+  /**
+   * Remove the table containing the selection.
+   */
+  removeTable(
+    contentState: ContentState,
+    selectionState: SelectionState,
+  ): ContentState {
+    return withCellPosition(contentState, selectionState, ({table}) =>
+      removeTableBlock(contentState, table),
+    );
+  },
+
+  /**
+   * Insert a row before or after the row containing the selection, with as
+   * many cells as the longest row of the table.
+   */
+  insertRow(
+    contentState: ContentState,
+    selectionState: SelectionState,
+    position: DraftTableInsertionPosition,
+  ): ContentState {
+    return withCellPosition(
+      contentState,
+      selectionState,
+      ({table, rows, rowIndex, columnIndex}) => {
+        const index = position === 'before' ? rowIndex : rowIndex + 1;
+        const newRows = [...rows];
+        newRows.splice(index, 0, createRow(getColumnCount(rows)));
+        return setRows(contentState, table, newRows, index, columnIndex);
+      },
+    );
+  },
+
+  /**
+   * Remove the row containing the selection, and the table along with its
+   * last row.
+   */
+  removeRow(
+    contentState: ContentState,
+    selectionState: SelectionState,
+  ): ContentState {
+    return withCellPosition(
+      contentState,
+      selectionState,
+      ({table, rows, rowIndex, columnIndex}) =>
+        setRows(
+          contentState,
+          table,
+          rows.filter((_, ii) => ii !== rowIndex),
+          rowIndex,
+          columnIndex,
+        ),
+    );
+  },
+
+  /**
+   * Insert a cell in every row, before or after the column containing the
+   * selection.
+   */
+  insertColumn(
+    contentState: ContentState,
+    selectionState: SelectionState,
+    position: DraftTableInsertionPosition,
+  ): ContentState {
+    return withCellPosition(
+      contentState,
+      selectionState,
+      ({table, rows, rowIndex, columnIndex}) => {
+        const index = position === 'before' ? columnIndex : columnIndex + 1;
+        const newRows = rows.map(({row, cells}) => {
+          const newCells = [...cells];
+          newCells.splice(
+            Math.min(index, cells.length),
+            0,
+            createBlock('table-cell'),
+          );
+          return {row, cells: newCells};
+        });
+        return setRows(contentState, table, newRows, rowIndex, index);
+      },
+    );
+  },
+
+  /**
+   * Remove the cells of the column containing the selection, and the table
+   * along with its last column.
+   */
+  removeColumn(
+    contentState: ContentState,
+    selectionState: SelectionState,
+  ): ContentState {
+    return withCellPosition(
+      contentState,
+      selectionState,
+      ({table, rows, rowIndex, columnIndex}) =>
+        setRows(
+          contentState,
+          table,
+          rows.map(({row, cells}) => ({
+            row,
+            cells: cells.filter((_, ii) => ii !== columnIndex),
+          })),
+          rowIndex,
+          columnIndex,
+        ),
+    );
+  },
+
+  /**
+   * Get the key of the cell after (or before) the cell containing the
+   * selection, going through the rows in order. Returns null if the selection
+   * is not in a table or there is no such cell.
+   */
+  getAdjacentCellKey(
+    contentState: ContentState,
+    selectionState: SelectionState,
+    isBackward: boolean,
+  ): ?string {
+    const position = getCellPosition(
+      contentState,
+      isBackward ? selectionState.getStartKey() : selectionState.getEndKey(),
+    );
+    if (!position) {
+      return null;
+    }
+    const {rows, rowIndex, columnIndex} = position;
+    const cells = rows.reduce((all, {cells}) => all.concat(cells), []);
+    const index =
+      rows
+        .slice(0, rowIndex)
+        .reduce((count, {cells}) => count + cells.length, 0) + columnIndex;
+    const cell = cells[isBackward ? index - 1 : index + 1];
+    return cell ? cell.getKey() : null;
+  },
+
+  /**
+   * Remove the tables that a range covers entirely. The selection after the
+   * removal is what remains of the range, which is collapsed if the range
+   * contained nothing else. Returns the same content if no table is covered.
+   */
+  removeSelectedTables(
+    contentState: ContentState,
+    selectionState: SelectionState,
+  ): ContentState {
+    const tables = getSelectedTables(contentState, selectionState);
+    if (tables.length === 0) {
+      return contentState;
+    }
+    const blockMap = contentState.getBlockMap();
+    const removedKeys = new Set();
+    tables.forEach(table =>
+      getDescendantKeys(blockMap, table.getKey()).forEach(key =>
+        removedKeys.add(key),
+      ),
+    );
+    const newBlockMap = tables.reduce(
+      (map, table) => removeTableFromBlockMap(map, map.get(table.getKey())),
+      blockMap,
+    );
+
+    // The range now starts after the tables that it started in, and ends
+    // before those that it ended in.
+    const leaves = blockMap.toSeq().filter(isLeaf);
+    const startKey = selectionState.getStartKey();
+    const endKey = selectionState.getEndKey();
+    const start = removedKeys.has(startKey)
+      ? leaves
+          .skipUntil((_, k) => k === startKey)
+          .find((_, k) => !removedKeys.has(k))
+      : blockMap.get(startKey);
+    const end = removedKeys.has(endKey)
+      ? leaves
+          .takeUntil((_, k) => k === endKey)
+          .reverse()
+          .find((_, k) => !removedKeys.has(k))
+      : blockMap.get(endKey);
+    const startOffset = removedKeys.has(startKey)
+      ? 0
+      : selectionState.getStartOffset();
+    const endOffset =
+      end && removedKeys.has(endKey)
+        ? end.getLength()
+        : selectionState.getEndOffset();
+
+    const keys = newBlockMap.keySeq().toList();
+    let selection;
+    if (
+      start &&
+      end &&
+      (keys.indexOf(start.getKey()) < keys.indexOf(end.getKey()) ||
+        (start.getKey() === end.getKey() && startOffset <= endOffset))
+    ) {
+      selection = SelectionState.createEmpty(start.getKey()).merge({
+        anchorOffset: startOffset,
+        focusKey: end.getKey(),
+        focusOffset: endOffset,
+      });
+    } else if (start || end) {
+      const block = nullthrows(start || end);
+      selection = collapsedAt(block.getKey(), start ? 0 : block.getLength());
+    } else {
+      selection = collapsedAt(nullthrows(newBlockMap.first()).getKey(), 0);
+    }
+    return updateContent(contentState, newBlockMap, selection);
+  },
+
+  /**
+   * Remove a range of text without joining or removing any block, which is
+   * how ranges that cross the boundaries of table cells are removed.
+   */
+  removeRangeInBlocks(
+    contentState: ContentState,
+    selectionState: SelectionState,
+  ): ContentState {
+    const startKey = selectionState.getStartKey();
+    const startOffset = selectionState.getStartOffset();
+    const endKey = selectionState.getEndKey();
+    const endOffset = selectionState.getEndOffset();
+    const blockMap = contentState.getBlockMap();
+    let annotationMap = contentState.getAnnotationMap();
+
+    const newBlocks = blockMap
+      .skipUntil((_, k) => k === startKey)
+      .takeUntil((_, k) => k === endKey)
+      .concat(OrderedMap([[endKey, blockMap.get(endKey)]]))
+      .map((block, key) => {
+        const start = key === startKey ? startOffset : 0;
+        const end = key === endKey ? endOffset : block.getLength();
+        if (start >= end) {
+          return block;
+        }
+        annotationMap = moveAnnotationRanges.forRemoval(
+          annotationMap,
+          blockMap,
+          key,
+          start,
+          key,
+          end,
+        );
+        const chars = block.getCharacterList();
+        return block.merge({
+          text: block.getText().slice(0, start) + block.getText().slice(end),
+          characterList: chars.slice(0, start).concat(chars.slice(end)),
+        });
+      });
+
+    return contentState.merge({
+      blockMap: blockMap.merge(newBlocks),
+      annotationMap,
+      selectionBefore: selectionState,
+      selectionAfter: selectionState.merge({
+        anchorKey: startKey,
+        anchorOffset: startOffset,
+        focusKey: startKey,
+        focusOffset: startOffset,
+        isBackward: false,
+      }),
+    });
+  },
+};
+
+module.exports = ContentStateTable;
@@ -0,0 +1,317 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+jest.mock('gkx', () => name => name === 'draft_tree_data_support');
+
+const ContentBlock = require('ContentBlock');
+const ContentState = require('ContentState');
+const ContentStateTable = require('ContentStateTable');
+const DraftModifier = require('DraftModifier');
+const DraftTreeInvariants = require('DraftTreeInvariants');
+const SelectionState = require('SelectionState');
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+
+const block = (key, text = '', type = 'unstyled', children = []) => ({
+  key,
+  text,
+  type,
+  children,
+});
+
+const cell = (key, text) => block(key, text, 'table-cell');
+
+const getContentState = (): ContentState =>
+  convertFromRawToDraftState({
+    blocks: [
+      block('a', 'Before'),
+      block('t', '', 'table', [
+        block('r1', '', 'table-row', [cell('c11', 'A1'), cell('c12', 'B1')]),
+        block('r2', '', 'table-row', [cell('c21', 'A2'), cell('c22', 'B2')]),
+      ]),
+      block('z', 'After'),
+    ],
+    entityMap: {},
+  });
+
+const range = (
+  anchorKey: string,
+  anchorOffset: number,
+  focusKey: string = anchorKey,
+  focusOffset: number = anchorOffset,
+) =>
+  new SelectionState({
+    anchorKey,
+    anchorOffset,
+    focusKey,
+    focusOffset,
+    isBackward: false,
+  });
+
+// The text of the cells of a table, by row.
+const getCells = (content: ContentState, tableKey: string = 't') =>
+  content
+    .getBlockForKey(tableKey)
+    .getChildKeys()
+    .map(rowKey =>
+      content
+        .getBlockForKey(rowKey)
+        .getChildKeys()
+        .map(cellKey => content.getBlockForKey(cellKey).getText())
+        .toArray(),
+    )
+    .toArray();
+
+const getSelectedText = (content: ContentState) => {
+  const selection = content.getSelectionAfter();
+  return content.getBlockForKey(selection.getStartKey()).getText();
+};
+
+test('must insert a table after the block containing the selection', () => {
+  const content = DraftModifier.insertTable(
+    getContentState(),
+    range('z', 2),
+    2,
+    3,
+  );
+  const tableKey = content.getKeyAfter('z');
+  expect(getCells(content, tableKey)).toEqual([
+    ['', '', ''],
+    ['', '', ''],
+  ]);
+  const table = content.getBlockForKey(tableKey);
+  expect(table.getPrevSiblingKey()).toBe('z');
+  expect(content.getBlockForKey('z').getNextSiblingKey()).toBe(tableKey);
+
+  // An empty block follows the table, which was inserted last.
+  const lastBlock = content.getLastBlock();
+  expect(lastBlock.getType()).toBe('unstyled');
+  expect(lastBlock.getPrevSiblingKey()).toBe(tableKey);
+  expect(table.getNextSiblingKey()).toBe(lastBlock.getKey());
+
+  const firstCellKey = content.getKeyAfter(content.getKeyAfter(tableKey));
+  expect(content.getSelectionAfter().getStartKey()).toBe(firstCellKey);
+  expect(
+    convertFromDraftStateToRaw(content).blocks.map(({type}) => type),
+  ).toEqual(['unstyled', 'table', 'unstyled', 'table', 'unstyled']);
+});
+
+test('must only insert tables in blocks with tree data support', () => {
+  const content = ContentState.createFromBlockArray([
+    new ContentBlock({key: 'x', text: 'Flat', type: 'unstyled'}),
+  ]);
+  expect(() =>
+    DraftModifier.insertTable(content, range('x', 0), 1, 1),
+  ).toThrow();
+});
+
+test('must insert and remove rows', () => {
+  let content = DraftModifier.insertTableRow(
+    getContentState(),
+    range('c12', 1),
+    'after',
+  );
+  expect(getCells(content)).toEqual([
+    ['A1', 'B1'],
+    ['', ''],
+    ['A2', 'B2'],
+  ]);
+  const newCellKey = content.getSelectionAfter().getStartKey();
+  expect(content.getBlockForKey(newCellKey).getPrevSiblingKey()).not.toBe(null);
+
+  content = DraftModifier.insertTableRow(content, range('c11', 0), 'before');
+  expect(getCells(content)).toEqual([
+    ['', ''],
+    ['A1', 'B1'],
+    ['', ''],
+    ['A2', 'B2'],
+  ]);
+
+  content = DraftModifier.removeTableRow(content, range('c21', 1));
+  expect(getCells(content)).toEqual([
+    ['', ''],
+    ['A1', 'B1'],
+    ['', ''],
+  ]);
+  expect(content.getBlockForKey('c21')).toBe(undefined);
+  expect(content.getBlockForKey('r2')).toBe(undefined);
+});
+
+test('must insert and remove columns', () => {
+  let content = DraftModifier.insertTableColumn(
+    getContentState(),
+    range('c11', 0),
+    'before',
+  );
+  expect(getCells(content)).toEqual([
+    ['', 'A1', 'B1'],
+    ['', 'A2', 'B2'],
+  ]);
+
+  content = DraftModifier.removeTableColumn(content, range('c12', 0));
+  expect(getCells(content)).toEqual([
+    ['', 'A1'],
+    ['', 'A2'],
+  ]);
+  expect(getSelectedText(content)).toBe('A1');
+});
+
+test('must remove the table along with its last row or column', () => {
+  let content = DraftModifier.removeTableColumn(
+    getContentState(),
+    range('c11', 0),
+  );
+  content = DraftModifier.removeTableColumn(content, range('c12', 0));
+  expect(content.getBlockForKey('t')).toBe(undefined);
+  expect(content.getBlockForKey('a').getNextSiblingKey()).toBe('z');
+  expect(content.getBlockForKey('z').getPrevSiblingKey()).toBe('a');
+  expect(content.getSelectionAfter().getStartKey()).toBe('z');
+  expect(
+    content
+      .getBlockMap()
+      .keySeq()
+      .toArray(),
+  ).toEqual(['a', 'z']);
+});
+
+test('must remove a table', () => {
+  const content = DraftModifier.removeTable(getContentState(), range('c21', 0));
+  expect(
+    content
+      .getBlockMap()
+      .keySeq()
+      .toArray(),
+  ).toEqual(['a', 'z']);
+  expect(DraftModifier.removeTable(content, range('a', 0))).toBe(content);
+});
+
+test('must find the adjacent cells in order', () => {
+  const content = getContentState();
+  const next = key =>
+    ContentStateTable.getAdjacentCellKey(content, range(key, 0), false);
+  const previous = key =>
+    ContentStateTable.getAdjacentCellKey(content, range(key, 0), true);
+  expect(next('c11')).toBe('c12');
+  expect(next('c12')).toBe('c21');
+  expect(next('c22')).toBe(null);
+  expect(previous('c21')).toBe('c12');
+  expect(previous('c11')).toBe(null);
+  expect(next('a')).toBe(null);
+});
+
+test('must remove ranges across cells without joining them', () => {
+  const content = DraftModifier.removeRange(
+    getContentState(),
+    range('c11', 1, 'c21', 1),
+    'forward',
+  );
+  expect(getCells(content)).toEqual([
+    ['A', ''],
+    ['2', 'B2'],
+  ]);
+  expect(content.getSelectionAfter().getStartKey()).toBe('c11');
+  expect(content.getSelectionAfter().getStartOffset()).toBe(1);
+
+  const withText = DraftModifier.removeRange(
+    getContentState(),
+    range('a', 3, 'c11', 1),
+    'forward',
+  );
+  expect(withText.getBlockForKey('a').getText()).toBe('Bef');
+  expect(getCells(withText)[0]).toEqual(['1', 'B1']);
+});
+
+test('must join the blocks of a fragment inserted in a cell', () => {
+  const fragment = getContentState()
+    .getBlockMap()
+    .filter((_, key) => key === 'a' || key === 'z')
+    .map(block => block.merge({prevSibling: null, nextSibling: null}));
+  const content = DraftModifier.replaceWithFragment(
+    getContentState(),
+    range('c11', 1),
+    fragment,
+  );
+  expect(getCells(content)[0]).toEqual(['ABefore\nAfter1', 'B1']);
+});
+
+test('must serialize tables as raw blocks', () => {
+  const raw = convertFromDraftStateToRaw(getContentState());
+  expect(raw.blocks[1].type).toBe('table');
+  expect(convertFromDraftStateToRaw(convertFromRawToDraftState(raw))).toEqual(
+    raw,
+  );
+});
+
+test('must remove the tables that a range covers', () => {
+  const getKeys = content =>
+    content
+      .getBlockMap()
+      .keySeq()
+      .toArray();
+
+  // The blocks around the table are joined.
+  const joined = DraftModifier.removeRange(
+    getContentState(),
+    range('a', 3, 'z', 2),
+    'backward',
+  );
+  expect(getKeys(joined)).toEqual(['a']);
+  expect(joined.getBlockForKey('a').getText()).toBe('Befter');
+  expect(DraftTreeInvariants.isValidTree(joined.getBlockMap())).toBe(true);
+  expect(joined.getSelectionBefore()).toEqual(range('a', 3, 'z', 2));
+  expect(joined.getSelectionAfter().getStartKey()).toBe('a');
+  expect(joined.getSelectionAfter().getStartOffset()).toBe(3);
+
+  // The range starts at the start of the first cell.
+  const fromTable = DraftModifier.removeRange(
+    getContentState(),
+    range('c11', 0, 'z', 2),
+    'backward',
+  );
+  expect(getKeys(fromTable)).toEqual(['a', 'z']);
+  expect(fromTable.getBlockForKey('z').getText()).toBe('ter');
+  expect(getSelectedText(fromTable)).toBe('ter');
+
+  // The range ends at the end of the last cell.
+  const toTable = DraftModifier.removeRange(
+    getContentState(),
+    range('a', 6, 'c22', 2),
+    'backward',
+  );
+  expect(getKeys(toTable)).toEqual(['a', 'z']);
+  expect(getSelectedText(toTable)).toBe('Before');
+  expect(toTable.getSelectionAfter().getStartOffset()).toBe(6);
+
+  // The range covers the cells of the table only.
+  const table = DraftModifier.removeRange(
+    getContentState(),
+    range('c11', 0, 'c22', 2),
+    'backward',
+  );
+  expect(getKeys(table)).toEqual(['a', 'z']);
+  expect(DraftTreeInvariants.isValidTree(table.getBlockMap())).toBe(true);
+  expect(getSelectedText(table)).toBe('After');
+
+  // A table is kept unless all of its cells are removed.
+  const partial = DraftModifier.removeRange(
+    getContentState(),
+    range('c11', 0, 'c22', 1),
+    'backward',
+  );
+  expect(getCells(partial)).toEqual([
+    ['', ''],
+    ['', '2'],
+  ]);
+});
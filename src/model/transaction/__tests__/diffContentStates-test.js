@@ -0,0 +1,187 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+const ContentState = require('ContentState');
+const DraftModifier = require('DraftModifier');
+const SelectionState = require('SelectionState');
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+const {OrderedSet} = require('immutable');
+const moveBlockInContentState = require('moveBlockInContentState');
+
+const getContentState = (): ContentState =>
+  convertFromRawToDraftState({
+    blocks: [
+      {
+        key: 'a',
+        text: 'Alpha',
+        type: 'unstyled',
+        inlineStyleRanges: [{style: 'BOLD', offset: 0, length: 5}],
+      },
+      {key: 'b', text: 'Beta', type: 'unstyled'},
+      {key: 'c', text: 'Gamma', type: 'unstyled'},
+    ],
+    entityMap: {},
+  });
+
+const select = (
+  anchorKey: string,
+  anchorOffset: number,
+  focusKey: string = anchorKey,
+  focusOffset: number = anchorOffset,
+) =>
+  new SelectionState({
+    anchorKey,
+    anchorOffset,
+    focusKey,
+    focusOffset,
+    isBackward: false,
+  });
+
+const EDITS: {[name: string]: (ContentState) => ContentState, ...} = {
+  'insert text': content =>
+    DraftModifier.insertText(content, select('b', 2), 'xyz'),
+  'replace text': content =>
+    DraftModifier.replaceText(
+      content,
+      select('a', 1, 'a', 3),
+      'LP',
+      OrderedSet.of('ITALIC'),
+    ),
+  'unbold text': content =>
+    DraftModifier.removeInlineStyle(content, select('a', 1, 'a', 4), 'BOLD'),
+  'link text': content => {
+    const withEntity = content.createEntity('LINK', 'MUTABLE', {url: 'x'});
+    return DraftModifier.applyEntity(
+      withEntity,
+      select('c', 1, 'c', 4),
+      withEntity.getLastCreatedEntityKey(),
+    );
+  },
+  'split block': content => DraftModifier.splitBlock(content, select('a', 2)),
+  'remove across blocks': content =>
+    DraftModifier.removeRange(content, select('a', 3, 'c', 2), 'forward'),
+  'move block': content =>
+    moveBlockInContentState(
+      content,
+      content.getBlockForKey('c'),
+      content.getBlockForKey('a'),
+      'before',
+    ),
+  'change block type': content =>
+    DraftModifier.setBlockType(content, select('b', 0), 'header-one'),
+  'split block at end': content =>
+    DraftModifier.splitBlock(content, select('c', 5)),
+};
+
+Object.keys(EDITS).forEach(name => {
+  test(`must reproduce "${name}" from its patch`, () => {
+    const content = getContentState();
+    const newContent = EDITS[name](content);
+    const patch = JSON.parse(
+      JSON.stringify(ContentState.diff(content, newContent)),
+    );
+    const patched = ContentState.applyPatch(content, patch);
+    expect(convertFromDraftStateToRaw(patched)).toEqual(
+      convertFromDraftStateToRaw(newContent),
+    );
+    expect(patched.getSelectionAfter().toJS()).toEqual(
+      newContent.getSelectionAfter().toJS(),
+    );
+  });
+});
+
+test('must describe a text splice and the styles it changes', () => {
+  const content = getContentState();
+  const patch = ContentState.diff(content, EDITS['replace text'](content));
+  expect(patch.modified).toEqual(['a']);
+  expect(patch.blocks).toEqual({
+    a: {
+      textSplice: {offset: 1, length: 2, text: 'LP'},
+      addedStyleRanges: [{style: 'ITALIC', offset: 1, length: 2}],
+    },
+  });
+  expect(patch.blockKeys).toBeUndefined();
+});
+
+test('must list added, removed and moved blocks', () => {
+  const content = getContentState();
+  const split = EDITS['split block'](content);
+  const newKey = split.getKeyAfter('a');
+  const patch = ContentState.diff(content, split);
+  expect(patch.added).toEqual([newKey]);
+  expect(patch.modified).toEqual(['a']);
+  expect(patch.blockKeys).toEqual(['a', newKey, 'b', 'c']);
+
+  const removal = ContentState.diff(
+    content,
+    EDITS['remove across blocks'](content),
+  );
+  expect(removal.removed).toEqual(['b', 'c']);
+  expect(removal.modified).toEqual(['a']);
+
+  const move = ContentState.diff(content, EDITS['move block'](content));
+  expect(move.moved).toEqual(['c']);
+  expect(move.modified).toEqual([]);
+  expect(move.blockKeys).toEqual(['c', 'a', 'b']);
+});
+
+test('must store the entities of the patched ranges', () => {
+  const content = getContentState();
+  const patch = ContentState.diff(content, EDITS['link text'](content));
+  expect(patch.entityMap).toEqual({
+    '0': {type: 'LINK', mutability: 'MUTABLE', data: {url: 'x'}},
+  });
+  expect(patch.blocks.c.entityRanges).toEqual([{offset: 1, length: 3, key: 0}]);
+});
+
+test('must share unchanged blocks with the patched content', () => {
+  const content = getContentState();
+  const patched = ContentState.applyPatch(
+    content,
+    ContentState.diff(content, EDITS['insert text'](content)),
+  );
+  expect(patched.getBlockForKey('a')).toBe(content.getBlockForKey('a'));
+  expect(patched.getBlockForKey('c')).toBe(content.getBlockForKey('c'));
+  expect(patched.getBlockForKey('b')).not.toBe(content.getBlockForKey('b'));
+});
+
+test('must return an empty patch for identical contents', () => {
+  const content = getContentState();
+  expect(ContentState.diff(content, content)).toEqual({
+    added: [],
+    removed: [],
+    moved: [],
+    modified: [],
+    blocks: {},
+    entityMap: {},
+  });
+});
+
+test('must include empty added blocks in the patch', () => {
+  const content = getContentState();
+  const split = EDITS['split block at end'](content);
+  const newKey = split.getKeyAfter('c');
+  const patch = ContentState.diff(content, split);
+  expect(patch.added).toEqual([newKey]);
+  expect(patch.modified).toEqual([]);
+  expect(patch.blocks).toEqual({[newKey]: {}});
+  expect(
+    ContentState.applyPatch(content, patch)
+      .getBlockForKey(newKey)
+      .getText(),
+  ).toBe('');
+});
@@ -0,0 +1,223 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+jest.mock('generateRandomKey');
+
+import type ContentState from 'ContentState';
+
+const DraftModifier = require('DraftModifier');
+const SelectionState = require('SelectionState');
+
+const convertFromDraftStateToRaw = require('convertFromDraftStateToRaw');
+const convertFromRawToDraftState = require('convertFromRawToDraftState');
+
+const getContentState = (): ContentState =>
+  convertFromRawToDraftState({
+    blocks: [
+      {key: 'a', text: 'Hello world', type: 'unstyled'},
+      {key: 'b', text: 'Second line', type: 'unstyled'},
+      {key: 'c', text: 'Third', type: 'unstyled'},
+    ],
+    entityMap: {},
+  });
+
+const range = (
+  anchorKey: string,
+  anchorOffset: number,
+  focusKey: string = anchorKey,
+  focusOffset: number = anchorOffset,
+) =>
+  new SelectionState({
+    anchorKey,
+    anchorOffset,
+    focusKey,
+    focusOffset,
+    isBackward: false,
+  });
+
+// Annotate "world" with `x` and "lo wor" with `y`.
+const getAnnotatedContentState = (): ContentState =>
+  DraftModifier.applyAnnotation(
+    DraftModifier.applyAnnotation(
+      getContentState(),
+      range('a', 6, 'a', 11),
+      'x',
+      {author: 'alice'},
+    ),
+    range('a', 3, 'a', 9),
+    'y',
+  );
+
+const getRanges = (content: ContentState, key: string) => {
+  const annotation = content.getAnnotation(key);
+  return annotation
+    ? annotation
+        .getRanges()
+        .map(r => [r.getBlockKey(), r.getStart(), r.getEnd()])
+        .toArray()
+    : null;
+};
+
+test('must apply overlapping annotations', () => {
+  const content = getAnnotatedContentState();
+  expect(getRanges(content, 'x')).toEqual([['a', 6, 11]]);
+  expect(getRanges(content, 'y')).toEqual([['a', 3, 9]]);
+  expect(content.getAnnotation('x')?.getData()).toEqual({author: 'alice'});
+  expect(content.getAnnotationKeysAt('a', 7).toArray()).toEqual(['x', 'y']);
+  expect(content.getAnnotationKeysAt('a', 9).toArray()).toEqual(['x']);
+  expect(content.getAnnotationKeysAt('b', 7).toArray()).toEqual([]);
+});
+
+test('must merge ranges applied to the same annotation', () => {
+  const content = DraftModifier.applyAnnotation(
+    getAnnotatedContentState(),
+    range('a', 2, 'b', 3),
+    'x',
+    {resolved: false},
+  );
+  expect(getRanges(content, 'x')).toEqual([
+    ['a', 2, 11],
+    ['b', 0, 3],
+  ]);
+  expect(content.getAnnotation('x')?.getData()).toEqual({
+    author: 'alice',
+    resolved: false,
+  });
+});
+
+test('must extend an annotation for text typed inside it only', () => {
+  let content = getAnnotatedContentState();
+  content = DraftModifier.insertText(content, range('a', 8), '--');
+  expect(getRanges(content, 'x')).toEqual([['a', 6, 13]]);
+  expect(getRanges(content, 'y')).toEqual([['a', 3, 11]]);
+
+  content = DraftModifier.insertText(content, range('a', 6), '_');
+  expect(getRanges(content, 'x')).toEqual([['a', 7, 14]]);
+  content = DraftModifier.insertText(content, range('a', 14), '!');
+  expect(getRanges(content, 'x')).toEqual([['a', 7, 14]]);
+});
+
+test('must shrink annotations for removed text', () => {
+  const content = DraftModifier.removeRange(
+    getAnnotatedContentState(),
+    range('a', 4, 'a', 7),
+    'forward',
+  );
+  expect(getRanges(content, 'x')).toEqual([['a', 4, 8]]);
+  expect(getRanges(content, 'y')).toEqual([['a', 3, 6]]);
+});
+
+test('must keep annotations whose text was removed, without ranges', () => {
+  const content = DraftModifier.removeRange(
+    getAnnotatedContentState(),
+    range('a', 5, 'a', 11),
+    'forward',
+  );
+  expect(getRanges(content, 'x')).toEqual([]);
+  expect(getRanges(content, 'y')).toEqual([['a', 3, 5]]);
+
+  expect(
+    DraftModifier.removeAnnotation(content, 'x').getAnnotation('x'),
+  ).toBeUndefined();
+});
+
+test('must move annotations for text removed across blocks', () => {
+  let content = DraftModifier.applyAnnotation(
+    getAnnotatedContentState(),
+    range('c', 1, 'c', 4),
+    'z',
+  );
+  content = DraftModifier.applyAnnotation(content, range('b', 0, 'b', 6), 'y');
+  content = DraftModifier.removeRange(
+    content,
+    range('a', 8, 'c', 2),
+    'forward',
+  );
+  expect(content.getBlockForKey('a').getText()).toBe('Hello woird');
+  expect(getRanges(content, 'x')).toEqual([['a', 6, 8]]);
+  expect(getRanges(content, 'y')).toEqual([['a', 3, 8]]);
+  expect(getRanges(content, 'z')).toEqual([['a', 8, 10]]);
+});
+
+test('must split annotations with their block', () => {
+  const content = DraftModifier.splitBlock(
+    getAnnotatedContentState(),
+    range('a', 8),
+  );
+  const newKey = content.getKeyAfter('a');
+  expect(getRanges(content, 'x')).toEqual([
+    ['a', 6, 8],
+    [newKey, 0, 3],
+  ]);
+  expect(getRanges(content, 'y')).toEqual([
+    ['a', 3, 8],
+    [newKey, 0, 1],
+  ]);
+});
+
+test('must move annotations for inserted fragments', () => {
+  const fragment = convertFromRawToDraftState({
+    blocks: [
+      {key: 'x', text: 'one', type: 'unstyled'},
+      {key: 'y', text: 'two', type: 'unstyled'},
+    ],
+    entityMap: {},
+  }).getBlockMap();
+
+  const withBlock = DraftModifier.replaceWithFragment(
+    getAnnotatedContentState(),
+    range('a', 7),
+    fragment.take(1),
+  );
+  expect(getRanges(withBlock, 'x')).toEqual([['a', 6, 14]]);
+
+  const withBlocks = DraftModifier.replaceWithFragment(
+    getAnnotatedContentState(),
+    range('a', 7),
+    fragment,
+  );
+  const lastKey = withBlocks.getKeyAfter('a');
+  expect(withBlocks.getBlockForKey(lastKey || '').getText()).toBe('twoorld');
+  expect(getRanges(withBlocks, 'x')).toEqual([
+    ['a', 6, 7],
+    [lastKey, 3, 7],
+  ]);
+});
+
+test('must convert annotations to and from raw', () => {
+  const content = DraftModifier.splitBlock(
+    getAnnotatedContentState(),
+    range('a', 8),
+  );
+  const raw = convertFromDraftStateToRaw(content);
+  expect(raw.annotationMap).toEqual({
+    x: {data: {author: 'alice'}},
+    y: {data: {}},
+  });
+  expect(raw.blocks[0].annotationRanges).toEqual([
+    {key: 'x', offset: 6, length: 2},
+    {key: 'y', offset: 3, length: 5},
+  ]);
+  expect(raw.blocks[2].annotationRanges).toBeUndefined();
+
+  const restored = convertFromRawToDraftState(JSON.parse(JSON.stringify(raw)));
+  expect(restored.getAnnotationMap().toJS()).toEqual(
+    content.getAnnotationMap().toJS(),
+  );
+});
+
+test('must not store annotations in raw content without any', () => {
+  const raw = convertFromDraftStateToRaw(getContentState());
+  expect(raw.annotationMap).toBeUndefined();
+  expect(raw.blocks[0]).not.toHaveProperty('annotationRanges');
+});
@@ -0,0 +1,67 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type ContentState from 'ContentState';
+import type SelectionState from 'SelectionState';
+
+const DraftAnnotation = require('DraftAnnotation');
+const DraftAnnotationRange = require('DraftAnnotationRange');
+
+const Immutable = require('immutable');
+
+function applyAnnotationToContentState(
+  contentState: ContentState,
+  selectionState: SelectionState,
+  annotationKey: string,
+  data?: Object,
+): ContentState {
+  const blockMap = contentState.getBlockMap();
+  const startKey = selectionState.getStartKey();
+  const startOffset = selectionState.getStartOffset();
+  const endKey = selectionState.getEndKey();
+  const endOffset = selectionState.getEndOffset();
+
+  const newRanges = blockMap
+    .skipUntil((_, k) => k === startKey)
+    .takeUntil((_, k) => k === endKey)
+    .toOrderedMap()
+    .merge(Immutable.OrderedMap([[endKey, blockMap.get(endKey)]]))
+    .map(
+      (block, blockKey) =>
+        new DraftAnnotationRange({
+          blockKey,
+          start: blockKey === startKey ? startOffset : 0,
+          end: blockKey === endKey ? endOffset : block.getLength(),
+        }),
+    )
+    .toList();
+
+  const annotationMap = contentState.getAnnotationMap();
+  const annotation =
+    annotationMap.get(annotationKey) || new DraftAnnotation({data: {}});
+  const newAnnotation = annotation
+    .set(
+      'data',
+      data ? {...annotation.getData(), ...data} : annotation.getData(),
+    )
+    .set('ranges', annotation.getRanges().concat(newRanges))
+    .normalize();
+
+  return contentState.merge({
+    annotationMap: annotationMap.set(annotationKey, newAnnotation),
+    selectionBefore: selectionState,
+    selectionAfter: selectionState,
+  });
+}
+
+module.exports = applyAnnotationToContentState;
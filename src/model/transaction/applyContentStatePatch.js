@@ -0,0 +1,165 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type {DraftBlockPatch, DraftContentPatch} from 'DraftContentPatch';
+
+const CharacterMetadata = require('CharacterMetadata');
+const ContentBlock = require('ContentBlock');
+const ContentBlockNode = require('ContentBlockNode');
+const DraftAnnotation = require('DraftAnnotation');
+const SelectionState = require('SelectionState');
+
+const applyEntityToContentBlock = require('applyEntityToContentBlock');
+const Immutable = require('immutable');
+const isTreeBasedContentState = require('isTreeBasedContentState');
+
+const {List, Map, OrderedMap, Repeat} = Immutable;
+
+const applyBlockPatch = (
+  block: BlockNodeRecord,
+  patch: DraftBlockPatch,
+  entityKeyMap: {[key: string]: string},
+): BlockNodeRecord => {
+  let newBlock = block;
+  const {textSplice} = patch;
+  if (textSplice) {
+    const {offset, length, text} = textSplice;
+    const blockText = block.getText();
+    const chars = block.getCharacterList();
+    newBlock = newBlock.merge({
+      text:
+        blockText.slice(0, offset) + text + blockText.slice(offset + length),
+      characterList: chars
+        .slice(0, offset)
+        .concat(
+          Repeat(CharacterMetadata.EMPTY, text.length),
+          chars.slice(offset + length),
+        )
+        .toList(),
+    });
+  }
+
+  if (patch.addedStyleRanges || patch.removedStyleRanges) {
+    let characterList = newBlock.getCharacterList();
+    const modifyStyle = (ranges, modify) =>
+      (ranges || []).forEach(({offset, length, style}) => {
+        for (let ii = offset; ii < offset + length; ii++) {
+          characterList = characterList.set(
+            ii,
+            modify(characterList.get(ii), style),
+          );
+        }
+      });
+    modifyStyle(patch.addedStyleRanges, CharacterMetadata.applyStyle);
+    modifyStyle(patch.removedStyleRanges, CharacterMetadata.removeStyle);
+    newBlock = newBlock.set('characterList', characterList);
+  }
+
+  (patch.entityRanges || []).forEach(({offset, length, key}) => {
+    newBlock = applyEntityToContentBlock(
+      newBlock,
+      offset,
+      offset + length,
+      key != null ? entityKeyMap[`${key}`] : null,
+    );
+  });
+
+  const changes = {};
+  if (patch.type !== undefined) {
+    changes.type = patch.type;
+  }
+  if (patch.depth !== undefined) {
+    changes.depth = patch.depth;
+  }
+  if (patch.data !== undefined) {
+    changes.data = Map(patch.data);
+  }
+  if (patch.parent !== undefined) {
+    changes.parent = patch.parent;
+  }
+  if (patch.children !== undefined) {
+    changes.children = List(patch.children);
+  }
+  if (patch.prevSibling !== undefined) {
+    changes.prevSibling = patch.prevSibling;
+  }
+  if (patch.nextSibling !== undefined) {
+    changes.nextSibling = patch.nextSibling;
+  }
+  return Object.keys(changes).length > 0 ? newBlock.merge(changes) : newBlock;
+};
+
+/**
+ * Apply a patch computed by `ContentState.diff` to the ContentState it was
+ * computed from, giving back the new ContentState. Unchanged blocks are
+ * shared with `contentState`.
+ */
+function applyContentStatePatch(
+  contentState: ContentState,
+  patch: DraftContentPatch,
+): ContentState {
+  let newContentState = contentState;
+  const entityKeyMap = {};
+  Object.keys(patch.entityMap).forEach(storageKey => {
+    const {type, mutability, data} = patch.entityMap[storageKey];
+    newContentState = newContentState.createEntity(
+      type,
+      mutability,
+      data || {},
+    );
+    entityKeyMap[storageKey] = newContentState.getLastCreatedEntityKey();
+  });
+
+  const blockMap = contentState.getBlockMap();
+  const ContentBlockRecord = isTreeBasedContentState(contentState)
+    ? ContentBlockNode
+    : ContentBlock;
+  const patchedBlocks = OrderedMap(
+    Object.keys(patch.blocks).map(key => [
+      key,
+      applyBlockPatch(
+        blockMap.get(key) || new ContentBlockRecord({key}),
+        patch.blocks[key],
+        entityKeyMap,
+      ),
+    ]),
+  );
+  const {blockKeys} = patch;
+  const newBlockMap = blockKeys
+    ? OrderedMap(
+        blockKeys.map(key => [
+          key,
+          patchedBlocks.get(key) || blockMap.get(key),
+        ]),
+      )
+    : blockMap.merge(patchedBlocks);
+
+  const changes: {[key: string]: mixed} = {blockMap: newBlockMap};
+  if (patch.selectionBefore) {
+    changes.selectionBefore = new SelectionState(patch.selectionBefore);
+  }
+  if (patch.selectionAfter) {
+    changes.selectionAfter = new SelectionState(patch.selectionAfter);
+  }
+  if (patch.annotationMap) {
+    changes.annotationMap = OrderedMap(patch.annotationMap).map(
+      // $FlowFixMe[method-unbinding]
+      DraftAnnotation.fromJS,
+    );
+  }
+  return newContentState.merge(changes);
+}
+
+module.exports = applyContentStatePatch;
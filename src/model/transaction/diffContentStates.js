@@ -0,0 +1,292 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockNodeRecord} from 'BlockNodeRecord';
+import type ContentState from 'ContentState';
+import type {DraftBlockPatch, DraftContentPatch} from 'DraftContentPatch';
+import type {RawDraftEntity} from 'RawDraftEntity';
+
+const CharacterMetadata = require('CharacterMetadata');
+const ContentBlock = require('ContentBlock');
+const ContentBlockNode = require('ContentBlockNode');
+const DraftStringKey = require('DraftStringKey');
+
+const getUnmovedBlockKeys = require('getUnmovedBlockKeys');
+const Immutable = require('immutable');
+
+const {List} = Immutable;
+
+const EMPTY_BLOCK = new ContentBlock({});
+
+type EntityEncoder = (entityKey: ?string) => ?number;
+
+/**
+ * Append the ranges over which the style or entity of the characters of
+ * `block` and `newBlock` differ, once the text splice is applied.
+ */
+const diffCharacters = (
+  block: BlockNodeRecord,
+  newBlock: BlockNodeRecord,
+  prefix: number,
+  suffix: number,
+  encodeEntity: EntityEncoder,
+  patch: DraftBlockPatch,
+): void => {
+  const chars = block.getCharacterList();
+  const newChars = newBlock.getCharacterList();
+  const insertedEnd = newChars.size - suffix;
+  const styleRuns = {};
+  const addedStyleRanges = [];
+  const removedStyleRanges = [];
+  const entityRanges = [];
+  let entityRun = null;
+
+  const extendStyleRun = (ranges, style, offset) => {
+    const runKey = (ranges === addedStyleRanges ? '+' : '-') + style;
+    const run = styleRuns[runKey];
+    if (run && run.offset + run.length === offset) {
+      run.length++;
+    } else {
+      styleRuns[runKey] = {style, offset, length: 1};
+      ranges.push(styleRuns[runKey]);
+    }
+  };
+
+  newChars.forEach((newCharacter, offset) => {
+    let character = CharacterMetadata.EMPTY;
+    if (offset < prefix) {
+      character = chars.get(offset);
+    } else if (offset >= insertedEnd) {
+      character = chars.get(offset - newChars.size + chars.size);
+    }
+    if (character === newCharacter) {
+      return;
+    }
+
+    const style = character.getStyle();
+    const newStyle = newCharacter.getStyle();
+    newStyle
+      .subtract(style)
+      .forEach(name => extendStyleRun(addedStyleRanges, name, offset));
+    style
+      .subtract(newStyle)
+      .forEach(name => extendStyleRun(removedStyleRanges, name, offset));
+
+    const entityKey = newCharacter.getEntity();
+    if (character.getEntity() !== entityKey) {
+      const key = encodeEntity(entityKey);
+      if (
+        entityRun &&
+        entityRun.key === key &&
+        entityRun.offset + entityRun.length === offset
+      ) {
+        entityRun.length++;
+      } else {
+        entityRun = {offset, length: 1, key};
+        entityRanges.push(entityRun);
+      }
+    }
+  });
+
+  if (addedStyleRanges.length) {
+    patch.addedStyleRanges = addedStyleRanges;
+  }
+  if (removedStyleRanges.length) {
+    patch.removedStyleRanges = removedStyleRanges;
+  }
+  if (entityRanges.length) {
+    patch.entityRanges = entityRanges;
+  }
+};
+
+/**
+ * Compute the changes turning `block` into `newBlock`, or null if there
+ * are none.
+ */
+const diffBlock = (
+  block: BlockNodeRecord,
+  newBlock: BlockNodeRecord,
+  encodeEntity: EntityEncoder,
+): ?DraftBlockPatch => {
+  const patch: DraftBlockPatch = {};
+  if (block.getType() !== newBlock.getType()) {
+    patch.type = newBlock.getType();
+  }
+  if (block.getDepth() !== newBlock.getDepth()) {
+    patch.depth = newBlock.getDepth();
+  }
+  if (!Immutable.is(block.getData(), newBlock.getData())) {
+    patch.data = newBlock.getData().toObject();
+  }
+
+  const text = block.getText();
+  const newText = newBlock.getText();
+  let prefix = 0;
+  let suffix = 0;
+  if (text !== newText) {
+    const maxLength = Math.min(text.length, newText.length);
+    while (prefix < maxLength && text[prefix] === newText[prefix]) {
+      prefix++;
+    }
+    while (
+      suffix < maxLength - prefix &&
+      text[text.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+    patch.textSplice = {
+      offset: prefix,
+      length: text.length - prefix - suffix,
+      text: newText.slice(prefix, newText.length - suffix),
+    };
+  } else {
+    prefix = text.length;
+  }
+  if (block.getCharacterList() !== newBlock.getCharacterList()) {
+    diffCharacters(block, newBlock, prefix, suffix, encodeEntity, patch);
+  }
+
+  if (newBlock instanceof ContentBlockNode) {
+    const node = block instanceof ContentBlockNode ? block : null;
+    if ((node ? node.getParentKey() : null) !== newBlock.getParentKey()) {
+      patch.parent = newBlock.getParentKey();
+    }
+    if (
+      !Immutable.is(
+        node ? node.getChildKeys() : List(),
+        newBlock.getChildKeys(),
+      )
+    ) {
+      patch.children = newBlock.getChildKeys().toArray();
+    }
+    if (
+      (node ? node.getPrevSiblingKey() : null) !== newBlock.getPrevSiblingKey()
+    ) {
+      patch.prevSibling = newBlock.getPrevSiblingKey();
+    }
+    if (
+      (node ? node.getNextSiblingKey() : null) !== newBlock.getNextSiblingKey()
+    ) {
+      patch.nextSibling = newBlock.getNextSiblingKey();
+    }
+  }
+
+  return Object.keys(patch).length > 0 ? patch : null;
+};
+
+/**
+ * Compute the differences between two ContentStates. Blocks shared by both
+ * block maps are skipped without being compared, so diffing states that
+ * derive from each other only costs as much as the blocks that changed.
+ */
+function diffContentStates(
+  contentState: ContentState,
+  newContentState: ContentState,
+): DraftContentPatch {
+  const blockMap = contentState.getBlockMap();
+  const newBlockMap = newContentState.getBlockMap();
+  const entityMap: {[key: string]: RawDraftEntity} = {};
+  const entityStorageMap: {[key: string]: number} = {};
+  let entityStorageKey = 0;
+  const encodeEntity = (entityKey: ?string): ?number => {
+    if (entityKey == null) {
+      return null;
+    }
+    const stringifiedEntityKey = DraftStringKey.stringify(entityKey);
+    if (!entityStorageMap.hasOwnProperty(stringifiedEntityKey)) {
+      const entity = newContentState.getEntity(entityKey);
+      entityStorageMap[stringifiedEntityKey] = entityStorageKey;
+      entityMap[`${entityStorageKey}`] = {
+        type: entity.getType(),
+        mutability: entity.getMutability(),
+        data: entity.getData(),
+      };
+      entityStorageKey++;
+    }
+    return entityStorageMap[stringifiedEntityKey];
+  };
+
+  const patch: DraftContentPatch = {
+    added: [],
+    removed: [],
+    moved: [],
+    modified: [],
+    blocks: {},
+    entityMap,
+  };
+
+  if (blockMap !== newBlockMap) {
+    const unmoved = getUnmovedBlockKeys(blockMap, newBlockMap);
+    newBlockMap.forEach((newBlock, key) => {
+      const block = blockMap.get(key);
+      if (!block) {
+        patch.added.push(key);
+      } else if (!unmoved[key]) {
+        patch.moved.push(key);
+      }
+      if (block === newBlock) {
+        return;
+      }
+      const blockPatch = diffBlock(
+        block || EMPTY_BLOCK,
+        newBlock,
+        encodeEntity,
+      );
+      if (!block) {
+        // Added blocks are always listed, even when they match the empty
+        // block, so that the patch has every block it adds.
+        patch.blocks[key] = blockPatch || {};
+      } else if (blockPatch) {
+        patch.blocks[key] = blockPatch;
+        patch.modified.push(key);
+      }
+    });
+    blockMap.forEach((_, key) => {
+      if (!newBlockMap.has(key)) {
+        patch.removed.push(key);
+      }
+    });
+    if (patch.added.length || patch.removed.length || patch.moved.length) {
+      patch.blockKeys = newBlockMap.keySeq().toArray();
+    }
+  }
+
+  if (
+    !Immutable.is(
+      contentState.getSelectionBefore(),
+      newContentState.getSelectionBefore(),
+    )
+  ) {
+    patch.selectionBefore = newContentState.getSelectionBefore().toJS();
+  }
+  if (
+    !Immutable.is(
+      contentState.getSelectionAfter(),
+      newContentState.getSelectionAfter(),
+    )
+  ) {
+    patch.selectionAfter = newContentState.getSelectionAfter().toJS();
+  }
+  if (
+    !Immutable.is(
+      contentState.getAnnotationMap(),
+      newContentState.getAnnotationMap(),
+    )
+  ) {
+    patch.annotationMap = newContentState.getAnnotationMap().toJS();
+  }
+
+  return patch;
+}
+
+module.exports = diffContentStates;
@@ -0,0 +1,63 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockMap} from 'BlockMap';
+
+/**
+ * Find the keys of the longest list of blocks present in both block maps
+ * that kept their relative order. The other blocks present in both block
+ * maps have been moved.
+ */
+function getUnmovedBlockKeys(
+  blockMap: BlockMap,
+  newBlockMap: BlockMap,
+): {[key: string]: boolean, ...} {
+  const oldIndices = {};
+  blockMap.keySeq().forEach((key, index) => {
+    oldIndices[key] = index;
+  });
+  const keys = newBlockMap
+    .keySeq()
+    .filter(key => blockMap.has(key))
+    .toArray();
+
+  // Longest increasing subsequence of the old indices, where `tails[n]` is
+  // the index in `keys` ending the best subsequence of length `n + 1`.
+  const tails: Array<number> = [];
+  const previous: Array<number> = [];
+  keys.forEach((key, index) => {
+    const oldIndex = oldIndices[key];
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (oldIndices[keys[tails[middle]]] < oldIndex) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const unmoved = {};
+  let index = tails.length > 0 ? tails[tails.length - 1] : -1;
+  while (index !== -1) {
+    unmoved[keys[index]] = true;
+    index = previous[index];
+  }
+  return unmoved;
+}
+
+module.exports = getUnmovedBlockKeys;
@@ -17,11 +17,13 @@ import type ContentState from 'ContentState';
 import type SelectionState from 'SelectionState';
 
 const BlockMapBuilder = require('BlockMapBuilder');
+const CharacterMetadata = require('CharacterMetadata');
 const ContentBlockNode = require('ContentBlockNode');
 
 const Immutable = require('immutable');
 const insertIntoList = require('insertIntoList');
 const invariant = require('invariant');
+const moveAnnotationRanges = require('moveAnnotationRanges');
 const randomizeBlockMapKeys = require('randomizeBlockMapKeys');
 
 const {List} = Immutable;
@@ -77,6 +79,12 @@ const updateExistingBlock = (
 
   return contentState.merge({
     blockMap: blockMap.set(targetKey, newBlock),
+    annotationMap: moveAnnotationRanges.forInsertion(
+      contentState.getAnnotationMap(),
+      targetKey,
+      targetOffset,
+      fragmentBlock.getText().length,
+    ),
     selectionBefore: selectionState,
     selectionAfter: selectionState.merge({
       anchorKey: finalKey,
@@ -88,6 +96,29 @@ const updateExistingBlock = (
   });
 };
 
+/**
+ * Join the blocks of a fragment into one, separated by soft newlines.
+ */
+const joinFragmentBlocks = (fragment: BlockMap): BlockNodeRecord => {
+  const blocks = fragment
+    .toList()
+    .filter(
+      block =>
+        !(block instanceof ContentBlockNode) || block.getChildKeys().isEmpty(),
+    );
+  return blocks.first().merge({
+    text: blocks.map(block => block.getText()).join('\n'),
+    characterList: blocks.reduce(
+      (characterList, block, ii) =>
+        (ii > 0
+          ? characterList.push(CharacterMetadata.create())
+          : characterList
+        ).concat(block.getCharacterList()),
+      List(),
+    ),
+  });
+};
+
 /**
  * Appends text/characterList from the fragment first block to
  * target block.
@@ -297,6 +328,13 @@ const insertFragment = (
 
   return contentState.merge({
     blockMap: updatedBlockMap,
+    annotationMap: moveAnnotationRanges.forSplit(
+      contentState.getAnnotationMap(),
+      targetKey,
+      targetOffset,
+      finalKey,
+      finalOffset,
+    ),
     selectionBefore: selectionState,
     selectionAfter: selectionState.merge({
       anchorKey: finalKey,
@@ -334,13 +372,14 @@ const insertFragmentIntoContentState = (
   }
 
   // When we insert a fragment with a single block we simply update the target block
-  // with the contents of the inserted fragment block
-  if (fragment.size === 1) {
+  // with the contents of the inserted fragment block. Table cells can't be
+  // split, so the blocks of fragments inserted in them are joined.
+  if (fragment.size === 1 || targetBlock.getType() === 'table-cell') {
     return updateExistingBlock(
       contentState,
       selectionState,
       blockMap,
-      fragment.first(),
+      fragment.size === 1 ? fragment.first() : joinFragmentBlocks(fragment),
       targetKey,
       targetOffset,
       mergeBlockData,
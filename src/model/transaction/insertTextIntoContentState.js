@@ -18,6 +18,7 @@ import type SelectionState from 'SelectionState';
 const Immutable = require('immutable');
 const insertIntoList = require('insertIntoList');
 const invariant = require('invariant');
+const moveAnnotationRanges = require('moveAnnotationRanges');
 
 const {Repeat} = Immutable;
 
@@ -63,6 +64,12 @@ function insertTextIntoContentState(
 
   return contentState.merge({
     blockMap: blockMap.set(key, newBlock),
+    annotationMap: moveAnnotationRanges.forInsertion(
+      contentState.getAnnotationMap(),
+      key,
+      offset,
+      len,
+    ),
     selectionAfter: selectionState.merge({
       anchorOffset: newOffset,
       focusOffset: newOffset,
@@ -0,0 +1,172 @@
+/**
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ *
+ * @flow
+ * @format
+ * @oncall draft_js
+ */
+
+'use strict';
+
+import type {BlockMap} from 'BlockMap';
+import type DraftAnnotation from 'DraftAnnotation';
+import type DraftAnnotationRange from 'DraftAnnotationRange';
+
+const Immutable = require('immutable');
+
+const {List, OrderedMap} = Immutable;
+
+type AnnotationMap = OrderedMap<string, DraftAnnotation>;
+
+/**
+ * Replace every range of the annotations with the ranges returned by `fn`,
+ * and normalize the annotations that changed. The map is returned as is when
+ * no range changed.
+ */
+function mapRanges(
+  annotationMap: AnnotationMap,
+  fn: (range: DraftAnnotationRange) => Array<DraftAnnotationRange>,
+): AnnotationMap {
+  if (annotationMap.isEmpty()) {
+    return annotationMap;
+  }
+  let hasChanged = false;
+  const newAnnotationMap = annotationMap.map(annotation => {
+    const ranges = annotation.getRanges();
+    const newRanges = List(ranges.flatMap(range => fn(range)));
+    if (Immutable.is(newRanges, ranges)) {
+      return annotation;
+    }
+    hasChanged = true;
+    return annotation.set('ranges', newRanges).normalize();
+  });
+  return hasChanged ? newAnnotationMap : annotationMap;
+}
+
+/**
+ * Move the annotation ranges for `length` characters inserted in block `key`
+ * at `offset`. Text inserted inside a range extends it, text inserted at
+ * either of its ends doesn't.
+ */
+function forInsertion(
+  annotationMap: AnnotationMap,
+  key: string,
+  offset: number,
+  length: number,
+): AnnotationMap {
+  return mapRanges(annotationMap, range => {
+    const start = range.getStart();
+    const end = range.getEnd();
+    if (range.getBlockKey() !== key || end < offset || length === 0) {
+      return [range];
+    }
+    if (end === offset) {
+      return start === end ? [] : [range];
+    }
+    return [
+      range.merge({
+        start: start >= offset ? start + length : start,
+        end: end + length,
+      }),
+    ];
+  });
+}
+
+/**
+ * Move the annotation ranges for the removal of the text between
+ * `startOffset` in block `startKey` and `endOffset` in block `endKey`. The
+ * text left after the end joins the start block, and ranges in blocks that
+ * are not in `blockMap`, the resulting block map, are dropped.
+ */
+function forRemoval(
+  annotationMap: AnnotationMap,
+  blockMap: BlockMap,
+  startKey: string,
+  startOffset: number,
+  endKey: string,
+  endOffset: number,
+): AnnotationMap {
+  const hasStart = blockMap.has(startKey);
+  const movePosition = (key: string, position: number): number => {
+    if (key === startKey && position <= startOffset) {
+      return position;
+    }
+    if (key === endKey) {
+      return startOffset + Math.max(position - endOffset, 0);
+    }
+    return startOffset;
+  };
+  return mapRanges(annotationMap, range => {
+    const key = range.getBlockKey();
+    if (key === endKey && hasStart) {
+      return [
+        range.merge({
+          blockKey: startKey,
+          start: movePosition(key, range.getStart()),
+          end: movePosition(key, range.getEnd()),
+        }),
+      ];
+    }
+    if (!blockMap.has(key)) {
+      return [];
+    }
+    if (key !== startKey || range.getEnd() <= startOffset) {
+      return [range];
+    }
+    return [
+      range.merge({
+        start: movePosition(key, range.getStart()),
+        end: movePosition(key, range.getEnd()),
+      }),
+    ];
+  });
+}
+
+/**
+ * Move the annotation ranges for block `key` being split at `offset`, its
+ * text after the offset being moved to block `newKey` at `newOffset`. Ranges
+ * over the offset are split in two.
+ */
+function forSplit(
+  annotationMap: AnnotationMap,
+  key: string,
+  offset: number,
+  newKey: string,
+  newOffset: number = 0,
+): AnnotationMap {
+  return mapRanges(annotationMap, range => {
+    const start = range.getStart();
+    const end = range.getEnd();
+    if (range.getBlockKey() !== key || end <= offset) {
+      return [range];
+    }
+    const below = range.merge({
+      blockKey: newKey,
+      start: newOffset + Math.max(start - offset, 0),
+      end: newOffset + end - offset,
+    });
+    return start < offset ? [range.set('end', offset), below] : [below];
+  });
+}
+
+/**
+ * Drop the annotation ranges in blocks that are not in `blockMap`.
+ */
+function forRemovedBlocks(
+  annotationMap: AnnotationMap,
+  blockMap: BlockMap,
+): AnnotationMap {
+  return mapRanges(annotationMap, range =>
+    blockMap.has(range.getBlockKey()) ? [range] : [],
+  );
+}
+
+module.exports = {
+  forInsertion,
+  forRemoval,
+  forRemovedBlocks,
+  forSplit,
+};
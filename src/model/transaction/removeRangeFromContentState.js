@@ -19,9 +19,11 @@ import type ContentState from 'ContentState';
 import type SelectionState from 'SelectionState';
 
 const ContentBlockNode = require('ContentBlockNode');
+const ContentStateTable = require('ContentStateTable');
 
 const getNextDelimiterBlockKey = require('getNextDelimiterBlockKey');
 const Immutable = require('immutable');
+const moveAnnotationRanges = require('moveAnnotationRanges');
 
 const {List, Map} = Immutable;
 
@@ -302,6 +304,33 @@ const removeRangeFromContentState = (
   const startBlock = blockMap.get(startKey);
   const endBlock = blockMap.get(endKey);
 
+  // The tables that the range covers are removed. Joining blocks would break
+  // the structure of the other tables, so the text of the blocks is removed
+  // instead when the range still crosses the boundary of a cell.
+  if (
+    startBlock !== endBlock &&
+    blockMap
+      .skipUntil((_, k) => k === startKey)
+      .takeUntil((_, k) => k === endKey)
+      .set(endKey, endBlock)
+      .some(ContentStateTable.isTableBlock)
+  ) {
+    const withoutTables = ContentStateTable.removeSelectedTables(
+      contentState,
+      selectionState,
+    );
+    if (withoutTables === contentState) {
+      return ContentStateTable.removeRangeInBlocks(
+        contentState,
+        selectionState,
+      );
+    }
+    return removeRangeFromContentState(
+      withoutTables,
+      withoutTables.getSelectionAfter(),
+    ).merge({selectionBefore: selectionState});
+  }
+
   // we assume that ContentBlockNode and ContentBlocks are not mixed together
   const isExperimentalTreeBlock = startBlock instanceof ContentBlockNode;
 
@@ -386,6 +415,14 @@ const removeRangeFromContentState = (
 
   return contentState.merge({
     blockMap: updatedBlockMap,
+    annotationMap: moveAnnotationRanges.forRemoval(
+      contentState.getAnnotationMap(),
+      updatedBlockMap,
+      startKey,
+      startOffset,
+      endKey,
+      endOffset,
+    ),
     selectionBefore: selectionState,
     selectionAfter: selectionState.merge({
       anchorKey: startKey,
@@ -21,6 +21,7 @@ const generateRandomKey = require('generateRandomKey');
 const Immutable = require('immutable');
 const invariant = require('invariant');
 const modifyBlockForContentState = require('modifyBlockForContentState');
+const moveAnnotationRanges = require('moveAnnotationRanges');
 
 const {List, Map} = Immutable;
 
@@ -152,6 +153,12 @@ const splitBlockInContentState = (
 
   return contentState.merge({
     blockMap: newBlocks,
+    annotationMap: moveAnnotationRanges.forSplit(
+      contentState.getAnnotationMap(),
+      key,
+      offset,
+      keyBelow,
+    ),
     selectionBefore: selectionState,
     selectionAfter: selectionState.merge({
       anchorKey: keyBelow,
@@ -10,10 +10,22 @@
 
 'use strict';
 
-const gkx = require('gkx');
+const DraftEditorContentsCore = require('DraftEditorContents-core.react');
+const DraftEditorContentsExperimental = require('DraftEditorContentsExperimental.react');
+const React = require('react');
 
-const experimentalTreeDataSupport = gkx('draft_tree_data_support');
+const isTreeBasedContentState = require('isTreeBasedContentState');
 
-module.exports = experimentalTreeDataSupport
-  ? require('DraftEditorContentsExperimental.react')
-  : require('DraftEditorContents-core.react');
+type Props = React.ElementConfig<typeof DraftEditorContentsCore>;
+
+/**
+ * Tree-based content is rendered with its blocks nested in their parents.
+ */
+const DraftEditorContents = (props: Props): React.Node =>
+  isTreeBasedContentState(props.editorState.getCurrentContent()) ? (
+    <DraftEditorContentsExperimental {...props} />
+  ) : (
+    <DraftEditorContentsCore {...props} />
+  );
+
+module.exports = DraftEditorContents;
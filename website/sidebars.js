@@ -19,14 +19,23 @@ module.exports = {
       'v0-10-api-migration',
       'advanced-topics-decorators',
       'advanced-topics-key-bindings',
+      'advanced-topics-commands',
       'advanced-topics-managing-focus',
       'advanced-topics-block-styling',
       'advanced-topics-custom-block-render-map',
       'advanced-topics-block-components',
       'advanced-topics-inline-styles',
       'advanced-topics-nested-lists',
+      'advanced-topics-nested-blocks',
       'advanced-topics-text-direction',
       'advanced-topics-editorstate-race-conditions',
+      'advanced-topics-collaborative-editing',
+      'advanced-topics-suggestion-mode',
+      'advanced-topics-find-and-replace',
+      'advanced-topics-diagnostics',
+      'advanced-topics-autocomplete',
+      'advanced-topics-annotations',
+      'advanced-topics-tables',
       'advanced-topics-issues-and-pitfalls',
     ],
     'API Reference': [